@@ -5,20 +5,67 @@
 // 动态导入模块
 async function loadModules() {
     try {
-        const { apiManager } = await import('./modules/api.js');
-        const { businessController } = await import('./modules/business.js');
+        const { apiManager, isAbortError } = await import('./modules/api.js');
+        const { credentialStore, MIN_PASSPHRASE_LENGTH } = await import('./modules/credentials.js');
+        const { businessController, VOCABULARY_CATEGORIES, PLACEHOLDER_WORDS } = await import('./modules/business.js');
+        const { historyStore } = await import('./modules/history.js');
+        const { pinyinConverter } = await import('./modules/pinyin.js');
+        const { vocabularyLLM } = await import('./modules/llm.js');
+        const { templateLibrary, TEMPLATE_VARIABLES } = await import('./modules/template-library.js');
+        const { prepareReferenceImage } = await import('./modules/reference-image.js');
+        const { composeLabels, getLabelColor, LABEL_SIZES } = await import('./modules/label-overlay.js');
+        const { createPosterPdf } = await import('./modules/print.js');
+        const { createFlashcardSheets } = await import('./modules/flashcards.js');
+        const { QuizSession, createQuizWords, quizResultStore, QUIZ_MODES } = await import('./modules/quiz.js');
+        const { downloadManager, createFilename } = await import('./modules/download.js');
         const { DialogComponent, InputComponent } = await import('./components/dialog.js');
         const { ImageViewerComponent, ThemeSelectorComponent } = await import('./components/image-viewer.js');
         const { SettingsComponent } = await import('./components/settings.js');
+        const { HistoryGalleryComponent } = await import('./components/history-gallery.js');
+        const { VocabularyEditorComponent } = await import('./components/vocabulary-editor.js');
+        const { GenerationOptionsComponent } = await import('./components/generation-options.js');
+        const { LabelOverlayComponent } = await import('./components/label-overlay.js');
+        const { TemplateManagerComponent } = await import('./components/template-manager.js');
+        const { BatchPanelComponent } = await import('./components/batch-panel.js');
+        const { QuizComponent } = await import('./components/quiz.js');
 
         return {
             apiManager,
+            isAbortError,
+            credentialStore,
+            MIN_PASSPHRASE_LENGTH,
             businessController,
+            VOCABULARY_CATEGORIES,
+            PLACEHOLDER_WORDS,
+            historyStore,
+            pinyinConverter,
+            vocabularyLLM,
+            templateLibrary,
+            TEMPLATE_VARIABLES,
+            prepareReferenceImage,
+            composeLabels,
+            getLabelColor,
+            LABEL_SIZES,
+            createPosterPdf,
+            createFlashcardSheets,
+            QuizSession,
+            createQuizWords,
+            quizResultStore,
+            QUIZ_MODES,
+            downloadManager,
+            createFilename,
             DialogComponent,
             InputComponent,
             ImageViewerComponent,
             ThemeSelectorComponent,
-            SettingsComponent
+            SettingsComponent,
+            HistoryGalleryComponent,
+            VocabularyEditorComponent,
+            GenerationOptionsComponent,
+            LabelOverlayComponent,
+            TemplateManagerComponent,
+            BatchPanelComponent,
+            QuizComponent
         };
     } catch (error) {
         console.error('模块加载失败:', error);
@@ -26,6 +73,20 @@ async function loadModules() {
     }
 }
 
+/**
+ * 取出生成信息中的宽高比、分辨率、输出格式和是否页面贴标签，重新生成时沿用
+ * @param {Object} generation - 生成信息（未完成任务或历史记录）
+ * @returns {Object} 生成参数（没有记录的参数不包含）
+ */
+function pickGenerationOptions(generation) {
+    const { aspectRatio, resolution, format } = generation.settings || {};
+    const options = Object.fromEntries(Object.entries({ aspectRatio, resolution, format }).filter(([, value]) => value));
+    if (generation.labelOverlay) {
+        options.labelOverlay = true;
+    }
+    return options;
+}
+
 /**
  * 主应用类
  */
@@ -46,14 +107,35 @@ class VocabularyApp {
         this.imageViewerComponent = new modules.ImageViewerComponent(this.container);
         this.themeSelectorComponent = new modules.ThemeSelectorComponent(this.container);
         this.settingsComponent = new modules.SettingsComponent(this.container);
+        this.historyGalleryComponent = new modules.HistoryGalleryComponent(this.container);
+        this.vocabularyEditorComponent = new modules.VocabularyEditorComponent(this.container);
+        this.generationOptionsComponent = new modules.GenerationOptionsComponent(this.container, {
+            aspectRatio: '#runAspectRatioSelect',
+            resolution: '#runResolutionSelect',
+            format: '#runFormatSelect',
+            labelOverlay: '#runLabelOverlayCheckbox'
+        });
+        this.labelOverlayComponent = new modules.LabelOverlayComponent(this.container);
+        this.templateManagerComponent = new modules.TemplateManagerComponent(this.container);
+        this.batchPanelComponent = new modules.BatchPanelComponent(this.container);
+        this.quizComponent = new modules.QuizComponent(this.container);
 
         // 应用状态
         this.state = {
             currentTheme: null,
             currentTitle: null,
+            currentScene: null,
+            currentProfile: null,
+            currentVocabularies: null,
+            currentOptions: {},
+            currentRecordId: null,
+            currentHotspots: [],
             isGenerating: false
         };
 
+        // 当前生成的取消控制器
+        this.generationController = null;
+
         // 初始化应用
         this.init();
     }
@@ -71,10 +153,23 @@ class VocabularyApp {
             // 设置组件回调
             this.setupComponentCallbacks();
 
+            // 根据主题数据渲染主题卡片和学习者档案
+            const themes = await this.modules.businessController.getThemeList();
+            this.themeSelectorComponent.setThemes(themes);
+            this.batchPanelComponent.setThemes(themes);
+            const { profiles, selectedId } = this.modules.businessController.getProfiles();
+            this.themeSelectorComponent.setProfiles(profiles, selectedId);
+
+            // 显示保存的下载设置
+            this.imageViewerComponent.setDownloadSettings(this.modules.downloadManager.getSettings());
+
             // 显示欢迎界面
             this.showWelcomeInterface();
 
             console.log('应用初始化成功');
+
+            // 继续页面刷新前未完成的任务
+            await this.resumePendingTasks();
         } catch (error) {
             console.error('应用初始化失败:', error);
             this.showError('应用初始化失败，请刷新页面重试');
@@ -85,7 +180,12 @@ class VocabularyApp {
      * 检查API配置
      */
     checkApiConfiguration() {
-        if (!this.modules.apiManager.isConfigured()) {
+        if (this.modules.credentialStore.isLocked()) {
+            this.dialogComponent.addMessage({
+                type: 'system',
+                content: '🔒 API Key已加密保存，请点击右上角的"API设置"输入口令解锁后再生成小报。'
+            });
+        } else if (!this.modules.apiManager.isConfigured()) {
             // 显示API设置提示
             this.showApiConfigurationHint();
         }
@@ -105,11 +205,36 @@ class VocabularyApp {
             onDownload: (imageUrl) => {
                 this.downloadImage(imageUrl);
             },
+            onDownloadSettingsChange: (settings) => {
+                this.modules.downloadManager.updateSettings(settings);
+            },
+            onExportPdf: async ({ includeWordList }) => {
+                await this.exportPdf(includeWordList);
+            },
+            onExportFlashcards: async (options) => {
+                await this.exportFlashcards(options);
+            },
+            onStartQuiz: () => {
+                this.openQuiz();
+            },
             onRegenerate: () => {
                 this.regenerateImage();
             },
             onNewCreate: () => {
                 this.startNewCreation();
+            },
+            onCancel: () => {
+                this.cancelGeneration();
+            }
+        });
+
+        // 页面贴标签回调
+        this.labelOverlayComponent.setCallbacks({
+            onChange: (labels) => {
+                this.saveLabels(labels);
+            },
+            onExport: async (labels) => {
+                await this.exportLabeledImage(labels);
             }
         });
 
@@ -118,20 +243,160 @@ class VocabularyApp {
             onCustomTheme: () => {
                 this.startCustomConversation();
             },
-            onStartWithTheme: (theme, title) => {
-                this.startWithTheme(theme, title);
+            onStartWithTheme: (theme, title, sceneId) => {
+                this.startWithTheme(theme, title, sceneId);
             },
-            onStartWithCustom: (theme, title) => {
-                this.startWithCustom(theme, title);
+            onProfileChange: (profileId) => {
+                this.modules.businessController.selectProfile(profileId);
             }
         });
 
         // 设置组件回调
+        this.updateCredentialSettings();
+        this.settingsComponent.setGenerationSettings(this.modules.apiManager.getSettings());
+        this.modules.apiManager.ready.then(() => {
+            this.settingsComponent.setReferenceImages(this.modules.apiManager.getReferenceImages());
+        });
         this.settingsComponent.setCallbacks({
             onSave: async (settings) => {
                 await this.handleSettingsSave(settings);
+            },
+            onReferenceImageSelect: (file) => {
+                return this.modules.prepareReferenceImage(file);
+            },
+            onUnlock: async (passphrase) => {
+                await this.modules.credentialStore.unlock(passphrase);
+                this.updateCredentialSettings();
+            },
+            onLock: () => {
+                this.modules.credentialStore.lock();
+                this.updateCredentialSettings();
+            },
+            onResetCredentials: () => {
+                this.modules.credentialStore.reset();
+                this.updateCredentialSettings();
+            }
+        });
+
+        // 词汇审阅回调
+        this.vocabularyEditorComponent.setCallbacks({
+            onConfirm: async (vocabularies) => {
+                this.state.currentVocabularies = vocabularies;
+                this.state.currentOptions = this.generationOptionsComponent.getValues();
+                this.dialogComponent.addMessage({
+                    type: 'system',
+                    content: '词汇已确认，正在生成小报...'
+                });
+                await this.generateImage(this.state.currentTheme, this.state.currentTitle, {
+                    ...this.state.currentOptions,
+                    vocabularies,
+                    sceneId: this.state.currentScene,
+                    profileId: this.state.currentProfile
+                });
+            },
+            onCancel: () => {
+                this.startNewCreation();
+            }
+        });
+
+        // 历史记录回调
+        this.historyGalleryComponent.setCallbacks({
+            onSearch: (filters) => {
+                return this.modules.historyStore.getRecords(filters);
+            },
+            onReopen: (record) => {
+                this.reopenHistoryRecord(record);
+            },
+            onDownload: (record) => {
+                this.downloadHistoryRecord(record);
+            },
+            onDelete: async (record) => {
+                await this.modules.historyStore.deleteRecord(record.id);
+            }
+        });
+
+        // 识字游戏回调
+        const quizResultStore = this.modules.quizResultStore;
+        this.quizComponent.setCallbacks({
+            onStart: ({ mode, hotspots }) => new this.modules.QuizSession({
+                mode,
+                words: this.modules.createQuizWords(this.state.currentVocabularies),
+                hotspots
+            }),
+            onFinish: (child, summary) => quizResultStore.saveResult(child, {
+                ...summary,
+                theme: this.state.currentTheme,
+                title: this.state.currentTitle
+            }),
+            onSaveHotspots: (hotspots) => {
+                this.saveHotspots(hotspots);
+            },
+            onLoadResults: (child) => quizResultStore.getResults(child)
+        });
+
+        // 提示词模板回调
+        const templateLibrary = this.modules.templateLibrary;
+        this.templateManagerComponent.setVariables(this.modules.TEMPLATE_VARIABLES);
+        this.templateManagerComponent.setCallbacks({
+            onLoad: () => ({
+                templates: templateLibrary.getTemplates(),
+                selectedId: templateLibrary.getSelectedTemplate().id
+            }),
+            onSelect: (id) => templateLibrary.selectTemplate(id),
+            onCreate: (data) => templateLibrary.createTemplate(data),
+            onClone: (id) => templateLibrary.cloneTemplate(id),
+            onUpdate: (id, changes) => templateLibrary.updateTemplate(id, changes),
+            onDelete: (id) => templateLibrary.deleteTemplate(id),
+            onExport: (ids) => templateLibrary.exportTemplates(ids),
+            onImport: (json) => templateLibrary.importTemplates(json),
+            onPreview: (content) => {
+                // 有正在创作的小报时用它预览，否则使用示例主题
+                const sample = this.state.currentTheme ? {
+                    theme: this.state.currentTheme,
+                    title: this.state.currentTitle,
+                    sceneId: this.state.currentScene,
+                    profile: this.state.currentProfile
+                } : {};
+                return this.modules.businessController.previewTemplate(content, sample);
             }
         });
+
+        // 批量生成回调
+        const businessController = this.modules.businessController;
+        const batchQueue = businessController.getBatchQueue();
+        batchQueue.setCallbacks({
+            onChange: (jobs, summary) => {
+                this.batchPanelComponent.render(jobs, summary);
+            },
+            onJobComplete: (job) => {
+                this.saveBatchResult(job);
+            }
+        });
+        this.batchPanelComponent.setCallbacks({
+            onAddPairs: (items) => businessController.addBatchJobs(items, this.themeSelectorComponent.getSelectedProfile()),
+            onAddScenes: async (theme) => {
+                const items = await businessController.getSceneBatchItems(theme);
+                return businessController.addBatchJobs(items, this.themeSelectorComponent.getSelectedProfile());
+            },
+            onConcurrencyChange: (concurrency) => batchQueue.setConcurrency(concurrency),
+            onPause: () => batchQueue.pause(),
+            onResume: () => batchQueue.resume(),
+            onJobAction: (action, id) => {
+                const handlers = {
+                    pause: () => batchQueue.pauseJob(id),
+                    resume: () => batchQueue.resumeJob(id),
+                    cancel: () => batchQueue.cancelJob(id),
+                    retry: () => batchQueue.retryJob(id),
+                    remove: () => batchQueue.removeJob(id)
+                };
+                handlers[action]();
+            },
+            onRetryFailed: () => batchQueue.retryFailed(),
+            onCancelAll: () => batchQueue.cancelAll(),
+            onClearFinished: () => batchQueue.clearFinished(),
+            onDownload: () => batchQueue.createArchive((imageUrl) => this.modules.historyStore.fetchImageBlob(imageUrl))
+        });
+        this.batchPanelComponent.render(batchQueue.getJobs(), batchQueue.getSummary());
     }
 
     /**
@@ -141,7 +406,7 @@ class VocabularyApp {
         // 添加欢迎消息
         this.dialogComponent.addMessage({
             type: 'system',
-            content: '欢迎使用儿童识字小报生成器！\n\n我将帮助您创建适合5-9岁儿童的识字学习小报。'
+            content: '欢迎使用儿童识字小报生成器！\n\n我将帮助您创建适合3-9岁儿童的识字学习小报。'
         });
 
         // 显示主题选择器
@@ -154,7 +419,7 @@ class VocabularyApp {
     showApiConfigurationHint() {
         this.dialogComponent.addMessage({
             type: 'system',
-            content: '⚠️ 提醒：您还未配置API Key，点击右上角的"API设置"进行配置后才能生成小报。'
+            content: '⚠️ 提醒：您还未配置API Key，点击右上角的"API设置"进行配置后才能生成小报。也可以在设置中选择"离线演示"，不联网体验完整流程。'
         });
     }
 
@@ -166,82 +431,42 @@ class VocabularyApp {
         this.themeSelectorComponent.hide();
 
         // 开始对话流程
-        const conversationManager = businessController.getConversationManager();
+        const conversationManager = this.modules.businessController.getConversationManager();
         const result = conversationManager.startConversation();
 
         // 显示对话消息
         this.dialogComponent.addMessage(result.message);
 
-        // 显示输入区域
+        // 显示输入区域，输入主题时推荐相近的预设主题
         this.inputComponent.show();
         this.inputComponent.setPlaceholder('请输入主题/场景...');
-    }
-
-    /**
-     * 使用选中的主题和标题开始
-     * @param {string} theme - 主题
-     * @param {string} title - 标题
-     */
-    async startWithTheme(theme, title) {
-        // 隐藏主题选择器
-        this.themeSelectorComponent.hide();
-
-        // 保存状态
-        this.state.currentTheme = theme;
-        this.state.currentTitle = title;
-
-        // 添加确认消息
-        this.dialogComponent.addMessage({
-            type: 'user',
-            content: `主题：${theme}\n标题：${title}`
-        });
-
-        this.dialogComponent.addMessage({
-            type: 'system',
-            content: '已选择主题和标题，正在生成小报...'
+        this.inputComponent.setSuggestionProvider((query) => {
+            return this.modules.businessController.suggestThemes(query);
         });
-
-        // 开始生成图片
-        await this.generateImage(theme, title);
     }
 
     /**
-     * 开始自定义主题和标题
+     * 使用选中的主题和场景开始
      * @param {string} theme - 主题
-     * @param {string} title - 标题
+     * @param {string} title - 标题（场景名称或自定义场景）
+     * @param {string} sceneId - 场景ID（自定义场景时为空）
      */
-    async startWithCustom(theme, title) {
+    async startWithTheme(theme, title, sceneId = null) {
         // 隐藏主题选择器
         this.themeSelectorComponent.hide();
 
         // 保存状态
-        this.state.currentTheme = theme || '自定义';
+        this.state.currentTheme = theme;
         this.state.currentTitle = title;
 
         // 添加确认消息
         this.dialogComponent.addMessage({
             type: 'user',
-            content: `主题：${theme || '自定义'}\n标题：${title || '待输入'}`
-        });
-
-        // 如果标题为空，请求输入标题
-        if (!title) {
-            this.dialogComponent.addMessage({
-                type: 'system',
-                content: '请输入小报标题：'
-            });
-            this.inputComponent.show();
-            this.inputComponent.setPlaceholder('请输入标题...');
-            return;
-        }
-
-        // 开始生成图片
-        this.dialogComponent.addMessage({
-            type: 'system',
-            content: '正在生成小报...'
+            content: `主题：${theme}\n场景：${title}`
         });
 
-        await this.generateImage(theme || '自定义', title);
+        // 审阅词汇后再生成图片
+        await this.reviewVocabulary(theme, title, sceneId);
     }
 
     /**
@@ -261,7 +486,7 @@ class VocabularyApp {
             }
 
             // 如果需要生成图片
-            if (result.state === 'GENERATING' && result.prompt && result.theme && result.title) {
+            if (result.state === 'GENERATING' && result.theme && result.title) {
                 // 保存状态
                 this.state.currentTheme = result.theme;
                 this.state.currentTitle = result.title;
@@ -269,10 +494,11 @@ class VocabularyApp {
                 // 隐藏输入区域
                 this.inputComponent.hide();
 
-                // 开始生成图片
-                await this.generateImage(result.theme, result.title);
+                // 审阅词汇后再生成图片
+                await this.reviewVocabulary(result.theme, result.title);
             } else if (result.nextStep === 'title') {
-                // 更新输入框占位符
+                // 更新输入框占位符，标题不需要主题建议
+                this.inputComponent.setSuggestionProvider(null);
                 this.inputComponent.setPlaceholder('请输入标题...');
             }
         } catch (error) {
@@ -284,18 +510,74 @@ class VocabularyApp {
         }
     }
 
+    /**
+     * 显示词汇审阅步骤
+     * @param {string} theme - 主题
+     * @param {string} title - 标题
+     * @param {string} sceneId - 场景ID（可选）
+     */
+    async reviewVocabulary(theme, title, sceneId = null) {
+        this.state.currentTheme = theme;
+        this.state.currentTitle = title;
+        this.state.currentScene = sceneId;
+        this.state.currentProfile = this.themeSelectorComponent.getSelectedProfile();
+
+        try {
+            const vocabularies = await this.modules.businessController.prepareVocabulary(
+                theme,
+                sceneId,
+                this.state.currentProfile
+            );
+
+            this.dialogComponent.addMessage({
+                type: 'system',
+                content: '请确认小报中的词语，可以删除、添加、调整顺序或修改拼音，确认后开始生成。'
+            });
+
+            // 本次生成的参数默认使用设置中的值（已调整为当前服务支持的值）
+            const apiManager = this.modules.apiManager;
+            this.generationOptionsComponent.setCapabilities(apiManager.getCapabilities());
+            this.generationOptionsComponent.setValues(apiManager.resolveSettings());
+
+            this.vocabularyEditorComponent.show(vocabularies, {
+                categories: this.modules.VOCABULARY_CATEGORIES,
+                placeholderWords: this.modules.PLACEHOLDER_WORDS,
+                annotatePinyin: (text) => this.modules.pinyinConverter.convert(text)
+            });
+        } catch (error) {
+            console.error('准备词汇失败:', error);
+            this.showError('准备词汇失败：' + error.message);
+        }
+    }
+
     /**
      * 生成图片
      * @param {string} theme - 主题
      * @param {string} title - 标题
+     * @param {Object} options - 选项（vocabularies, sceneId, profileId 和本次生成的参数 aspectRatio, resolution, format，均可选）
      */
-    async generateImage(theme, title) {
+    async generateImage(theme, title, options = {}) {
+        await this.runGeneration((onProgress, signal) => this.modules.businessController.createGeneration(theme, title, onProgress, {
+            ...options,
+            signal,
+            source: 'single'
+        }));
+    }
+
+    /**
+     * 执行一次生成：显示进度、结果或错误，支持取消，成功后保存到历史
+     * @param {Function} start - 开始生成的函数 (onProgress, signal) => Promise<生成信息>
+     */
+    async runGeneration(start) {
         if (this.state.isGenerating) {
             console.warn('图片生成中，忽略重复请求');
             return;
         }
 
         this.state.isGenerating = true;
+        const controller = new AbortController();
+        this.generationController = controller;
+        let generation = null;
 
         try {
             // 显示进度
@@ -304,14 +586,13 @@ class VocabularyApp {
             };
 
             // 生成图片
-            const imageUrl = await this.modules.businessController.createWithThemeAndTitle(
-                theme,
-                title,
-                onProgress
-            );
+            generation = await start(onProgress, controller.signal);
 
-            // 显示生成的图片
-            this.imageViewerComponent.showImage(imageUrl);
+            // 显示生成的图片（保存到历史之前拖动的标签位置不写入上一条记录）
+            this.state.currentRecordId = null;
+            this.state.currentHotspots = [];
+            this.imageViewerComponent.showImage(generation.imageUrl);
+            this.showLabels(generation.labels);
 
             // 添加成功消息
             this.dialogComponent.addMessage({
@@ -320,44 +601,369 @@ class VocabularyApp {
             });
 
         } catch (error) {
+            if (this.modules.isAbortError(error)) {
+                this.handleGenerationCancelled(controller);
+                return;
+            }
+
             console.error('生成图片失败:', error);
 
             // 显示错误
             this.imageViewerComponent.showError(error.message);
 
-            // 添加错误消息
+            // 添加错误消息（模板错误时提示去修改模板）
+            const hint = error.name === 'TemplateError' ? '\n请在“提示词模板”中检查当前使用的模板。' : '';
             this.dialogComponent.addMessage({
                 type: 'system',
-                content: '❌ 生成失败：' + error.message
+                content: '❌ 生成失败：' + error.message + hint
             });
 
             // 重新显示输入区域
             this.inputComponent.show();
+            return;
         } finally {
-            this.state.isGenerating = false;
+            // 新建小报时旧的生成已被取消，不要覆盖新一轮的状态
+            if (this.generationController === controller) {
+                this.generationController = null;
+                this.state.isGenerating = false;
+            }
+        }
+
+        // 保存到历史记录，仍在显示这张图片时记下记录ID，拖动标签后更新位置
+        const recordId = await this.saveToHistory(generation);
+        if (recordId && this.imageViewerComponent.getImageUrl() === generation.imageUrl) {
+            this.state.currentRecordId = recordId;
+
+            // 保存期间已经拖动过的标签和设置的热点
+            if (generation.labels) {
+                await this.saveLabels(this.labelOverlayComponent.getLabels());
+            }
+            if (this.state.currentHotspots.length > 0) {
+                await this.saveHotspots(this.state.currentHotspots);
+            }
         }
     }
 
     /**
-     * 下载图片
-     * @param {string} imageUrl - 图片URL
+     * 在图片上显示可拖动的标签（未使用页面贴标签时隐藏）
+     * @param {Array|null} labels - 标签
+     */
+    showLabels(labels) {
+        if (!labels || labels.length === 0) {
+            this.labelOverlayComponent.hide();
+            return;
+        }
+
+        this.labelOverlayComponent.show(labels, {
+            sizes: this.modules.LABEL_SIZES,
+            getColor: this.modules.getLabelColor
+        });
+    }
+
+    /**
+     * 把拖动后的标签位置保存到历史记录
+     * @param {Array} labels - 标签
+     */
+    async saveLabels(labels) {
+        const historyStore = this.modules.historyStore;
+        if (!this.state.currentRecordId || !historyStore.isSupported()) return;
+
+        try {
+            await historyStore.updateRecord(this.state.currentRecordId, { labels });
+        } catch (error) {
+            console.error('保存标签位置失败:', error);
+        }
+    }
+
+    /**
+     * 打开识字游戏（使用当前小报的图片、词汇和热点）
+     */
+    openQuiz() {
+        const quizResultStore = this.modules.quizResultStore;
+        this.quizComponent.show({
+            imageUrl: this.imageViewerComponent.getImageUrl(),
+            words: this.modules.createQuizWords(this.state.currentVocabularies),
+            hotspots: this.state.currentHotspots,
+            modes: this.modules.QUIZ_MODES,
+            children: quizResultStore.getChildren(),
+            lastChild: quizResultStore.getLastChild()
+        });
+    }
+
+    /**
+     * 保存老师设置的热点，有历史记录时写入记录，重新打开这张图时继续使用
+     * @param {Array} hotspots - 热点 [{ chinese, x, y }]
+     */
+    async saveHotspots(hotspots) {
+        this.state.currentHotspots = hotspots;
+
+        const historyStore = this.modules.historyStore;
+        if (!this.state.currentRecordId || !historyStore.isSupported()) return;
+
+        try {
+            await historyStore.updateRecord(this.state.currentRecordId, { hotspots });
+        } catch (error) {
+            console.error('保存热点失败:', error);
+        }
+    }
+
+    /**
+     * 导出贴好标签的图片
+     * @param {Array} labels - 标签
+     */
+    async exportLabeledImage(labels) {
+        try {
+            const format = this.state.currentOptions.format === 'jpg' ? 'jpg' : 'png';
+            const blob = await this.modules.composeLabels(this.imageViewerComponent.getImageUrl(), labels, format);
+            await this.modules.downloadManager.downloadImage(blob, this.getDownloadNaming('标签'));
+        } catch (error) {
+            console.error('导出贴好标签的图片失败:', error);
+            this.showError('导出失败：' + error.message);
+        }
+    }
+
+    /**
+     * 继续页面刷新前未完成的任务
+     * 最近一次单张生成在预览区继续，其余任务（包括批量任务）交给批量生成队列
+     */
+    async resumePendingTasks() {
+        const businessController = this.modules.businessController;
+        // 提交任务的服务未配置时（如已清除 API Key）先保留，配置后刷新页面再继续
+        const tasks = businessController.getPendingTasks()
+            .filter(task => this.modules.apiManager.isConfigured(task.provider || 'kie'));
+        if (tasks.length === 0) return;
+
+        const latest = tasks.filter(task => task.source !== 'batch').pop();
+        const others = tasks.filter(task => task !== latest);
+
+        if (others.length > 0) {
+            await businessController.resumeBatchTasks(others);
+            this.dialogComponent.addMessage({
+                type: 'system',
+                content: `已在“批量生成”中继续 ${others.length} 个刷新前未完成的任务`
+            });
+        }
+
+        if (latest) {
+            await this.resumeGeneration(latest);
+        }
+    }
+
+    /**
+     * 在预览区继续获取未完成任务的结果
+     * @param {Object} task - 未完成任务
+     */
+    async resumeGeneration(task) {
+        // 隐藏选择和输入区域
+        this.themeSelectorComponent.hide();
+        this.inputComponent.hide();
+
+        // 恢复状态
+        this.state.currentTheme = task.theme;
+        this.state.currentTitle = task.title;
+        this.state.currentScene = task.scene || null;
+        this.state.currentProfile = task.profile || null;
+        this.state.currentVocabularies = task.vocabularies;
+        this.state.currentOptions = pickGenerationOptions(task);
+
+        this.dialogComponent.addMessage({
+            type: 'system',
+            content: `检测到刷新前未完成的小报《${task.title}》，正在继续获取结果...`
+        });
+
+        await this.runGeneration((onProgress, signal) => this.modules.businessController.resumeTask(task, onProgress, signal));
+    }
+
+    /**
+     * 取消正在进行的生成
+     */
+    cancelGeneration() {
+        if (this.generationController) {
+            this.generationController.abort();
+        }
+    }
+
+    /**
+     * 生成被取消后恢复界面
+     * @param {AbortController} controller - 被取消的生成对应的控制器
      */
-    downloadImage(imageUrl) {
+    handleGenerationCancelled(controller) {
+        // 由“新建”触发的取消：界面已经重置，不再提示
+        if (this.generationController !== controller) return;
+
+        this.imageViewerComponent.reset();
+        this.dialogComponent.addMessage({
+            type: 'system',
+            content: '⏹ 已取消生成'
+        });
+        this.inputComponent.show();
+    }
+
+    /**
+     * 保存生成记录到本地历史
+     * @param {Object} generation - 生成信息
+     * @returns {Promise<number|null>} 记录ID（未保存时为 null）
+     */
+    async saveToHistory(generation) {
+        const historyStore = this.modules.historyStore;
+        if (!historyStore.isSupported()) return null;
+
         try {
-            // 生成文件名
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            const filename = `儿童识字小报_${this.state.currentTheme || '自定义'}_${timestamp}.png`;
+            const imageBlob = generation.imageBlob || await historyStore.fetchImageBlob(generation.imageUrl);
+            const id = await historyStore.saveRecord({ ...generation, imageBlob });
+            console.log('生成记录已保存到历史');
+            return id;
+        } catch (error) {
+            console.error('保存历史记录失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存批量任务的结果：图片数据留在任务上供打包下载（图片链接可能过期），同时写入历史记录
+     * @param {Object} job - 已完成的批量任务
+     */
+    async saveBatchResult(job) {
+        job.result.imageBlob = await this.modules.historyStore.fetchImageBlob(job.result.imageUrl);
+        await this.saveToHistory(job.result);
+    }
+
+    /**
+     * 重新打开历史记录
+     * @param {Object} record - 历史记录
+     */
+    reopenHistoryRecord(record) {
+        // 隐藏选择和输入区域
+        this.themeSelectorComponent.hide();
+        this.inputComponent.hide();
+
+        // 恢复状态
+        this.state.currentTheme = record.theme;
+        this.state.currentTitle = record.title;
+        this.state.currentScene = record.scene || null;
+        this.state.currentProfile = record.profile || null;
+        this.state.currentVocabularies = record.vocabularies;
+        this.state.currentOptions = pickGenerationOptions(record);
+        this.state.currentRecordId = record.id;
+        this.state.currentHotspots = record.hotspots || [];
+
+        // 优先显示本地保存的图片
+        if (this.historyImageUrl) {
+            URL.revokeObjectURL(this.historyImageUrl);
+            this.historyImageUrl = null;
+        }
+        if (record.imageBlob) {
+            this.historyImageUrl = URL.createObjectURL(record.imageBlob);
+        }
+        this.imageViewerComponent.showImage(this.historyImageUrl || record.imageUrl);
+        this.showLabels(record.labels);
 
-            // 下载图片
-            this.imageViewerComponent.downloadImage(filename);
+        this.dialogComponent.addMessage({
+            type: 'system',
+            content: `已打开历史记录：《${record.title}》（${record.theme}）`
+        });
+    }
+
+    /**
+     * 下载历史记录中的图片
+     * @param {Object} record - 历史记录
+     */
+    async downloadHistoryRecord(record) {
+        try {
+            // 优先使用本地保存的图片，远程链接可能已过期
+            await this.modules.downloadManager.downloadImage(record.imageBlob || record.imageUrl, {
+                theme: record.theme,
+                title: record.title,
+                date: new Date(record.createdAt)
+            });
+        } catch (error) {
+            console.error('下载历史记录图片失败:', error);
+            this.showError('下载失败：' + error.message);
+        }
+    }
 
+    /**
+     * 下载图片（按下载设置转换格式和尺寸）
+     * @param {string} imageUrl - 图片URL
+     */
+    async downloadImage(imageUrl) {
+        try {
+            const filename = await this.modules.downloadManager.downloadImage(imageUrl, this.getDownloadNaming());
             console.log('图片下载成功:', filename);
         } catch (error) {
             console.error('下载图片失败:', error);
-            this.showError('下载失败，请右键保存图片');
+            this.showError('下载失败：' + error.message);
         }
     }
 
+    /**
+     * 导出可打印的 PDF（A4 竖版，可附词语表页）
+     * 使用页面贴标签时导出贴好标签的图片
+     * @param {boolean} includeWordList - 是否附加词语表页
+     */
+    async exportPdf(includeWordList) {
+        try {
+            const imageUrl = this.imageViewerComponent.getImageUrl();
+            const labels = this.labelOverlayComponent.getLabels();
+
+            const imageBlob = labels.length > 0
+                ? await this.modules.composeLabels(imageUrl, labels, 'png')
+                : await this.modules.downloadManager.fetchImageBlob(imageUrl);
+
+            const pdf = await this.modules.createPosterPdf({
+                imageBlob,
+                title: this.state.currentTitle,
+                vocabularies: this.state.currentVocabularies,
+                includeWordList
+            });
+            this.modules.downloadManager.saveBlob(pdf, this.modules.createFilename({ ...this.getDownloadNaming(), extension: 'pdf' }));
+        } catch (error) {
+            console.error('导出PDF失败:', error);
+            this.showError('导出PDF失败：' + error.message);
+        }
+    }
+
+    /**
+     * 导出识字卡片（使用本次小报的词汇）
+     * 从小报截取图案时按页面贴标签的位置截取
+     * @param {Object} options - 卡片选项（picture, doubleSided, format）
+     */
+    async exportFlashcards(options) {
+        try {
+            const downloadManager = this.modules.downloadManager;
+            const labels = this.labelOverlayComponent.getLabels();
+            const imageBlob = options.picture === 'crop' && labels.length > 0
+                ? await downloadManager.fetchImageBlob(this.imageViewerComponent.getImageUrl())
+                : null;
+
+            const blob = await this.modules.createFlashcardSheets({
+                ...options,
+                vocabularies: this.state.currentVocabularies,
+                title: this.state.currentTitle,
+                imageBlob,
+                regions: labels
+            });
+            const extension = downloadManager.getExtension(blob);
+            downloadManager.saveBlob(blob, this.modules.createFilename({ ...this.getDownloadNaming('识字卡片'), extension }));
+        } catch (error) {
+            console.error('导出识字卡片失败:', error);
+            this.showError('导出识字卡片失败：' + error.message);
+        }
+    }
+
+    /**
+     * 获取当前小报的下载命名信息
+     * @param {string} suffix - 附加说明（可选，如 标签）
+     * @returns {Object} 命名信息（见 download.js 的 createFilename）
+     */
+    getDownloadNaming(suffix) {
+        return {
+            theme: this.state.currentTheme,
+            title: this.state.currentTitle,
+            suffix
+        };
+    }
+
     /**
      * 重新生成图片
      */
@@ -370,21 +976,38 @@ class VocabularyApp {
         // 重置图片查看器
         this.imageViewerComponent.reset();
 
-        // 重新生成
-        await this.generateImage(this.state.currentTheme, this.state.currentTitle);
+        // 重新生成（沿用审阅后的词汇和本次生成的参数）
+        await this.generateImage(this.state.currentTheme, this.state.currentTitle, {
+            ...this.state.currentOptions,
+            vocabularies: this.state.currentVocabularies,
+            sceneId: this.state.currentScene,
+            profileId: this.state.currentProfile
+        });
     }
 
     /**
      * 开始新的创建
      */
     startNewCreation() {
+        // 取消仍在进行的生成
+        this.cancelGeneration();
+        this.generationController = null;
+
         // 重置状态
         this.state.currentTheme = null;
         this.state.currentTitle = null;
+        this.state.currentScene = null;
+        this.state.currentProfile = null;
+        this.state.currentVocabularies = null;
+        this.state.currentOptions = {};
+        this.state.currentRecordId = null;
+        this.state.currentHotspots = [];
         this.state.isGenerating = false;
 
         // 重置组件
         this.imageViewerComponent.reset();
+        this.inputComponent.setSuggestionProvider(null);
+        this.vocabularyEditorComponent.hide();
         this.dialogComponent.clear();
         this.themeSelectorComponent.reset();
 
@@ -401,15 +1024,40 @@ class VocabularyApp {
      */
     async handleSettingsSave(settings) {
         try {
-            // 更新API管理器设置
-            if (settings.apiKey) {
-                this.modules.apiManager.saveApiKey(settings.apiKey);
-            }
-
-            this.modules.apiManager.updateSettings({
+            const apiManager = this.modules.apiManager;
+            const generationSettings = {
+                aspectRatio: settings.aspectRatio,
                 resolution: settings.resolution,
                 format: settings.format
-            });
+            };
+
+            // 先检查生成参数是否为所选服务支持的值，不支持时不保存任何设置
+            const problems = apiManager.checkSettings(generationSettings, settings.provider);
+            if (problems.length > 0) {
+                throw new Error(problems.join('；'));
+            }
+
+            // 更新 API Key 的保存方式，之后保存的 API Key 按新方式保存
+            await this.applyCredentialSettings(settings.credentials);
+
+            // 更新图片生成服务及其配置
+            await apiManager.saveProviderConfig(settings.provider, settings.providerConfig);
+            apiManager.selectProvider(settings.provider);
+            this.updateProviderSettings();
+
+            // 保存生成参数的默认值
+            apiManager.saveSettings(generationSettings);
+            this.settingsComponent.setGenerationSettings(apiManager.getSettings());
+
+            // 更新参考图
+            await apiManager.saveReferenceImages(settings.referenceImages);
+            this.settingsComponent.setReferenceImages(apiManager.getReferenceImages());
+
+            // 更新文本模型配置
+            if (settings.textModel) {
+                await this.modules.vocabularyLLM.saveConfig(settings.textModel);
+                this.settingsComponent.setTextModelSettings(this.modules.vocabularyLLM.getConfig());
+            }
 
             console.log('设置保存成功');
         } catch (error) {
@@ -418,6 +1066,52 @@ class VocabularyApp {
         }
     }
 
+    /**
+     * 应用 API Key 的保存方式
+     * 已锁定时填写的口令先用于解锁；改为加密保存或在加密保存时填写口令会设置新口令
+     * @param {Object} credentials - 保存方式（mode, passphrase）
+     */
+    async applyCredentialSettings({ mode, passphrase }) {
+        const credentialStore = this.modules.credentialStore;
+
+        if (credentialStore.isLocked() && passphrase) {
+            await credentialStore.unlock(passphrase);
+            passphrase = '';
+        }
+
+        if (mode !== credentialStore.getMode() || (mode === 'encrypted' && passphrase)) {
+            await credentialStore.setMode(mode, passphrase);
+        }
+
+        this.updateCredentialSettings();
+    }
+
+    /**
+     * 把 API Key 的保存状态同步到设置组件，并刷新各服务是否已保存 API Key
+     */
+    updateCredentialSettings() {
+        const credentialStore = this.modules.credentialStore;
+        this.settingsComponent.setCredentialState({
+            mode: credentialStore.getMode(),
+            locked: credentialStore.isLocked(),
+            minPassphraseLength: this.modules.MIN_PASSPHRASE_LENGTH
+        });
+        this.updateProviderSettings();
+        this.settingsComponent.setTextModelSettings(this.modules.vocabularyLLM.getConfig());
+    }
+
+    /**
+     * 把图片生成服务的选择和配置同步到设置组件
+     */
+    updateProviderSettings() {
+        const apiManager = this.modules.apiManager;
+        this.settingsComponent.setProviderSettings(
+            apiManager.getProviders(),
+            apiManager.getProviderId(),
+            apiManager.getProviderConfigs()
+        );
+    }
+
     /**
      * 显示错误消息
      * @param {string} message - 错误消息
@@ -0,0 +1,346 @@
+/**
+ * 批量生成组件
+ * 把多组主题/标题或一个主题的全部场景加入队列，查看每个任务的进度，
+ * 暂停、继续、取消和重试任务，并把全部结果打包下载
+ */
+
+// 任务状态的显示文字
+const STATUS_LABELS = {
+    pending: '等待中',
+    running: '生成中',
+    paused: '已暂停',
+    done: '已完成',
+    failed: '失败',
+    cancelled: '已取消',
+    expired: '已过期'
+};
+
+// 各状态下可用的任务操作
+const JOB_ACTIONS = {
+    pending: [{ action: 'pause', label: '暂停' }, { action: 'cancel', label: '取消' }],
+    running: [{ action: 'cancel', label: '取消' }],
+    paused: [{ action: 'resume', label: '继续' }, { action: 'cancel', label: '取消' }],
+    done: [{ action: 'remove', label: '移除' }],
+    failed: [{ action: 'retry', label: '重试' }, { action: 'remove', label: '移除' }],
+    cancelled: [{ action: 'retry', label: '重试' }, { action: 'remove', label: '移除' }],
+    expired: [{ action: 'retry', label: '重新生成' }, { action: 'remove', label: '移除' }]
+};
+
+export class BatchPanelComponent {
+    constructor(container) {
+        this.container = container;
+        this.batchBtn = container.querySelector('#batchBtn');
+        this.batchModal = container.querySelector('#batchModal');
+        this.modalCloseBtn = this.batchModal.querySelector('.modal-close');
+
+        // 添加任务
+        this.pairsInput = container.querySelector('#batchPairsInput');
+        this.addPairsBtn = container.querySelector('#batchAddPairsBtn');
+        this.themeSelect = container.querySelector('#batchThemeSelect');
+        this.addScenesBtn = container.querySelector('#batchAddScenesBtn');
+
+        // 队列控制
+        this.concurrencyInput = container.querySelector('#batchConcurrencyInput');
+        this.pauseBtn = container.querySelector('#batchPauseBtn');
+        this.retryBtn = container.querySelector('#batchRetryBtn');
+        this.cancelBtn = container.querySelector('#batchCancelBtn');
+        this.clearBtn = container.querySelector('#batchClearBtn');
+        this.downloadBtn = container.querySelector('#batchDownloadBtn');
+
+        // 任务列表
+        this.summaryText = container.querySelector('#batchSummary');
+        this.errorText = container.querySelector('#batchError');
+        this.jobList = container.querySelector('#batchJobList');
+
+        // 队列是否暂停
+        this.paused = false;
+
+        // 回调函数
+        this.callbacks = {};
+
+        this.init();
+    }
+
+    /**
+     * 初始化组件
+     */
+    init() {
+        this.batchBtn.addEventListener('click', () => {
+            this.show();
+        });
+
+        this.modalCloseBtn.addEventListener('click', () => {
+            this.hide();
+        });
+
+        // 点击模态框外部关闭（关闭后队列继续在后台运行）
+        this.batchModal.addEventListener('click', (e) => {
+            if (e.target === this.batchModal) {
+                this.hide();
+            }
+        });
+
+        this.addPairsBtn.addEventListener('click', () => this.runAction(() => this.handleAddPairs()));
+        this.addScenesBtn.addEventListener('click', () => this.runAction(() => this.handleAddScenes()));
+
+        this.concurrencyInput.addEventListener('change', () => {
+            this.callbacks.onConcurrencyChange(this.concurrencyInput.value);
+        });
+
+        this.pauseBtn.addEventListener('click', () => {
+            if (this.paused) {
+                this.callbacks.onResume();
+            } else {
+                this.callbacks.onPause();
+            }
+        });
+
+        this.retryBtn.addEventListener('click', () => this.callbacks.onRetryFailed());
+        this.cancelBtn.addEventListener('click', () => {
+            if (confirm('确定取消所有未完成的任务吗？')) {
+                this.callbacks.onCancelAll();
+            }
+        });
+        this.clearBtn.addEventListener('click', () => this.callbacks.onClearFinished());
+        this.downloadBtn.addEventListener('click', () => this.runAction(() => this.handleDownload()));
+
+        // 任务上的操作按钮（事件委托）
+        this.jobList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const id = Number(button.closest('.batch-job').dataset.id);
+            this.callbacks.onJobAction(button.dataset.action, id);
+        });
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - 回调函数对象（onAddPairs, onAddScenes, onConcurrencyChange, onPause, onResume,
+     *                             onJobAction, onRetryFailed, onCancelAll, onClearFinished, onDownload）
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * 设置可选的主题（用于“加入全部场景”）
+     * @param {Array} themes - 主题列表
+     */
+    setThemes(themes) {
+        this.themeSelect.innerHTML = '';
+
+        themes.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            const count = theme.scenes.length || theme.titles.length;
+            option.textContent = `${theme.icon || ''} ${theme.name}（${count} 期）`.trim();
+            this.themeSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * 显示批量生成模态框
+     */
+    show() {
+        this.batchModal.style.display = 'flex';
+    }
+
+    /**
+     * 隐藏批量生成模态框
+     */
+    hide() {
+        this.batchModal.style.display = 'none';
+    }
+
+    /**
+     * 渲染任务队列
+     * @param {Array} jobs - 任务列表
+     * @param {Object} summary - 队列概况
+     */
+    render(jobs, summary) {
+        this.paused = summary.queuePaused;
+        this.concurrencyInput.value = summary.concurrency;
+        this.pauseBtn.innerHTML = summary.queuePaused
+            ? '<i class="fas fa-play"></i> 继续队列'
+            : '<i class="fas fa-pause"></i> 暂停队列';
+        this.retryBtn.disabled = summary.failed + summary.expired === 0;
+        this.cancelBtn.disabled = summary.pending + summary.running + summary.paused === 0;
+        this.downloadBtn.disabled = summary.done === 0;
+
+        this.summaryText.textContent = summary.total === 0
+            ? '队列为空，添加主题后会自动开始生成'
+            : `共 ${summary.total} 期：已完成 ${summary.done}，生成中 ${summary.running}，等待 ${summary.pending + summary.paused}，失败 ${summary.failed + summary.expired}` +
+              (summary.queuePaused ? '（队列已暂停）' : '');
+
+        // 队列未结束时在头部按钮上显示完成进度
+        const active = summary.pending + summary.running;
+        this.batchBtn.innerHTML = `<i class="fas fa-layer-group"></i> 批量生成${active > 0 ? `（${summary.done}/${summary.total}）` : ''}`;
+
+        this.jobList.innerHTML = '';
+        jobs.forEach(job => {
+            this.jobList.appendChild(this.createJobItem(job));
+        });
+    }
+
+    /**
+     * 创建任务条目
+     * @param {Object} job - 任务
+     * @returns {HTMLElement} 任务条目
+     */
+    createJobItem(job) {
+        const item = document.createElement('li');
+        item.className = `batch-job batch-job-${job.status}`;
+        item.dataset.id = job.id;
+
+        const info = document.createElement('div');
+        info.className = 'batch-job-info';
+
+        const title = document.createElement('div');
+        title.className = 'batch-job-title';
+        title.textContent = `《${job.title}》`;
+        info.appendChild(title);
+
+        const meta = document.createElement('div');
+        meta.className = 'batch-job-meta';
+        meta.textContent = `${job.themeName} · ${this.getStatusText(job)}`;
+        info.appendChild(meta);
+
+        if (job.error) {
+            const error = document.createElement('div');
+            error.className = 'batch-job-error';
+            error.textContent = job.error;
+            info.appendChild(error);
+        }
+
+        const bar = document.createElement('div');
+        bar.className = 'batch-progress';
+        const fill = document.createElement('div');
+        fill.className = 'batch-progress-fill';
+        fill.style.width = `${this.getPercentage(job)}%`;
+        bar.appendChild(fill);
+        info.appendChild(bar);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'batch-job-actions';
+        JOB_ACTIONS[job.status].forEach(({ action, label }) => {
+            const button = document.createElement('button');
+            button.className = action === 'cancel' ? 'btn btn-danger' : 'btn btn-secondary';
+            button.dataset.action = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * 获取任务状态文字
+     * @param {Object} job - 任务
+     * @returns {string} 状态文字
+     */
+    getStatusText(job) {
+        if (job.status === 'running' && job.progress) {
+            return job.progress.state === 'waiting'
+                ? '任务已提交，等待处理'
+                : `生成中（已等待 ${Math.round(job.progress.elapsed / 1000)} 秒）`;
+        }
+        return STATUS_LABELS[job.status];
+    }
+
+    /**
+     * 获取任务进度百分比
+     * @param {Object} job - 任务
+     * @returns {number} 百分比
+     */
+    getPercentage(job) {
+        if (job.status === 'done') return 100;
+        if (job.status !== 'running' || !job.progress) return 0;
+        return Math.min(100, Math.round((job.progress.elapsed / job.progress.timeout) * 100));
+    }
+
+    /**
+     * 执行操作并显示错误
+     * @param {Function} action - 操作
+     */
+    async runAction(action) {
+        this.showError('');
+
+        try {
+            await action();
+        } catch (error) {
+            console.error('批量生成操作失败:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * 解析输入的主题和标题并加入队列
+     * 每行一期：“主题，标题”，标题可以省略；分隔符可以是逗号、顿号、竖线或 Tab
+     */
+    async handleAddPairs() {
+        const items = this.pairsInput.value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => {
+                const [theme, ...rest] = line.split(/[,，、|\t]/);
+                const title = rest.join('').trim().replace(/^《(.*)》$/, '$1');
+                return { theme: theme.trim(), title };
+            })
+            .filter(item => item.theme);
+
+        if (items.length === 0) {
+            throw new Error('请输入至少一个主题，每行一个');
+        }
+
+        await this.callbacks.onAddPairs(items);
+        this.pairsInput.value = '';
+    }
+
+    /**
+     * 把选中主题的全部场景加入队列
+     */
+    async handleAddScenes() {
+        if (!this.themeSelect.value) return;
+        await this.callbacks.onAddScenes(this.themeSelect.value);
+    }
+
+    /**
+     * 打包下载全部结果
+     */
+    async handleDownload() {
+        const originalText = this.downloadBtn.innerHTML;
+        this.downloadBtn.disabled = true;
+        this.downloadBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> 正在打包...';
+
+        try {
+            const blob = await this.callbacks.onDownload();
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `儿童识字小报_批量_${timestamp}.zip`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } finally {
+            this.downloadBtn.innerHTML = originalText;
+            this.downloadBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 显示错误信息
+     * @param {string} message - 错误信息（为空时隐藏）
+     */
+    showError(message) {
+        this.errorText.textContent = message;
+        this.errorText.style.display = message ? 'block' : 'none';
+    }
+}
@@ -233,8 +233,13 @@ export class InputComponent {
         this.inputArea = container.querySelector('#inputArea');
         this.userInput = container.querySelector('#userInput');
         this.sendBtn = container.querySelector('#sendBtn');
+        this.inputSuggestions = container.querySelector('#inputSuggestions');
         this.isProcessing = false;
 
+        // 输入建议（如主题“你是不是想找”）
+        this.suggestionProvider = null;
+        this.suggestionRequest = 0;
+
         this.init();
     }
 
@@ -252,6 +257,19 @@ export class InputComponent {
                 this.handleSend();
             }
         });
+
+        // 输入时更新建议
+        this.userInput.addEventListener('input', () => this.updateSuggestions());
+
+        // 点击建议填入输入框
+        this.inputSuggestions.addEventListener('click', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) {
+                this.setValue(item.dataset.value);
+                this.clearSuggestions();
+                this.focus();
+            }
+        });
     }
 
     /**
@@ -262,6 +280,87 @@ export class InputComponent {
         this.callback = callback;
     }
 
+    /**
+     * 设置输入建议来源
+     * @param {Function|null} provider - 根据输入返回建议列表的函数（可异步），返回 [{ name, icon, score, reason }]；传 null 关闭建议
+     */
+    setSuggestionProvider(provider) {
+        this.suggestionProvider = provider;
+        this.clearSuggestions();
+    }
+
+    /**
+     * 根据当前输入更新建议
+     */
+    async updateSuggestions() {
+        const query = this.getValue();
+        const request = ++this.suggestionRequest;
+
+        if (!this.suggestionProvider || !query) {
+            this.clearSuggestions();
+            return;
+        }
+
+        try {
+            const suggestions = await this.suggestionProvider(query);
+
+            // 只渲染最后一次输入的结果
+            if (request === this.suggestionRequest) {
+                this.renderSuggestions(suggestions);
+            }
+        } catch (error) {
+            console.error('获取输入建议失败:', error);
+        }
+    }
+
+    /**
+     * 渲染建议列表
+     * @param {Array} suggestions - 建议列表
+     */
+    renderSuggestions(suggestions) {
+        this.inputSuggestions.innerHTML = '';
+
+        // 与输入完全一致时不再提示
+        const query = this.getValue();
+        const items = (suggestions || []).filter(item => item.name !== query);
+        if (items.length === 0) {
+            this.inputSuggestions.style.display = 'none';
+            return;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'suggestion-label';
+        label.textContent = '你是不是想找：';
+        this.inputSuggestions.appendChild(label);
+
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'suggestion-item';
+            button.dataset.value = item.name;
+            button.title = item.reasonText ? `${item.reasonText}匹配：${item.matchedText}` : item.name;
+            button.textContent = `${item.icon || ''} ${item.name}`.trim();
+
+            const score = document.createElement('span');
+            score.className = 'suggestion-score';
+            score.textContent = `${Math.round(item.score * 100)}%`;
+            button.appendChild(score);
+
+            this.inputSuggestions.appendChild(button);
+        });
+
+        this.inputSuggestions.style.display = 'flex';
+    }
+
+    /**
+     * 清空建议列表
+     */
+    clearSuggestions() {
+        this.suggestionRequest++;
+        this.inputSuggestions.innerHTML = '';
+        this.inputSuggestions.style.display = 'none';
+    }
+
     /**
      * 处理发送
      */
@@ -281,6 +380,7 @@ export class InputComponent {
 
             // 清空输入框
             this.userInput.value = '';
+            this.clearSuggestions();
             this.userInput.focus();
         } catch (error) {
             console.error('处理输入失败:', error);
@@ -328,6 +428,7 @@ export class InputComponent {
      */
     hide() {
         this.inputArea.style.display = 'none';
+        this.clearSuggestions();
     }
 
     /**
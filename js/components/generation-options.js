@@ -0,0 +1,117 @@
+/**
+ * 生成参数组件
+ * 宽高比、分辨率和输出格式三个下拉框，只列出当前图片生成服务支持的选项；
+ * “API设置”中的默认参数和每次生成前的参数调整都使用这个组件，生成前还可以选择由页面贴标签
+ */
+
+// 各参数的显示文字
+const ASPECT_RATIO_LABELS = {
+    '3:4': '3:4 竖版（接近A4，推荐）',
+    '4:3': '4:3 横版（接近A4）',
+    '2:3': '2:3 竖版',
+    '3:2': '3:2 横版',
+    '1:1': '1:1 方形（适合课件）',
+    '4:5': '4:5 竖版',
+    '5:4': '5:4 横版',
+    '9:16': '9:16 竖屏',
+    '16:9': '16:9 宽屏（适合课件）',
+    '21:9': '21:9 超宽',
+    auto: '自动'
+};
+
+const RESOLUTION_LABELS = {
+    '1K': '1K',
+    '2K': '2K (推荐)',
+    '4K': '4K (更清晰)'
+};
+
+const FORMAT_LABELS = {
+    png: 'PNG',
+    jpg: 'JPG'
+};
+
+// 参数名 → 服务能力中对应的列表和显示文字
+const OPTION_FIELDS = {
+    aspectRatio: { capability: 'aspectRatios', labels: ASPECT_RATIO_LABELS },
+    resolution: { capability: 'resolutions', labels: RESOLUTION_LABELS },
+    format: { capability: 'formats', labels: FORMAT_LABELS }
+};
+
+export class GenerationOptionsComponent {
+    /**
+     * @param {HTMLElement} container - 容器元素
+     * @param {Object} selectors - 参数名（aspectRatio, resolution, format）→ 下拉框的选择器；
+     *                             labelOverlay 为“页面贴标签”复选框的选择器（可选）
+     */
+    constructor(container, selectors) {
+        this.container = container;
+
+        // 参数名 → 下拉框
+        this.selects = {};
+        Object.keys(OPTION_FIELDS).forEach(key => {
+            this.selects[key] = container.querySelector(selectors[key]);
+        });
+
+        this.labelOverlayCheckbox = selectors.labelOverlay ? container.querySelector(selectors.labelOverlay) : null;
+    }
+
+    /**
+     * 按服务支持的参数更新选项，原来选中的值仍可用时保持选中
+     * @param {Object} capabilities - 服务支持的生成参数（aspectRatios, resolutions, formats）
+     */
+    setCapabilities(capabilities) {
+        Object.entries(OPTION_FIELDS).forEach(([key, { capability, labels }]) => {
+            const select = this.selects[key];
+            const current = select.value;
+
+            select.innerHTML = '';
+            capabilities[capability].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = labels[value] || value;
+                select.appendChild(option);
+            });
+
+            this.selectIfAvailable(select, current);
+        });
+    }
+
+    /**
+     * 选中参数值，不在选项中的保持原来的选择
+     * @param {Object} values - 参数（aspectRatio, resolution, format, labelOverlay）
+     */
+    setValues(values) {
+        Object.entries(this.selects).forEach(([key, select]) => {
+            if (values[key]) {
+                this.selectIfAvailable(select, values[key]);
+            }
+        });
+
+        if (this.labelOverlayCheckbox && values.labelOverlay !== undefined) {
+            this.labelOverlayCheckbox.checked = !!values.labelOverlay;
+        }
+    }
+
+    /**
+     * 获取选中的参数
+     * @returns {{aspectRatio: string, resolution: string, format: string, labelOverlay: boolean}} 没有复选框时不含 labelOverlay
+     */
+    getValues() {
+        const values = Object.fromEntries(Object.entries(this.selects).map(([key, select]) => [key, select.value]));
+        if (this.labelOverlayCheckbox) {
+            values.labelOverlay = this.labelOverlayCheckbox.checked;
+        }
+        return values;
+    }
+
+    /**
+     * 下拉框中有该选项时选中它
+     * @param {HTMLSelectElement} select - 下拉框
+     * @param {string} value - 选项值
+     */
+    selectIfAvailable(select, value) {
+        if (Array.from(select.options).some(option => option.value === value)) {
+            select.value = value;
+        }
+    }
+}
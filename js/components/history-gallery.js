@@ -0,0 +1,257 @@
+/**
+ * 历史记录画廊组件
+ * 展示本地保存的生成记录，支持按主题和日期搜索、重新打开、重新下载和删除
+ */
+
+export class HistoryGalleryComponent {
+    constructor(container) {
+        this.container = container;
+        this.historyBtn = container.querySelector('#historyBtn');
+        this.historyModal = container.querySelector('#historyModal');
+        this.historyGrid = container.querySelector('#historyGrid');
+
+        // 搜索条件
+        this.searchInput = container.querySelector('#historySearchInput');
+        this.startDateInput = container.querySelector('#historyStartDate');
+        this.endDateInput = container.querySelector('#historyEndDate');
+        this.searchBtn = container.querySelector('#historySearchBtn');
+        this.modalCloseBtn = this.historyModal.querySelector('.modal-close');
+
+        // 当前展示的记录和缩略图URL
+        this.records = [];
+        this.thumbnailUrls = [];
+
+        // 回调函数
+        this.callbacks = {};
+
+        this.init();
+    }
+
+    /**
+     * 初始化组件
+     */
+    init() {
+        // 打开历史记录
+        this.historyBtn.addEventListener('click', () => {
+            this.show();
+        });
+
+        // 搜索
+        this.searchBtn.addEventListener('click', () => {
+            this.handleSearch();
+        });
+
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.handleSearch();
+            }
+        });
+
+        // 关闭按钮
+        this.modalCloseBtn.addEventListener('click', () => {
+            this.hide();
+        });
+
+        // 点击模态框外部关闭
+        this.historyModal.addEventListener('click', (e) => {
+            if (e.target === this.historyModal) {
+                this.hide();
+            }
+        });
+
+        // 记录卡片上的操作按钮（事件委托）
+        this.historyGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const id = Number(button.closest('.history-card').dataset.id);
+            const record = this.records.find(r => r.id === id);
+            if (record) {
+                this.handleAction(button.dataset.action, record);
+            }
+        });
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - 回调函数对象（onSearch, onReopen, onDownload, onDelete）
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * 显示历史记录模态框
+     */
+    show() {
+        this.historyModal.style.display = 'flex';
+        this.handleSearch();
+    }
+
+    /**
+     * 隐藏历史记录模态框
+     */
+    hide() {
+        this.historyModal.style.display = 'none';
+    }
+
+    /**
+     * 获取搜索条件
+     * @returns {Object} 搜索条件
+     */
+    getFilters() {
+        const filters = {
+            theme: this.searchInput.value.trim()
+        };
+
+        if (this.startDateInput.value) {
+            filters.startDate = new Date(`${this.startDateInput.value}T00:00:00`).getTime();
+        }
+        if (this.endDateInput.value) {
+            filters.endDate = new Date(`${this.endDateInput.value}T23:59:59.999`).getTime();
+        }
+
+        return filters;
+    }
+
+    /**
+     * 处理搜索
+     */
+    async handleSearch() {
+        if (!this.callbacks.onSearch) return;
+
+        try {
+            const records = await this.callbacks.onSearch(this.getFilters());
+            this.render(records);
+        } catch (error) {
+            console.error('加载历史记录失败:', error);
+            this.showEmpty('加载历史记录失败：' + error.message);
+        }
+    }
+
+    /**
+     * 处理记录操作
+     * @param {string} action - 操作类型
+     * @param {Object} record - 记录
+     */
+    async handleAction(action, record) {
+        switch (action) {
+            case 'reopen':
+                if (this.callbacks.onReopen) {
+                    this.callbacks.onReopen(record);
+                }
+                this.hide();
+                break;
+
+            case 'download':
+                if (this.callbacks.onDownload) {
+                    this.callbacks.onDownload(record);
+                }
+                break;
+
+            case 'delete':
+                if (!confirm(`确定删除《${record.title}》吗？`)) return;
+                if (this.callbacks.onDelete) {
+                    await this.callbacks.onDelete(record);
+                }
+                this.handleSearch();
+                break;
+        }
+    }
+
+    /**
+     * 渲染记录列表
+     * @param {Array} records - 记录列表
+     */
+    render(records) {
+        this.releaseThumbnails();
+        this.records = records;
+
+        if (records.length === 0) {
+            this.showEmpty('暂无历史记录');
+            return;
+        }
+
+        this.historyGrid.innerHTML = '';
+        records.forEach(record => {
+            this.historyGrid.appendChild(this.createRecordCard(record));
+        });
+    }
+
+    /**
+     * 创建记录卡片
+     * @param {Object} record - 记录
+     * @returns {HTMLElement} 卡片元素
+     */
+    createRecordCard(record) {
+        const card = document.createElement('div');
+        card.className = 'history-card';
+        card.dataset.id = record.id;
+
+        const image = document.createElement('img');
+        image.alt = record.title;
+        image.src = this.getThumbnailUrl(record);
+        card.appendChild(image);
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        title.textContent = `《${record.title}》`;
+        info.appendChild(title);
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = `${record.theme} · ${new Date(record.createdAt).toLocaleString()}`;
+        info.appendChild(meta);
+
+        card.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        actions.innerHTML = `
+            <button class="btn btn-primary" data-action="reopen" title="重新打开"><i class="fas fa-folder-open"></i></button>
+            <button class="btn btn-success" data-action="download" title="下载"><i class="fas fa-download"></i></button>
+            <button class="btn btn-danger" data-action="delete" title="删除"><i class="fas fa-trash"></i></button>
+        `;
+        card.appendChild(actions);
+
+        return card;
+    }
+
+    /**
+     * 获取缩略图地址（优先使用本地保存的图片数据）
+     * @param {Object} record - 记录
+     * @returns {string} 图片地址
+     */
+    getThumbnailUrl(record) {
+        if (record.imageBlob) {
+            const url = URL.createObjectURL(record.imageBlob);
+            this.thumbnailUrls.push(url);
+            return url;
+        }
+        return record.imageUrl;
+    }
+
+    /**
+     * 释放缩略图占用的对象URL
+     */
+    releaseThumbnails() {
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+    }
+
+    /**
+     * 显示空状态
+     * @param {string} message - 提示文本
+     */
+    showEmpty(message) {
+        this.historyGrid.innerHTML = '';
+
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = message;
+        this.historyGrid.appendChild(empty);
+    }
+}
@@ -14,8 +14,22 @@ export class ImageViewerComponent {
 
         // 按钮
         this.downloadBtn = container.querySelector('#downloadBtn');
+        this.exportPdfBtn = container.querySelector('#exportPdfBtn');
+        this.pdfWordListCheckbox = container.querySelector('#pdfWordListCheckbox');
+        this.exportFlashcardsBtn = container.querySelector('#exportFlashcardsBtn');
+        this.quizBtn = container.querySelector('#quizBtn');
+        this.flashcardPictureSelect = container.querySelector('#flashcardPictureSelect');
+        this.flashcardDoubleSidedCheckbox = container.querySelector('#flashcardDoubleSidedCheckbox');
+        this.flashcardFormatSelect = container.querySelector('#flashcardFormatSelect');
+
+        // 下载设置
+        this.downloadFormatSelect = container.querySelector('#downloadFormatSelect');
+        this.downloadQualityInput = container.querySelector('#downloadQualityInput');
+        this.downloadQualityValue = container.querySelector('#downloadQualityValue');
+        this.downloadSizeSelect = container.querySelector('#downloadSizeSelect');
         this.regenerateBtn = container.querySelector('#regenerateBtn');
         this.newCreateBtn = container.querySelector('#newCreateBtn');
+        this.cancelBtn = container.querySelector('#cancelGenerationBtn');
 
         // 回调函数
         this.callbacks = {};
@@ -34,6 +48,54 @@ export class ImageViewerComponent {
             }
         });
 
+        // 修改下载设置
+        [this.downloadFormatSelect, this.downloadQualityInput, this.downloadSizeSelect].forEach(control => {
+            control.addEventListener('change', () => {
+                this.updateDownloadControls();
+                if (this.callbacks.onDownloadSettingsChange) {
+                    this.callbacks.onDownloadSettingsChange(this.getDownloadSettings());
+                }
+            });
+        });
+        this.downloadQualityInput.addEventListener('input', () => {
+            this.updateDownloadControls();
+        });
+
+        // 导出 PDF 按钮（生成 PDF 需要一些时间，期间禁用）
+        this.exportPdfBtn.addEventListener('click', async () => {
+            if (!this.callbacks.onExportPdf) return;
+
+            this.exportPdfBtn.disabled = true;
+            try {
+                await this.callbacks.onExportPdf({ includeWordList: this.pdfWordListCheckbox.checked });
+            } finally {
+                this.exportPdfBtn.disabled = false;
+            }
+        });
+
+        // 导出识字卡片按钮（生成卡片需要一些时间，期间禁用）
+        this.exportFlashcardsBtn.addEventListener('click', async () => {
+            if (!this.callbacks.onExportFlashcards) return;
+
+            this.exportFlashcardsBtn.disabled = true;
+            try {
+                await this.callbacks.onExportFlashcards({
+                    picture: this.flashcardPictureSelect.value,
+                    doubleSided: this.flashcardDoubleSidedCheckbox.checked,
+                    format: this.flashcardFormatSelect.value
+                });
+            } finally {
+                this.exportFlashcardsBtn.disabled = false;
+            }
+        });
+
+        // 识字游戏按钮
+        this.quizBtn.addEventListener('click', () => {
+            if (this.callbacks.onStartQuiz) {
+                this.callbacks.onStartQuiz();
+            }
+        });
+
         // 重新生成按钮
         this.regenerateBtn.addEventListener('click', () => {
             if (this.callbacks.onRegenerate) {
@@ -47,6 +109,14 @@ export class ImageViewerComponent {
                 this.callbacks.onNewCreate();
             }
         });
+
+        // 取消生成按钮（点击后禁用，避免重复取消）
+        this.cancelBtn.addEventListener('click', () => {
+            if (this.callbacks.onCancel) {
+                this.cancelBtn.disabled = true;
+                this.callbacks.onCancel();
+            }
+        });
     }
 
     /**
@@ -74,11 +144,11 @@ export class ImageViewerComponent {
         if (progress.state === 'waiting') {
             progressText.textContent = '任务已提交，等待处理...';
         } else if (progress.state === 'processing') {
-            progressText.textContent = `正在生成小报，请稍候... (${progress.attempts}/${progress.maxAttempts})`;
+            progressText.textContent = `正在生成小报，请稍候... (已等待 ${Math.round(progress.elapsed / 1000)} 秒)`;
         }
 
         // 更新进度条
-        const percentage = (progress.attempts / progress.maxAttempts) * 100;
+        const percentage = Math.min(100, (progress.elapsed / progress.timeout) * 100);
         progressFill.style.width = `${percentage}%`;
     }
 
@@ -91,6 +161,8 @@ export class ImageViewerComponent {
         this.generationProgress.style.display = 'none';
         this.imageResult.style.display = 'block';
 
+        this.cancelBtn.disabled = false;
+
         // 设置图片源
         this.generatedImage.src = imageUrl;
         this.generatedImage.alt = '生成的儿童识字小报';
@@ -112,6 +184,7 @@ export class ImageViewerComponent {
     reset() {
         this.hide();
         this.generatedImage.src = '';
+        this.cancelBtn.disabled = false;
 
         // 重置进度条
         const progressFill = this.generationProgress.querySelector('.progress-fill');
@@ -157,20 +230,34 @@ export class ImageViewerComponent {
     }
 
     /**
-     * 下载图片
-     * @param {string} filename - 文件名
+     * 显示下载设置
+     * @param {Object} settings - 下载设置（format, quality, maxSize）
      */
-    downloadImage(filename = '儿童识字小报.png') {
-        const imageUrl = this.getImageUrl();
-        if (!imageUrl) return;
+    setDownloadSettings(settings) {
+        this.downloadFormatSelect.value = settings.format;
+        this.downloadQualityInput.value = settings.quality;
+        this.downloadSizeSelect.value = String(settings.maxSize);
+        this.updateDownloadControls();
+    }
 
-        const link = document.createElement('a');
-        link.href = imageUrl;
-        link.download = filename;
-        link.target = '_blank';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    /**
+     * 获取下载设置
+     * @returns {{format: string, quality: number, maxSize: number}} 下载设置
+     */
+    getDownloadSettings() {
+        return {
+            format: this.downloadFormatSelect.value,
+            quality: Number(this.downloadQualityInput.value),
+            maxSize: Number(this.downloadSizeSelect.value)
+        };
+    }
+
+    /**
+     * 更新质量显示（PNG 为无损格式，不需要设置质量）
+     */
+    updateDownloadControls() {
+        this.downloadQualityValue.textContent = `${Math.round(Number(this.downloadQualityInput.value) * 100)}%`;
+        this.downloadQualityInput.disabled = this.downloadFormatSelect.value === 'png';
     }
 
     /**
@@ -180,6 +267,9 @@ export class ImageViewerComponent {
     setButtonStates(states) {
         if (states.download !== undefined) {
             this.downloadBtn.disabled = !states.download;
+            this.exportPdfBtn.disabled = !states.download;
+            this.exportFlashcardsBtn.disabled = !states.download;
+            this.quizBtn.disabled = !states.download;
         }
         if (states.regenerate !== undefined) {
             this.regenerateBtn.disabled = !states.regenerate;
@@ -192,17 +282,25 @@ export class ImageViewerComponent {
 
 /**
  * 主题选择器组件
- * 处理预制主题的选择
+ * 根据主题数据渲染主题卡片和场景卡片，处理主题与场景的选择
  */
 export class ThemeSelectorComponent {
     constructor(container) {
         this.container = container;
         this.themeSelector = container.querySelector('#themeSelector');
-        this.themeCards = container.querySelectorAll('.theme-card');
-        this.startConversationBtn = container.querySelector('#startConversationBtn');
-
+        this.themeGrid = container.querySelector('#themeGrid');
+        this.sceneSelector = container.querySelector('#sceneSelector');
+        this.sceneGrid = container.querySelector('#sceneGrid');
+        this.customSceneInput = container.querySelector('#customSceneInput');
+        this.backToThemeBtn = container.querySelector('#backToThemeBtn');
+        this.startGenerationBtn = container.querySelector('#startGenerationBtn');
+        this.profileSelect = container.querySelector('#profileSelect');
+        this.profileHint = container.querySelector('#profileHint');
+
+        this.themes = [];
+        this.profiles = [];
         this.selectedTheme = null;
-        this.selectedTitle = null;
+        this.selectedScene = null;
         this.callbacks = {};
 
         this.init();
@@ -212,217 +310,241 @@ export class ThemeSelectorComponent {
      * 初始化组件
      */
     init() {
-        // 主题卡片点击事件
-        this.themeCards.forEach(card => {
-            card.addEventListener('click', () => {
+        // 主题卡片点击事件（事件委托）
+        this.themeGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.theme-card');
+            if (card) {
                 this.handleThemeCardClick(card);
-            });
+            }
+        });
+
+        // 场景卡片点击事件（事件委托）
+        this.sceneGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.scene-card');
+            if (card) {
+                this.selectScene(card.dataset.scene);
+            }
+        });
+
+        // 自定义场景输入
+        this.customSceneInput.addEventListener('input', () => {
+            if (this.customSceneInput.value.trim()) {
+                this.sceneGrid.querySelectorAll('.scene-card').forEach(c => c.classList.remove('selected'));
+                this.selectedScene = null;
+            }
+            this.updateStartButton();
+        });
+
+        // 返回主题选择
+        this.backToThemeBtn.addEventListener('click', () => {
+            this.reset();
+            this.show();
+        });
+
+        // 开始生成按钮点击事件
+        this.startGenerationBtn.addEventListener('click', () => {
+            this.handleStart();
         });
 
-        // 开始按钮点击事件
-        this.startConversationBtn.addEventListener('click', () => {
-            this.handleStartConversation();
+        // 切换学习者档案
+        this.profileSelect.addEventListener('change', () => {
+            this.updateProfileHint();
+            if (this.callbacks.onProfileChange) {
+                this.callbacks.onProfileChange(this.profileSelect.value);
+            }
         });
     }
 
     /**
      * 设置回调函数
-     * @param {Object} callbacks - 回调函数对象
+     * @param {Object} callbacks - 回调函数对象（onCustomTheme, onStartWithTheme, onProfileChange）
      */
     setCallbacks(callbacks) {
         this.callbacks = callbacks;
     }
 
     /**
-     * 处理主题卡片点击
-     * @param {HTMLElement} card - 点击的卡片
+     * 设置学习者档案并渲染下拉选项
+     * @param {Array} profiles - 档案列表 [{ id, name, ages, description }]
+     * @param {string} selectedId - 当前选择的档案ID
      */
-    handleThemeCardClick(card) {
-        // 清除之前的选中状态
-        this.themeCards.forEach(c => c.classList.remove('selected'));
+    setProfiles(profiles, selectedId) {
+        this.profiles = profiles;
+        this.profileSelect.innerHTML = '';
+
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = `${profile.ages} · ${profile.name}`;
+            this.profileSelect.appendChild(option);
+        });
 
-        // 设置选中状态
-        card.classList.add('selected');
+        this.profileSelect.value = selectedId;
+        this.updateProfileHint();
+    }
 
-        // 获取主题信息
-        const theme = card.dataset.theme;
+    /**
+     * 显示当前档案的说明
+     */
+    updateProfileHint() {
+        const profile = this.profiles.find(item => item.id === this.profileSelect.value);
+        this.profileHint.textContent = profile ? profile.description : '';
+    }
 
-        if (theme === 'custom') {
-            // 自定义主题
-            this.handleCustomTheme();
-        } else {
-            // 预设主题
-            this.handlePresetTheme(card);
-        }
+    /**
+     * 设置主题数据并渲染主题卡片
+     * @param {Array} themes - 主题列表 [{ id, name, icon, scenes }]
+     */
+    setThemes(themes) {
+        this.themes = themes;
+        this.renderThemes();
     }
 
     /**
-     * 处理预设主题
-     * @param {HTMLElement} card - 主题卡片
+     * 渲染主题卡片（最后一张为自定义主题）
      */
-    async handlePresetTheme(card) {
-        const theme = card.dataset.theme;
-        this.selectedTheme = theme;
+    renderThemes() {
+        this.themeGrid.innerHTML = '';
 
-        // 显示标题选择
-        this.showTitleSelection(theme);
+        this.themes.forEach(theme => {
+            this.themeGrid.appendChild(this.createThemeCard(theme.id, theme.icon, theme.name));
+        });
 
-        // 启用开始按钮
-        this.startConversationBtn.disabled = false;
+        const customCard = this.createThemeCard('custom', '✏️', '自定义主题');
+        customCard.classList.add('theme-custom');
+        this.themeGrid.appendChild(customCard);
     }
 
     /**
-     * 处理自定义主题
+     * 创建主题卡片
+     * @param {string} id - 主题ID
+     * @param {string} icon - 图标
+     * @param {string} name - 名称
+     * @returns {HTMLElement} 主题卡片
      */
-    handleCustomTheme() {
-        this.selectedTheme = 'custom';
-        this.selectedTitle = null;
+    createThemeCard(id, icon, name) {
+        const card = document.createElement('div');
+        card.className = 'theme-card';
+        card.dataset.theme = id;
 
-        // 隐藏标题选择，直接显示开始按钮
-        this.hideTitleSelection();
+        const iconElement = document.createElement('div');
+        iconElement.className = 'theme-icon';
+        iconElement.textContent = icon;
 
-        // 启用开始按钮
-        this.startConversationBtn.disabled = false;
+        const nameElement = document.createElement('div');
+        nameElement.className = 'theme-name';
+        nameElement.textContent = name;
 
-        // 调用自定义主题回调
-        if (this.callbacks.onCustomTheme) {
-            this.callbacks.onCustomTheme();
-        }
+        card.append(iconElement, nameElement);
+        return card;
     }
 
     /**
-     * 显示标题选择
-     * @param {string} theme - 主题
+     * 处理主题卡片点击
+     * @param {HTMLElement} card - 点击的卡片
      */
-    showTitleSelection(theme) {
-        // 查找或创建标题选择容器
-        let titleContainer = this.themeSelector.querySelector('.title-selection');
-        if (!titleContainer) {
-            titleContainer = document.createElement('div');
-            titleContainer.className = 'title-selection';
-            this.themeSelector.insertBefore(titleContainer, this.startConversationBtn);
-        }
+    handleThemeCardClick(card) {
+        // 清除之前的选中状态
+        this.themeGrid.querySelectorAll('.theme-card').forEach(c => c.classList.remove('selected'));
 
-        // 加载主题数据
-        this.loadThemeTitles(theme).then(titles => {
-            if (titles && titles.length > 0) {
-                // 显示标题列表
-                titleContainer.innerHTML = `
-                    <h4>选择一个标题：</h4>
-                    <div class="title-list">
-                        ${titles.map((title, index) => `
-                            <button class="title-btn ${index === 0 ? 'selected' : ''}" data-title="${title}">
-                                ${title}
-                            </button>
-                        `).join('')}
-                        <button class="title-btn custom-title" data-title="">
-                            <i class="fas fa-plus"></i> 自定义标题
-                        </button>
-                    </div>
-                `;
-
-                // 默认选中第一个标题
-                this.selectedTitle = titles[0];
-
-                // 添加标题点击事件
-                titleContainer.querySelectorAll('.title-btn').forEach(btn => {
-                    btn.addEventListener('click', () => {
-                        titleContainer.querySelectorAll('.title-btn').forEach(b => b.classList.remove('selected'));
-                        btn.classList.add('selected');
-
-                        const title = btn.dataset.title;
-                        if (title === '') {
-                            // 自定义标题
-                            this.selectedTitle = null;
-                            this.showCustomTitleInput();
-                        } else {
-                            this.selectedTitle = title;
-                            this.hideCustomTitleInput();
-                        }
-                    });
-                });
-            }
-        });
+        // 设置选中状态
+        card.classList.add('selected');
+
+        if (card.dataset.theme === 'custom') {
+            // 自定义主题
+            this.handleCustomTheme();
+        } else {
+            // 预设主题
+            this.selectedTheme = this.themes.find(theme => theme.id === card.dataset.theme);
+            this.showSceneSelection();
+        }
     }
 
     /**
-     * 隐藏标题选择
+     * 处理自定义主题
      */
-    hideTitleSelection() {
-        const titleContainer = this.themeSelector.querySelector('.title-selection');
-        if (titleContainer) {
-            titleContainer.remove();
+    handleCustomTheme() {
+        this.selectedTheme = null;
+        this.selectedScene = null;
+
+        // 调用自定义主题回调
+        if (this.callbacks.onCustomTheme) {
+            this.callbacks.onCustomTheme();
         }
-        this.hideCustomTitleInput();
     }
 
     /**
-     * 显示自定义标题输入
+     * 显示场景选择
      */
-    showCustomTitleInput() {
-        // 查找或创建自定义标题输入
-        let customInputContainer = this.themeSelector.querySelector('.custom-title-input');
-        if (!customInputContainer) {
-            customInputContainer = document.createElement('div');
-            customInputContainer.className = 'custom-title-input';
-            customInputContainer.innerHTML = `
-                <input type="text" placeholder="请输入自定义标题" maxlength="50">
-            `;
-            this.themeSelector.insertBefore(customInputContainer, this.startConversationBtn);
-
-            // 输入事件
-            const input = customInputContainer.querySelector('input');
-            input.addEventListener('input', () => {
-                this.selectedTitle = input.value.trim();
-                this.startConversationBtn.disabled = !this.selectedTitle;
-            });
+    showSceneSelection() {
+        this.themeSelector.style.display = 'none';
+        this.sceneSelector.style.display = 'block';
+        this.customSceneInput.value = '';
+
+        this.sceneGrid.innerHTML = '';
+        this.selectedTheme.scenes.forEach(scene => {
+            const card = document.createElement('div');
+            card.className = 'scene-card';
+            card.dataset.scene = scene.id;
+            card.title = scene.desc || '';
+
+            const iconElement = document.createElement('div');
+            iconElement.className = 'scene-icon';
+            iconElement.textContent = scene.icon;
+
+            const nameElement = document.createElement('div');
+            nameElement.className = 'scene-name';
+            nameElement.textContent = scene.name;
+
+            card.append(iconElement, nameElement);
+            this.sceneGrid.appendChild(card);
+        });
 
-            input.focus();
-        }
+        // 默认选中第一个场景
+        const [firstScene] = this.selectedTheme.scenes;
+        this.selectScene(firstScene ? firstScene.id : null);
     }
 
     /**
-     * 隐藏自定义标题输入
+     * 选中场景
+     * @param {string|null} sceneId - 场景ID
      */
-    hideCustomTitleInput() {
-        const customInputContainer = this.themeSelector.querySelector('.custom-title-input');
-        if (customInputContainer) {
-            customInputContainer.remove();
+    selectScene(sceneId) {
+        this.selectedScene = this.selectedTheme.scenes.find(scene => scene.id === sceneId) || null;
+        this.sceneGrid.querySelectorAll('.scene-card').forEach(card => {
+            card.classList.toggle('selected', card.dataset.scene === sceneId);
+        });
+
+        if (this.selectedScene) {
+            this.customSceneInput.value = '';
         }
+        this.updateStartButton();
     }
 
     /**
-     * 加载主题标题
-     * @param {string} theme - 主题
-     * @returns {Promise<Array>} 标题列表
+     * 更新开始按钮状态
      */
-    async loadThemeTitles(theme) {
-        try {
-            const response = await fetch('./data/themes.json');
-            const data = await response.json();
-            return data.themes[theme]?.titles || [];
-        } catch (error) {
-            console.error('加载主题标题失败:', error);
-            return [];
-        }
+    updateStartButton() {
+        this.startGenerationBtn.disabled = !this.selectedScene && !this.customSceneInput.value.trim();
     }
 
     /**
-     * 处理开始对话
+     * 处理开始生成
+     * 场景名称作为小报标题，自定义场景没有场景ID
      */
-    handleStartConversation() {
+    handleStart() {
         if (!this.selectedTheme) return;
 
-        // 如果是自定义主题或自定义标题
-        if (this.selectedTheme === 'custom' || !this.selectedTitle) {
-            if (this.callbacks.onStartWithCustom) {
-                this.callbacks.onStartWithCustom(this.selectedTheme, this.selectedTitle);
-            }
-        } else {
-            // 使用选中的主题和标题
-            if (this.callbacks.onStartWithTheme) {
-                this.callbacks.onStartWithTheme(this.selectedTheme, this.selectedTitle);
-            }
+        const customScene = this.customSceneInput.value.trim();
+        const title = customScene || (this.selectedScene && this.selectedScene.name);
+        if (!title) return;
+
+        if (this.callbacks.onStartWithTheme) {
+            this.callbacks.onStartWithTheme(
+                this.selectedTheme.name,
+                title,
+                customScene ? null : this.selectedScene.id
+            );
         }
     }
 
@@ -431,6 +553,7 @@ export class ThemeSelectorComponent {
      */
     show() {
         this.themeSelector.style.display = 'block';
+        this.sceneSelector.style.display = 'none';
     }
 
     /**
@@ -438,6 +561,7 @@ export class ThemeSelectorComponent {
      */
     hide() {
         this.themeSelector.style.display = 'none';
+        this.sceneSelector.style.display = 'none';
         this.reset();
     }
 
@@ -445,26 +569,34 @@ export class ThemeSelectorComponent {
      * 重置选择状态
      */
     reset() {
-        this.themeCards.forEach(card => card.classList.remove('selected'));
+        this.themeGrid.querySelectorAll('.theme-card').forEach(card => card.classList.remove('selected'));
         this.selectedTheme = null;
-        this.selectedTitle = null;
-        this.startConversationBtn.disabled = true;
-        this.hideTitleSelection();
+        this.selectedScene = null;
+        this.customSceneInput.value = '';
+        this.startGenerationBtn.disabled = true;
     }
 
     /**
      * 获取选中的主题
-     * @returns {string} 主题
+     * @returns {Object|null} 主题
      */
     getSelectedTheme() {
         return this.selectedTheme;
     }
 
     /**
-     * 获取选中的标题
-     * @returns {string} 标题
+     * 获取选中的场景
+     * @returns {Object|null} 场景
+     */
+    getSelectedScene() {
+        return this.selectedScene;
+    }
+
+    /**
+     * 获取选择的学习者档案ID
+     * @returns {string} 档案ID
      */
-    getSelectedTitle() {
-        return this.selectedTitle;
+    getSelectedProfile() {
+        return this.profileSelect.value;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,320 @@
+/**
+ * 识字标签叠加组件
+ * 在生成的图片上显示可拖动的识字标签，拖到对应的物体上后导出贴好标签的图片
+ */
+
+// 用方向键移动标签时每次移动的比例（按住 Shift 时移动 5 倍）
+const KEYBOARD_STEP = 0.005;
+
+export class LabelOverlayComponent {
+    constructor(container) {
+        this.container = container;
+        this.image = container.querySelector('#generatedImage');
+        this.layer = container.querySelector('#labelLayer');
+        this.toolbar = container.querySelector('#labelToolbar');
+        this.resetBtn = container.querySelector('#resetLabelsBtn');
+        this.exportBtn = container.querySelector('#exportLabelsBtn');
+
+        // 当前标签和显示时的位置（用于恢复）
+        this.labels = [];
+        this.initialLabels = [];
+
+        // 标签尺寸和颜色（由 show 传入）
+        this.sizes = null;
+        this.getColor = () => '#333333';
+
+        // 正在拖动的标签 { id, pointerId, offsetX, offsetY }
+        this.dragging = null;
+
+        // 回调函数
+        this.callbacks = {};
+
+        this.init();
+    }
+
+    /**
+     * 初始化组件
+     */
+    init() {
+        // 拖动标签（事件委托）
+        this.layer.addEventListener('pointerdown', (e) => {
+            const element = e.target.closest('.overlay-label');
+            if (element) {
+                this.startDrag(element, e);
+            }
+        });
+        this.layer.addEventListener('pointermove', (e) => {
+            this.moveDrag(e);
+        });
+        this.layer.addEventListener('pointerup', (e) => {
+            this.endDrag(e);
+        });
+        this.layer.addEventListener('pointercancel', (e) => {
+            this.endDrag(e);
+        });
+
+        // 选中标签后用方向键微调位置
+        this.layer.addEventListener('keydown', (e) => {
+            const element = e.target.closest('.overlay-label');
+            if (element) {
+                this.handleKeydown(element, e);
+            }
+        });
+
+        // 图片尺寸变化时按比例缩放标签
+        this.image.addEventListener('load', () => {
+            this.updateSizes();
+        });
+        window.addEventListener('resize', () => {
+            this.updateSizes();
+        });
+
+        // 恢复显示时的位置
+        this.resetBtn.addEventListener('click', () => {
+            this.labels = this.initialLabels.map(label => ({ ...label }));
+            this.render();
+            this.notifyChange();
+        });
+
+        // 导出贴好标签的图片
+        this.exportBtn.addEventListener('click', async () => {
+            if (!this.callbacks.onExport) return;
+
+            this.exportBtn.disabled = true;
+            try {
+                await this.callbacks.onExport(this.getLabels());
+            } finally {
+                this.exportBtn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - 回调函数对象（onChange, onExport）
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * 显示标签
+     * @param {Array} labels - 标签 [{ id, category, pinyin, chinese, x, y }]
+     * @param {Object} options - 显示选项
+     * @param {Object} options.sizes - 标签尺寸（见 label-overlay.js 的 LABEL_SIZES）
+     * @param {Function} options.getColor - 根据词汇分类获取边框颜色
+     */
+    show(labels, options) {
+        this.labels = labels.map(label => ({ ...label }));
+        this.initialLabels = labels.map(label => ({ ...label }));
+        this.sizes = options.sizes;
+        this.getColor = options.getColor;
+
+        this.layer.style.display = 'block';
+        this.toolbar.style.display = 'flex';
+        this.render();
+    }
+
+    /**
+     * 隐藏标签
+     */
+    hide() {
+        this.labels = [];
+        this.initialLabels = [];
+        this.dragging = null;
+        this.layer.innerHTML = '';
+        this.layer.style.display = 'none';
+        this.toolbar.style.display = 'none';
+    }
+
+    /**
+     * 渲染标签
+     */
+    render() {
+        this.layer.innerHTML = '';
+
+        this.labels.forEach(label => {
+            const element = document.createElement('div');
+            element.className = 'overlay-label';
+            element.dataset.id = label.id;
+            element.tabIndex = 0;
+            element.title = '拖动到对应的物体上，选中后也可以用方向键微调';
+            element.style.borderColor = this.getColor(label.category);
+
+            if (label.pinyin) {
+                const pinyin = document.createElement('span');
+                pinyin.className = 'overlay-label-pinyin';
+                pinyin.textContent = label.pinyin;
+                element.appendChild(pinyin);
+            }
+
+            const chinese = document.createElement('span');
+            chinese.className = 'overlay-label-chinese';
+            chinese.textContent = label.chinese;
+            element.appendChild(chinese);
+
+            this.positionLabel(element, label);
+            this.layer.appendChild(element);
+        });
+
+        this.updateSizes();
+    }
+
+    /**
+     * 按图片当前显示的大小设置标签尺寸，与导出时的比例一致
+     */
+    updateSizes() {
+        if (!this.sizes || this.labels.length === 0) return;
+
+        const width = this.image.clientWidth;
+        const height = this.image.clientHeight;
+        if (!width || !height) return;
+
+        const unit = Math.min(width, height) / this.sizes.base;
+        this.layer.querySelectorAll('.overlay-label').forEach(element => {
+            element.style.padding = `${this.sizes.padding * unit}px`;
+            element.style.borderWidth = `${this.sizes.border * unit}px`;
+            element.style.borderRadius = `${this.sizes.radius * unit}px`;
+            element.style.lineHeight = this.sizes.lineHeight;
+
+            const pinyin = element.querySelector('.overlay-label-pinyin');
+            if (pinyin) {
+                pinyin.style.fontSize = `${this.sizes.pinyin * unit}px`;
+            }
+            element.querySelector('.overlay-label-chinese').style.fontSize = `${this.sizes.hanzi * unit}px`;
+        });
+    }
+
+    /**
+     * 设置标签元素的位置
+     * @param {HTMLElement} element - 标签元素
+     * @param {Object} label - 标签
+     */
+    positionLabel(element, label) {
+        element.style.left = `${label.x * 100}%`;
+        element.style.top = `${label.y * 100}%`;
+    }
+
+    /**
+     * 开始拖动
+     * @param {HTMLElement} element - 标签元素
+     * @param {PointerEvent} e - 指针事件
+     */
+    startDrag(element, e) {
+        const label = this.labels.find(item => item.id === element.dataset.id);
+        if (!label) return;
+
+        e.preventDefault();
+        element.focus();
+        element.setPointerCapture(e.pointerId);
+        element.classList.add('dragging');
+
+        // 记录按下位置与标签中心的偏移，拖动时标签不会跳动
+        const point = this.getRelativePoint(e);
+        this.dragging = {
+            id: label.id,
+            pointerId: e.pointerId,
+            offsetX: point.x - label.x,
+            offsetY: point.y - label.y
+        };
+    }
+
+    /**
+     * 拖动中
+     * @param {PointerEvent} e - 指针事件
+     */
+    moveDrag(e) {
+        if (!this.dragging || this.dragging.pointerId !== e.pointerId) return;
+
+        const point = this.getRelativePoint(e);
+        this.moveLabel(this.dragging.id, point.x - this.dragging.offsetX, point.y - this.dragging.offsetY);
+    }
+
+    /**
+     * 结束拖动
+     * @param {PointerEvent} e - 指针事件
+     */
+    endDrag(e) {
+        if (!this.dragging || this.dragging.pointerId !== e.pointerId) return;
+
+        const element = this.layer.querySelector(`[data-id="${this.dragging.id}"]`);
+        if (element) {
+            element.classList.remove('dragging');
+        }
+        this.dragging = null;
+        this.notifyChange();
+    }
+
+    /**
+     * 用方向键移动标签
+     * @param {HTMLElement} element - 标签元素
+     * @param {KeyboardEvent} e - 键盘事件
+     */
+    handleKeydown(element, e) {
+        const directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        if (!directions[e.key]) return;
+
+        const label = this.labels.find(item => item.id === element.dataset.id);
+        if (!label) return;
+
+        e.preventDefault();
+        const step = e.shiftKey ? KEYBOARD_STEP * 5 : KEYBOARD_STEP;
+        const [dx, dy] = directions[e.key];
+        this.moveLabel(label.id, label.x + dx * step, label.y + dy * step);
+        this.notifyChange();
+    }
+
+    /**
+     * 移动标签（不会移出图片）
+     * @param {string} id - 标签ID
+     * @param {number} x - 中心横坐标比例
+     * @param {number} y - 中心纵坐标比例
+     */
+    moveLabel(id, x, y) {
+        const label = this.labels.find(item => item.id === id);
+        if (!label) return;
+
+        label.x = Math.min(1, Math.max(0, x));
+        label.y = Math.min(1, Math.max(0, y));
+
+        const element = this.layer.querySelector(`[data-id="${id}"]`);
+        if (element) {
+            this.positionLabel(element, label);
+        }
+    }
+
+    /**
+     * 获取指针相对图片的位置
+     * @param {PointerEvent} e - 指针事件
+     * @returns {{x: number, y: number}} 相对图片宽高的比例
+     */
+    getRelativePoint(e) {
+        const rect = this.layer.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / rect.width,
+            y: (e.clientY - rect.top) / rect.height
+        };
+    }
+
+    /**
+     * 通知标签位置已变化
+     */
+    notifyChange() {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.getLabels());
+        }
+    }
+
+    /**
+     * 获取当前标签
+     * @returns {Array} 标签
+     */
+    getLabels() {
+        return this.labels.map(label => ({ ...label }));
+    }
+}
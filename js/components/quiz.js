@@ -0,0 +1,532 @@
+/**
+ * 识字游戏组件
+ * 在模态框中用当前小报玩识字游戏（找一找、拼音配汉字、少了哪个词），显示得分和鼓励，
+ * 老师可以为每张图设置一次物体的位置（热点）
+ */
+
+export class QuizComponent {
+    constructor(container) {
+        this.container = container;
+        this.modal = container.querySelector('#quizModal');
+        this.modalCloseBtn = this.modal.querySelector('.modal-close');
+
+        // 选择小朋友和游戏
+        this.setupView = container.querySelector('#quizSetup');
+        this.childInput = container.querySelector('#quizChildInput');
+        this.childList = container.querySelector('#quizChildList');
+        this.modeList = container.querySelector('#quizModeList');
+        this.hotspotCount = container.querySelector('#quizHotspotCount');
+        this.editHotspotsBtn = container.querySelector('#quizEditHotspotsBtn');
+        this.setupError = container.querySelector('#quizSetupError');
+        this.resultList = container.querySelector('#quizResultList');
+
+        // 答题
+        this.playView = container.querySelector('#quizPlay');
+        this.progress = container.querySelector('#quizProgress');
+        this.scoreText = container.querySelector('#quizScore');
+        this.questionText = container.querySelector('#quizQuestion');
+        this.wordList = container.querySelector('#quizWords');
+        this.optionList = container.querySelector('#quizOptions');
+        this.feedback = container.querySelector('#quizFeedback');
+        this.quitBtn = container.querySelector('#quizQuitBtn');
+        this.nextBtn = container.querySelector('#quizNextBtn');
+
+        // 本轮成绩
+        this.summaryView = container.querySelector('#quizSummary');
+        this.summaryScore = container.querySelector('#quizSummaryScore');
+        this.summaryMessage = container.querySelector('#quizSummaryMessage');
+        this.backBtn = container.querySelector('#quizBackBtn');
+        this.againBtn = container.querySelector('#quizAgainBtn');
+
+        // 设置热点
+        this.hotspotEditor = container.querySelector('#quizHotspotEditor');
+        this.hotspotWordList = container.querySelector('#quizHotspotWords');
+        this.clearHotspotsBtn = container.querySelector('#quizClearHotspotsBtn');
+        this.hotspotDoneBtn = container.querySelector('#quizHotspotDoneBtn');
+
+        // 小报图片
+        this.imageStage = container.querySelector('#quizImageStage');
+        this.image = container.querySelector('#quizImage');
+        this.hotspotLayer = container.querySelector('#quizHotspotLayer');
+
+        // 当前小报的词语、热点和游戏模式名称（由 show 传入）
+        this.words = [];
+        this.hotspots = [];
+        this.modes = {};
+
+        // 当前一轮游戏、模式和状态
+        this.session = null;
+        this.mode = null;
+        this.locked = false;
+        this.memorizing = false;
+
+        // 是否正在设置热点，以及选中的词
+        this.editingHotspots = false;
+        this.selectedWord = null;
+
+        // 回调函数
+        this.callbacks = {};
+
+        this.init();
+    }
+
+    /**
+     * 初始化组件
+     */
+    init() {
+        // 关闭按钮和点击模态框外部
+        this.modalCloseBtn.addEventListener('click', () => {
+            this.hide();
+        });
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+
+        // 切换小朋友时显示对应的成绩
+        this.childInput.addEventListener('input', () => {
+            this.renderResults();
+        });
+
+        // 选择游戏
+        this.modeList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (button) {
+                this.start(button.dataset.mode);
+            }
+        });
+
+        // 选择题的选项（事件委托）
+        this.optionList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-answer]');
+            if (button) {
+                this.handleAnswer(button.dataset.answer);
+            } else if (e.target.closest('[data-action="memorized"]')) {
+                this.memorizing = false;
+                this.renderQuestion();
+            }
+        });
+
+        // 点击图片：找一找时作答，设置热点时放置热点
+        this.hotspotLayer.addEventListener('click', (e) => {
+            const point = this.getRelativePoint(e);
+            if (this.editingHotspots) {
+                this.placeHotspot(point);
+            } else if (this.session && this.mode === 'find') {
+                this.handleAnswer({ ...point, aspectRatio: this.getAspectRatio() });
+            }
+        });
+
+        this.nextBtn.addEventListener('click', () => {
+            this.session.next();
+            if (this.session.isFinished()) {
+                this.finish();
+            } else {
+                this.locked = false;
+                this.memorizing = this.mode === 'missing';
+                this.renderQuestion();
+            }
+        });
+
+        this.quitBtn.addEventListener('click', () => {
+            this.showSetup();
+        });
+
+        this.againBtn.addEventListener('click', () => {
+            this.start(this.mode);
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.showSetup();
+        });
+
+        // 设置热点
+        this.editHotspotsBtn.addEventListener('click', () => {
+            this.showHotspotEditor();
+        });
+
+        this.hotspotWordList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-word]');
+            if (button) {
+                this.selectedWord = button.dataset.word;
+                this.renderHotspotEditor();
+            }
+        });
+
+        this.clearHotspotsBtn.addEventListener('click', () => {
+            if (this.hotspots.length > 0 && confirm('确定要清除这张图的全部热点吗？')) {
+                this.hotspots = [];
+                this.saveHotspots();
+                this.renderHotspotEditor();
+            }
+        });
+
+        this.hotspotDoneBtn.addEventListener('click', () => {
+            this.showSetup();
+        });
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - 回调函数对象（onStart, onFinish, onSaveHotspots, onLoadResults）
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * 打开识字游戏
+     * @param {Object} data - 游戏数据
+     * @param {string} data.imageUrl - 小报图片URL
+     * @param {Array} data.words - 词语 [{ pinyin, chinese }]
+     * @param {Array} data.hotspots - 这张图的热点 [{ chinese, x, y }]
+     * @param {Object} data.modes - 游戏模式（见 quiz.js 的 QUIZ_MODES）
+     * @param {Array<string>} data.children - 玩过的小朋友
+     * @param {string} data.lastChild - 上次玩的小朋友
+     */
+    show({ imageUrl, words, hotspots, modes, children, lastChild }) {
+        this.words = words;
+        this.hotspots = hotspots.map(hotspot => ({ ...hotspot }));
+        this.modes = modes;
+        this.image.src = imageUrl;
+
+        this.childList.innerHTML = '';
+        children.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            this.childList.appendChild(option);
+        });
+        if (!this.childInput.value) {
+            this.childInput.value = lastChild || '';
+        }
+
+        this.modal.style.display = 'flex';
+        this.showSetup();
+    }
+
+    /**
+     * 关闭识字游戏
+     */
+    hide() {
+        this.modal.style.display = 'none';
+        this.session = null;
+    }
+
+    /**
+     * 显示其中一个界面
+     * @param {HTMLElement} view - 要显示的界面
+     * @param {boolean} withImage - 是否显示小报图片
+     */
+    showView(view, withImage) {
+        [this.setupView, this.playView, this.summaryView, this.hotspotEditor].forEach(item => {
+            item.style.display = item === view ? 'block' : 'none';
+        });
+        this.imageStage.style.display = withImage ? 'block' : 'none';
+        this.hotspotLayer.innerHTML = '';
+        this.editingHotspots = view === this.hotspotEditor;
+    }
+
+    /**
+     * 显示选择小朋友和游戏的界面
+     */
+    showSetup() {
+        this.session = null;
+        this.setupError.style.display = 'none';
+        this.hotspotCount.textContent = this.hotspots.length > 0
+            ? `已标出 ${this.hotspots.length} 个物体的位置`
+            : '还没有标出物体的位置，“找一找”需要老师先设置热点';
+        this.showView(this.setupView, false);
+        this.renderResults();
+    }
+
+    /**
+     * 显示当前小朋友最近的成绩
+     */
+    renderResults() {
+        const child = this.childInput.value.trim();
+        const results = child && this.callbacks.onLoadResults ? this.callbacks.onLoadResults(child) : [];
+
+        this.resultList.innerHTML = '';
+        if (results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'quiz-result-empty';
+            empty.textContent = child ? '还没有成绩，快来玩一局吧！' : '填写名字后会保存每一局的成绩';
+            this.resultList.appendChild(empty);
+            return;
+        }
+
+        results.slice(0, 10).forEach(result => {
+            const item = document.createElement('li');
+            const mode = this.modes[result.mode] ? this.modes[result.mode].name : result.mode;
+            const date = new Date(result.playedAt).toLocaleString('zh-CN', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            const title = result.title ? `《${result.title}》` : '';
+            item.textContent = `${date} ${mode} ${title} ${result.score} / ${result.total}${result.score === result.total ? ' 🏆' : ''}`;
+            this.resultList.appendChild(item);
+        });
+    }
+
+    /**
+     * 开始一轮游戏
+     * @param {string} mode - 游戏模式
+     */
+    start(mode) {
+        if (!this.childInput.value.trim()) {
+            this.showSetupError('请先填写小朋友的名字，成绩会按名字保存');
+            this.childInput.focus();
+            return;
+        }
+
+        try {
+            this.session = this.callbacks.onStart({ mode, hotspots: this.hotspots });
+        } catch (error) {
+            this.showSetupError(error.message);
+            return;
+        }
+
+        this.mode = mode;
+        this.locked = false;
+        this.memorizing = mode === 'missing';
+        this.showView(this.playView, mode === 'find');
+        this.renderQuestion();
+    }
+
+    /**
+     * 在选择界面显示错误
+     * @param {string} message - 错误信息
+     */
+    showSetupError(message) {
+        this.showSetup();
+        this.setupError.textContent = message;
+        this.setupError.style.display = 'block';
+    }
+
+    /**
+     * 显示当前题目
+     */
+    renderQuestion() {
+        const question = this.session.getQuestion();
+        const { index, questions, score } = this.session;
+
+        this.progress.textContent = `第 ${index + 1} / ${questions.length} 题`;
+        this.scoreText.textContent = `⭐ ${score}`;
+        this.feedback.textContent = '';
+        this.feedback.className = 'quiz-feedback';
+        this.wordList.innerHTML = '';
+        this.optionList.innerHTML = '';
+        this.hotspotLayer.innerHTML = '';
+        this.nextBtn.disabled = true;
+        this.nextBtn.textContent = index + 1 === questions.length ? '查看成绩' : '下一题';
+
+        if (question.mode === 'find') {
+            this.questionText.textContent = `找一找：“${question.word.chinese}”（${question.word.pinyin}）在哪里？`;
+        } else if (question.mode === 'match') {
+            this.questionText.textContent = `“${question.word.pinyin}”是哪个词？`;
+            this.renderOptions(question.options);
+        } else if (this.memorizing) {
+            this.questionText.textContent = '记住这几个词，准备好了就点“我记住了”';
+            question.shown.forEach(word => this.wordList.appendChild(this.createWordChip(word)));
+            const button = document.createElement('button');
+            button.className = 'btn btn-primary';
+            button.dataset.action = 'memorized';
+            button.textContent = '我记住了';
+            this.optionList.appendChild(button);
+        } else {
+            this.questionText.textContent = '有一个词不见了，是哪一个？';
+            question.remaining.forEach(word => this.wordList.appendChild(this.createWordChip(word)));
+            this.wordList.appendChild(this.createWordChip({ pinyin: '', chinese: '？' }));
+            this.renderOptions(question.options);
+        }
+    }
+
+    /**
+     * 显示选项按钮
+     * @param {Array} options - 选项 [{ pinyin, chinese }]
+     */
+    renderOptions(options) {
+        options.forEach(option => {
+            const button = document.createElement('button');
+            button.className = 'quiz-option';
+            button.dataset.answer = option.chinese;
+            button.textContent = option.chinese;
+            this.optionList.appendChild(button);
+        });
+    }
+
+    /**
+     * 创建词语卡片（拼音在上、汉字在下）
+     * @param {Object} word - 词语
+     * @returns {HTMLElement}
+     */
+    createWordChip(word) {
+        const chip = document.createElement('span');
+        chip.className = 'quiz-word';
+
+        const pinyin = document.createElement('span');
+        pinyin.className = 'quiz-word-pinyin';
+        pinyin.textContent = word.pinyin || ' ';
+
+        const chinese = document.createElement('span');
+        chinese.className = 'quiz-word-chinese';
+        chinese.textContent = word.chinese;
+
+        chip.append(pinyin, chinese);
+        return chip;
+    }
+
+    /**
+     * 作答并显示反馈
+     * 选择题答过后不能再选；找一找答错后可以继续找，找到后不能再点
+     * @param {Object|string} response - 答案（选择的汉字，或找一找时的点击位置）
+     */
+    handleAnswer(response) {
+        if (this.locked) return;
+
+        const result = this.session.answer(response);
+        this.locked = result.correct || this.mode !== 'find';
+        this.nextBtn.disabled = false;
+        this.scoreText.textContent = `⭐ ${this.session.score}`;
+        this.feedback.textContent = result.message;
+        this.feedback.className = `quiz-feedback ${result.correct ? 'correct' : 'wrong'}`;
+
+        if (this.mode === 'find') {
+            this.hotspotLayer.innerHTML = '';
+            if (result.correct) {
+                const hotspot = this.hotspots.find(item => item.chinese === result.answer);
+                this.hotspotLayer.appendChild(this.createMarker(hotspot, 'correct'));
+            } else {
+                this.hotspotLayer.appendChild(this.createMarker({ ...response, chinese: '' }, 'wrong'));
+            }
+            return;
+        }
+
+        this.optionList.querySelectorAll('[data-answer]').forEach(button => {
+            button.disabled = true;
+            if (button.dataset.answer === result.answer) {
+                button.classList.add('correct');
+            } else if (button.dataset.answer === response) {
+                button.classList.add('wrong');
+            }
+        });
+    }
+
+    /**
+     * 结束本轮，保存并显示成绩
+     */
+    finish() {
+        const summary = this.session.getSummary();
+        const child = this.childInput.value.trim();
+
+        try {
+            if (this.callbacks.onFinish) {
+                this.callbacks.onFinish(child, summary);
+            }
+        } catch (error) {
+            console.error('保存游戏成绩失败:', error);
+        }
+
+        this.session = null;
+        this.summaryScore.textContent = `${child}：${summary.score} / ${summary.total}`;
+        this.summaryMessage.textContent = summary.bestStreak >= 3
+            ? `${summary.message} 最多连续答对 ${summary.bestStreak} 题。`
+            : summary.message;
+        this.showView(this.summaryView, false);
+    }
+
+    /**
+     * 显示设置热点的界面
+     */
+    showHotspotEditor() {
+        this.selectedWord = this.words.length > 0 ? this.words[0].chinese : null;
+        this.showView(this.hotspotEditor, true);
+        this.renderHotspotEditor();
+    }
+
+    /**
+     * 显示词语（已设置位置的带 ✓）和图中的热点
+     */
+    renderHotspotEditor() {
+        this.hotspotWordList.innerHTML = '';
+        this.words.forEach(word => {
+            const button = document.createElement('button');
+            const placed = this.hotspots.some(hotspot => hotspot.chinese === word.chinese);
+            button.className = `quiz-hotspot-word${word.chinese === this.selectedWord ? ' selected' : ''}`;
+            button.dataset.word = word.chinese;
+            button.textContent = placed ? `✓ ${word.chinese}` : word.chinese;
+            this.hotspotWordList.appendChild(button);
+        });
+
+        this.hotspotLayer.innerHTML = '';
+        this.hotspots.forEach(hotspot => {
+            this.hotspotLayer.appendChild(this.createMarker(hotspot, hotspot.chinese === this.selectedWord ? 'selected' : ''));
+        });
+    }
+
+    /**
+     * 把选中的词放到点击的位置，然后自动选中下一个还没有位置的词
+     * @param {{x: number, y: number}} point - 点击位置
+     */
+    placeHotspot(point) {
+        if (!this.selectedWord) return;
+
+        this.hotspots = this.hotspots
+            .filter(hotspot => hotspot.chinese !== this.selectedWord)
+            .concat({ chinese: this.selectedWord, x: point.x, y: point.y });
+        this.saveHotspots();
+
+        const next = this.words.find(word => !this.hotspots.some(hotspot => hotspot.chinese === word.chinese));
+        if (next) {
+            this.selectedWord = next.chinese;
+        }
+        this.renderHotspotEditor();
+    }
+
+    /**
+     * 保存热点
+     */
+    saveHotspots() {
+        if (this.callbacks.onSaveHotspots) {
+            this.callbacks.onSaveHotspots(this.hotspots.map(hotspot => ({ ...hotspot })));
+        }
+    }
+
+    /**
+     * 创建图上的标记
+     * @param {Object} hotspot - 位置 { chinese, x, y }
+     * @param {string} state - 样式（correct, wrong, selected）
+     * @returns {HTMLElement}
+     */
+    createMarker(hotspot, state) {
+        const marker = document.createElement('div');
+        marker.className = `quiz-marker ${state}`.trim();
+        marker.style.left = `${hotspot.x * 100}%`;
+        marker.style.top = `${hotspot.y * 100}%`;
+        if (hotspot.chinese) {
+            marker.textContent = hotspot.chinese;
+        }
+        return marker;
+    }
+
+    /**
+     * 获取点击位置相对图片的比例
+     * @param {MouseEvent} e - 点击事件
+     * @returns {{x: number, y: number}}
+     */
+    getRelativePoint(e) {
+        const rect = this.hotspotLayer.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+            y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+        };
+    }
+
+    /**
+     * 获取图片宽高比
+     * @returns {number}
+     */
+    getAspectRatio() {
+        return this.image.naturalWidth && this.image.naturalHeight
+            ? this.image.naturalWidth / this.image.naturalHeight
+            : 1;
+    }
+}
@@ -1,8 +1,30 @@
 /**
  * API设置组件
- * 处理API Key配置和生成参数设置
+ * 处理图片生成服务的选择、API Key配置和生成参数设置
  */
 
+import { GenerationOptionsComponent } from './generation-options.js';
+
+// API Key 保存方式的说明
+const CREDENTIAL_MODE_HINTS = {
+    local: 'API Key 保存在本机浏览器中，请勿在公用电脑上使用这种方式',
+    encrypted: 'API Key 用口令加密后保存，每次打开页面需要输入口令解锁；口令本身不会保存',
+    session: 'API Key 只保存在内存中，关闭或刷新页面后需要重新填写'
+};
+
+// 最多添加的参考图数量（参考图保存在本地存储中，空间有限）
+const MAX_REFERENCE_IMAGES = 4;
+
+// 服务配置项的校验规则，返回错误消息，通过时返回 null
+const FIELD_VALIDATORS = {
+    endpoint: value => /^https?:\/\/\S+$/.test(value) ? null : '请输入有效的接口地址',
+    model: value => value ? null : '请输入模型名称',
+    callbackUrl: value => !value || /^https?:\/\/\S+$/.test(value) ? null : '请输入有效的回调地址，或留空',
+    relayUrl: value => !value || /^https?:\/\/\S+$/.test(value) ? null : '请输入有效的中继地址，或留空',
+    latency: value => value !== '' && Number(value) >= 0 ? null : '请输入不小于 0 的秒数',
+    failureRate: value => value !== '' && Number(value) >= 0 && Number(value) <= 100 ? null : '请输入 0 到 100 之间的数字'
+};
+
 export class SettingsComponent {
     constructor(container) {
         this.container = container;
@@ -11,15 +33,60 @@ export class SettingsComponent {
         this.modalContent = this.settingsModal.querySelector('.modal-content');
 
         // 表单元素
+        this.providerSelect = container.querySelector('#providerSelect');
         this.apiKeyInput = container.querySelector('#apiKeyInput');
-        this.resolutionSelect = container.querySelector('#resolutionSelect');
-        this.formatSelect = container.querySelector('#formatSelect');
+        this.apiKeyHelp = container.querySelector('#apiKeyHelp');
+        this.credentialModeSelect = container.querySelector('#credentialModeSelect');
+        this.credentialStatus = container.querySelector('#credentialStatus');
+        this.credentialPassphraseInput = container.querySelector('#credentialPassphraseInput');
+        this.credentialUnlockBtn = container.querySelector('#credentialUnlockBtn');
+        this.credentialLockBtn = container.querySelector('#credentialLockBtn');
+        this.credentialResetBtn = container.querySelector('#credentialResetBtn');
+        this.generationOptions = new GenerationOptionsComponent(container, {
+            aspectRatio: '#aspectRatioSelect',
+            resolution: '#resolutionSelect',
+            format: '#formatSelect'
+        });
+        this.referenceImageInput = container.querySelector('#referenceImageInput');
+        this.referenceImageList = container.querySelector('#referenceImageList');
+        this.referenceImageHelp = container.querySelector('#referenceImageHelp');
+        this.referenceImageHelpText = this.referenceImageHelp.textContent;
+        this.textModelEnabled = container.querySelector('#textModelEnabled');
+        this.textModelEndpoint = container.querySelector('#textModelEndpoint');
+        this.textModelName = container.querySelector('#textModelName');
+        this.textModelApiKey = container.querySelector('#textModelApiKey');
+
+        // 各服务的配置项（字段名 → 输入框），只显示当前服务用到的；apiKey 单独处理
+        this.providerFields = {
+            endpoint: container.querySelector('#providerEndpointInput'),
+            model: container.querySelector('#providerModelInput'),
+            callbackUrl: container.querySelector('#providerCallbackUrlInput'),
+            relayUrl: container.querySelector('#providerRelayUrlInput'),
+            latency: container.querySelector('#providerLatencyInput'),
+            failureRate: container.querySelector('#providerFailureRateInput'),
+            errorCode: container.querySelector('#providerErrorCodeSelect')
+        };
 
         // 按钮
         this.saveSettingsBtn = container.querySelector('#saveSettingsBtn');
         this.cancelSettingsBtn = container.querySelector('#cancelSettingsBtn');
         this.modalCloseBtn = this.settingsModal.querySelector('.modal-close');
 
+        // 可选的图片生成服务、当前服务ID和各服务的配置（由API管理器提供）
+        this.providers = [];
+        this.selectedProviderId = null;
+        this.providerConfigs = {};
+
+        // API Key 的保存方式和是否已锁定（由凭据存储提供）
+        this.credentialState = { mode: 'local', locked: false, minPassphraseLength: 0 };
+
+        // 已保存的生成参数默认值（由API管理器提供）
+        this.generationSettings = {};
+
+        // 已保存的参考图和表单中正在编辑的参考图（data URL）
+        this.referenceImages = [];
+        this.pendingReferenceImages = [];
+
         // 回调函数
         this.callbacks = {};
 
@@ -57,11 +124,54 @@ export class SettingsComponent {
             }
         });
 
+        // 切换图片生成服务时显示该服务的配置项
+        this.providerSelect.addEventListener('change', () => {
+            this.showProviderSettings(this.providerSelect.value);
+        });
+
         // API Key输入验证
         this.apiKeyInput.addEventListener('input', () => {
             this.validateApiKey();
         });
 
+        // 切换 API Key 的保存方式
+        this.credentialModeSelect.addEventListener('change', () => {
+            this.renderCredentialState();
+        });
+
+        // 解锁、锁定和清除加密保存的 API Key
+        this.credentialUnlockBtn.addEventListener('click', () => {
+            this.handleUnlock();
+        });
+
+        this.credentialLockBtn.addEventListener('click', () => {
+            this.runCredentialAction(this.callbacks.onLock, '已锁定，使用前需要重新输入口令');
+        });
+
+        this.credentialResetBtn.addEventListener('click', () => {
+            if (confirm('将清除所有已保存的 API Key（包括文本模型的 API Key），之后需要重新填写。确定吗？')) {
+                this.runCredentialAction(this.callbacks.onResetCredentials, '已清除，请重新填写 API Key');
+            }
+        });
+
+        // 添加参考图
+        this.referenceImageInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            if (files.length > 0) {
+                this.handleReferenceImageSelect(files);
+            }
+        });
+
+        // 移除参考图
+        this.referenceImageList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-index]');
+            if (button) {
+                this.pendingReferenceImages.splice(Number(button.dataset.index), 1);
+                this.renderReferenceImages();
+            }
+        });
+
         // ESC键关闭
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.settingsModal.style.display === 'block') {
@@ -72,12 +182,241 @@ export class SettingsComponent {
 
     /**
      * 设置回调函数
-     * @param {Object} callbacks - 回调函数对象
+     * @param {Object} callbacks - 回调函数对象（onSave, onReferenceImageSelect, onUnlock, onLock, onResetCredentials）
      */
     setCallbacks(callbacks) {
         this.callbacks = callbacks;
     }
 
+    /**
+     * 设置文本模型配置（由文本模型模块提供，不含 API Key）
+     * @param {Object} config - 文本模型配置
+     */
+    setTextModelSettings(config) {
+        this.textModelEnabled.checked = !!config.enabled;
+        this.textModelEndpoint.value = config.endpoint || '';
+        this.textModelName.value = config.model || '';
+        this.textModelApiKey.value = '';
+        this.textModelApiKey.placeholder = config.hasApiKey ? '已保存，留空则保持不变' : '留空则不发送 API Key';
+    }
+
+    /**
+     * 设置 API Key 的保存状态
+     * @param {Object} state - 保存状态
+     * @param {string} state.mode - 保存方式（local、encrypted、session）
+     * @param {boolean} state.locked - 是否已加密且尚未解锁
+     * @param {number} state.minPassphraseLength - 口令的最小长度
+     */
+    setCredentialState(state) {
+        this.credentialState = { ...state };
+        this.credentialModeSelect.value = state.mode;
+        this.renderCredentialState();
+    }
+
+    /**
+     * 按选择的保存方式和锁定状态显示口令输入框、按钮和说明
+     */
+    renderCredentialState() {
+        const { mode, locked, minPassphraseLength } = this.credentialState;
+        const selected = this.credentialModeSelect.value;
+
+        this.credentialPassphraseInput.closest('.form-group').style.display = selected === 'encrypted' || locked ? 'block' : 'none';
+        this.credentialUnlockBtn.style.display = locked ? '' : 'none';
+        this.credentialResetBtn.style.display = locked ? '' : 'none';
+        this.credentialLockBtn.style.display = mode === 'encrypted' && !locked ? '' : 'none';
+
+        if (locked) {
+            this.credentialPassphraseInput.placeholder = '输入口令后点击“解锁”';
+            this.credentialStatus.textContent = 'API Key 已加密保存，尚未解锁。解锁后才能生成小报或修改保存方式';
+        } else if (mode === 'encrypted' && selected === 'encrypted') {
+            this.credentialPassphraseInput.placeholder = '留空则保持原口令，填写则改用新口令';
+            this.credentialStatus.textContent = `已解锁。${CREDENTIAL_MODE_HINTS.encrypted}`;
+        } else {
+            this.credentialPassphraseInput.placeholder = `设置至少 ${minPassphraseLength} 个字符的口令`;
+            this.credentialStatus.textContent = CREDENTIAL_MODE_HINTS[selected] || '';
+        }
+    }
+
+    /**
+     * 处理解锁
+     */
+    async handleUnlock() {
+        const passphrase = this.credentialPassphraseInput.value;
+        this.clearFieldError(this.credentialPassphraseInput);
+
+        if (!passphrase) {
+            this.showFieldError(this.credentialPassphraseInput, '请输入口令');
+            return;
+        }
+
+        try {
+            await this.callbacks.onUnlock(passphrase);
+            this.credentialPassphraseInput.value = '';
+            this.showProviderSettings(this.providerSelect.value);
+            this.showSuccessMessage('已解锁');
+        } catch (error) {
+            console.error('解锁失败:', error);
+            this.showFieldError(this.credentialPassphraseInput, error.message);
+        }
+    }
+
+    /**
+     * 执行锁定或清除，完成后刷新当前服务的 API Key 状态
+     * @param {Function} action - 回调函数
+     * @param {string} message - 完成后显示的消息
+     */
+    async runCredentialAction(action, message) {
+        try {
+            await action();
+            this.showProviderSettings(this.providerSelect.value);
+            this.showSuccessMessage(message);
+        } catch (error) {
+            console.error('操作失败:', error);
+            this.showErrorMessage(error.message);
+        }
+    }
+
+    /**
+     * 设置已保存的生成参数默认值
+     * @param {Object} settings - 生成参数（aspectRatio, resolution, format）
+     */
+    setGenerationSettings(settings) {
+        this.generationSettings = { ...settings };
+    }
+
+    /**
+     * 设置已保存的参考图
+     * @param {Array<string>} images - 参考图的 data URL
+     */
+    setReferenceImages(images) {
+        this.referenceImages = [...images];
+        this.pendingReferenceImages = [...images];
+        this.renderReferenceImages();
+    }
+
+    /**
+     * 处理选择的参考图：逐张交给 onReferenceImageSelect 缩小编码后加入表单，超出数量的忽略
+     * @param {Array<File>} files - 图片文件
+     */
+    async handleReferenceImageSelect(files) {
+        this.clearFieldError(this.referenceImageInput);
+
+        const available = MAX_REFERENCE_IMAGES - this.pendingReferenceImages.length;
+        if (files.length > available) {
+            this.showFieldError(this.referenceImageInput, `最多添加 ${MAX_REFERENCE_IMAGES} 张参考图`);
+        }
+
+        for (const file of files.slice(0, Math.max(0, available))) {
+            try {
+                this.pendingReferenceImages.push(await this.callbacks.onReferenceImageSelect(file));
+            } catch (error) {
+                console.error('读取参考图失败:', error);
+                this.showFieldError(this.referenceImageInput, error.message);
+            }
+        }
+
+        this.renderReferenceImages();
+    }
+
+    /**
+     * 显示表单中的参考图
+     */
+    renderReferenceImages() {
+        this.referenceImageList.innerHTML = '';
+        this.pendingReferenceImages.forEach((image, index) => {
+            const item = document.createElement('div');
+            item.className = 'reference-image-item';
+            item.innerHTML = `
+                <img alt="参考图 ${index + 1}">
+                <button type="button" class="btn btn-danger" data-index="${index}" title="移除"><i class="fas fa-times"></i></button>
+            `;
+            item.querySelector('img').src = image;
+            this.referenceImageList.appendChild(item);
+        });
+
+        this.referenceImageInput.disabled = this.pendingReferenceImages.length >= MAX_REFERENCE_IMAGES;
+    }
+
+    /**
+     * 设置可选的图片生成服务
+     * @param {Array<Object>} providers - 服务说明（id, name, fields, required, defaults, apiKeyMinLength, apiKeyPlaceholder, helpUrl, capabilities）
+     * @param {string} selectedId - 当前服务ID
+     * @param {Object} configs - 各服务的配置（服务ID → { 字段名: 值 }，不含 API Key，hasApiKey 表示是否已保存）
+     */
+    setProviderSettings(providers, selectedId, configs) {
+        this.providers = providers;
+        this.selectedProviderId = selectedId;
+        this.providerConfigs = configs;
+
+        this.providerSelect.innerHTML = '';
+        providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            this.providerSelect.appendChild(option);
+        });
+        this.providerSelect.value = selectedId;
+    }
+
+    /**
+     * 获取图片生成服务的说明
+     * @param {string} id - 服务ID（默认为选择框中的服务）
+     * @returns {Object|null} 服务说明
+     */
+    getProvider(id = this.providerSelect.value) {
+        return this.providers.find(provider => provider.id === id) || null;
+    }
+
+    /**
+     * 显示图片生成服务的配置项，并按服务支持的参数更新宽高比、分辨率和输出格式
+     * @param {string} id - 服务ID
+     */
+    showProviderSettings(id) {
+        const provider = this.getProvider(id);
+        if (!provider) return;
+
+        const config = this.providerConfigs[id] || {};
+        this.clearValidation();
+
+        // 只显示该服务用到的配置项
+        Object.entries(this.providerFields).forEach(([key, input]) => {
+            const used = provider.fields.includes(key);
+            input.closest('.form-group').style.display = used ? 'block' : 'none';
+            input.value = used ? String(config[key] ?? '') : '';
+        });
+        if (provider.defaults.endpoint) {
+            this.providerFields.endpoint.placeholder = provider.defaults.endpoint;
+        }
+        this.apiKeyInput.closest('.form-group').style.display = provider.fields.includes('apiKey') ? 'block' : 'none';
+
+        // 已保存的API Key不回显，留空则保持不变
+        this.apiKeyInput.value = '';
+        if (!config.hasApiKey) {
+            this.apiKeyInput.placeholder = provider.apiKeyPlaceholder;
+        } else if (this.credentialState.locked) {
+            this.apiKeyInput.placeholder = '已加密保存，解锁后可用；留空则保持不变';
+        } else {
+            this.apiKeyInput.placeholder = '已保存，留空则保持不变';
+        }
+
+        this.apiKeyHelp.innerHTML = '';
+        if (provider.helpUrl) {
+            const link = document.createElement('a');
+            link.href = provider.helpUrl;
+            link.target = '_blank';
+            link.textContent = provider.helpUrl;
+            this.apiKeyHelp.append('获取API Key: ', link);
+        }
+
+        this.generationOptions.setCapabilities(provider.capabilities);
+
+        // 参考图对所有服务通用，当前服务不支持时提示不会使用
+        const { maxReferenceImages } = provider.capabilities;
+        this.referenceImageHelp.textContent = maxReferenceImages > 0
+            ? this.referenceImageHelpText
+            : `${provider.name}不支持参考图，使用该服务生成时不会发送参考图`;
+    }
+
     /**
      * 显示设置模态框
      */
@@ -98,6 +437,7 @@ export class SettingsComponent {
      */
     hide() {
         this.settingsModal.style.display = 'none';
+        this.credentialPassphraseInput.value = '';
         this.clearValidation();
     }
 
@@ -105,51 +445,21 @@ export class SettingsComponent {
      * 加载当前设置
      */
     loadCurrentSettings() {
-        // 加载API Key
-        const apiKey = this.getStoredApiKey();
-        if (apiKey) {
-            // 显示脱敏的API Key
-            this.apiKeyInput.value = this.maskApiKey(apiKey);
-            this.apiKeyInput.dataset.fullKey = apiKey;
-        } else {
-            this.apiKeyInput.value = '';
-            delete this.apiKeyInput.dataset.fullKey;
-        }
+        // 放弃上次未保存的参考图修改
+        this.pendingReferenceImages = [...this.referenceImages];
+        this.renderReferenceImages();
 
-        // 加载其他设置（如果有本地存储）
-        const settings = this.getStoredSettings();
-        if (settings) {
-            this.resolutionSelect.value = settings.resolution || '2K';
-            this.formatSelect.value = settings.format || 'png';
-        }
-    }
+        // 加载 API Key 的保存方式
+        this.setCredentialState(this.credentialState);
 
-    /**
-     * 获取存储的API Key
-     * @returns {string|null} API Key
-     */
-    getStoredApiKey() {
-        try {
-            const encoded = localStorage.getItem('kie_ai_api_key');
-            return encoded ? atob(encoded) : null;
-        } catch (error) {
-            console.error('获取API Key失败:', error);
-            return null;
+        // 加载当前服务的配置
+        if (this.selectedProviderId) {
+            this.providerSelect.value = this.selectedProviderId;
+            this.showProviderSettings(this.selectedProviderId);
         }
-    }
 
-    /**
-     * 获取存储的设置
-     * @returns {Object} 设置对象
-     */
-    getStoredSettings() {
-        try {
-            const settings = localStorage.getItem('app_settings');
-            return settings ? JSON.parse(settings) : null;
-        } catch (error) {
-            console.error('获取设置失败:', error);
-            return null;
-        }
+        // 加载生成参数的默认值，当前服务不支持时保持该服务的第一个选项
+        this.generationOptions.setValues(this.generationSettings);
     }
 
     /**
@@ -164,10 +474,7 @@ export class SettingsComponent {
         const formData = this.getFormData();
 
         try {
-            // 保存设置
-            await this.saveSettings(formData);
-
-            // 调用保存回调
+            // 调用保存回调（设置由API管理器等模块保存）
             if (this.callbacks.onSave) {
                 await this.callbacks.onSave(formData);
             }
@@ -198,15 +505,53 @@ export class SettingsComponent {
             isValid = false;
         }
 
-        // 验证其他字段
-        if (!this.resolutionSelect.value) {
-            this.showFieldError(this.resolutionSelect, '请选择分辨率');
+        // 改为加密保存时需要设置口令；已锁定时修改保存方式需要先解锁
+        const { mode, locked, minPassphraseLength } = this.credentialState;
+        const selectedMode = this.credentialModeSelect.value;
+        const passphrase = this.credentialPassphraseInput.value;
+        this.clearFieldError(this.credentialPassphraseInput);
+        if (locked && selectedMode !== mode && !passphrase) {
+            this.showFieldError(this.credentialPassphraseInput, '请先输入口令解锁');
+            isValid = false;
+        } else if (!locked && selectedMode === 'encrypted' && (mode !== 'encrypted' || passphrase) && passphrase.length < minPassphraseLength) {
+            this.showFieldError(this.credentialPassphraseInput, `口令至少需要 ${minPassphraseLength} 个字符`);
             isValid = false;
         }
 
-        if (!this.formatSelect.value) {
-            this.showFieldError(this.formatSelect, '请选择输出格式');
-            isValid = false;
+        // 验证当前服务的配置项
+        const provider = this.getProvider();
+        Object.entries(this.providerFields).forEach(([key, input]) => {
+            this.clearFieldError(input);
+
+            const validate = provider && provider.fields.includes(key) && FIELD_VALIDATORS[key];
+            const error = validate ? validate(input.value.trim()) : null;
+            if (error) {
+                this.showFieldError(input, error);
+                isValid = false;
+            }
+        });
+
+        // 验证生成参数（选项只包含当前服务支持的值）
+        Object.values(this.generationOptions.selects).forEach(select => {
+            this.clearFieldError(select);
+            if (!select.value) {
+                this.showFieldError(select, '请选择一个选项');
+                isValid = false;
+            }
+        });
+
+        // 启用文本模型时需要接口地址和模型名称
+        this.clearFieldError(this.textModelEndpoint);
+        this.clearFieldError(this.textModelName);
+        if (this.textModelEnabled.checked) {
+            if (!/^https?:\/\/\S+$/.test(this.textModelEndpoint.value.trim())) {
+                this.showFieldError(this.textModelEndpoint, '请输入有效的接口地址');
+                isValid = false;
+            }
+            if (!this.textModelName.value.trim()) {
+                this.showFieldError(this.textModelName, '请输入模型名称');
+                isValid = false;
+            }
         }
 
         return isValid;
@@ -217,14 +562,22 @@ export class SettingsComponent {
      * @returns {boolean} 验证结果
      */
     validateApiKey() {
-        const apiKey = this.apiKeyInput.dataset.fullKey || this.apiKeyInput.value.trim();
+        const apiKey = this.apiKeyInput.value.trim();
+        const provider = this.getProvider();
+        const saved = provider && !!(this.providerConfigs[provider.id] || {}).hasApiKey;
+
+        // 部分服务（如本地服务、离线演示）不需要API Key；已保存过的留空表示保持不变
+        if (provider && (!provider.fields.includes('apiKey') || (!apiKey && (saved || !provider.required.includes('apiKey'))))) {
+            this.clearFieldError(this.apiKeyInput);
+            return true;
+        }
 
         if (!apiKey) {
             this.showFieldError(this.apiKeyInput, '请输入API Key');
             return false;
         }
 
-        if (apiKey.length < 32) {
+        if (provider && apiKey.length < provider.apiKeyMinLength) {
             this.showFieldError(this.apiKeyInput, 'API Key长度不正确');
             return false;
         }
@@ -238,59 +591,31 @@ export class SettingsComponent {
      * @returns {Object} 表单数据
      */
     getFormData() {
-        // 获取完整的API Key（可能是脱敏的）
-        const apiKey = this.apiKeyInput.dataset.fullKey || this.apiKeyInput.value.trim();
+        // 当前服务的配置（API Key 留空表示保持不变）
+        const provider = this.getProvider();
+        const providerConfig = {};
+        provider.fields.forEach(key => {
+            providerConfig[key] = key === 'apiKey'
+                ? this.apiKeyInput.value.trim() || undefined
+                : this.providerFields[key].value.trim();
+        });
 
         return {
-            apiKey: apiKey,
-            resolution: this.resolutionSelect.value,
-            format: this.formatSelect.value
-        };
-    }
-
-    /**
-     * 保存设置
-     * @param {Object} settings - 设置对象
-     */
-    async saveSettings(settings) {
-        // 保存API Key
-        if (settings.apiKey) {
-            try {
-                const encoded = btoa(settings.apiKey);
-                localStorage.setItem('kie_ai_api_key', encoded);
-            } catch (error) {
-                throw new Error('保存API Key失败');
+            provider: provider.id,
+            providerConfig: providerConfig,
+            credentials: {
+                mode: this.credentialModeSelect.value,
+                passphrase: this.credentialPassphraseInput.value
+            },
+            ...this.generationOptions.getValues(),
+            referenceImages: [...this.pendingReferenceImages],
+            textModel: {
+                enabled: this.textModelEnabled.checked,
+                endpoint: this.textModelEndpoint.value.trim(),
+                model: this.textModelName.value.trim(),
+                apiKey: this.textModelApiKey.value.trim() || undefined
             }
-        }
-
-        // 保存其他设置
-        const otherSettings = {
-            resolution: settings.resolution,
-            format: settings.format
         };
-
-        try {
-            localStorage.setItem('app_settings', JSON.stringify(otherSettings));
-        } catch (error) {
-            throw new Error('保存设置失败');
-        }
-    }
-
-    /**
-     * 脱敏API Key
-     * @param {string} apiKey - 原始API Key
-     * @returns {string} 脱敏后的API Key
-     */
-    maskApiKey(apiKey) {
-        if (!apiKey || apiKey.length < 8) {
-            return apiKey;
-        }
-
-        const start = apiKey.substring(0, 4);
-        const end = apiKey.substring(apiKey.length - 4);
-        const middle = '*'.repeat(apiKey.length - 8);
-
-        return start + middle + end;
     }
 
     /**
@@ -330,7 +655,11 @@ export class SettingsComponent {
      * 清除所有验证错误
      */
     clearValidation() {
-        const fields = [this.apiKeyInput, this.resolutionSelect, this.formatSelect];
+        const fields = [
+            ...Object.values(this.providerFields), ...Object.values(this.generationOptions.selects),
+            this.apiKeyInput, this.credentialPassphraseInput, this.referenceImageInput,
+            this.textModelEndpoint, this.textModelName
+        ];
         fields.forEach(field => this.clearFieldError(field));
     }
 
@@ -397,22 +726,23 @@ export class SettingsComponent {
     }
 
     /**
-     * 检查是否已配置API Key
+     * 检查当前服务是否已保存API Key
      * @returns {boolean} 是否已配置
      */
     isConfigured() {
-        return !!this.getStoredApiKey();
+        const config = this.providerConfigs[this.selectedProviderId];
+        return !!(config && config.hasApiKey);
     }
 
     /**
-     * 获取当前设置
+     * 获取当前设置（不含 API Key 本身）
      * @returns {Object} 当前设置
      */
     getCurrentSettings() {
         return {
-            apiKey: this.getStoredApiKey(),
-            resolution: this.resolutionSelect.value,
-            format: this.formatSelect.value,
+            provider: this.selectedProviderId,
+            credentialMode: this.credentialState.mode,
+            ...this.generationOptions.getValues(),
             isConfigured: this.isConfigured()
         };
     }
@@ -421,11 +751,8 @@ export class SettingsComponent {
      * 重置设置
      */
     reset() {
-        localStorage.removeItem('kie_ai_api_key');
-        localStorage.removeItem('app_settings');
         this.apiKeyInput.value = '';
-        delete this.apiKeyInput.dataset.fullKey;
-        this.resolutionSelect.value = '2K';
-        this.formatSelect.value = 'png';
+        this.credentialPassphraseInput.value = '';
+        this.generationOptions.setValues({ aspectRatio: '3:4', resolution: '2K', format: 'png' });
     }
 }
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * 提示词模板管理组件
+ * 浏览、新建、复制、编辑、预览和选用提示词模板，并支持导入导出 JSON
+ */
+
+export class TemplateManagerComponent {
+    constructor(container) {
+        this.container = container;
+        this.templateBtn = container.querySelector('#templateBtn');
+        this.templateModal = container.querySelector('#templateModal');
+        this.templateList = container.querySelector('#templateList');
+        this.modalCloseBtn = this.templateModal.querySelector('.modal-close');
+
+        // 编辑区
+        this.nameInput = container.querySelector('#templateNameInput');
+        this.descriptionInput = container.querySelector('#templateDescriptionInput');
+        this.contentInput = container.querySelector('#templateContentInput');
+        this.readonlyHint = container.querySelector('#templateReadonlyHint');
+        this.variableList = container.querySelector('#templateVariables');
+        this.errorText = container.querySelector('#templateError');
+        this.previewOutput = container.querySelector('#templatePreview');
+
+        // 按钮
+        this.newBtn = container.querySelector('#templateNewBtn');
+        this.cloneBtn = container.querySelector('#templateCloneBtn');
+        this.saveBtn = container.querySelector('#templateSaveBtn');
+        this.deleteBtn = container.querySelector('#templateDeleteBtn');
+        this.previewBtn = container.querySelector('#templatePreviewBtn');
+        this.useBtn = container.querySelector('#templateUseBtn');
+        this.exportBtn = container.querySelector('#templateExportBtn');
+        this.importInput = container.querySelector('#templateImportInput');
+
+        // 模板列表、当前选用和正在查看的模板
+        this.templates = [];
+        this.selectedId = null;
+        this.currentId = null;
+
+        // 回调函数
+        this.callbacks = {};
+
+        this.init();
+    }
+
+    /**
+     * 初始化组件
+     */
+    init() {
+        this.templateBtn.addEventListener('click', () => {
+            this.show();
+        });
+
+        this.modalCloseBtn.addEventListener('click', () => {
+            this.hide();
+        });
+
+        // 点击模态框外部关闭
+        this.templateModal.addEventListener('click', (e) => {
+            if (e.target === this.templateModal) {
+                this.hide();
+            }
+        });
+
+        // 模板列表（事件委托）
+        this.templateList.addEventListener('click', (e) => {
+            const item = e.target.closest('.template-item');
+            if (item) {
+                this.openTemplate(item.dataset.id);
+            }
+        });
+
+        this.newBtn.addEventListener('click', () => this.runAction(() => this.handleNew()));
+        this.cloneBtn.addEventListener('click', () => this.runAction(() => this.handleClone()));
+        this.saveBtn.addEventListener('click', () => this.runAction(() => this.handleSave()));
+        this.deleteBtn.addEventListener('click', () => this.runAction(() => this.handleDelete()));
+        this.previewBtn.addEventListener('click', () => this.runAction(() => this.handlePreview()));
+        this.useBtn.addEventListener('click', () => this.runAction(() => this.handleUse()));
+        this.exportBtn.addEventListener('click', () => this.runAction(() => this.handleExport()));
+
+        this.importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.runAction(() => this.handleImport(file));
+            }
+        });
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - 回调函数对象（onLoad, onSelect, onCreate, onClone, onUpdate, onDelete, onPreview, onExport, onImport）
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * 设置可用变量说明
+     * @param {Array<{name: string, description: string}>} variables - 变量列表
+     */
+    setVariables(variables) {
+        this.variableList.innerHTML = '';
+
+        variables.forEach(variable => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = `{{${variable.name}}}`;
+            item.appendChild(code);
+            item.appendChild(document.createTextNode(` ${variable.description}`));
+            this.variableList.appendChild(item);
+        });
+    }
+
+    /**
+     * 显示模板管理模态框
+     */
+    show() {
+        this.templateModal.style.display = 'flex';
+        this.refresh();
+        this.openTemplate(this.selectedId);
+    }
+
+    /**
+     * 隐藏模板管理模态框
+     */
+    hide() {
+        this.templateModal.style.display = 'none';
+    }
+
+    /**
+     * 重新加载模板列表
+     */
+    refresh() {
+        if (!this.callbacks.onLoad) return;
+
+        const { templates, selectedId } = this.callbacks.onLoad();
+        this.templates = templates;
+        this.selectedId = selectedId;
+        this.renderList();
+    }
+
+    /**
+     * 渲染模板列表
+     */
+    renderList() {
+        this.templateList.innerHTML = '';
+
+        this.templates.forEach(template => {
+            const item = document.createElement('li');
+            item.className = 'template-item';
+            item.dataset.id = template.id;
+            item.classList.toggle('active', template.id === this.currentId);
+
+            const name = document.createElement('div');
+            name.className = 'template-name';
+            name.textContent = template.name;
+            if (template.id === this.selectedId) {
+                const badge = document.createElement('span');
+                badge.className = 'template-badge';
+                badge.textContent = '使用中';
+                name.appendChild(badge);
+            }
+            item.appendChild(name);
+
+            const description = document.createElement('div');
+            description.className = 'template-description';
+            description.textContent = template.builtin ? `内置 · ${template.description}` : template.description;
+            item.appendChild(description);
+
+            this.templateList.appendChild(item);
+        });
+    }
+
+    /**
+     * 打开模板（内置模板只读）
+     * @param {string} id - 模板ID
+     */
+    openTemplate(id) {
+        const template = this.templates.find(item => item.id === id) || this.templates[0];
+        if (!template) return;
+
+        this.currentId = template.id;
+        this.nameInput.value = template.name;
+        this.descriptionInput.value = template.description || '';
+        this.contentInput.value = template.content;
+
+        [this.nameInput, this.descriptionInput, this.contentInput].forEach(input => {
+            input.readOnly = template.builtin;
+        });
+        this.readonlyHint.style.display = template.builtin ? 'block' : 'none';
+        this.saveBtn.disabled = template.builtin;
+        this.deleteBtn.disabled = template.builtin;
+        this.useBtn.disabled = template.id === this.selectedId;
+
+        this.showError('');
+        this.previewOutput.textContent = '';
+        this.renderList();
+    }
+
+    /**
+     * 执行操作并显示错误（如模板语法错误）
+     * @param {Function} action - 操作
+     */
+    async runAction(action) {
+        this.showError('');
+
+        try {
+            await action();
+        } catch (error) {
+            console.error('模板操作失败:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * 新建模板（以当前查看的模板内容为起点）
+     */
+    handleNew() {
+        const template = this.callbacks.onCreate({
+            name: '新模板',
+            description: '',
+            content: this.contentInput.value
+        });
+        this.refresh();
+        this.openTemplate(template.id);
+    }
+
+    /**
+     * 复制当前模板
+     */
+    handleClone() {
+        const template = this.callbacks.onClone(this.currentId);
+        this.refresh();
+        this.openTemplate(template.id);
+    }
+
+    /**
+     * 保存当前模板
+     */
+    handleSave() {
+        this.callbacks.onUpdate(this.currentId, {
+            name: this.nameInput.value,
+            description: this.descriptionInput.value,
+            content: this.contentInput.value
+        });
+        this.refresh();
+        this.openTemplate(this.currentId);
+        this.previewOutput.textContent = '已保存';
+    }
+
+    /**
+     * 删除当前模板
+     */
+    handleDelete() {
+        if (!confirm(`确定删除模板「${this.nameInput.value}」吗？`)) return;
+
+        this.callbacks.onDelete(this.currentId);
+        this.refresh();
+        this.openTemplate(this.selectedId);
+    }
+
+    /**
+     * 用示例数据预览编辑区中的模板
+     */
+    async handlePreview() {
+        this.previewOutput.textContent = '正在生成预览...';
+
+        try {
+            this.previewOutput.textContent = await this.callbacks.onPreview(this.contentInput.value);
+        } catch (error) {
+            this.previewOutput.textContent = '';
+            throw error;
+        }
+    }
+
+    /**
+     * 选用当前模板
+     */
+    handleUse() {
+        this.callbacks.onSelect(this.currentId);
+        this.refresh();
+        this.openTemplate(this.currentId);
+    }
+
+    /**
+     * 导出用户模板（没有用户模板时导出当前模板）
+     */
+    handleExport() {
+        const hasCustom = this.templates.some(template => !template.builtin);
+        const json = this.callbacks.onExport(hasCustom ? null : [this.currentId]);
+
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = '识字小报提示词模板.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 导入模板文件
+     * @param {File} file - JSON 文件
+     */
+    async handleImport(file) {
+        const templates = this.callbacks.onImport(await file.text());
+        this.refresh();
+        this.openTemplate(templates[0].id);
+        this.previewOutput.textContent = `已导入 ${templates.length} 个模板`;
+    }
+
+    /**
+     * 显示错误信息
+     * @param {string} message - 错误信息（为空时隐藏）
+     */
+    showError(message) {
+        this.errorText.textContent = message;
+        this.errorText.style.display = message ? 'block' : 'none';
+    }
+}
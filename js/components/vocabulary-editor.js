@@ -0,0 +1,362 @@
+/**
+ * 词汇审阅组件
+ * 在生成图片前展示并编辑词汇：删除、添加、排序、移动分类、修改拼音
+ */
+
+export class VocabularyEditorComponent {
+    constructor(container) {
+        this.container = container;
+        this.vocabularyEditor = container.querySelector('#vocabularyEditor');
+        this.vocabularyGroups = container.querySelector('#vocabularyGroups');
+        this.vocabularySummary = container.querySelector('#vocabularySummary');
+        this.confirmBtn = container.querySelector('#confirmVocabularyBtn');
+        this.cancelBtn = container.querySelector('#cancelVocabularyBtn');
+
+        // 编辑中的词汇和配置
+        this.vocabularies = {};
+        this.categories = [];
+        this.placeholderWords = [];
+        this.annotatePinyin = null;
+
+        // 回调函数
+        this.callbacks = {};
+
+        this.init();
+    }
+
+    /**
+     * 初始化组件
+     */
+    init() {
+        // 确认按钮
+        this.confirmBtn.addEventListener('click', () => {
+            this.handleConfirm();
+        });
+
+        // 取消按钮
+        this.cancelBtn.addEventListener('click', () => {
+            this.hide();
+            if (this.callbacks.onCancel) {
+                this.callbacks.onCancel();
+            }
+        });
+
+        // 词汇操作按钮（事件委托）
+        this.vocabularyGroups.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button);
+            }
+        });
+
+        // 输入框编辑
+        this.vocabularyGroups.addEventListener('input', (e) => {
+            const row = e.target.closest('.vocabulary-row');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+
+            const word = this.vocabularies[row.dataset.category][Number(row.dataset.index)];
+            word[field] = e.target.value.trim();
+
+            if (field === 'pinyin') {
+                // 手动修改过的拼音不再自动覆盖
+                word.autoPinyin = !word.pinyin;
+            }
+
+            if (field === 'chinese') {
+                // 拼音为空或由系统生成时，跟随汉字自动标注
+                if (this.annotatePinyin && (!word.pinyin || word.autoPinyin)) {
+                    word.pinyin = this.annotatePinyin(word.chinese);
+                    word.autoPinyin = true;
+                    row.querySelector('[data-field="pinyin"]').value = word.pinyin;
+                }
+
+                row.classList.toggle('placeholder-word', this.isPlaceholder(word));
+                this.updateSummary();
+            }
+        });
+
+        // 移动到其他分类
+        this.vocabularyGroups.addEventListener('change', (e) => {
+            if (e.target.dataset.field !== 'category') return;
+
+            const row = e.target.closest('.vocabulary-row');
+            this.moveWord(row.dataset.category, Number(row.dataset.index), e.target.value);
+        });
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - 回调函数对象（onConfirm, onCancel）
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * 显示词汇审阅界面
+     * @param {Object} vocabularies - 按分类整理的词汇
+     * @param {Object} options - 配置
+     * @param {Array} options.categories - 分类列表 [{ key, label }]
+     * @param {Array} options.placeholderWords - 需要提醒替换的占位词
+     * @param {Function} options.annotatePinyin - 根据汉字生成拼音的函数
+     */
+    show(vocabularies, options = {}) {
+        this.categories = options.categories || [];
+        this.placeholderWords = options.placeholderWords || [];
+        this.annotatePinyin = options.annotatePinyin || null;
+
+        // 复制一份，取消时不影响原数据
+        this.vocabularies = {};
+        this.categories.forEach(({ key }) => {
+            this.vocabularies[key] = (vocabularies[key] || []).map(word => ({ ...word }));
+        });
+
+        this.render();
+        this.vocabularyEditor.style.display = 'block';
+        this.vocabularyEditor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * 隐藏词汇审阅界面
+     */
+    hide() {
+        this.vocabularyEditor.style.display = 'none';
+    }
+
+    /**
+     * 处理词汇操作
+     * @param {HTMLElement} button - 操作按钮
+     */
+    handleAction(button) {
+        const action = button.dataset.action;
+
+        if (action === 'add') {
+            this.addWord(button.closest('.vocabulary-group'));
+            return;
+        }
+
+        const row = button.closest('.vocabulary-row');
+        const list = this.vocabularies[row.dataset.category];
+        const index = Number(row.dataset.index);
+
+        switch (action) {
+            case 'up':
+                if (index > 0) {
+                    [list[index - 1], list[index]] = [list[index], list[index - 1]];
+                }
+                break;
+
+            case 'down':
+                if (index < list.length - 1) {
+                    [list[index + 1], list[index]] = [list[index], list[index + 1]];
+                }
+                break;
+
+            case 'remove':
+                list.splice(index, 1);
+                break;
+        }
+
+        this.render();
+    }
+
+    /**
+     * 添加词汇
+     * @param {HTMLElement} group - 分类容器
+     */
+    addWord(group) {
+        const chineseInput = group.querySelector('.vocabulary-add [data-new="chinese"]');
+        const pinyinInput = group.querySelector('.vocabulary-add [data-new="pinyin"]');
+        const chinese = chineseInput.value.trim();
+
+        if (!chinese) {
+            chineseInput.focus();
+            return;
+        }
+
+        const pinyin = pinyinInput.value.trim();
+        const autoPinyin = !pinyin && !!this.annotatePinyin;
+
+        this.vocabularies[group.dataset.category].push({
+            pinyin: autoPinyin ? this.annotatePinyin(chinese) : pinyin,
+            chinese: chinese,
+            autoPinyin: autoPinyin
+        });
+
+        this.render();
+    }
+
+    /**
+     * 将词汇移动到其他分类末尾
+     * @param {string} fromCategory - 原分类
+     * @param {number} index - 词汇位置
+     * @param {string} toCategory - 目标分类
+     */
+    moveWord(fromCategory, index, toCategory) {
+        if (fromCategory === toCategory) return;
+
+        const [word] = this.vocabularies[fromCategory].splice(index, 1);
+        this.vocabularies[toCategory].push(word);
+        this.render();
+    }
+
+    /**
+     * 判断是否为占位词
+     * @param {Object} word - 词汇
+     * @returns {boolean}
+     */
+    isPlaceholder(word) {
+        return this.placeholderWords.includes(word.chinese);
+    }
+
+    /**
+     * 渲染所有分类
+     */
+    render() {
+        this.vocabularyGroups.innerHTML = '';
+
+        this.categories.forEach(({ key, label }) => {
+            this.vocabularyGroups.appendChild(this.createGroupElement(key, label));
+        });
+
+        this.updateSummary();
+    }
+
+    /**
+     * 创建分类元素
+     * @param {string} category - 分类键
+     * @param {string} label - 分类名称
+     * @returns {HTMLElement} 分类元素
+     */
+    createGroupElement(category, label) {
+        const group = document.createElement('div');
+        group.className = 'vocabulary-group';
+        group.dataset.category = category;
+
+        const heading = document.createElement('h4');
+        heading.textContent = `${label}（${this.vocabularies[category].length}）`;
+        group.appendChild(heading);
+
+        this.vocabularies[category].forEach((word, index) => {
+            group.appendChild(this.createWordRow(category, word, index));
+        });
+
+        const addRow = document.createElement('div');
+        addRow.className = 'vocabulary-add';
+        addRow.innerHTML = `
+            <input type="text" data-new="pinyin" placeholder="拼音（可自动生成）">
+            <input type="text" data-new="chinese" placeholder="汉字" maxlength="10">
+            <button class="btn btn-secondary" data-action="add" title="添加"><i class="fas fa-plus"></i></button>
+        `;
+        group.appendChild(addRow);
+
+        return group;
+    }
+
+    /**
+     * 创建词汇行
+     * @param {string} category - 分类键
+     * @param {Object} word - 词汇
+     * @param {number} index - 位置
+     * @returns {HTMLElement} 词汇行元素
+     */
+    createWordRow(category, word, index) {
+        const row = document.createElement('div');
+        row.className = 'vocabulary-row';
+        row.dataset.category = category;
+        row.dataset.index = index;
+        row.classList.toggle('placeholder-word', this.isPlaceholder(word));
+
+        const pinyinInput = document.createElement('input');
+        pinyinInput.type = 'text';
+        pinyinInput.dataset.field = 'pinyin';
+        pinyinInput.placeholder = '拼音';
+        pinyinInput.value = word.pinyin;
+
+        const chineseInput = document.createElement('input');
+        chineseInput.type = 'text';
+        chineseInput.dataset.field = 'chinese';
+        chineseInput.placeholder = '汉字';
+        chineseInput.maxLength = 10;
+        chineseInput.value = word.chinese;
+
+        const categorySelect = document.createElement('select');
+        categorySelect.dataset.field = 'category';
+        categorySelect.title = '移动到其他分类';
+        this.categories.forEach(({ key, label }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            option.selected = key === category;
+            categorySelect.appendChild(option);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'vocabulary-row-actions';
+        actions.innerHTML = `
+            <button class="btn btn-secondary" data-action="up" title="上移"><i class="fas fa-arrow-up"></i></button>
+            <button class="btn btn-secondary" data-action="down" title="下移"><i class="fas fa-arrow-down"></i></button>
+            <button class="btn btn-danger" data-action="remove" title="删除"><i class="fas fa-times"></i></button>
+        `;
+
+        row.append(pinyinInput, chineseInput, categorySelect, actions);
+        return row;
+    }
+
+    /**
+     * 更新汇总信息（词汇总数与占位词提醒）
+     */
+    updateSummary() {
+        const words = this.getAllWords();
+        const placeholders = words.filter(word => this.isPlaceholder(word));
+
+        let summary = `共 ${words.length} 个词语`;
+        if (placeholders.length > 0) {
+            summary += `，其中 ${placeholders.map(word => word.chinese).join('、')} 是通用占位词，建议替换为与场景相关的具体事物`;
+        }
+
+        this.vocabularySummary.textContent = summary;
+        this.vocabularySummary.classList.toggle('has-warning', placeholders.length > 0);
+    }
+
+    /**
+     * 获取所有词汇（扁平列表）
+     * @returns {Array} 词汇列表
+     */
+    getAllWords() {
+        return this.categories.flatMap(({ key }) => this.vocabularies[key]);
+    }
+
+    /**
+     * 获取编辑后的词汇（去除空词）
+     * @returns {Object} 按分类整理的词汇
+     */
+    getVocabularies() {
+        const result = {};
+        this.categories.forEach(({ key }) => {
+            result[key] = this.vocabularies[key]
+                .filter(word => word.chinese)
+                .map(word => ({ pinyin: word.pinyin, chinese: word.chinese }));
+        });
+        return result;
+    }
+
+    /**
+     * 处理确认
+     */
+    handleConfirm() {
+        const vocabularies = this.getVocabularies();
+        const total = Object.values(vocabularies).reduce((sum, list) => sum + list.length, 0);
+
+        if (total === 0) {
+            alert('请至少保留一个词语');
+            return;
+        }
+
+        this.hide();
+        if (this.callbacks.onConfirm) {
+            this.callbacks.onConfirm(vocabularies);
+        }
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * 取消与等待工具模块
+ * 图片生成服务和文本模型共用的取消错误和可取消的等待
+ */
+
+/**
+ * 创建“已取消”错误（与 fetch 被 AbortController 中止时的错误同名，便于统一判断）
+ * @returns {DOMException} 错误
+ */
+export function createAbortError() {
+    return new DOMException('已取消生成', 'AbortError');
+}
+
+/**
+ * 判断错误是否由取消生成引起
+ * @param {Error} error - 错误
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+/**
+ * 等待一段时间，取消时立即结束
+ * @param {number} ms - 等待时间（毫秒）
+ * @param {AbortSignal} signal - 取消信号（可选）
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -1,208 +1,425 @@
 /**
- * Kie AI API 客户端模块
- * 处理与 Nano Banana Pro API 的交互
+ * 图片生成 API 模块
+ * 管理当前选择的图片生成服务及其配置，提交任务并等待结果
  */
 
-export class KieAIClient {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
-        this.baseUrl = 'https://api.kie.ai/api/v1/jobs';
-        this.headers = {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
+import {
+    IMAGE_PROVIDERS,
+    DEFAULT_POLLING_POLICY,
+    normalizeGenerationOptions,
+    findUnsupportedOptions
+} from './image-providers.js';
+import { credentialStore, CredentialLockedError } from './credentials.js';
+import { historyStore } from './history.js';
+
+export {
+    ApiError,
+    DEFAULT_POLLING_POLICY,
+    ImageProvider,
+    KieAIClient,
+    OpenAIImageProvider,
+    MockImageProvider,
+    IMAGE_PROVIDERS,
+    createAbortError,
+    isAbortError,
+    parseRetryAfter
+} from './image-providers.js';
+
+const STORAGE_KEY = 'image_provider_settings';
+
+// 生成参数的默认值（宽高比、分辨率、输出格式）
+const SETTINGS_STORAGE_KEY = 'app_settings';
+const GENERATION_SETTING_KEYS = ['aspectRatio', 'resolution', 'format'];
+
+// 升级前 Kie AI 的 API Key 单独保存在这里，加载时迁移到凭据存储
+const KIE_API_KEY_STORAGE_KEY = 'kie_ai_api_key';
+
+// 升级前参考图保存在这里，加载时迁移到 IndexedDB（与生成历史保存在一起）
+const REFERENCE_IMAGES_STORAGE_KEY = 'reference_images';
+
+/**
+ * 获取图片生成服务的 API Key 在凭据存储中的名称
+ * @param {string} id - 服务ID
+ * @returns {string} 凭据名称
+ */
+function getCredentialName(id) {
+    return `image:${id}`;
+}
+
+/**
+ * API 管理器
+ * 统一管理图片生成服务、各服务的配置和生成参数
+ * 配置结构：{ provider: 当前服务ID, configs: { 服务ID: { 该服务的配置字段，如 endpoint、model } } }，
+ * API Key 保存在凭据存储中（名称为 image:服务ID）
+ */
+export class APIManager {
+    constructor() {
+        this.providerId = IMAGE_PROVIDERS[0].id;
+        this.providerConfigs = {};
+
+        // 已创建的服务实例（服务ID → 实例），配置变化时重新创建；
+        // 锁定或清除 API Key 后全部释放，避免继续使用旧的 API Key
+        this.providers = new Map();
+        credentialStore.subscribe((type) => {
+            if (type === 'lock' || type === 'reset') {
+                this.resetProviders();
+            }
+
+            // 解锁后再迁移升级前保存的 API Key；清除全部凭据时一并删除
+            if (type === 'unlock') {
+                this.migration = this.migrateLegacyApiKey();
+            } else if (type === 'reset') {
+                localStorage.removeItem(KIE_API_KEY_STORAGE_KEY);
+            }
+        });
+
+        this.settings = {
+            resolution: '2K',
+            format: 'png',
+            aspectRatio: '3:4',
+            referenceImages: []
         };
+        this.pollingPolicy = { ...DEFAULT_POLLING_POLICY };
+
+        // 升级前保存的 API Key 的迁移（写入凭据存储是异步的，加载配置和解锁时开始）
+        this.migration = Promise.resolve();
+        this.ready = Promise.resolve();
+        this.init();
     }
 
     /**
-     * 创建图片生成任务
-     * @param {string} prompt - 提示词
-     * @param {Object} options - 可选参数
-     * @returns {Promise<Object>} 任务创建结果
-     */
-    async createTask(prompt, options = {}) {
-        const payload = {
-            model: 'nano-banana-pro',
-            input: {
-                prompt: prompt,
-                image_input: [],
-                aspect_ratio: options.aspectRatio || '3:4', // 竖版A4比例
-                resolution: options.resolution || '2K',
-                output_format: options.format || 'png'
-            }
-        };
+     * 初始化API管理器
+     */
+    init() {
+        this.loadProviderSettings();
+        this.loadSettings();
 
-        try {
-            const response = await fetch(`${this.baseUrl}/createTask`, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify(payload)
-            });
+        // 参考图保存在 IndexedDB 中，读取是异步的，读取完成时 this.ready 结束
+        this.ready = this.loadReferenceImages();
+
+        const { name } = this.getProviderInfo();
+        if (this.isConfigured()) {
+            console.log(`API管理器初始化成功，当前图片生成服务：${name}`);
+        } else {
+            console.log(`API管理器初始化完成，但${name}尚未配置`);
+        }
+    }
 
-            const data = await response.json();
+    /**
+     * 从本地存储加载图片生成服务的选择和配置
+     * 升级前以 base64 保存在配置中的 API Key 会迁移到凭据存储，保存完成后才从配置中删除；
+     * 迁移是异步的，完成时 this.migration 结束
+     */
+    loadProviderSettings() {
+        const imports = [];
 
-            if (data.code !== 200) {
-                throw new Error(this.getErrorMessage(data.code, data.msg));
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                const { provider, configs } = JSON.parse(stored);
+                if (this.getProviderInfo(provider)) {
+                    this.providerId = provider;
+                }
+                Object.entries(configs || {}).forEach(([id, { apiKey, ...config }]) => {
+                    this.providerConfigs[id] = config;
+                    if (apiKey !== undefined) {
+                        imports.push(credentialStore.importLegacy(getCredentialName(id), apiKey ? atob(apiKey) : ''));
+                    }
+                });
             }
+        } catch (error) {
+            console.error('加载图片生成服务配置失败:', error);
+        }
+
+        // 导入完成后再保存配置（不含 API Key）；导入失败时保留原来的内容，下次加载时再迁移
+        const migrated = Promise.all(imports)
+            .then(() => {
+                if (imports.length > 0) {
+                    this.saveProviderSettings();
+                }
+            })
+            .catch(error => console.error('迁移 API Key 失败:', error));
 
-            return data;
+        this.migration = Promise.all([migrated, this.migrateLegacyApiKey()]);
+    }
+
+    /**
+     * 迁移升级前单独保存的 Kie AI API Key（kie_ai_api_key，base64），导入后删除原来的内容，不论凭据的保存方式；
+     * 凭据存储中已有 Kie AI 的 API Key 时直接删除，凭据加密保存且尚未解锁时先保留，解锁后再迁移；
+     * 导入保存完成后才删除，保存失败时保留原来的内容
+     * @returns {Promise<void>}
+     */
+    async migrateLegacyApiKey() {
+        const encoded = localStorage.getItem(KIE_API_KEY_STORAGE_KEY);
+        if (!encoded || credentialStore.isLocked()) return;
+
+        const name = getCredentialName('kie');
+        let apiKey = '';
+        try {
+            apiKey = atob(encoded);
         } catch (error) {
-            console.error('创建任务失败:', error);
-            throw error;
+            console.warn('升级前保存的 API Key 无法解析，已删除');
+        }
+
+        try {
+            await credentialStore.importLegacy(name, apiKey);
+            localStorage.removeItem(KIE_API_KEY_STORAGE_KEY);
+        } catch (error) {
+            console.error('迁移 API Key 失败:', error);
         }
     }
 
     /**
-     * 查询任务状态
-     * @param {string} taskId - 任务ID
-     * @returns {Promise<Object>} 任务状态
+     * 保存图片生成服务的选择和配置到本地存储（不含 API Key）
+     */
+    saveProviderSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            provider: this.providerId,
+            configs: this.providerConfigs
+        }));
+    }
+
+    /**
+     * 从本地存储加载生成参数的默认值
      */
-    async queryTask(taskId) {
+    loadSettings() {
         try {
-            const response = await fetch(`${this.baseUrl}/recordInfo?taskId=${taskId}`, {
-                method: 'GET',
-                headers: this.headers
-            });
+            const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+            if (stored) {
+                const settings = JSON.parse(stored);
+                GENERATION_SETTING_KEYS.forEach(key => {
+                    if (typeof settings[key] === 'string' && settings[key]) {
+                        this.settings[key] = settings[key];
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('加载生成参数失败:', error);
+        }
+    }
 
-            const data = await response.json();
+    /**
+     * 保存生成参数的默认值，只接受当前服务支持的值
+     * @param {Object} changes - 要修改的参数（aspectRatio, resolution, format）
+     */
+    saveSettings(changes) {
+        const problems = this.checkSettings(changes);
+        if (problems.length > 0) {
+            throw new Error(problems.join('；'));
+        }
 
-            if (data.code !== 200) {
-                throw new Error(this.getErrorMessage(data.code, data.msg));
+        GENERATION_SETTING_KEYS.forEach(key => {
+            if (changes[key]) {
+                this.settings[key] = changes[key];
             }
+        });
 
-            return data;
+        const stored = Object.fromEntries(GENERATION_SETTING_KEYS.map(key => [key, this.settings[key]]));
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(stored));
         } catch (error) {
-            console.error('查询任务失败:', error);
-            throw error;
+            console.error('保存生成参数失败:', error);
+            throw new Error('保存设置失败');
         }
     }
 
     /**
-     * 轮询任务直到完成
-     * @param {string} taskId - 任务ID
-     * @param {number} maxAttempts - 最大尝试次数
-     * @param {number} interval - 轮询间隔（毫秒）
-     * @param {Function} onProgress - 进度回调
-     * @returns {Promise<Object>} 任务结果
+     * 检查生成参数是否都是服务支持的值
+     * @param {Object} settings - 生成参数（aspectRatio, resolution, format，未提供的不检查）
+     * @param {string} id - 服务ID（默认当前服务）
+     * @returns {Array<string>} 问题说明，都支持时为空数组
      */
-    async pollUntilComplete(taskId, maxAttempts = 30, interval = 2000, onProgress = null) {
-        let attempts = 0;
+    checkSettings(settings, id = this.providerId) {
+        const { name, capabilities } = this.getProviderInfo(id);
+        const unsupported = findUnsupportedOptions(settings, capabilities);
 
-        while (attempts < maxAttempts) {
-            try {
-                const result = await this.queryTask(taskId);
-                const state = result.data.state;
-
-                // 调用进度回调
-                if (onProgress) {
-                    onProgress({
-                        state: state,
-                        attempts: attempts + 1,
-                        maxAttempts: maxAttempts
-                    });
-                }
+        return unsupported.length > 0 ? [`${name}不支持${unsupported.join('、')}`] : [];
+    }
 
-                if (state === 'success') {
-                    return result;
-                } else if (state === 'fail') {
-                    throw new Error(result.data.failMsg || '任务执行失败');
-                }
+    /**
+     * 计算一次生成实际使用的参数：默认值加上本次的修改，再调整为服务支持的值
+     * @param {Object} overrides - 本次修改的参数（可选）
+     * @param {string} id - 服务ID（默认当前服务）
+     * @returns {Object} 生成参数（同 getSettings）
+     */
+    resolveSettings(overrides = {}, id = this.providerId) {
+        const { referenceImages, ...settings } = normalizeGenerationOptions(
+            { ...this.settings, ...overrides },
+            this.getCapabilities(id)
+        );
+
+        return { ...settings, referenceImageCount: referenceImages.length };
+    }
+
+    /**
+     * 从 IndexedDB 加载参考图
+     * 升级前保存在本地存储中的参考图会迁移到 IndexedDB，保存完成后才从本地存储中删除
+     */
+    async loadReferenceImages() {
+        if (!historyStore.isSupported()) {
+            return;
+        }
+
+        try {
+            const legacy = localStorage.getItem(REFERENCE_IMAGES_STORAGE_KEY);
+            if (legacy) {
+                await historyStore.saveReferenceImages(JSON.parse(legacy));
+                localStorage.removeItem(REFERENCE_IMAGES_STORAGE_KEY);
+            }
+
+            this.settings.referenceImages = await historyStore.getReferenceImages();
+        } catch (error) {
+            console.error('加载参考图失败:', error);
+        }
+    }
 
-                // 等待后继续轮询
-                await new Promise(resolve => setTimeout(resolve, interval));
-                attempts++;
+    /**
+     * 获取参考图（页面加载后需先等待 this.ready）
+     * @returns {Array<string>} 参考图的 data URL
+     */
+    getReferenceImages() {
+        return [...this.settings.referenceImages];
+    }
+
+    /**
+     * 保存参考图，之后的生成任务都会带上这些参考图
+     * @param {Array<string>} images - 参考图的 data URL（空数组表示不使用参考图）
+     */
+    async saveReferenceImages(images) {
+        if (historyStore.isSupported()) {
+            try {
+                await historyStore.saveReferenceImages(images);
             } catch (error) {
-                // 如果是最后一次尝试，抛出错误
-                if (attempts === maxAttempts - 1) {
-                    throw error;
-                }
-                attempts++;
+                console.error('保存参考图失败:', error);
+                throw new Error('参考图保存失败，浏览器存储空间可能不足');
             }
+        } else if (images.length > 0) {
+            throw new Error('当前浏览器不支持保存参考图');
         }
 
-        throw new Error('任务超时，请稍后重试');
+        this.settings.referenceImages = [...images];
     }
 
     /**
-     * 更新API Key
-     * @param {string} newApiKey - 新的API Key
+     * 获取全部可选的图片生成服务
+     * @returns {Array<Object>} 服务说明（id, name, fields, required, defaults, apiKeyMinLength, apiKeyPlaceholder, helpUrl, capabilities）
      */
-    updateApiKey(newApiKey) {
-        this.apiKey = newApiKey;
-        this.headers.Authorization = `Bearer ${newApiKey}`;
+    getProviders() {
+        return IMAGE_PROVIDERS.map(({ create, ...info }) => info);
     }
 
     /**
-     * 获取错误消息
-     * @param {number} code - 错误码
-     * @param {string} message - 原始错误消息
-     * @returns {string} 用户友好的错误消息
+     * 获取图片生成服务的说明
+     * @param {string} id - 服务ID（默认当前服务）
+     * @returns {Object|null} 服务说明
      */
-    getErrorMessage(code, message) {
-        const errorMap = {
-            400: '请求参数错误',
-            401: 'API Key无效，请检查配置',
-            402: '账户余额不足',
-            404: '资源未找到',
-            422: '参数验证失败',
-            429: '请求过于频繁，请稍后重试',
-            500: '服务器错误，请稍后重试'
-        };
+    getProviderInfo(id = this.providerId) {
+        return IMAGE_PROVIDERS.find(provider => provider.id === id) || null;
+    }
 
-        return errorMap[code] || message || '未知错误';
+    /**
+     * 获取当前图片生成服务的ID
+     * @returns {string} 服务ID
+     */
+    getProviderId() {
+        return this.providerId;
     }
-}
 
-/**
- * API 管理器
- * 统一管理API客户端和相关配置
- */
-export class APIManager {
-    constructor() {
-        this.client = null;
-        this.settings = {
-            resolution: '2K',
-            format: 'png',
-            aspectRatio: '3:4'
+    /**
+     * 切换图片生成服务
+     * @param {string} id - 服务ID
+     */
+    selectProvider(id) {
+        if (!this.getProviderInfo(id)) {
+            throw new Error(`未知的图片生成服务：${id}`);
+        }
+
+        this.providerId = id;
+        this.saveProviderSettings();
+    }
+
+    /**
+     * 获取图片生成服务的配置（未填写的字段使用默认值），API Key 从凭据存储读取
+     * 结果含 API Key，只用于创建服务实例，不要交给界面显示
+     * @param {string} id - 服务ID（默认当前服务）
+     * @returns {Object} 配置（只含该服务的 fields 中的字段）
+     */
+    getProviderConfig(id = this.providerId) {
+        const info = this.getProviderInfo(id);
+        const config = {
+            ...info.defaults,
+            ...this.providerConfigs[id],
+            apiKey: credentialStore.get(getCredentialName(id))
         };
-        this.init();
+
+        return Object.fromEntries(info.fields.map(field => [field, config[field] ?? '']));
     }
 
     /**
-     * 初始化API管理器
+     * 获取全部图片生成服务的配置，供设置界面显示
+     * @returns {Object} 服务ID → 配置（不含 API Key，用 hasApiKey 表示是否已保存）
      */
-    init() {
-        const apiKey = this.getApiKey();
-        if (apiKey) {
-            this.client = new KieAIClient(apiKey);
-            console.log('API管理器初始化成功，已加载API Key');
-        } else {
-            console.log('API管理器初始化完成，但未配置API Key');
+    getProviderConfigs() {
+        return Object.fromEntries(IMAGE_PROVIDERS.map(({ id }) => {
+            const { apiKey, ...config } = this.getProviderConfig(id);
+            return [id, { ...config, hasApiKey: credentialStore.has(getCredentialName(id)) }];
+        }));
+    }
+
+    /**
+     * 保存图片生成服务的配置
+     * @param {string} id - 服务ID
+     * @param {Object} config - 配置（未提供的字段保持原值，apiKey 保存到凭据存储）
+     */
+    async saveProviderConfig(id, config) {
+        if (!this.getProviderInfo(id)) {
+            throw new Error(`未知的图片生成服务：${id}`);
+        }
+
+        const { apiKey, ...fields } = config;
+        if (apiKey !== undefined) {
+            await credentialStore.set(getCredentialName(id), apiKey.trim());
         }
+
+        const merged = { ...this.providerConfigs[id] };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== undefined) {
+                merged[key] = typeof value === 'string' ? value.trim() : value;
+            }
+        });
+
+        this.providerConfigs[id] = merged;
+        if (this.providers.has(id)) {
+            this.providers.get(id).dispose();
+            this.providers.delete(id);
+        }
+        this.saveProviderSettings();
+    }
+
+    /**
+     * 释放全部服务实例，下次使用时按最新的配置和 API Key 重新创建
+     */
+    resetProviders() {
+        this.providers.forEach(provider => provider.dispose());
+        this.providers.clear();
     }
 
     /**
-     * 从本地存储获取API Key
+     * 获取当前服务的API Key
      * @returns {string|null} API Key
      */
     getApiKey() {
-        try {
-            const encoded = localStorage.getItem('kie_ai_api_key');
-            return encoded ? atob(encoded) : null;
-        } catch (error) {
-            console.error('获取API Key失败:', error);
-            return null;
-        }
+        return this.getProviderConfig().apiKey || null;
     }
 
     /**
-     * 保存API Key到本地存储
+     * 保存当前服务的API Key
      * @param {string} apiKey - API Key
+     * @returns {Promise<boolean>} 是否保存成功
      */
-    saveApiKey(apiKey) {
+    async saveApiKey(apiKey) {
         try {
-            const encoded = btoa(apiKey);
-            localStorage.setItem('kie_ai_api_key', encoded);
-            this.client = new KieAIClient(apiKey);
+            await this.saveProviderConfig(this.providerId, { apiKey });
             return true;
         } catch (error) {
             console.error('保存API Key失败:', error);
@@ -211,70 +428,140 @@ export class APIManager {
     }
 
     /**
-     * 清除API Key
+     * 清除当前服务的API Key
      */
-    clearApiKey() {
-        localStorage.removeItem('kie_ai_api_key');
-        this.client = null;
+    async clearApiKey() {
+        await this.saveProviderConfig(this.providerId, { apiKey: '' });
     }
 
     /**
-     * 检查是否已配置API Key
+     * 检查图片生成服务是否已完成配置（必填字段都已填写，保存的 API Key 已解锁）
+     * @param {string} id - 服务ID（默认当前服务）
      * @returns {boolean}
      */
-    isConfigured() {
-        return !!this.getApiKey();
+    isConfigured(id = this.providerId) {
+        if (this.isApiKeyLocked(id)) {
+            return false;
+        }
+
+        const config = this.getProviderConfig(id);
+        return this.getProviderInfo(id).required.every(field => !!config[field]);
+    }
+
+    /**
+     * 图片生成服务的 API Key 是否已加密保存且尚未解锁
+     * @param {string} id - 服务ID（默认当前服务）
+     * @returns {boolean}
+     */
+    isApiKeyLocked(id = this.providerId) {
+        return credentialStore.isLocked() && credentialStore.has(getCredentialName(id));
+    }
+
+    /**
+     * 获取图片生成服务的实例（首次使用时根据配置创建）
+     * @param {string} id - 服务ID（默认当前服务）
+     * @returns {ImageProvider} 服务实例
+     */
+    getProvider(id = this.providerId) {
+        const info = this.getProviderInfo(id);
+        if (!info) {
+            throw new Error(`未知的图片生成服务：${id}`);
+        }
+
+        // 检查配置是否完整
+        if (this.isApiKeyLocked(id)) {
+            throw new CredentialLockedError();
+        }
+        if (!this.isConfigured(id)) {
+            const missingApiKey = info.required.includes('apiKey') && !this.getProviderConfig(id).apiKey;
+            throw new Error(missingApiKey
+                ? 'API Key未配置，请先设置API Key'
+                : `${info.name}尚未配置，请先在“API设置”中完成配置`);
+        }
+
+        if (!this.providers.has(id)) {
+            this.providers.set(id, info.create(this.getProviderConfig(id)));
+        }
+
+        return this.providers.get(id);
+    }
+
+    /**
+     * 获取图片生成服务支持的生成参数
+     * @param {string} id - 服务ID（默认当前服务）
+     * @returns {{aspectRatios: Array<string>, resolutions: Array<string>, formats: Array<string>, maxReferenceImages: number}}
+     */
+    getCapabilities(id = this.providerId) {
+        return this.getProviderInfo(id).capabilities;
     }
 
     /**
      * 生成图片
      * @param {string} prompt - 提示词
-     * @param {Object} options - 生成选项
+     * @param {Object} options - 生成选项（aspectRatio, resolution, format, referenceImages），未提供的使用当前设置；
+     *                           referenceImages 为参考图的 data URL 数组，传空数组表示这次不使用参考图
      * @param {Function} onProgress - 进度回调
+     * @param {AbortSignal} signal - 取消信号（可选）。已提交的任务仍会在服务端完成，取消只停止等待结果
      * @returns {Promise<string>} 图片URL
      */
-    async generateImage(prompt, options = {}, onProgress = null) {
-        // 检查API Key是否配置
-        if (!this.isConfigured()) {
-            throw new Error('API Key未配置，请先设置API Key');
-        }
+    async generateImage(prompt, options = {}, onProgress = null, signal = null) {
+        const providerId = this.providerId;
+        const taskId = await this.submitTask(prompt, options, signal, providerId);
+        return this.waitForTask(taskId, onProgress, signal, providerId);
+    }
 
-        // 如果client未初始化，尝试初始化
-        if (!this.client) {
-            const apiKey = this.getApiKey();
-            if (apiKey) {
-                this.client = new KieAIClient(apiKey);
-            } else {
-                throw new Error('API Key未配置，请先设置API Key');
-            }
-        }
+    /**
+     * 提交图片生成任务
+     * 生成参数会调整为服务支持的值（如宽高比取最接近的，参考图超出数量时只保留前面的）
+     * @param {string} prompt - 提示词
+     * @param {Object} options - 生成选项（同 generateImage）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @param {string} providerId - 服务ID（默认当前服务）
+     * @returns {Promise<string>} 任务ID
+     */
+    async submitTask(prompt, options = {}, signal = null, providerId = this.providerId) {
+        // 页面刚加载时等参考图读取完成，避免第一次生成漏掉参考图
+        await this.ready;
 
-        const mergedOptions = {
+        const provider = this.getProvider(providerId);
+        const mergedOptions = provider.normalizeOptions({
             ...this.settings,
             ...options
-        };
+        });
 
         // 创建任务
-        const createResult = await this.client.createTask(prompt, mergedOptions);
-        const taskId = createResult.data.taskId;
+        return provider.submitTask(prompt, mergedOptions, signal);
+    }
 
+    /**
+     * 轮询已提交的任务直到完成
+     * @param {string} taskId - 任务ID
+     * @param {Function} onProgress - 进度回调
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @param {string} providerId - 提交任务的服务ID（默认当前服务）
+     * @returns {Promise<string>} 图片URL
+     */
+    async waitForTask(taskId, onProgress = null, signal = null, providerId = this.providerId) {
         // 轮询直到完成
-        const result = await this.client.pollUntilComplete(
+        const status = await this.getProvider(providerId).pollUntilComplete(
             taskId,
-            30,
-            2000,
-            onProgress
+            onProgress,
+            signal,
+            this.pollingPolicy
         );
 
-        // 解析结果
-        const resultJson = JSON.parse(result.data.resultJson);
-        const imageUrl = resultJson.resultUrls[0];
-
-        if (!imageUrl) {
-            throw new Error('图片生成失败，未获取到图片URL');
-        }
+        return status.imageUrl;
+    }
 
-        return imageUrl;
+    /**
+     * 查询一次任务状态
+     * @param {string} taskId - 任务ID
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @param {string} providerId - 提交任务的服务ID（默认当前服务）
+     * @returns {Promise<{state: string, imageUrl: string|null, failMsg: string|null}>} 任务状态，成功时带图片URL
+     */
+    async checkTask(taskId, signal = null, providerId = this.providerId) {
+        return this.getProvider(providerId).getTaskStatus(taskId, signal);
     }
 
     /**
@@ -288,14 +575,27 @@ export class APIManager {
         };
     }
 
+    /**
+     * 更新轮询策略
+     * @param {Object} changes - 要修改的字段（见 DEFAULT_POLLING_POLICY）
+     */
+    updatePollingPolicy(changes) {
+        this.pollingPolicy = {
+            ...this.pollingPolicy,
+            ...changes
+        };
+    }
+
     /**
      * 获取当前设置
+     * 设置会随生成记录保存，参考图只返回数量（referenceImageCount），图片本身用 getReferenceImages 获取
      * @returns {Object} 当前设置
      */
     getSettings() {
-        return { ...this.settings };
+        const { referenceImages, ...settings } = this.settings;
+        return { ...settings, referenceImageCount: referenceImages.length };
     }
 }
 
 // 创建全局API管理器实例
-export const apiManager = new APIManager();
\ No newline at end of file
+export const apiManager = new APIManager();
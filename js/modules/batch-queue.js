@@ -0,0 +1,415 @@
+/**
+ * 批量生成队列模块
+ * 把多组主题/标题排成任务队列，按设定的并发数依次生成，
+ * 支持暂停、继续、取消、重试，并把全部结果打包成一个 ZIP 下载
+ */
+
+import { ZipWriter } from './zip.js';
+import { isAbortError } from './api.js';
+
+// 任务状态
+export const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired'
+};
+
+// 并发数范围
+export const MIN_CONCURRENCY = 1;
+export const MAX_CONCURRENCY = 4;
+const DEFAULT_CONCURRENCY = 2;
+
+// 文件名中不允许出现的字符
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|\s]+/g;
+
+/**
+ * 批量生成队列
+ * 任务结构：{ id, theme, themeName, title, sceneId, profileId, resumeTask, status, progress, error, result, runs, createdAt, finishedAt }
+ * resumeTask 为已提交的任务（页面刷新前提交的，或本次提交后被取消、超时的），有它时只继续获取结果，不重新提交
+ */
+export class BatchQueue {
+    /**
+     * @param {Function} runner - 执行单个任务的函数 (job, onProgress, signal, onSubmit) => Promise<生成信息>，取消时应抛出 AbortError；
+     *                            提交任务后调用 onSubmit(task)，task 为可以继续获取结果的未完成任务
+     * @param {number} concurrency - 同时生成的任务数
+     */
+    constructor(runner, concurrency = DEFAULT_CONCURRENCY) {
+        this.runner = runner;
+        this.jobs = [];
+        this.nextId = 1;
+        this.running = 0;
+        this.paused = false;
+
+        // 正在生成的任务的取消控制器（任务ID → AbortController）
+        this.controllers = new Map();
+
+        // 回调函数
+        this.callbacks = {};
+
+        this.concurrency = DEFAULT_CONCURRENCY;
+        this.setConcurrency(concurrency);
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - 回调函数对象（onChange：队列有变化时；onJobComplete：任务生成成功时）
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = callbacks;
+    }
+
+    /**
+     * 添加任务（队列未暂停时立即开始）
+     * @param {Array<{theme: string, themeName: string, title: string, sceneId: string, profileId: string, resumeTask: Object}>} items - 任务列表
+     * @returns {Array} 新建的任务
+     */
+    addJobs(items) {
+        const jobs = items.map(item => ({
+            id: this.nextId++,
+            theme: item.theme,
+            themeName: item.themeName || item.theme,
+            title: item.title,
+            sceneId: item.sceneId || null,
+            profileId: item.profileId || null,
+            resumeTask: item.resumeTask || null,
+            status: JOB_STATUS.PENDING,
+            progress: null,
+            error: null,
+            result: null,
+            runs: 0,
+            createdAt: Date.now(),
+            finishedAt: null
+        }));
+
+        this.jobs.push(...jobs);
+        this.notify();
+        this.schedule();
+        return jobs;
+    }
+
+    /**
+     * 设置并发数（立即生效，超出部分会在当前任务结束后才减少）
+     * @param {number} concurrency - 同时生成的任务数
+     */
+    setConcurrency(concurrency) {
+        const value = Math.round(Number(concurrency));
+        if (!Number.isFinite(value)) return;
+
+        this.concurrency = Math.min(MAX_CONCURRENCY, Math.max(MIN_CONCURRENCY, value));
+        this.notify();
+        this.schedule();
+    }
+
+    /**
+     * 暂停队列：不再开始新任务，正在生成的任务继续完成
+     */
+    pause() {
+        this.paused = true;
+        this.notify();
+    }
+
+    /**
+     * 继续队列
+     */
+    resume() {
+        this.paused = false;
+        this.notify();
+        this.schedule();
+    }
+
+    /**
+     * 暂停单个等待中的任务
+     * 只能暂停还没开始的任务：正在生成的任务已经提交，服务端会继续生成，只能取消
+     * @param {number} id - 任务ID
+     */
+    pauseJob(id) {
+        const job = this.getJob(id);
+        if (job && job.status === JOB_STATUS.PENDING) {
+            job.status = JOB_STATUS.PAUSED;
+            this.notify();
+        }
+    }
+
+    /**
+     * 继续单个已暂停的任务
+     * @param {number} id - 任务ID
+     */
+    resumeJob(id) {
+        const job = this.getJob(id);
+        if (job && job.status === JOB_STATUS.PAUSED) {
+            job.status = JOB_STATUS.PENDING;
+            this.notify();
+            this.schedule();
+        }
+    }
+
+    /**
+     * 取消任务（正在生成的任务会立即停止轮询）
+     * @param {number} id - 任务ID
+     */
+    cancelJob(id) {
+        const job = this.getJob(id);
+        if (job && this.isActive(job)) {
+            this.markCancelled(job);
+            this.notify();
+        }
+    }
+
+    /**
+     * 取消所有未完成的任务
+     */
+    cancelAll() {
+        this.jobs.filter(job => this.isActive(job)).forEach(job => this.markCancelled(job));
+        this.notify();
+    }
+
+    /**
+     * 将任务标记为已取消，并中止它正在进行的请求
+     * @param {Object} job - 任务
+     */
+    markCancelled(job) {
+        job.status = JOB_STATUS.CANCELLED;
+        job.finishedAt = Date.now();
+
+        const controller = this.controllers.get(job.id);
+        if (controller) {
+            controller.abort();
+            this.controllers.delete(job.id);
+        }
+    }
+
+    /**
+     * 重试失败、已取消或已过期的任务（已提交的任务继续获取原来的结果，见 resetJob）
+     * @param {number} id - 任务ID
+     */
+    retryJob(id) {
+        const job = this.getJob(id);
+        if (job && !this.isActive(job) && job.status !== JOB_STATUS.DONE) {
+            this.resetJob(job);
+            this.notify();
+            this.schedule();
+        }
+    }
+
+    /**
+     * 重试所有失败和已过期的任务
+     */
+    retryFailed() {
+        this.jobs
+            .filter(job => job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.EXPIRED)
+            .forEach(job => this.resetJob(job));
+        this.notify();
+        this.schedule();
+    }
+
+    /**
+     * 移除已结束的任务（正在生成和等待中的任务不能移除）
+     * @param {number} id - 任务ID
+     */
+    removeJob(id) {
+        const job = this.getJob(id);
+        if (job && !this.isActive(job)) {
+            this.jobs = this.jobs.filter(item => item !== job);
+            this.notify();
+        }
+    }
+
+    /**
+     * 清空已结束的任务
+     */
+    clearFinished() {
+        this.jobs = this.jobs.filter(job => this.isActive(job));
+        this.notify();
+    }
+
+    /**
+     * 获取任务
+     * @param {number} id - 任务ID
+     * @returns {Object|null} 任务
+     */
+    getJob(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    /**
+     * 获取全部任务
+     * @returns {Array} 任务列表
+     */
+    getJobs() {
+        return this.jobs;
+    }
+
+    /**
+     * 获取生成成功的结果（按任务顺序）
+     * @returns {Array<Object>} 生成信息
+     */
+    getResults() {
+        return this.jobs.filter(job => job.status === JOB_STATUS.DONE).map(job => job.result);
+    }
+
+    /**
+     * 获取队列概况
+     * @returns {Object} 各状态的任务数、并发数和队列是否暂停
+     */
+    getSummary() {
+        const summary = { total: this.jobs.length, concurrency: this.concurrency, queuePaused: this.paused };
+        Object.values(JOB_STATUS).forEach(status => {
+            summary[status] = this.jobs.filter(job => job.status === status).length;
+        });
+        return summary;
+    }
+
+    /**
+     * 任务是否还未结束（等待、生成中或已暂停）
+     * @param {Object} job - 任务
+     * @returns {boolean}
+     */
+    isActive(job) {
+        return [JOB_STATUS.PENDING, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED].includes(job.status);
+    }
+
+    /**
+     * 将任务重置为等待状态
+     * 已提交的任务（取消、超时或网络错误后）继续获取原任务的结果，避免重复付费；
+     * 任务本身失败或已过期时 run 已清除 resumeTask，重试会重新提交
+     * @param {Object} job - 任务
+     */
+    resetJob(job) {
+        job.status = JOB_STATUS.PENDING;
+        job.progress = null;
+        job.error = null;
+        job.finishedAt = null;
+    }
+
+    /**
+     * 在并发数允许的范围内开始等待中的任务
+     */
+    schedule() {
+        while (!this.paused && this.running < this.concurrency) {
+            const job = this.jobs.find(item => item.status === JOB_STATUS.PENDING);
+            if (!job) return;
+            this.run(job);
+        }
+    }
+
+    /**
+     * 执行任务
+     * 取消后立即重试时上一次的请求可能还没结束，用 runs 区分，只采用最新一次的结果
+     * @param {Object} job - 任务
+     */
+    async run(job) {
+        const run = ++job.runs;
+        const isCurrent = () => job.runs === run && job.status === JOB_STATUS.RUNNING;
+        const controller = new AbortController();
+
+        job.status = JOB_STATUS.RUNNING;
+        job.progress = null;
+        this.controllers.set(job.id, controller);
+        this.running++;
+        this.notify();
+
+        try {
+            const result = await this.runner(job, (progress) => {
+                if (isCurrent()) {
+                    job.progress = progress;
+                    this.notify();
+                }
+            }, controller.signal, (task) => {
+                if (isCurrent()) {
+                    job.resumeTask = task;
+                }
+            });
+
+            if (isCurrent()) {
+                job.status = JOB_STATUS.DONE;
+                job.result = result;
+                job.finishedAt = Date.now();
+                if (this.callbacks.onJobComplete) {
+                    this.callbacks.onJobComplete(job);
+                }
+            }
+        } catch (error) {
+            if (isAbortError(error)) {
+                console.log(`批量任务《${job.title}》已取消`);
+            } else {
+                console.error(`批量任务《${job.title}》生成失败:`, error);
+            }
+            if (isCurrent()) {
+                if (isAbortError(error)) {
+                    job.status = JOB_STATUS.CANCELLED;
+                } else {
+                    job.status = error.name === 'TaskExpiredError' ? JOB_STATUS.EXPIRED : JOB_STATUS.FAILED;
+                    job.error = error.message;
+                    // 任务本身失败或已过期，重试时需要重新提交
+                    if (job.status === JOB_STATUS.EXPIRED || error.kind === 'task') {
+                        job.resumeTask = null;
+                    }
+                }
+                job.finishedAt = Date.now();
+            }
+        } finally {
+            if (this.controllers.get(job.id) === controller) {
+                this.controllers.delete(job.id);
+            }
+            this.running--;
+            this.notify();
+            this.schedule();
+        }
+    }
+
+    /**
+     * 通知队列变化
+     */
+    notify() {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.jobs, this.getSummary());
+        }
+    }
+
+    /**
+     * 把生成成功的结果打包成 ZIP：每张小报一张图片，另附 清单.json 记录主题、标题、提示词和词汇
+     * @param {Function} fetchImageBlob - 获取图片数据的函数 (imageUrl) => Promise<Blob|null>
+     * @returns {Promise<Blob>} ZIP 文件
+     */
+    async createArchive(fetchImageBlob) {
+        const jobs = this.jobs.filter(job => job.status === JOB_STATUS.DONE);
+        if (jobs.length === 0) {
+            throw new Error('还没有生成成功的小报');
+        }
+
+        const zip = new ZipWriter();
+        const manifest = [];
+
+        for (const [index, job] of jobs.entries()) {
+            const result = job.result;
+            const extension = (result.settings && result.settings.format) || 'png';
+            const number = String(index + 1).padStart(2, '0');
+            const filename = `${number}_${job.themeName}_${result.title}`.replace(INVALID_FILENAME_CHARS, '_') + `.${extension}`;
+
+            const imageBlob = result.imageBlob || await fetchImageBlob(result.imageUrl);
+            if (imageBlob) {
+                zip.addFile(filename, imageBlob);
+            }
+
+            manifest.push({
+                file: imageBlob ? filename : null,
+                theme: result.theme,
+                scene: result.scene,
+                profile: result.profile,
+                title: result.title,
+                template: result.template,
+                // 部分服务直接返回 data: 格式的图片，图片已在 ZIP 中，清单里不再重复
+                imageUrl: result.imageUrl.startsWith('data:') ? null : result.imageUrl,
+                prompt: result.prompt,
+                vocabularies: result.vocabularies
+            });
+        }
+
+        zip.addFile('清单.json', JSON.stringify({ createdAt: new Date().toISOString(), items: manifest }, null, 2));
+        return zip.toBlob();
+    }
+}
@@ -3,7 +3,44 @@
  * 处理对话流程、词汇生成、提示词构建等核心业务逻辑
  */
 
-import { apiManager } from './api.js';
+import { apiManager, ApiError, isAbortError } from './api.js';
+import { pinyinConverter } from './pinyin.js';
+import { vocabularyLLM } from './llm.js';
+import { themeMatcher } from './theme-matcher.js';
+import { templateEngine } from './template-engine.js';
+import { templateLibrary } from './template-library.js';
+import { profileManager } from './profiles.js';
+import { downloadManager } from './download.js';
+import { BatchQueue } from './batch-queue.js';
+import { pendingTaskStore, TaskExpiredError } from './pending-tasks.js';
+import { createLabels } from './label-overlay.js';
+
+/**
+ * 词汇分类（审阅和编辑词汇时按此顺序分组展示）
+ */
+export const VOCABULARY_CATEGORIES = [
+    { key: 'characters', label: '人物' },
+    { key: 'items', label: '物品' },
+    { key: 'facilities', label: '设施' },
+    { key: 'environment', label: '环境' }
+];
+
+/**
+ * 场景词汇的合并方式
+ * extend：场景词排在主题词之前（默认）；override：只使用场景词，不再使用主题中该分类的词
+ */
+export const SCENE_VOCABULARY_MODES = ['extend', 'override'];
+
+/**
+ * 兜底占位词（未匹配到主题时生成的通用词，需要提醒用户替换）
+ */
+export const PLACEHOLDER_WORDS = ['人', '孩子', '物品', '玩具', '设施', '环境'];
+
+/**
+ * 页面贴标签时追加到提示词末尾的要求（模板中没有使用 {{空白标签}} 时）
+ */
+const BLANK_LABEL_PROMPT = `# 补充要求：标签留白
+画面中所有识字标签、贴纸和词语卡片都画成**空白的白色圆角贴纸**，贴纸内不要写任何汉字、拼音、英文或符号，文字会在生成后另行贴上。贴纸靠近对应的物体，大小一致，彼此不重叠。`;
 
 /**
  * 对话管理器
@@ -71,21 +108,16 @@ export class ConversationManager {
                 this.currentTitle = input;
                 this.state = 'GENERATING';
 
-                // 生成提示词
-                const promptGenerator = new PromptGenerator();
-                const prompt = await promptGenerator.generatePrompt(this.currentTheme, this.currentTitle);
-
-                const promptMessage = {
-                    type: 'ai',
-                    content: '提示词已生成，正在生成小报图片...',
-                    prompt: prompt
+                // 词汇和提示词在审阅词汇后由 BusinessController 生成，这里只确认主题和标题
+                const confirmMessage = {
+                    type: 'system',
+                    content: '主题和标题已确认，正在准备词汇...'
                 };
-                this.addMessage(promptMessage);
+                this.addMessage(confirmMessage);
 
                 return {
                     state: this.state,
-                    message: promptMessage,
-                    prompt: prompt,
+                    message: confirmMessage,
                     theme: this.currentTheme,
                     title: this.currentTitle
                 };
@@ -133,7 +165,8 @@ export class ConversationManager {
 export class VocabularyGenerator {
     constructor() {
         this.themes = null;
-        this.loadThemes();
+        this.dynamicCache = new Map();
+        this.ready = this.loadThemes();
     }
 
     /**
@@ -149,6 +182,8 @@ export class VocabularyGenerator {
             // 使用默认主题数据
             this.themes = this.getDefaultThemes();
         }
+
+        themeMatcher.setThemes(this.themes);
     }
 
     /**
@@ -187,48 +222,240 @@ export class VocabularyGenerator {
     getThemeByName(themeName) {
         if (!this.themes) return null;
 
-        // 查找匹配的主题
-        for (const [key, theme] of Object.entries(this.themes)) {
-            if (theme.name === themeName) {
-                return theme;
-            }
+        // 按主题ID查找（主题卡片使用ID）
+        if (this.themes[themeName]) {
+            return this.themes[themeName];
         }
 
-        // 尝试模糊匹配
-        for (const [key, theme] of Object.entries(this.themes)) {
-            if (theme.name.includes(themeName) || themeName.includes(theme.name)) {
-                return theme;
-            }
+        // 按名称、同义词和拼音匹配
+        const match = this.findTheme(themeName);
+        return match ? this.themes[match.id] : null;
+    }
+
+    /**
+     * 查找与输入最匹配的主题
+     * @param {string} themeName - 主题名称
+     * @returns {Object|null} 匹配结果 { id, name, icon, score, reason, matchedText }，置信度不足时返回 null
+     */
+    findTheme(themeName) {
+        const match = themeMatcher.findBest(themeName);
+        // 只在输入被替换为其他主题时记录，名称或ID一致时不记录
+        if (match && match.reason !== 'exact') {
+            console.log(`主题「${themeName}」匹配到「${match.name}」，置信度 ${match.score}`);
         }
+        return match;
+    }
 
-        return null;
+    /**
+     * 获取主题建议（“你是不是想找”）
+     * @param {string} query - 用户输入
+     * @returns {Promise<Array>} 按置信度排列的匹配结果
+     */
+    async suggestThemes(query) {
+        await this.ready;
+        return themeMatcher.match(query);
     }
 
     /**
-     * 根据主题生成词汇
+     * 获取主题的显示名称（主题ID转换为中文名称，其他输入原样返回）
+     * @param {string} theme - 主题ID或名称
+     * @returns {string} 显示名称
+     */
+    getDisplayName(theme) {
+        return this.themes && this.themes[theme] ? this.themes[theme].name : theme;
+    }
+
+    /**
+     * 获取主题下的场景
      * @param {string} theme - 主题
+     * @param {string} sceneId - 场景ID
+     * @returns {Object|null} 场景数据
+     */
+    getScene(theme, sceneId) {
+        if (!sceneId) return null;
+
+        const themeData = this.getThemeByName(theme);
+        const scenes = (themeData && themeData.scenes) || [];
+        return scenes.find(scene => scene.id === sceneId) || null;
+    }
+
+    /**
+     * 根据主题（和场景）生成词汇
+     * @param {string} theme - 主题
+     * @param {string} sceneId - 场景ID（可选，按场景的 vocabularyMode 补充或替换主题词汇）
+     * @param {string|Object} profile - 学习者档案或其ID（可选，默认使用当前选择的档案）
      * @returns {Object} 生成的词汇
      */
-    async generateVocabulary(theme) {
+    async generateVocabulary(theme, sceneId = null, profile = null) {
+        // 等待主题数据加载完成
+        await this.ready;
+
         const themeData = this.getThemeByName(theme);
+        let vocabularies;
 
         if (themeData) {
             // 使用预设主题数据
-            return themeData.vocabularies;
+            vocabularies = this.normalizeVocabularies(themeData.vocabularies);
+            const scene = this.getScene(theme, sceneId);
+            if (scene) {
+                vocabularies = this.applyScene(scene, vocabularies);
+            }
         } else {
-            // 动态生成词汇（基于关键词）
-            return this.generateDynamicVocabulary(theme);
+            // 动态生成词汇（文本模型联想，离线时使用本地兜底词汇）
+            vocabularies = this.normalizeVocabularies(await this.generateDynamicVocabulary(theme));
+        }
+
+        return this.applyProfile(vocabularies, profileManager.resolve(profile));
+    }
+
+    /**
+     * 按学习者档案筛选词汇
+     * 去掉超过难度上限（level）或字数上限的词，再从各分类轮流挑选，直到达到词语数量上限；
+     * 没有标注 level 的词（如文本模型联想的词）只按字数筛选。
+     * 某个分类没有符合条件的词时，保留其中最简单的一个，保证每个分类至少有一个词
+     * @param {Object} vocabularies - 已整理的词汇
+     * @param {Object} profile - 学习者档案
+     * @returns {Object} 筛选后的词汇
+     */
+    applyProfile(vocabularies, profile) {
+        const candidates = VOCABULARY_CATEGORIES.map(({ key }) => {
+            const words = vocabularies[key].filter(word => {
+                return (!word.level || word.level <= profile.maxLevel)
+                    && Array.from(word.chinese).length <= profile.maxChars;
+            });
+            if (words.length === 0 && vocabularies[key].length > 0) {
+                words.push(this.findEasiestWord(vocabularies[key]));
+            }
+            return words;
+        });
+
+        const result = {};
+        VOCABULARY_CATEGORIES.forEach(({ key }) => {
+            result[key] = [];
+        });
+
+        let total = 0;
+        for (let round = 0; total < profile.maxWords; round++) {
+            let picked = false;
+            VOCABULARY_CATEGORIES.forEach(({ key }, index) => {
+                const word = candidates[index][round];
+                if (word && total < profile.maxWords) {
+                    result[key].push(word);
+                    total++;
+                    picked = true;
+                }
+            });
+            if (!picked) break;
         }
+
+        return result;
     }
 
     /**
-     * 动态生成词汇（基于关键词）
+     * 找出一组词中最简单的词：难度最低，难度相同时字数最少
+     * @param {Array} words - 词语列表（不能为空）
+     * @returns {Object} 最简单的词
+     */
+    findEasiestWord(words) {
+        const difficulty = (word) => [word.level || 0, Array.from(word.chinese).length];
+        return words.reduce((easiest, word) => {
+            const [level, length] = difficulty(word);
+            const [easiestLevel, easiestLength] = difficulty(easiest);
+            return level < easiestLevel || (level === easiestLevel && length < easiestLength) ? word : easiest;
+        });
+    }
+
+    /**
+     * 将词汇整理为统一的四个分类，并复制一份避免修改主题数据
+     * 动物园的 animals 归入人物（主要对象），交通的 vehicles 归入物品，缺少拼音的词自动标注，保留难度 level
+     * @param {Object} vocabularies - 原始词汇
+     * @returns {Object} 统一分类后的词汇
+     */
+    normalizeVocabularies(vocabularies) {
+        const copyList = (list) => {
+            return (list || []).map(item => {
+                const word = pinyinConverter.annotate({ pinyin: item.pinyin || '', chinese: item.chinese });
+                return item.level ? { ...word, level: item.level } : word;
+            });
+        };
+
+        return {
+            characters: [...copyList(vocabularies.characters), ...copyList(vocabularies.animals)],
+            items: [...copyList(vocabularies.vehicles), ...copyList(vocabularies.items)],
+            facilities: copyList(vocabularies.facilities),
+            environment: copyList(vocabularies.environment)
+        };
+    }
+
+    /**
+     * 将场景词汇应用到主题词汇上
+     * 场景的 vocabularyMode 按分类指定合并方式，如 { "items": "override" }，未指定的分类按 extend 处理
+     * @param {Object} scene - 场景数据
+     * @param {Object} vocabularies - 已整理的主题词汇
+     * @returns {Object} 应用场景后的词汇
+     */
+    applyScene(scene, vocabularies) {
+        const modes = scene.vocabularyMode || {};
+        const themeVocabularies = {};
+
+        VOCABULARY_CATEGORIES.forEach(({ key }) => {
+            themeVocabularies[key] = modes[key] === 'override' ? [] : vocabularies[key];
+        });
+
+        return this.mergeVocabularies(this.normalizeVocabularies(scene.vocabularies || {}), themeVocabularies);
+    }
+
+    /**
+     * 合并两组已整理的词汇，前一组优先，重复的词只保留一次
+     * @param {Object} primary - 优先的词汇（如场景词汇）
+     * @param {Object} secondary - 补充的词汇（如主题词汇）
+     * @returns {Object} 合并后的词汇
+     */
+    mergeVocabularies(primary, secondary) {
+        const seen = new Set();
+        const result = {};
+
+        VOCABULARY_CATEGORIES.forEach(({ key }) => {
+            result[key] = [...primary[key], ...secondary[key]].filter(word => {
+                if (seen.has(word.chinese)) return false;
+                seen.add(word.chinese);
+                return true;
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * 动态生成词汇
+     * 已配置文本模型时由模型联想词汇（同一主题只请求一次），失败或离线时使用本地兜底词汇
+     * @param {string} theme - 主题
+     * @returns {Promise<Object>} 生成的词汇
+     */
+    async generateDynamicVocabulary(theme) {
+        if (this.dynamicCache.has(theme)) {
+            return this.dynamicCache.get(theme);
+        }
+
+        if (vocabularyLLM.isAvailable()) {
+            try {
+                const vocabularies = await vocabularyLLM.generateVocabulary(theme);
+                this.dynamicCache.set(theme, vocabularies);
+                return vocabularies;
+            } catch (error) {
+                console.warn('文本模型生成词汇失败，使用本地词汇:', error);
+            }
+        }
+
+        return this.getFallbackVocabulary(theme);
+    }
+
+    /**
+     * 本地兜底词汇
      * @param {string} theme - 主题
      * @returns {Object} 生成的词汇
      */
-    generateDynamicVocabulary(theme) {
-        // 这里可以实现更复杂的词汇生成逻辑
-        // 目前返回一个基本的词汇结构
+    getFallbackVocabulary(theme) {
         return {
             characters: [
                 {"pinyin": "rén", "chinese": "人"},
@@ -249,7 +476,7 @@ export class VocabularyGenerator {
 
     /**
      * 获取所有可用主题
-     * @returns {Array} 主题列表
+     * @returns {Array} 主题列表（listed 为 false 的主题只用于匹配自定义主题，不在主题卡片中展示）
      */
     getAvailableThemes() {
         if (!this.themes) return [];
@@ -258,7 +485,14 @@ export class VocabularyGenerator {
             id: key,
             name: theme.name,
             icon: theme.icon,
-            titles: theme.titles
+            listed: theme.listed !== false,
+            titles: theme.titles,
+            scenes: (theme.scenes || []).map(scene => ({
+                id: scene.id,
+                name: scene.name,
+                icon: scene.icon,
+                desc: scene.desc
+            }))
         }));
     }
 }
@@ -268,92 +502,122 @@ export class VocabularyGenerator {
  * 根据主题和标题生成完整的AI绘图提示词
  */
 export class PromptGenerator {
-    constructor() {
-        this.vocabularyGenerator = new VocabularyGenerator();
-        this.template = `请生成一张儿童识字小报《{{主题/场景}}》，竖版 A4，学习小报版式，适合 5–9 岁孩子 认字与看图识物。
-
-# 一、小报标题区（顶部）
-
-**顶部居中大标题**：《{{标题}}》
-* **风格**：十字小报 / 儿童学习报感
-* **文本要求**：大字、醒目、卡通手写体、彩色描边
-* **装饰**：周围添加与 {{主题/场景}} 相关的贴纸风装饰，颜色鲜艳
-
-# 二、小报主体（中间主画面）
-
-画面中心是一幅 **卡通插画风的「{{主题/场景}}」场景**：
-* **整体气氛**：明亮、温暖、积极
-* **构图**：物体边界清晰，方便对应文字，不要过于拥挤。
-
-**场景分区与核心内容**
-1.  **核心区域 A（主要对象）**：表现 {{主题/场景}} 的核心活动。
-2.  **核心区域 B（配套设施）**：展示相关的工具或物品。
-3.  **核心区域 C（环境背景）**：体现环境特征（如墙面、指示牌等）。
-
-**主题人物**
-* **角色**：1 位可爱卡通人物（职业/身份：与 {{主题/场景}} 匹配）。
-* **动作**：正在进行与场景相关的自然互动。
-
-# 三、必画物体与识字清单（Generated Content）
-
-**请务必在画面中清晰绘制以下物体，并为其预留贴标签的位置：**
-
-**1. 核心角色与设施：**
-{{核心角色与设施}}
-
-**2. 常见物品/工具：**
-{{常见物品工具}}
-
-**3. 环境与装饰：**
-{{环境与装饰}}
+    /**
+     * @param {VocabularyGenerator} vocabularyGenerator - 词汇生成器（与 BusinessController 共用，同一主题的联想词汇只请求一次）
+     */
+    constructor(vocabularyGenerator = new VocabularyGenerator()) {
+        this.vocabularyGenerator = vocabularyGenerator;
+        // 场景分区的默认描述（场景可以通过 zones 覆盖）
+        this.defaultZones = {
+            A: '表现 {{主题/场景}} 的核心活动。',
+            B: '展示相关的工具或物品。',
+            C: '体现环境特征（如墙面、指示牌等）。'
+        };
+        this.templateLibrary = templateLibrary;
+    }
 
-*(注意：画面中的物体数量不限于此，但以上列表必须作为重点描绘对象)*
+    /**
+     * 生成完整的提示词
+     * @param {string} theme - 主题
+     * @param {string} title - 标题
+     * @param {Object} options - 选项（均可选）
+     * @param {Object} options.vocabularies - 词汇数据（不传时根据主题生成）
+     * @param {string} options.sceneId - 场景ID
+     * @param {string} options.template - 模板内容（不传时使用模板库中选用的模板）
+     * @param {string|Object} options.profile - 学习者档案或其ID（默认使用当前选择的档案）
+     * @param {boolean} options.blankLabels - 是否只画空白贴纸，由页面贴标签
+     * @returns {Promise<string>} 完整的提示词
+     * @throws {TemplateError} 模板有语法错误或无法解析的占位符
+     */
+    async generatePrompt(theme, title, options = {}) {
+        const { sceneId = null, blankLabels = false } = options;
+        const profile = profileManager.resolve(options.profile);
+        const template = options.template || this.templateLibrary.getSelectedTemplate().content;
 
-# 四、识字标注规则
+        // 获取词汇数据
+        const vocabularies = options.vocabularies || await this.vocabularyGenerator.generateVocabulary(theme, sceneId, profile);
+        await this.vocabularyGenerator.ready;
 
-对上述清单中的物体，贴上中文识字标签：
-* **格式**：两行制（第一行拼音带声调，第二行简体汉字）。
-* **样式**：彩色小贴纸风格，白底黑字或深色字，清晰可读。
-* **排版**：标签靠近对应的物体，不遮挡主体。
+        const context = this.buildContext(theme, title, vocabularies, sceneId, profile, blankLabels);
+        const prompt = templateEngine.render(template, context);
 
-# 五、画风参数
-* **风格**：儿童绘本风 + 识字小报风
-* **色彩**：高饱和、明快、温暖 (High Saturation, Warm Tone)
-* **质量**：8k resolution, high detail, vector illustration style, clean lines.`;
+        // 模板自己没有处理空白贴纸时，在末尾补充要求
+        if (blankLabels && !template.includes('空白标签')) {
+            return `${prompt}\n\n${BLANK_LABEL_PROMPT}`;
+        }
+        return prompt;
     }
 
     /**
-     * 生成完整的提示词
+     * 构建模板变量（变量说明见 template-library.js 的 TEMPLATE_VARIABLES）
      * @param {string} theme - 主题
      * @param {string} title - 标题
-     * @returns {Promise<string>} 完整的提示词
+     * @param {Object} vocabularies - 词汇数据
+     * @param {string} sceneId - 场景ID（可选）
+     * @param {Object} profile - 学习者档案（可选，默认使用当前选择的档案）
+     * @param {boolean} blankLabels - 是否只画空白贴纸（可选）
+     * @returns {Object} 模板变量
      */
-    async generatePrompt(theme, title) {
-        // 获取词汇数据
-        const vocabularies = await this.vocabularyGenerator.generateVocabulary(theme);
+    buildContext(theme, title, vocabularies, sceneId = null, profile = null, blankLabels = false) {
+        profile = profileManager.resolve(profile);
+        const scene = this.vocabularyGenerator.getScene(theme, sceneId);
+        const formattedVocabs = this.formatVocabularies(vocabularies, profile.showPinyin);
+        const formatWord = (word) => profile.showPinyin ? `${word['拼音']} ${word['汉字']}` : word['汉字'];
+
+        const context = {
+            '主题/场景': this.vocabularyGenerator.getDisplayName(theme),
+            '标题': title,
+            '场景': scene ? scene.name : '',
+            '场景重点': scene && scene.promptHints ? scene.promptHints.join('；') : '',
+            '核心角色与设施': formattedVocabs.characters,
+            '常见物品工具': formattedVocabs.items,
+            '环境与装饰': formattedVocabs.environment,
+            '年龄': profile.ages,
+            '学段': profile.name,
+            '显示拼音': profile.showPinyin,
+            '标签样式': profile.labelStyle,
+            '空白标签': blankLabels,
+            '画风': profile.artStyle,
+            '色彩': profile.colorStyle
+        };
 
-        // 格式化词汇列表
-        const formattedVocabs = this.formatVocabularies(vocabularies);
+        // 词汇按分类和按全部列出，供 {{#each}} 使用
+        const toWord = (item) => {
+            const word = pinyinConverter.annotate(item);
+            return { '拼音': word.pinyin, '汉字': word.chinese };
+        };
+        context['分类'] = VOCABULARY_CATEGORIES.map(({ key, label }) => {
+            const words = (vocabularies[key] || []).map(toWord);
+            return {
+                '名称': label,
+                '词语': words,
+                '文本': words.map(formatWord).join(', ')
+            };
+        });
+        context['全部词语'] = context['分类'].flatMap(category => category['词语']);
+        context['词语数量'] = context['全部词语'].length;
 
-        // 替换模板中的占位符
-        let prompt = this.template
-            .replace(/\{\{主题\/场景\}\}/g, theme)
-            .replace(/\{\{标题\}\}/g, title)
-            .replace(/\{\{核心角色与设施\}\}/g, formattedVocabs.characters)
-            .replace(/\{\{常见物品工具\}\}/g, formattedVocabs.items)
-            .replace(/\{\{环境与装饰\}\}/g, formattedVocabs.environment);
+        // 场景分区（场景未覆盖的分区使用默认描述，描述中也可以使用变量）
+        const zones = { ...this.defaultZones, ...((scene && scene.zones) || {}) };
+        Object.entries(zones).forEach(([zone, text]) => {
+            context[`核心区域${zone}`] = templateEngine.render(text, context);
+        });
 
-        return prompt;
+        return context;
     }
 
     /**
      * 格式化词汇列表
      * @param {Object} vocabularies - 词汇对象
+     * @param {boolean} showPinyin - 是否带拼音（默认带）
      * @returns {Object} 格式化后的词汇
      */
-    formatVocabularies(vocabularies) {
+    formatVocabularies(vocabularies, showPinyin = true) {
         const formatList = (list) => {
-            return list.map(item => `${item.pinyin} ${item.chinese}`).join(', ');
+            return list
+                .map(item => pinyinConverter.annotate(item))
+                .map(item => showPinyin ? `${item.pinyin} ${item.chinese}` : item.chinese)
+                .join(', ');
         };
 
         return {
@@ -369,8 +633,11 @@ export class PromptGenerator {
  * 管理图片生成流程
  */
 export class ImageGenerationManager {
-    constructor() {
-        this.promptGenerator = new PromptGenerator();
+    /**
+     * @param {PromptGenerator} promptGenerator - 提示词生成器
+     */
+    constructor(promptGenerator = new PromptGenerator()) {
+        this.promptGenerator = promptGenerator;
     }
 
     /**
@@ -381,33 +648,159 @@ export class ImageGenerationManager {
      * @returns {Promise<string>} 图片URL
      */
     async generateImage(theme, title, onProgress = null) {
+        const generation = await this.generateWithDetails(theme, title, onProgress);
+        return generation.imageUrl;
+    }
+
+    /**
+     * 生成图片并返回完整的生成信息
+     * @param {string} theme - 主题
+     * @param {string} title - 标题
+     * @param {Function} onProgress - 进度回调
+     * @param {Object} options - 选项（均可选），其余字段为本次生成的参数（aspectRatio, resolution, format，未提供的使用默认设置）
+     * @param {Object} options.vocabularies - 审阅后的词汇（不传时根据主题生成）
+     * @param {string} options.sceneId - 场景ID
+     * @param {string} options.profileId - 学习者档案ID（默认使用当前选择的档案）
+     * @param {AbortSignal} options.signal - 取消信号（取消后抛出 AbortError）
+     * @param {string} options.source - 来源（single 或 batch，默认 single），页面刷新后据此决定在哪里继续任务
+     * @param {boolean} options.labelOverlay - 为 true 时只画空白贴纸，由页面贴标签
+     * @param {Function} options.onSubmit - 提交任务后的回调 (task) => void，task 同未完成任务，可用于之后继续获取结果
+     * @returns {Promise<Object>} 生成信息（theme, scene, profile, title, template, prompt, vocabularies, settings, provider, labelOverlay, labels, imageUrl）
+     */
+    async generateWithDetails(theme, title, onProgress = null, options = {}) {
+        const {
+            vocabularies: reviewedVocabularies = null,
+            sceneId = null,
+            profileId = null,
+            signal = null,
+            source = 'single',
+            labelOverlay = false,
+            onSubmit = null,
+            ...generationOptions
+        } = options;
+
         try {
-            // 生成提示词
-            const prompt = await this.promptGenerator.generatePrompt(theme, title);
+            const profile = profileManager.resolve(profileId);
+
+            // 获取词汇并生成提示词
+            const vocabularies = reviewedVocabularies
+                || await this.promptGenerator.vocabularyGenerator.generateVocabulary(theme, sceneId, profile);
+            const template = this.promptGenerator.templateLibrary.getSelectedTemplate();
+            const prompt = await this.promptGenerator.generatePrompt(theme, title, {
+                vocabularies,
+                sceneId,
+                template: template.content,
+                profile,
+                blankLabels: labelOverlay
+            });
+            const provider = apiManager.getProviderId();
+            const settings = apiManager.resolveSettings(generationOptions, provider);
+
+            const details = {
+                theme: theme,
+                scene: sceneId,
+                profile: profile.id,
+                title: title,
+                template: template.id,
+                prompt: prompt,
+                vocabularies: vocabularies,
+                settings: settings,
+                provider: provider,
+                labelOverlay: labelOverlay,
+                labels: labelOverlay ? createLabels(vocabularies, profile.showPinyin) : null
+            };
 
-            // 调用API生成图片
-            const imageUrl = await apiManager.generateImage(prompt, {}, onProgress);
+            // 提交任务（附带标题和词汇，供离线演示服务绘制占位图），并在拿到结果前保存任务ID，以便页面刷新后继续
+            const taskId = await apiManager.submitTask(prompt, { ...generationOptions, title, vocabularies }, signal, provider);
+            const task = { taskId, source, createdAt: Date.now(), ...details };
+            pendingTaskStore.add(task);
+            if (onSubmit) {
+                onSubmit(task);
+            }
 
-            return imageUrl;
+            try {
+                const imageUrl = await apiManager.waitForTask(taskId, onProgress, signal, provider);
+                pendingTaskStore.remove(taskId);
+                return { ...details, imageUrl };
+            } catch (error) {
+                if (this.isTaskFinished(error)) {
+                    pendingTaskStore.remove(taskId);
+                }
+                throw error;
+            }
         } catch (error) {
-            console.error('生成图片失败:', error);
+            if (!isAbortError(error)) {
+                console.error('生成图片失败:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * 下载图片
-     * @param {string} imageUrl - 图片URL
-     * @param {string} filename - 文件名
+     * 继续获取页面刷新前提交的任务的结果
+     * 等待过久的任务只再查询一次，仍未完成时抛出 TaskExpiredError；
+     * 拿到结果、任务失败、过期或取消时从未完成任务中移除，超时或网络错误时保留，下次刷新页面后再继续
+     * @param {Object} task - 未完成任务
+     * @param {Function} onProgress - 进度回调
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Object>} 生成信息（同 generateWithDetails）
      */
-    downloadImage(imageUrl, filename = '儿童识字小报.png') {
-        const link = document.createElement('a');
-        link.href = imageUrl;
-        link.download = filename;
-        link.target = '_blank';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    async resumeTask(task, onProgress = null, signal = null) {
+        const { taskId, source, createdAt, ...details } = task;
+
+        // 升级前保存的任务没有记录服务，都是 Kie AI 的任务
+        const provider = details.provider || 'kie';
+
+        try {
+            let imageUrl;
+
+            if (pendingTaskStore.isExpired(task)) {
+                const status = await apiManager.checkTask(taskId, signal, provider);
+                if (status.state === 'fail') {
+                    throw new ApiError(status.failMsg || '任务执行失败', { kind: 'task' });
+                }
+                if (!status.imageUrl) {
+                    throw new TaskExpiredError();
+                }
+                imageUrl = status.imageUrl;
+            } else {
+                imageUrl = await apiManager.waitForTask(taskId, onProgress, signal, provider);
+            }
+
+            pendingTaskStore.remove(taskId);
+            return { ...details, imageUrl };
+        } catch (error) {
+            if (this.isTaskFinished(error)) {
+                pendingTaskStore.remove(taskId);
+            }
+            if (!isAbortError(error)) {
+                console.error('继续获取任务结果失败:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 判断出错后任务是否已经结束（任务失败、过期或用户取消）
+     * 超时、网络错误等情况下服务端可能仍在生成，任务需要保留，以免已付费的结果丢失
+     * @param {Error} error - 错误
+     * @returns {boolean}
+     */
+    isTaskFinished(error) {
+        return isAbortError(error)
+            || error instanceof TaskExpiredError
+            || (error instanceof ApiError && error.kind === 'task');
+    }
+
+    /**
+     * 下载图片（读取为 Blob 后按下载设置转换格式和尺寸，按主题、标题和日期命名）
+     * @param {string|Blob} image - 图片URL或图片数据
+     * @param {Object} naming - 命名信息（theme, title, date, suffix）
+     * @returns {Promise<string>} 保存的文件名
+     * @throws {DownloadError} 图片服务器不允许跨域读取、链接已过期或浏览器不支持所选格式
+     */
+    async downloadImage(image, naming = {}) {
+        return downloadManager.downloadImage(image, naming);
     }
 }
 
@@ -419,7 +812,21 @@ export class BusinessController {
     constructor() {
         this.conversationManager = new ConversationManager();
         this.vocabularyGenerator = new VocabularyGenerator();
-        this.imageGenerationManager = new ImageGenerationManager();
+        this.imageGenerationManager = new ImageGenerationManager(new PromptGenerator(this.vocabularyGenerator));
+
+        // 批量生成队列（每个任务按主题自动选词，使用当前选用的模板；已提交的任务继续获取结果）
+        this.batchQueue = new BatchQueue((job, onProgress, signal, onSubmit) => {
+            if (job.resumeTask) {
+                return this.resumeTask(job.resumeTask, onProgress, signal);
+            }
+            return this.createGeneration(job.theme, job.title, onProgress, {
+                sceneId: job.sceneId,
+                profileId: job.profileId,
+                signal,
+                source: 'batch',
+                onSubmit
+            });
+        });
     }
 
     /**
@@ -443,6 +850,94 @@ export class BusinessController {
         return this.imageGenerationManager;
     }
 
+    /**
+     * 获取批量生成队列
+     */
+    getBatchQueue() {
+        return this.batchQueue;
+    }
+
+    /**
+     * 添加批量生成任务
+     * 没有填写标题时使用主题的第一个推荐标题（自定义主题使用主题名）
+     * @param {Array<{theme: string, title: string, sceneId: string}>} items - 主题/标题列表
+     * @param {string} profileId - 学习者档案ID（可选，默认使用当前选择的档案）
+     * @returns {Promise<Array>} 新建的任务
+     */
+    async addBatchJobs(items, profileId = null) {
+        await this.vocabularyGenerator.ready;
+        const profile = profileManager.resolve(profileId);
+
+        return this.batchQueue.addJobs(items.map(item => {
+            const themeData = this.vocabularyGenerator.getThemeByName(item.theme);
+            const defaultTitle = themeData && themeData.titles && themeData.titles[0];
+            return {
+                theme: item.theme,
+                themeName: themeData ? themeData.name : item.theme,
+                title: item.title || defaultTitle || item.theme,
+                sceneId: item.sceneId || null,
+                profileId: profile.id
+            };
+        }));
+    }
+
+    /**
+     * 把主题下的每个场景作为一个批量任务（没有场景的主题使用它的每个推荐标题）
+     * @param {string} theme - 主题ID或名称
+     * @returns {Promise<Array<{theme: string, title: string, sceneId: string}>>} 任务列表
+     */
+    async getSceneBatchItems(theme) {
+        await this.vocabularyGenerator.ready;
+
+        const themeData = this.vocabularyGenerator.getThemeByName(theme);
+        if (!themeData) {
+            throw new Error(`找不到主题「${theme}」`);
+        }
+
+        const scenes = themeData.scenes || [];
+        if (scenes.length > 0) {
+            return scenes.map(scene => ({ theme, title: scene.name, sceneId: scene.id }));
+        }
+        return (themeData.titles || [themeData.name]).map(title => ({ theme, title, sceneId: null }));
+    }
+
+    /**
+     * 获取页面刷新前未完成的任务
+     * @returns {Array} 任务列表（按提交时间排列）
+     */
+    getPendingTasks() {
+        return pendingTaskStore.getTasks();
+    }
+
+    /**
+     * 继续获取未完成任务的结果
+     * @param {Object} task - 未完成任务
+     * @param {Function} onProgress - 进度回调
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Object>} 生成信息
+     */
+    async resumeTask(task, onProgress = null, signal = null) {
+        return this.imageGenerationManager.resumeTask(task, onProgress, signal);
+    }
+
+    /**
+     * 把未完成任务加入批量生成队列继续获取结果
+     * @param {Array} tasks - 未完成任务
+     * @returns {Promise<Array>} 新建的批量任务
+     */
+    async resumeBatchTasks(tasks) {
+        await this.vocabularyGenerator.ready;
+
+        return this.batchQueue.addJobs(tasks.map(task => ({
+            theme: task.theme,
+            themeName: this.vocabularyGenerator.getDisplayName(task.theme),
+            title: task.title,
+            sceneId: task.scene,
+            profileId: task.profile,
+            resumeTask: task
+        })));
+    }
+
     /**
      * 开始创建新的小报
      */
@@ -488,6 +983,94 @@ export class BusinessController {
             throw error;
         }
     }
+
+    /**
+     * 准备待审阅的词汇
+     * @param {string} theme - 主题
+     * @param {string} sceneId - 场景ID（可选）
+     * @param {string} profileId - 学习者档案ID（可选）
+     * @returns {Promise<Object>} 按四个分类整理的词汇
+     */
+    async prepareVocabulary(theme, sceneId = null, profileId = null) {
+        return this.vocabularyGenerator.generateVocabulary(theme, sceneId, profileId);
+    }
+
+    /**
+     * 获取学习者档案列表和当前选择的档案
+     * @returns {{profiles: Array, selectedId: string}}
+     */
+    getProfiles() {
+        return {
+            profiles: profileManager.getProfiles(),
+            selectedId: profileManager.getSelectedProfile().id
+        };
+    }
+
+    /**
+     * 选择学习者档案（会被记住，作为下次的默认档案）
+     * @param {string} profileId - 档案ID
+     */
+    selectProfile(profileId) {
+        profileManager.selectProfile(profileId);
+    }
+
+    /**
+     * 获取在主题卡片中展示的主题及其场景
+     * @returns {Promise<Array>} 主题列表
+     */
+    async getThemeList() {
+        await this.vocabularyGenerator.ready;
+        return this.vocabularyGenerator.getAvailableThemes().filter(theme => theme.listed);
+    }
+
+    /**
+     * 根据输入推荐预设主题
+     * @param {string} query - 用户输入的主题
+     * @returns {Promise<Array>} 按置信度排列的匹配结果
+     */
+    async suggestThemes(query) {
+        return this.vocabularyGenerator.suggestThemes(query);
+    }
+
+    /**
+     * 用示例数据预览模板
+     * @param {string} content - 模板内容
+     * @param {Object} sample - 示例（theme, title, sceneId, profile），不传主题时使用第一个主题及其第一个场景
+     * @returns {Promise<string>} 渲染后的提示词
+     * @throws {TemplateError} 模板有语法错误或无法解析的占位符
+     */
+    async previewTemplate(content, sample = {}) {
+        let { theme, title, sceneId, profile } = sample;
+
+        if (!theme) {
+            const [first] = await this.getThemeList();
+            const scene = first && first.scenes[0];
+            theme = first ? first.id : '超市';
+            title = scene ? scene.name : (first ? first.titles[0] : '走进超市');
+            sceneId = scene ? scene.id : null;
+        }
+
+        return this.imageGenerationManager.promptGenerator.generatePrompt(theme, title || theme, { sceneId, template: content, profile });
+    }
+
+    /**
+     * 使用选中的主题和标题创建小报，并返回完整的生成信息
+     * @param {string} theme - 主题
+     * @param {string} title - 标题
+     * @param {Function} onProgress - 进度回调
+     * @param {Object} options - 选项（vocabularies, sceneId, profileId, signal, source 和本次生成的参数，均可选，见 generateWithDetails）
+     * @returns {Promise<Object>} 生成信息
+     */
+    async createGeneration(theme, title, onProgress, options = {}) {
+        try {
+            return await this.imageGenerationManager.generateWithDetails(theme, title, onProgress, options);
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error('创建小报失败:', error);
+            }
+            throw error;
+        }
+    }
 }
 
 // 创建全局业务控制器实例
@@ -0,0 +1,127 @@
+/**
+ * 回调中继模块
+ * Kie AI 在任务完成时向 callBackUrl 发送结果；浏览器无法直接接收这个请求，
+ * 因此由本地中继（见 tools/callback-relay.mjs）接收后，再通过 SSE 通知页面。
+ * 通知只表示任务有了新状态，结果始终以 recordInfo 接口的查询为准
+ */
+
+// 浏览器端最多保留的未处理通知数量
+const MAX_NOTICES = 200;
+
+/**
+ * 回调中继连接
+ * 首次使用时连接中继的 SSE 地址，收到某个任务的通知时让等待该任务的轮询立即查询；
+ * 连接断开时 EventSource 会自动重连，中继在重连后会重新发送最近的通知
+ */
+export class CallbackRelay {
+    /**
+     * @param {string} url - 中继的 SSE 地址（如 http://127.0.0.1:8787/events）
+     */
+    constructor(url) {
+        this.url = url;
+        this.source = null;
+
+        // 已收到、还没有被等待消耗的通知（任务ID）
+        this.notices = new Set();
+
+        // 等待回调的任务（任务ID → 回调到达时调用的函数）
+        this.waiters = new Map();
+    }
+
+    /**
+     * 连接中继（已连接时不重复连接）
+     */
+    connect() {
+        if (this.source) return;
+
+        this.source = new EventSource(this.url);
+        this.source.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+        this.source.onerror = () => {
+            console.warn('回调中继连接中断，将继续通过轮询获取结果');
+        };
+    }
+
+    /**
+     * 断开连接，并让正在等待的任务立即继续轮询
+     */
+    close() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.waiters.forEach(callbacks => callbacks.forEach(callback => callback()));
+        this.waiters.clear();
+    }
+
+    /**
+     * 处理中继转发的通知
+     * @param {string} data - 通知内容（JSON，{ taskId, state }）
+     */
+    handleMessage(data) {
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch (error) {
+            console.warn('回调中继返回的内容无法解析:', error);
+            return;
+        }
+
+        const taskId = payload && payload.taskId;
+        if (!taskId) return;
+
+        // 有任务在等待时立即唤醒，否则留到下次等待时使用
+        const callbacks = this.waiters.get(taskId);
+        if (callbacks) {
+            this.waiters.delete(taskId);
+            callbacks.forEach(callback => callback());
+            return;
+        }
+
+        this.notices.delete(taskId);
+        this.notices.add(taskId);
+        if (this.notices.size > MAX_NOTICES) {
+            this.notices.delete(this.notices.values().next().value);
+        }
+    }
+
+    /**
+     * 等待任务的通知，最多等待指定时间
+     * 通知到达、超时或取消时都会正常结束，由调用方判断是否已取消；
+     * 每条通知只提前结束一次等待，避免同一通知反复触发查询
+     * @param {string} taskId - 任务ID
+     * @param {number} ms - 最长等待时间（毫秒）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<void>}
+     */
+    waitFor(taskId, ms, signal = null) {
+        this.connect();
+
+        return new Promise((resolve) => {
+            if (this.notices.delete(taskId) || (signal && signal.aborted)) {
+                resolve();
+                return;
+            }
+
+            const finish = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', finish);
+
+                const callbacks = this.waiters.get(taskId);
+                if (callbacks) {
+                    callbacks.delete(finish);
+                    if (callbacks.size === 0) this.waiters.delete(taskId);
+                }
+                resolve();
+            };
+            const timer = setTimeout(finish, ms);
+
+            if (!this.waiters.has(taskId)) {
+                this.waiters.set(taskId, new Set());
+            }
+            this.waiters.get(taskId).add(finish);
+            if (signal) signal.addEventListener('abort', finish, { once: true });
+        });
+    }
+}
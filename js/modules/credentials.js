@@ -0,0 +1,369 @@
+/**
+ * 凭据存储模块
+ * 统一保存图片生成服务和文本模型的 API Key，支持三种保存方式：
+ * local（保存在本机浏览器）、encrypted（用口令加密后保存，每次打开页面需解锁）、session（只保存在内存中，关闭页面即失效）
+ */
+
+const STORAGE_KEY = 'credential_store';
+
+// 加密方式：口令经 PBKDF2（SHA-256）派生 AES-GCM 256 位密钥，每条凭据使用独立的随机 IV
+const PBKDF2_ITERATIONS = 250000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// 口令的最小长度
+export const MIN_PASSPHRASE_LENGTH = 6;
+
+// 用于校验口令是否正确的固定内容
+const VERIFIER_TEXT = 'vocabulary-app-credentials';
+
+export const CREDENTIAL_MODES = ['local', 'encrypted', 'session'];
+
+/**
+ * 凭据已加密且尚未解锁
+ */
+export class CredentialLockedError extends Error {
+    constructor(message = 'API Key已加密保存，请先在“API设置”中输入口令解锁') {
+        super(message);
+        this.name = 'CredentialLockedError';
+    }
+}
+
+/**
+ * 字节转 base64
+ * @param {Uint8Array} bytes - 字节
+ * @returns {string} base64 字符串
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+/**
+ * base64 转字节
+ * @param {string} base64 - base64 字符串
+ * @returns {Uint8Array} 字节
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * 由口令派生加密密钥
+ * @param {string} passphrase - 口令
+ * @param {Uint8Array} salt - 盐
+ * @param {number} iterations - 迭代次数
+ * @returns {Promise<CryptoKey>} AES-GCM 密钥
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * 加密文本
+ * @param {CryptoKey} key - 密钥
+ * @param {string} text - 明文
+ * @returns {Promise<{iv: string, data: string}>} 密文（base64）
+ */
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * 解密文本，密钥不对或内容被改动时抛出错误
+ * @param {CryptoKey} key - 密钥
+ * @param {{iv: string, data: string}} encrypted - 密文
+ * @returns {Promise<string>} 明文
+ */
+async function decryptText(key, encrypted) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(encrypted.iv) },
+        key,
+        base64ToBytes(encrypted.data)
+    );
+
+    return new TextDecoder().decode(data);
+}
+
+/**
+ * 凭据存储
+ * 凭据以名称区分（如 image:kie、text），解锁后的凭据只保存在内存中。
+ * 本地存储结构：
+ *   local：{ mode, entries: { 名称: base64 } }
+ *   encrypted：{ mode, salt, iterations, verifier: 密文, entries: { 名称: 密文 } }
+ *   session：{ mode }（不保存凭据）
+ */
+export class CredentialStore {
+    constructor() {
+        this.mode = 'local';
+
+        // 可用的凭据（名称 → 明文）
+        this.secrets = new Map();
+
+        // 加密保存时的密钥（解锁后才有）和本地存储中的加密内容
+        this.cryptoKey = null;
+        this.encrypted = null;
+
+        // 凭据变化时调用的函数，参数为变化类型（set、mode、unlock、lock、reset）
+        this.listeners = new Set();
+
+        this.load();
+    }
+
+    /**
+     * 从本地存储加载凭据，加密保存的凭据需要解锁后才能使用
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (!stored) return;
+
+            const data = JSON.parse(stored);
+            if (!CREDENTIAL_MODES.includes(data.mode)) return;
+
+            this.mode = data.mode;
+            if (data.mode === 'local') {
+                Object.entries(data.entries || {}).forEach(([name, value]) => {
+                    this.secrets.set(name, new TextDecoder().decode(base64ToBytes(value)));
+                });
+            } else if (data.mode === 'encrypted') {
+                this.encrypted = {
+                    salt: data.salt,
+                    iterations: data.iterations || PBKDF2_ITERATIONS,
+                    verifier: data.verifier,
+                    entries: data.entries || {}
+                };
+            }
+        } catch (error) {
+            console.error('加载凭据失败:', error);
+        }
+    }
+
+    /**
+     * 按当前保存方式把凭据写入本地存储
+     */
+    async persist() {
+        const data = { mode: this.mode };
+
+        if (this.mode === 'local') {
+            data.entries = {};
+            this.secrets.forEach((value, name) => {
+                data.entries[name] = bytesToBase64(new TextEncoder().encode(value));
+            });
+        } else if (this.mode === 'encrypted') {
+            const entries = {};
+            for (const [name, value] of this.secrets) {
+                entries[name] = await encryptText(this.cryptoKey, value);
+            }
+            this.encrypted = { ...this.encrypted, entries };
+            Object.assign(data, this.encrypted);
+        }
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    }
+
+    /**
+     * 获取保存方式
+     * @returns {string} local、encrypted 或 session
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * 是否为加密保存且尚未解锁
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.mode === 'encrypted' && !this.cryptoKey;
+    }
+
+    /**
+     * 是否保存了某个凭据（未解锁时按加密内容判断）
+     * @param {string} name - 凭据名称
+     * @returns {boolean}
+     */
+    has(name) {
+        if (this.isLocked()) {
+            return !!(this.encrypted && this.encrypted.entries[name]);
+        }
+        return this.secrets.has(name);
+    }
+
+    /**
+     * 获取凭据（未解锁时返回空字符串）
+     * @param {string} name - 凭据名称
+     * @returns {string} 凭据
+     */
+    get(name) {
+        return this.secrets.get(name) || '';
+    }
+
+    /**
+     * 保存凭据
+     * @param {string} name - 凭据名称
+     * @param {string} value - 凭据（空字符串表示删除）
+     */
+    async set(name, value) {
+        if (this.isLocked()) {
+            throw new CredentialLockedError();
+        }
+
+        if (value) {
+            this.secrets.set(name, value);
+        } else {
+            this.secrets.delete(name);
+        }
+
+        await this.persist();
+        this.notify('set');
+    }
+
+    /**
+     * 导入升级前以其他方式保存的凭据，已有同名凭据或凭据未解锁时不导入
+     * @param {string} name - 凭据名称
+     * @param {string} value - 凭据
+     * @returns {Promise<boolean>} 是否已导入（保存完成后才返回，调用方之后可以删除原来保存的内容）
+     */
+    async importLegacy(name, value) {
+        if (!value || this.isLocked() || this.has(name)) {
+            return false;
+        }
+
+        this.secrets.set(name, value);
+        if (this.mode !== 'session') {
+            await this.persist();
+        }
+        this.notify('set');
+        return true;
+    }
+
+    /**
+     * 切换保存方式，已保存的凭据按新方式重新保存
+     * 切换为加密保存或修改口令时需要提供口令
+     * @param {string} mode - local、encrypted 或 session
+     * @param {string} passphrase - 口令（可选）
+     */
+    async setMode(mode, passphrase = '') {
+        if (!CREDENTIAL_MODES.includes(mode)) {
+            throw new Error(`未知的保存方式：${mode}`);
+        }
+        if (this.isLocked()) {
+            throw new CredentialLockedError();
+        }
+
+        if (mode === 'encrypted') {
+            if (passphrase) {
+                if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                    throw new Error(`口令至少需要 ${MIN_PASSPHRASE_LENGTH} 个字符`);
+                }
+
+                const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+                this.cryptoKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+                this.encrypted = {
+                    salt: bytesToBase64(salt),
+                    iterations: PBKDF2_ITERATIONS,
+                    verifier: await encryptText(this.cryptoKey, VERIFIER_TEXT),
+                    entries: {}
+                };
+            } else if (this.mode !== 'encrypted') {
+                throw new Error('请设置加密口令');
+            }
+        } else {
+            this.cryptoKey = null;
+            this.encrypted = null;
+        }
+
+        this.mode = mode;
+        await this.persist();
+        this.notify('mode');
+    }
+
+    /**
+     * 输入口令解锁加密保存的凭据
+     * @param {string} passphrase - 口令
+     */
+    async unlock(passphrase) {
+        if (!this.isLocked()) return;
+
+        const { salt, iterations, verifier, entries } = this.encrypted;
+        const key = await deriveKey(passphrase, base64ToBytes(salt), iterations);
+
+        try {
+            await decryptText(key, verifier);
+        } catch (error) {
+            throw new Error('口令不正确');
+        }
+
+        this.secrets.clear();
+        for (const [name, value] of Object.entries(entries)) {
+            this.secrets.set(name, await decryptText(key, value));
+        }
+        this.cryptoKey = key;
+        this.notify('unlock');
+    }
+
+    /**
+     * 锁定：从内存中清除已解锁的凭据，之后需要重新输入口令（只对加密保存有效）
+     */
+    lock() {
+        if (this.mode !== 'encrypted' || !this.cryptoKey) return;
+
+        this.cryptoKey = null;
+        this.secrets.clear();
+        this.notify('lock');
+    }
+
+    /**
+     * 清除全部凭据并恢复为保存在本机浏览器（用于忘记口令）
+     */
+    reset() {
+        this.mode = 'local';
+        this.cryptoKey = null;
+        this.encrypted = null;
+        this.secrets.clear();
+        localStorage.removeItem(STORAGE_KEY);
+        this.notify('reset');
+    }
+
+    /**
+     * 监听凭据变化
+     * @param {Function} listener - 凭据变化时调用的函数 (type) => void
+     * @returns {Function} 取消监听的函数
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 通知凭据已变化
+     * @param {string} type - 变化类型
+     */
+    notify(type) {
+        this.listeners.forEach(listener => listener(type));
+    }
+}
+
+// 创建全局凭据存储实例
+export const credentialStore = new CredentialStore();
@@ -0,0 +1,261 @@
+/**
+ * 图片下载模块
+ * 先把图片读取为 Blob，在本地按需要转换为 PNG、JPEG 或 WebP（可调整质量和尺寸），再按主题、标题和日期命名保存。
+ * 跨域图片直接用链接下载时浏览器会忽略 download 属性，常常打开新标签页而不是保存
+ */
+
+const STORAGE_KEY = 'download_settings';
+
+/**
+ * 下载格式（original 表示保持图片原来的格式）
+ */
+export const DOWNLOAD_FORMATS = {
+    original: { label: '原格式', mime: null },
+    png: { label: 'PNG', mime: 'image/png' },
+    jpg: { label: 'JPEG', mime: 'image/jpeg' },
+    webp: { label: 'WebP', mime: 'image/webp' }
+};
+
+// 文件类型 → 扩展名
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'application/pdf': 'pdf',
+    'application/zip': 'zip'
+};
+
+// 默认下载设置：保持原格式和原尺寸；quality 为 JPEG/WebP 的质量（0.5–1），maxSize 为长边的最大像素数（0 表示不缩放）
+const DEFAULT_SETTINGS = {
+    format: 'original',
+    quality: 0.92,
+    maxSize: 0
+};
+
+// 文件名中不能使用的字符
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|\s]+/g;
+
+/**
+ * 下载错误
+ * reason：cors（图片服务器不允许跨域读取）、http（图片链接返回错误）、decode（图片无法读取）、format（浏览器不支持该格式）
+ */
+export class DownloadError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {string} reason - 错误原因
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'DownloadError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * 生成下载文件名，如 儿童识字小报_超市_走进超市_2024-05-01.png
+ * @param {Object} naming - 命名信息
+ * @param {string} naming.theme - 主题（可选）
+ * @param {string} naming.title - 标题（可选，与主题相同时省略）
+ * @param {Date} naming.date - 日期（默认今天）
+ * @param {string} naming.suffix - 附加说明（可选，如 标签）
+ * @param {string} naming.extension - 扩展名
+ * @returns {string} 文件名
+ */
+export function createFilename({ theme, title, date = new Date(), suffix, extension }) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    const parts = ['儿童识字小报', theme, title !== theme ? title : null, day, suffix]
+        .filter(Boolean)
+        .map(part => String(part).replace(INVALID_FILENAME_CHARS, '-'));
+
+    return `${parts.join('_')}.${extension}`;
+}
+
+/**
+ * 读取图片
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<HTMLImageElement>} 加载完成的图片
+ */
+function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new DownloadError('图片无法读取，文件可能已损坏', 'decode'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 下载管理器
+ * 记住用户选择的下载格式、质量和尺寸
+ */
+export class DownloadManager {
+    constructor() {
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.load();
+    }
+
+    /**
+     * 从本地存储加载下载设置
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                this.settings = this.normalizeSettings(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.error('加载下载设置失败:', error);
+        }
+    }
+
+    /**
+     * 获取下载设置
+     * @returns {{format: string, quality: number, maxSize: number}}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 更新并保存下载设置
+     * @param {Object} changes - 要修改的设置（format, quality, maxSize）
+     */
+    updateSettings(changes) {
+        this.settings = this.normalizeSettings({ ...this.settings, ...changes });
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    /**
+     * 校正下载设置，无效的值使用默认值
+     * @param {Object} settings - 下载设置
+     * @returns {Object} 校正后的设置
+     */
+    normalizeSettings(settings) {
+        const quality = Number(settings.quality);
+        const maxSize = Number(settings.maxSize);
+
+        return {
+            format: DOWNLOAD_FORMATS[settings.format] ? settings.format : DEFAULT_SETTINGS.format,
+            quality: quality >= 0.5 && quality <= 1 ? quality : DEFAULT_SETTINGS.quality,
+            maxSize: maxSize > 0 ? Math.round(maxSize) : 0
+        };
+    }
+
+    /**
+     * 下载图片数据
+     * @param {string} imageUrl - 图片URL（也可以是 blob: 或 data: URL）
+     * @returns {Promise<Blob>} 图片数据
+     * @throws {DownloadError} 图片服务器不允许跨域读取或图片链接返回错误
+     */
+    async fetchImageBlob(imageUrl) {
+        let response;
+        try {
+            response = await fetch(imageUrl);
+        } catch (error) {
+            // fetch 被跨域策略拦截和网络中断时都只抛出 TypeError，无法进一步区分
+            console.warn('读取图片失败:', error);
+            throw new DownloadError('图片服务器不允许网页直接读取图片（跨域限制），或网络已断开。请右键点击图片，选择“图片另存为”保存', 'cors');
+        }
+
+        if (!response.ok) {
+            throw new DownloadError(`图片下载失败（HTTP ${response.status}），图片链接可能已过期，请从历史记录中下载或重新生成`, 'http');
+        }
+        return response.blob();
+    }
+
+    /**
+     * 按下载设置转换图片格式和尺寸，不需要转换时直接返回原图
+     * @param {Blob} blob - 图片数据
+     * @param {Object} settings - 下载设置（format, quality, maxSize）
+     * @returns {Promise<Blob>} 转换后的图片
+     * @throws {DownloadError} 图片无法读取或浏览器不支持所选格式
+     */
+    async convertImage(blob, settings = this.settings) {
+        const { format, quality, maxSize } = this.normalizeSettings(settings);
+        const image = await loadImage(blob);
+
+        const longSide = Math.max(image.naturalWidth, image.naturalHeight);
+        const scale = maxSize > 0 ? Math.min(1, maxSize / longSide) : 1;
+        const mime = DOWNLOAD_FORMATS[format].mime || (MIME_EXTENSIONS[blob.type] && blob.type !== 'image/gif' ? blob.type : 'image/png');
+
+        if (scale === 1 && mime === blob.type) {
+            return blob;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+        // JPEG 不支持透明，透明部分填充为白色
+        const ctx = canvas.getContext('2d');
+        if (mime === 'image/jpeg') {
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const converted = await new Promise(resolve => canvas.toBlob(resolve, mime, quality));
+
+        // 不支持的格式会被浏览器改为 PNG（如部分 Safari 不支持导出 WebP）
+        if (!converted || converted.type !== mime) {
+            throw new DownloadError(`当前浏览器不支持导出 ${DOWNLOAD_FORMATS[format].label} 格式，请选择其他格式`, 'format');
+        }
+        return converted;
+    }
+
+    /**
+     * 根据文件类型获取扩展名
+     * @param {Blob} blob - 文件
+     * @returns {string} 扩展名（无法识别时为 png）
+     */
+    getExtension(blob) {
+        return MIME_EXTENSIONS[blob.type] || 'png';
+    }
+
+    /**
+     * 把 Blob 保存为文件
+     * @param {Blob} blob - 文件内容
+     * @param {string} filename - 文件名
+     */
+    saveBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * 下载图片：读取、按设置转换并命名保存
+     * @param {string|Blob} source - 图片URL或图片数据
+     * @param {Object} naming - 命名信息（theme, title, date, suffix，见 createFilename）
+     * @param {Object} settings - 下载设置（默认使用保存的设置）
+     * @returns {Promise<string>} 保存的文件名
+     * @throws {DownloadError} 图片无法读取或转换
+     */
+    async downloadImage(source, naming = {}, settings = this.settings) {
+        const blob = source instanceof Blob ? source : await this.fetchImageBlob(source);
+        const converted = await this.convertImage(blob, settings);
+        const filename = createFilename({ ...naming, extension: this.getExtension(converted) });
+
+        this.saveBlob(converted, filename);
+        return filename;
+    }
+}
+
+// 创建全局下载管理器实例
+export const downloadManager = new DownloadManager();
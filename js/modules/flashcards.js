@@ -0,0 +1,401 @@
+/**
+ * 识字卡片模块
+ * 把本次小报的词汇排成可打印的 A4 卡片页（每页 3 × 4 张，虚线为裁切线），卡片上是拼音、汉字和图案，
+ * 图案可以从小报中截取（按页面贴标签时拖好的位置）或使用表情图案。
+ * 双面打印时正面为图案、背面为拼音和汉字，背面左右镜像排列，沿长边翻转打印后正反面对齐
+ */
+
+import { mmToPx, createPage, fillFittedText, getContentArea, addFooters, createPdf } from './print.js';
+import { pinyinConverter } from './pinyin.js';
+import { getLabelColor } from './label-overlay.js';
+import { roundRect } from './placeholder-poster.js';
+import { ZipWriter } from './zip.js';
+
+// 每页的列数和行数
+const CARD_COLUMNS = 3;
+const CARD_ROWS = 4;
+
+// 卡片内边距和彩色边框的圆角（毫米）
+const CARD_PADDING_MM = 4;
+const CARD_RADIUS_MM = 3;
+
+// 从小报中截取图案时，正方形的边长（相对图片短边的比例）
+const CROP_RATIO = 0.2;
+
+// 卡片中词汇的顺序
+const WORD_CATEGORIES = ['characters', 'items', 'facilities', 'environment'];
+
+const EMOJI_FONT_FAMILY = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+
+/**
+ * 卡片图案
+ * emoji：表情图案（没有对应图案的词留出“画一画”的空白框）
+ * crop：从小报中截取（需要先开启页面贴标签，并把标签拖到对应的物体上）
+ * none：不带图案
+ */
+export const FLASHCARD_PICTURES = ['emoji', 'crop', 'none'];
+
+// 常见词语的表情图案
+const WORD_EMOJI = {
+    // 人物
+    '妈妈': '👩', '爸爸': '👨', '爷爷': '👴', '奶奶': '👵', '老人': '🧓', '哥哥': '👦', '妹妹': '👧',
+    '小朋友': '🧒', '学生': '🧑‍🎓', '小学生': '🧑‍🎓', '同学': '🧒', '老师': '🧑‍🏫', '医生': '🧑‍⚕️', '护士': '👩‍⚕️',
+    '牙医': '🦷', '病人': '🤒', '农民': '🧑‍🌾', '司机': '🧑‍✈️', '交警': '👮', '保安': '💂', '宇航员': '🧑‍🚀',
+    '外星人': '👽', '快递员': '📦', '清洁工': '🧹', '游客': '📸', '家长': '👪', '顾客': '🛍️', '收银员': '💁',
+    '行人': '🚶', '跑步的人': '🏃', '机器人': '🤖', '小熊': '🧸',
+    // 食物
+    '苹果': '🍎', '香蕉': '🍌', '西瓜': '🍉', '橘子': '🍊', '水果': '🍇', '果子': '🍒', '浆果': '🫐',
+    '胡萝卜': '🥕', '玉米': '🌽', '土豆': '🥔', '南瓜': '🎃', '蔬菜': '🥬', '蘑菇': '🍄', '小麦': '🌾',
+    '麦穗': '🌾', '水稻': '🌾', '牛奶': '🥛', '面包': '🍞', '鸡蛋': '🥚', '蛋糕': '🎂', '巧克力': '🍫',
+    '果汁': '🧃', '三明治': '🥪', '米饭': '🍚', '汤': '🍲', '竹子': '🎋', '种子': '🌱', '幼苗': '🌱', '秧苗': '🌱',
+    // 动物
+    '小猫': '🐱', '小狗': '🐶', '小鸡': '🐤', '小猪': '🐷', '小羊': '🐑', '山羊': '🐐', '奶牛': '🐄',
+    '小马': '🐴', '鸭子': '🦆', '大白鹅': '🪿', '兔子': '🐰', '小鸟': '🐦', '鹦鹉': '🦜', '孔雀': '🦚',
+    '猴子': '🐒', '金丝猴': '🐒', '猩猩': '🦍', '大象': '🐘', '长颈鹿': '🦒', '老虎': '🐯', '狮子': '🦁',
+    '熊猫': '🐼', '骆驼': '🐫', '斑马': '🦓', '犀牛': '🦏', '丹顶鹤': '🕊️', '海狮': '🦭', '松鼠': '🐿️',
+    '狐狸': '🦊', '猫头鹰': '🦉', '小鹿': '🦌', '蝴蝶': '🦋', '海龟': '🐢', '螃蟹': '🦀', '海豚': '🐬',
+    '小鱼': '🐟', '海鸥': '🕊️', '贝壳': '🐚', '海星': '⭐', '珊瑚': '🪸', '水母': '🪼', '企鹅馆': '🐧',
+    '熊猫馆': '🐼', '动物': '🐾',
+    // 植物和自然
+    '花': '🌸', '花朵': '🌸', '桃花': '🌸', '荷花': '🪷', '黄花': '🌼', '向日葵': '🌻', '蒲公英': '🌼',
+    '草': '🌿', '草地': '🌿', '绿叶': '🍃', '树叶': '🍃', '落叶': '🍂', '树': '🌳', '大树': '🌳',
+    '树木': '🌳', '柳树': '🌳', '松树': '🌲', '松果': '🌰', '树枝': '🪵', '灌木': '🌳', '山': '⛰️',
+    '高山': '🏔️', '山顶': '🏔️', '岩石': '🪨', '石头': '🪨', '礁石': '🪨', '假山': '🪨', '瀑布': '💦',
+    '湖': '🏞️', '河流': '🏞️', '小河': '🏞️', '溪水': '💧', '池塘': '🪷', '海水': '🌊', '波浪': '🌊',
+    '沙滩': '🏖️', '阳光': '☀️', '星星': '⭐', '月亮': '🌙', '地球': '🌍', '行星': '🪐', '银河': '🌌',
+    '雪人': '⛄', '自然': '🏞️', '海草': '🌿',
+    // 物品
+    '书': '📕', '课本': '📘', '故事书': '📖', '绘本': '📖', '笔记本': '📓', '笔': '✏️', '彩笔': '🖍️',
+    '粉笔': '🖍️', '尺子': '📏', '剪刀': '✂️', '书包': '🎒', '文具盒': '✏️', '黑板': '🧑‍🏫', '书架': '📚',
+    '放大镜': '🔍', '磁铁': '🧲', '灯泡': '💡', '电池': '🔋', '灯': '💡', '台灯': '💡', '路灯': '💡',
+    '钱包': '👛', '硬币': '🪙', '纸币': '💵', '会员卡': '💳', '借书卡': '💳', '小票': '🧾', '购物清单': '📝',
+    '购物袋': '🛍️', '购物车': '🛒', '推车': '🛒', '购物篮': '🧺', '野餐篮': '🧺', '箩筐': '🧺', '水壶': '🫖',
+    '水杯': '🥤', '碗': '🥣', '筷子': '🥢', '勺子': '🥄', '药': '💊', '药片': '💊', '药瓶': '💊',
+    '针': '💉', '注射器': '💉', '疫苗针': '💉', '温度计': '🌡️', '体温计': '🌡️', '听诊器': '🩺',
+    '绷带': '🩹', '创可贴': '🩹', '口罩': '😷', '肥皂': '🧼', '牙刷': '🪥', '急救箱': '🧰', '红十字': '➕',
+    '皮球': '⚽', '足球': '⚽', '羽毛球': '🏸', '风筝': '🪁', '气球': '🎈', '礼物': '🎁', '贺卡': '💌',
+    '奖牌': '🏅', '积木': '🧱', '跳绳': '🪢', '棋盘': '♟️', '哨子': '📣', '手套': '🧤', '草帽': '👒',
+    '安全帽': '⛑️', '红领巾': '🧣', '拖鞋': '🩴', '扫帚': '🧹', '拖把': '🧹', '水桶': '🪣', '洒水壶': '🚿',
+    '喷壶': '🚿', '垃圾桶': '🗑️', '灭火器': '🧯', '望远镜': '🔭', '地图': '🗺️', '国旗': '🇨🇳', '彩旗': '🚩',
+    '锄头': '⛏️', '铁锹': '⛏️', '镰刀': '🌾', '手机': '📱', '电视机': '📺', '冰箱': '🧊', '冰袋': '🧊',
+    '沙发': '🛋️', '椅子': '🪑', '长椅': '🪑', '床': '🛏️', '病床': '🛏️', '门': '🚪', '大门': '🚪',
+    '窗户': '🪟', '插座': '🔌', '全家福': '🖼️', '花盆': '🪴', '帐篷': '⛺', '雨伞': '☂️',
+    // 交通
+    '汽车': '🚗', '出租车': '🚕', '公共汽车': '🚌', '自行车': '🚲', '摩托车': '🏍️', '火车': '🚆',
+    '悬浮列车': '🚄', '飞机': '✈️', '轮船': '🚢', '帆船': '⛵', '火箭': '🚀', '飞船': '🛸', '卫星': '🛰️',
+    '救护车': '🚑', '消防车': '🚒', '警车': '🚓', '拖拉机': '🚜', '观光车': '🚎', '无人机': '🛸',
+    '红绿灯': '🚦', '交通灯': '🚦', '路标': '🪧', '指示牌': '🪧', '标志牌': '🪧', '警示牌': '⚠️',
+    '桥': '🌉', '小桥': '🌉', '天桥': '🌉', '公路': '🛣️', '马路': '🛣️', '轨道': '🛤️', '加油站': '⛽',
+    // 场所
+    '医院': '🏥', '学校': '🏫', '图书馆': '📚', '公园': '🏞️', '动物园': '🦁', '城市': '🏙️', '高楼': '🏢',
+    '商店': '🏪', '小店': '🏪', '灯塔': '🗼', '风车': '🌬️', '木屋': '🛖', '小木屋': '🛖', '树屋': '🛖',
+    '农舍': '🏡', '谷仓': '🏚️', '水井': '🪣', '滑梯': '🛝', '旋转木马': '🎠', '电梯': '🛗', '扶梯': '🛗'
+};
+
+/**
+ * 整理卡片：按分类顺序排列，补全拼音，并找到对应的表情图案
+ * @param {Object} vocabularies - 词汇（characters, items, facilities, environment，每项为 {pinyin, chinese}）
+ * @returns {Array<{category: string, pinyin: string, chinese: string, emoji: string|null}>} 卡片
+ */
+export function createFlashcards(vocabularies) {
+    return WORD_CATEGORIES.flatMap(category => {
+        return ((vocabularies && vocabularies[category]) || [])
+            .filter(word => word.chinese)
+            .map(word => {
+                const { pinyin, chinese } = pinyinConverter.annotate(word);
+                return { category, pinyin, chinese, emoji: WORD_EMOJI[chinese] || null };
+            });
+    });
+}
+
+/**
+ * 读取图片
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<HTMLImageElement>} 加载完成的图片
+ */
+function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('图片无法读取'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 获取页面中第 index 个卡片位置的区域
+ * @param {number} index - 页内序号（从左到右、从上到下）
+ * @param {boolean} mirrored - 是否左右镜像（双面打印的背面）
+ * @returns {{x: number, y: number, width: number, height: number}} 卡片区域（像素）
+ */
+function getCardRect(index, mirrored) {
+    const area = getContentArea();
+    const width = area.width / CARD_COLUMNS;
+    const height = area.height / CARD_ROWS;
+    const column = index % CARD_COLUMNS;
+    const row = Math.floor(index / CARD_COLUMNS);
+
+    return {
+        x: area.left + (mirrored ? CARD_COLUMNS - 1 - column : column) * width,
+        y: area.top + row * height,
+        width,
+        height
+    };
+}
+
+/**
+ * 绘制裁切线（虚线网格）
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ */
+function drawCutLines(ctx) {
+    const area = getContentArea();
+
+    ctx.strokeStyle = '#9E9E9E';
+    ctx.lineWidth = mmToPx(0.25);
+    ctx.setLineDash([mmToPx(2), mmToPx(1.5)]);
+    ctx.beginPath();
+    for (let column = 0; column <= CARD_COLUMNS; column++) {
+        const x = area.left + column * area.width / CARD_COLUMNS;
+        ctx.moveTo(x, area.top);
+        ctx.lineTo(x, area.top + area.height);
+    }
+    for (let row = 0; row <= CARD_ROWS; row++) {
+        const y = area.top + row * area.height / CARD_ROWS;
+        ctx.moveTo(area.left, y);
+        ctx.lineTo(area.left + area.width, y);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * 绘制卡片的彩色边框，返回边框以内的区域
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {Object} rect - 卡片区域
+ * @param {string} category - 词汇分类（决定边框颜色）
+ * @returns {{x: number, y: number, width: number, height: number}} 内容区域
+ */
+function drawCardFrame(ctx, rect, category) {
+    const padding = mmToPx(CARD_PADDING_MM);
+    const inner = {
+        x: rect.x + padding,
+        y: rect.y + padding,
+        width: rect.width - padding * 2,
+        height: rect.height - padding * 2
+    };
+
+    ctx.strokeStyle = getLabelColor(category);
+    ctx.lineWidth = mmToPx(0.8);
+    roundRect(ctx, inner.x, inner.y, inner.width, inner.height, mmToPx(CARD_RADIUS_MM));
+    ctx.stroke();
+
+    const inset = mmToPx(2);
+    return {
+        x: inner.x + inset,
+        y: inner.y + inset,
+        width: inner.width - inset * 2,
+        height: inner.height - inset * 2
+    };
+}
+
+/**
+ * 绘制卡片图案
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {Object} card - 卡片
+ * @param {Object} box - 图案区域
+ * @param {Object} source - 图案来源（picture，以及截取时的 image 和 regions）
+ */
+function drawPicture(ctx, card, box, { picture, image, regions }) {
+    const region = picture === 'crop' ? regions.get(card.chinese) : null;
+
+    if (region) {
+        // 以标签位置为中心截取正方形，不超出图片
+        const size = Math.min(image.naturalWidth, image.naturalHeight) * CROP_RATIO;
+        const sx = Math.min(image.naturalWidth - size, Math.max(0, region.x * image.naturalWidth - size / 2));
+        const sy = Math.min(image.naturalHeight - size, Math.max(0, region.y * image.naturalHeight - size / 2));
+        const side = Math.min(box.width, box.height);
+        const x = box.x + (box.width - side) / 2;
+        const y = box.y + (box.height - side) / 2;
+
+        ctx.save();
+        roundRect(ctx, x, y, side, side, mmToPx(2));
+        ctx.clip();
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, sx, sy, size, size, x, y, side, side);
+        ctx.restore();
+        return;
+    }
+
+    const emoji = picture === 'none' ? null : card.emoji;
+    if (emoji) {
+        const size = Math.min(box.width, box.height) * 0.8;
+        ctx.font = `${size}px ${EMOJI_FONT_FAMILY}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#212121';
+        ctx.fillText(emoji, box.x + box.width / 2, box.y + box.height / 2);
+        return;
+    }
+
+    // 没有图案时留出空白框，让孩子自己画
+    const side = Math.min(box.width, box.height);
+    const x = box.x + (box.width - side) / 2;
+    const y = box.y + (box.height - side) / 2;
+    ctx.strokeStyle = '#BDBDBD';
+    ctx.lineWidth = mmToPx(0.3);
+    ctx.setLineDash([mmToPx(1.5), mmToPx(1)]);
+    roundRect(ctx, x, y, side, side, mmToPx(2));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = '#BDBDBD';
+    ctx.textAlign = 'center';
+    fillFittedText(ctx, '画一画', box.x + box.width / 2, box.y + box.height / 2, side - mmToPx(4), mmToPx(5));
+}
+
+/**
+ * 绘制拼音和汉字（拼音在上、汉字在下，在区域内垂直居中）
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {Object} card - 卡片
+ * @param {Object} box - 文字区域
+ * @param {number} hanziMm - 汉字字号（毫米）
+ */
+function drawWord(ctx, card, box, hanziMm) {
+    const pinyinMm = hanziMm * 0.42;
+    const pinyinHeight = mmToPx(pinyinMm * 1.4);
+    const hanziHeight = mmToPx(hanziMm * 1.25);
+    const top = box.y + (box.height - pinyinHeight - hanziHeight) / 2;
+    const centerX = box.x + box.width / 2;
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#555555';
+    fillFittedText(ctx, card.pinyin, centerX, top + pinyinHeight / 2, box.width, mmToPx(pinyinMm));
+    ctx.fillStyle = '#212121';
+    fillFittedText(ctx, card.chinese, centerX, top + pinyinHeight + hanziHeight / 2, box.width, mmToPx(hanziMm), 'bold');
+}
+
+/**
+ * 绘制一页卡片
+ * @param {Array} cards - 本页的卡片
+ * @param {string} side - both（图案和文字在同一面）、front（正面，只有图案）、back（背面，只有文字）
+ * @param {Object} source - 图案来源（见 drawPicture）
+ * @returns {HTMLCanvasElement} 页面
+ */
+function renderSheet(cards, side, source) {
+    const { canvas, ctx } = createPage();
+    const withPicture = side === 'front' || (side === 'both' && source.picture !== 'none');
+
+    cards.forEach((card, index) => {
+        const box = drawCardFrame(ctx, getCardRect(index, side === 'back'), card.category);
+
+        if (side === 'front') {
+            drawPicture(ctx, card, box, source);
+        } else if (withPicture) {
+            const pictureHeight = box.height * 0.58;
+            drawPicture(ctx, card, { ...box, height: pictureHeight }, source);
+            drawWord(ctx, card, { ...box, y: box.y + pictureHeight, height: box.height - pictureHeight }, 9);
+        } else {
+            drawWord(ctx, card, box, 16);
+        }
+    });
+
+    drawCutLines(ctx);
+    return canvas;
+}
+
+/**
+ * 把页面编码为 PNG
+ * @param {HTMLCanvasElement} canvas - 页面
+ * @returns {Promise<Blob>} PNG 图片
+ */
+function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('页面编码失败'));
+            }
+        }, 'image/png');
+    });
+}
+
+/**
+ * 生成识字卡片
+ * @param {Object} options - 卡片选项
+ * @param {Object} options.vocabularies - 本次小报的词汇
+ * @param {string} options.title - 小报标题（页脚中使用）
+ * @param {string} options.picture - 卡片图案（见 FLASHCARD_PICTURES）
+ * @param {boolean} options.doubleSided - 是否双面打印（正面图案、背面文字）
+ * @param {string} options.format - 导出格式：pdf 或 png（多页时打包为 ZIP）
+ * @param {Blob} options.imageBlob - 小报图片（截取图案时使用）
+ * @param {Array<{chinese: string, x: number, y: number}>} options.regions - 词语在小报中的位置（截取图案时使用，即页面贴标签的位置）
+ * @param {Date} options.date - 页脚中的日期（默认今天）
+ * @returns {Promise<Blob>} PDF、PNG 或 ZIP 文件
+ */
+export async function createFlashcardSheets({
+    vocabularies,
+    title,
+    picture = 'emoji',
+    doubleSided = false,
+    format = 'pdf',
+    imageBlob = null,
+    regions = [],
+    date = new Date()
+}) {
+    const cards = createFlashcards(vocabularies);
+    if (cards.length === 0) {
+        throw new Error('没有可以制作卡片的词语');
+    }
+
+    const source = { picture, image: null, regions: new Map() };
+    if (picture === 'crop') {
+        if (!imageBlob || regions.length === 0) {
+            throw new Error('从小报截取图案需要先开启“页面贴标签”，并把标签拖到图中对应的物体上');
+        }
+        source.image = await loadImage(imageBlob);
+        regions.forEach(region => source.regions.set(region.chinese, region));
+    }
+
+    // 双面打印时每页正面后紧跟对应的背面
+    const perPage = CARD_COLUMNS * CARD_ROWS;
+    const pages = [];
+    const names = [];
+    for (let start = 0; start < cards.length; start += perPage) {
+        const pageCards = cards.slice(start, start + perPage);
+        const number = start / perPage + 1;
+
+        if (doubleSided) {
+            pages.push(renderSheet(pageCards, 'front', source), renderSheet(pageCards, 'back', source));
+            names.push(`第${number}页_正面`, `第${number}页_背面`);
+        } else {
+            pages.push(renderSheet(pageCards, 'both', source));
+            names.push(`第${number}页`);
+        }
+    }
+
+    const info = { title: title || '儿童识字小报', date };
+    if (format !== 'png') {
+        return createPdf(pages, info);
+    }
+
+    addFooters(pages, info);
+    if (pages.length === 1) {
+        return canvasToPng(pages[0]);
+    }
+
+    const zip = new ZipWriter();
+    for (const [index, canvas] of pages.entries()) {
+        zip.addFile(`识字卡片_${names[index]}.png`, await canvasToPng(canvas));
+        canvas.width = 0;
+    }
+    return zip.toBlob();
+}
@@ -0,0 +1,215 @@
+/**
+ * 生成历史模块
+ * 使用 IndexedDB 在本地保存每次成功生成的小报记录，以及生成时附带的参考图
+ */
+
+import { downloadManager } from './download.js';
+
+const DB_NAME = 'vocabulary_history';
+const DB_VERSION = 2;
+const STORE_NAME = 'records';
+
+// 参考图（data URL）体积较大，与历史记录保存在同一个数据库中
+const REFERENCE_STORE_NAME = 'reference_images';
+
+/**
+ * 历史记录存储
+ * 记录结构：{ id, theme, title, prompt, vocabularies, settings, labelOverlay, labels, imageUrl, imageBlob, createdAt }
+ * labels 为页面贴标签时标签的位置（见 label-overlay.js），未使用时为 null；
+ * 参考图按顺序保存为 { position, image }，image 为 data URL
+ */
+export class HistoryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * 检查浏览器是否支持 IndexedDB
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * 打开数据库（只打开一次）
+     * @returns {Promise<IDBDatabase>} 数据库实例
+     */
+    open() {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('当前浏览器不支持本地历史记录'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('theme', 'theme', { unique: false });
+                        store.createIndex('createdAt', 'createdAt', { unique: false });
+                    }
+                    if (!db.objectStoreNames.contains(REFERENCE_STORE_NAME)) {
+                        db.createObjectStore(REFERENCE_STORE_NAME, { keyPath: 'position' });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 在对象仓库上执行一次请求
+     * @param {string} mode - 事务模式（readonly / readwrite）
+     * @param {Function} operation - 接收 store 并返回 IDBRequest 的函数（可以发出多个请求，返回最后一个）
+     * @param {string} storeName - 对象仓库（默认历史记录）
+     * @returns {Promise<*>} 请求结果
+     */
+    async runRequest(mode, operation, storeName = STORE_NAME) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 保存一条生成记录
+     * @param {Object} record - 生成记录
+     * @returns {Promise<number>} 记录ID
+     */
+    async saveRecord(record) {
+        const entry = {
+            theme: record.theme,
+            title: record.title,
+            prompt: record.prompt,
+            vocabularies: record.vocabularies,
+            settings: record.settings || {},
+            labelOverlay: record.labelOverlay || false,
+            labels: record.labels || null,
+            hotspots: record.hotspots || [],
+            imageUrl: record.imageUrl,
+            imageBlob: record.imageBlob || null,
+            createdAt: record.createdAt || Date.now()
+        };
+
+        return this.runRequest('readwrite', store => store.add(entry));
+    }
+
+    /**
+     * 获取单条记录
+     * @param {number} id - 记录ID
+     * @returns {Promise<Object|null>} 记录
+     */
+    async getRecord(id) {
+        const record = await this.runRequest('readonly', store => store.get(id));
+        return record || null;
+    }
+
+    /**
+     * 修改记录（如保存拖动后的标签位置、识字游戏的热点）
+     * @param {number} id - 记录ID
+     * @param {Object} changes - 要修改的字段
+     */
+    async updateRecord(id, changes) {
+        const record = await this.getRecord(id);
+        if (!record) {
+            throw new Error('历史记录不存在');
+        }
+
+        await this.runRequest('readwrite', store => store.put({ ...record, ...changes, id }));
+    }
+
+    /**
+     * 查询记录列表（按时间倒序）
+     * @param {Object} filters - 过滤条件
+     * @param {string} filters.theme - 主题关键字（模糊匹配主题和标题）
+     * @param {number} filters.startDate - 起始时间戳（含）
+     * @param {number} filters.endDate - 结束时间戳（含）
+     * @returns {Promise<Array>} 记录列表
+     */
+    async getRecords(filters = {}) {
+        const startDate = filters.startDate || 0;
+        const endDate = filters.endDate || Number.MAX_SAFE_INTEGER;
+        const range = IDBKeyRange.bound(startDate, endDate);
+
+        const records = await this.runRequest('readonly', store => store.index('createdAt').getAll(range));
+        const keyword = (filters.theme || '').trim();
+
+        return records
+            .filter(record => !keyword || record.theme.includes(keyword) || record.title.includes(keyword))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * 删除记录
+     * @param {number} id - 记录ID
+     */
+    async deleteRecord(id) {
+        await this.runRequest('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 清空全部记录
+     */
+    async clear() {
+        await this.runRequest('readwrite', store => store.clear());
+    }
+
+    /**
+     * 获取参考图
+     * @returns {Promise<Array<string>>} 参考图的 data URL（按添加顺序）
+     */
+    async getReferenceImages() {
+        const entries = await this.runRequest('readonly', store => store.getAll(), REFERENCE_STORE_NAME);
+        return entries
+            .sort((a, b) => a.position - b.position)
+            .map(entry => entry.image);
+    }
+
+    /**
+     * 保存参考图，替换原有的全部参考图（在同一事务中完成，失败时保留原有的）
+     * @param {Array<string>} images - 参考图的 data URL（空数组表示删除全部）
+     */
+    async saveReferenceImages(images) {
+        await this.runRequest('readwrite', (store) => {
+            let request = store.clear();
+            images.forEach((image, position) => {
+                request = store.add({ position, image });
+            });
+            return request;
+        }, REFERENCE_STORE_NAME);
+    }
+
+    /**
+     * 下载图片数据，用于离线保存（使用 downloadManager.fetchImageBlob）
+     * 图片服务器不允许跨域读取或链接已过期时返回 null，记录中仍保留原始URL
+     * @param {string} imageUrl - 图片URL
+     * @returns {Promise<Blob|null>} 图片数据
+     */
+    async fetchImageBlob(imageUrl) {
+        try {
+            return await downloadManager.fetchImageBlob(imageUrl);
+        } catch (error) {
+            console.warn('获取图片数据失败，仅保存图片URL:', error.message);
+            return null;
+        }
+    }
+}
+
+// 创建全局历史记录实例
+export const historyStore = new HistoryStore();
@@ -0,0 +1,1019 @@
+/**
+ * 图片生成服务模块
+ * 定义图片生成服务的统一接口，以及 Kie AI（Nano Banana Pro）、OpenAI 兼容图片接口和离线演示三种实现
+ */
+
+import { renderPlaceholderPoster } from './placeholder-poster.js';
+import { CallbackRelay } from './callback-relay.js';
+import { createAbortError, isAbortError, wait } from './abort.js';
+
+export { createAbortError, isAbortError };
+
+/**
+ * 接口错误
+ * kind 区分错误来源：http（接口返回错误码）、network（网络不通或返回内容无法解析）、task（任务执行失败）、timeout（超过等待期限）
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {Object} details - 详细信息
+     * @param {string} details.kind - 错误来源
+     * @param {number} details.status - 错误码（HTTP 状态码或接口返回的 code）
+     * @param {number} details.retryAfter - 服务端要求的重试等待时间（毫秒，来自 Retry-After）
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = details.kind || 'http';
+        this.status = details.status || null;
+        this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+    }
+
+    /**
+     * 是否为临时错误（网络问题、429 限流、5xx 服务器错误），可以稍后重试
+     * 401、402、422 等其他错误重试也不会成功
+     * @returns {boolean}
+     */
+    get transient() {
+        if (this.kind === 'network') return true;
+        if (this.kind !== 'http') return false;
+        return this.status === 429 || this.status >= 500;
+    }
+}
+
+/**
+ * 默认轮询策略
+ * 每次等待时间按 multiplier 递增直到 maxInterval，并加上 ±jitter 比例的随机抖动，避免多个任务同时请求；
+ * 总等待时间不超过 timeout；连续出现 maxTransientErrors 次以上临时错误时放弃
+ */
+export const DEFAULT_POLLING_POLICY = {
+    initialInterval: 2000,
+    maxInterval: 10000,
+    multiplier: 1.5,
+    jitter: 0.2,
+    timeout: 5 * 60 * 1000,
+    maxTransientErrors: 5
+};
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {string|null} value - 响应头的值
+ * @returns {number|null} 等待时间（毫秒）
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 从支持的宽高比中选出与目标最接近的一个
+ * @param {string} aspectRatio - 目标宽高比（如 3:4）
+ * @param {Array<string>} supported - 支持的宽高比
+ * @returns {string} 宽高比
+ */
+function pickAspectRatio(aspectRatio, supported) {
+    if (supported.includes(aspectRatio)) {
+        return aspectRatio;
+    }
+
+    const toNumber = (ratio) => {
+        const [width, height] = ratio.split(':').map(Number);
+        return width / height;
+    };
+    const target = toNumber(aspectRatio || '3:4');
+    const candidates = supported.filter(ratio => Number.isFinite(toNumber(ratio)));
+    if (!Number.isFinite(target) || candidates.length === 0) {
+        return supported[0];
+    }
+
+    // 按对数比较，2:3 与 1:1、3:2 的距离相同
+    return candidates.reduce((best, ratio) =>
+        Math.abs(Math.log(toNumber(ratio) / target)) < Math.abs(Math.log(toNumber(best) / target)) ? ratio : best
+    );
+}
+
+/**
+ * 把生成选项调整为服务支持的值：宽高比取最接近的，分辨率和格式不支持时取第一个，
+ * 参考图超出服务支持的数量时只保留前面的
+ * @param {Object} options - 生成选项
+ * @param {Object} capabilities - 服务支持的生成参数（见 ImageProvider.getCapabilities）
+ * @returns {Object} 调整后的生成选项
+ */
+export function normalizeGenerationOptions(options, capabilities) {
+    const { aspectRatios, resolutions, formats, maxReferenceImages } = capabilities;
+
+    const referenceImages = options.referenceImages || [];
+    if (referenceImages.length > maxReferenceImages) {
+        console.warn(maxReferenceImages > 0
+            ? `当前图片生成服务最多使用 ${maxReferenceImages} 张参考图，其余已忽略`
+            : '当前图片生成服务不支持参考图，已忽略');
+    }
+
+    return {
+        ...options,
+        aspectRatio: pickAspectRatio(options.aspectRatio, aspectRatios),
+        resolution: resolutions.includes(options.resolution) ? options.resolution : resolutions[0],
+        format: formats.includes(options.format) ? options.format : formats[0],
+        referenceImages: referenceImages.slice(0, maxReferenceImages)
+    };
+}
+
+/**
+ * 找出服务不支持的生成选项
+ * @param {Object} options - 生成选项（aspectRatio, resolution, format，未提供的不检查）
+ * @param {Object} capabilities - 服务支持的生成参数（见 ImageProvider.getCapabilities）
+ * @returns {Array<string>} 不支持的选项说明（如“宽高比 5:4”），都支持时为空数组
+ */
+export function findUnsupportedOptions(options, capabilities) {
+    const checks = [
+        ['aspectRatio', 'aspectRatios', '宽高比'],
+        ['resolution', 'resolutions', '分辨率'],
+        ['format', 'formats', '输出格式']
+    ];
+
+    return checks
+        .filter(([key, list]) => options[key] && !capabilities[list].includes(options[key]))
+        .map(([key, list, label]) => `${label} ${options[key]}`);
+}
+
+/**
+ * 图片生成服务（基类）
+ * 新的服务只需继承此类并实现 getCapabilities、submitTask、getTaskStatus，按需覆盖 getErrorMessage；
+ * 提交后立即出图的同步接口可以把结果暂存起来，在 getTaskStatus 中直接返回 success
+ */
+export class ImageProvider {
+    /**
+     * 获取支持的生成参数
+     * @returns {{aspectRatios: Array<string>, resolutions: Array<string>, formats: Array<string>, maxReferenceImages: number}}
+     */
+    getCapabilities() {
+        return { aspectRatios: [], resolutions: [], formats: [], maxReferenceImages: 0 };
+    }
+
+    /**
+     * 提交图片生成任务（不自动重试，避免重复提交付费任务）
+     * @param {string} prompt - 提示词
+     * @param {Object} options - 生成选项（aspectRatio, resolution, format, referenceImages），已按 getCapabilities 调整；
+     *                           另附小报的 title 和 vocabularies，需要时可用（如离线演示服务绘制占位图）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<string>} 任务ID
+     */
+    async submitTask(prompt, options = {}, signal = null) {
+        throw new Error('图片生成服务未实现 submitTask 方法');
+    }
+
+    /**
+     * 查询一次任务状态
+     * @param {string} taskId - 任务ID
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<{state: string, imageUrl: string|null, failMsg: string|null}>}
+     *          state 为 success、fail 或进行中的状态（如 waiting、processing），成功时带图片URL
+     */
+    async getTaskStatus(taskId, signal = null) {
+        throw new Error('图片生成服务未实现 getTaskStatus 方法');
+    }
+
+    /**
+     * 获取错误消息
+     * @param {number} code - 错误码
+     * @param {string} message - 原始错误消息
+     * @returns {string} 用户友好的错误消息
+     */
+    getErrorMessage(code, message) {
+        return message || '未知错误';
+    }
+
+    /**
+     * 把生成选项调整为服务支持的值（见 normalizeGenerationOptions）
+     * @param {Object} options - 生成选项
+     * @returns {Object} 调整后的生成选项
+     */
+    normalizeOptions(options) {
+        return normalizeGenerationOptions(options, this.getCapabilities());
+    }
+
+    /**
+     * 发送请求并解析返回的 JSON，网络不通时抛出 ApiError
+     * @param {string} url - 请求地址
+     * @param {Object} init - fetch 参数
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<{response: Response, data: Object|null, retryAfter: number|null}>}
+     */
+    async fetchJson(url, init, signal = null) {
+        let response;
+        try {
+            response = await fetch(url, {
+                ...init,
+                signal: signal
+            });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            throw new ApiError('网络连接失败，请检查网络后重试', { kind: 'network' });
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // 网关错误等情况下返回的不是 JSON
+        }
+
+        return { response, data, retryAfter };
+    }
+
+    /**
+     * 轮询任务直到完成
+     * 临时错误（网络、429、5xx）会按策略重试，429 时至少等待 Retry-After 指定的时间；
+     * 其他错误（如 401、402、422）和任务失败立即抛出
+     * @param {string} taskId - 任务ID
+     * @param {Function} onProgress - 进度回调 ({state, attempts, elapsed, timeout})
+     * @param {AbortSignal} signal - 取消信号（可选，取消后立即停止轮询并抛出 AbortError）
+     * @param {Object} policy - 轮询策略（可选，覆盖 DEFAULT_POLLING_POLICY 中的字段）
+     * @returns {Promise<{state: string, imageUrl: string, failMsg: null}>} 任务状态
+     */
+    async pollUntilComplete(taskId, onProgress = null, signal = null, policy = {}) {
+        const options = { ...DEFAULT_POLLING_POLICY, ...policy };
+        const startedAt = Date.now();
+        let interval = options.initialInterval;
+        let attempts = 0;
+        let transientErrors = 0;
+
+        while (true) {
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+
+            attempts++;
+
+            // 本次等待时间：加随机抖动，429 时不少于 Retry-After
+            let delay = interval * (1 + (Math.random() * 2 - 1) * options.jitter);
+
+            try {
+                const status = await this.getTaskStatus(taskId, signal);
+                transientErrors = 0;
+
+                // 调用进度回调
+                if (onProgress) {
+                    onProgress({
+                        state: status.state,
+                        attempts: attempts,
+                        elapsed: Date.now() - startedAt,
+                        timeout: options.timeout
+                    });
+                }
+
+                if (status.state === 'success') {
+                    return status;
+                } else if (status.state === 'fail') {
+                    throw new ApiError(status.failMsg || '任务执行失败', { kind: 'task' });
+                }
+            } catch (error) {
+                // 取消、致命错误或连续临时错误过多时停止轮询
+                if (!(error instanceof ApiError) || !error.transient || ++transientErrors > options.maxTransientErrors) {
+                    throw error;
+                }
+                if (error.retryAfter !== null) {
+                    delay = Math.max(delay, error.retryAfter);
+                }
+                console.warn(`查询任务遇到临时错误，稍后重试（${transientErrors}/${options.maxTransientErrors}）:`, error.message);
+            }
+
+            const remaining = options.timeout - (Date.now() - startedAt);
+            if (remaining <= 0) {
+                throw new ApiError('任务超时，请稍后重试', { kind: 'timeout' });
+            }
+
+            // 等待后继续轮询（不超过剩余时间）
+            await this.waitForUpdate(taskId, Math.min(delay, remaining), signal);
+            interval = Math.min(interval * options.multiplier, options.maxInterval);
+        }
+    }
+
+    /**
+     * 两次查询之间的等待；支持完成通知的服务可以在收到通知时提前结束等待
+     * @param {string} taskId - 任务ID
+     * @param {number} ms - 等待时间（毫秒）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<void>}
+     */
+    async waitForUpdate(taskId, ms, signal = null) {
+        await wait(ms, signal);
+    }
+
+    /**
+     * 释放服务占用的资源（如通知连接），配置变化后旧实例不再使用时调用
+     */
+    dispose() {
+    }
+}
+
+// 使用回调中继时的轮询间隔：结果主要靠回调通知，轮询只作兜底
+const CALLBACK_POLLING_POLICY = {
+    initialInterval: 10000,
+    maxInterval: 30000
+};
+
+// Kie AI 文件上传接口的地址：生成任务的 image_input 只接受图片URL，参考图需要先上传
+const KIE_UPLOAD_BASE_URL = 'https://kieai.redpandaai.co/api';
+
+// 上传的文件 3 天后会被删除，2 天内再次使用同一张参考图时不重新上传
+const UPLOAD_REUSE_TIME = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Kie AI 客户端
+ * 处理与 Nano Banana Pro API 的交互：参考图先通过文件上传接口上传，createTask 提交任务，recordInfo 查询结果；
+ * 配置了回调地址时，任务完成后 Kie AI 会把结果发送到该地址，再经回调中继通知页面立即查询
+ */
+export class KieAIClient extends ImageProvider {
+    /**
+     * @param {string} apiKey - API Key
+     * @param {Object} options - 可选配置
+     * @param {string} options.callbackUrl - 任务完成时接收结果的地址（callBackUrl）
+     * @param {string} options.relayUrl - 回调中继的 SSE 地址，配置后通过它接收完成通知
+     */
+    constructor(apiKey, options = {}) {
+        super();
+        this.apiKey = apiKey;
+        this.baseUrl = 'https://api.kie.ai/api/v1/jobs';
+        this.headers = {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        };
+        this.callbackUrl = options.callbackUrl || '';
+        this.relay = options.callbackUrl && options.relayUrl ? new CallbackRelay(options.relayUrl) : null;
+
+        // 已上传的参考图（data URL → { url, uploadedAt }）
+        this.uploadBaseUrl = KIE_UPLOAD_BASE_URL;
+        this.uploads = new Map();
+    }
+
+    /**
+     * 获取支持的生成参数
+     * @returns {{aspectRatios: Array<string>, resolutions: Array<string>, formats: Array<string>, maxReferenceImages: number}}
+     */
+    getCapabilities() {
+        return {
+            aspectRatios: ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9', 'auto'],
+            resolutions: ['2K', '4K', '1K'],
+            formats: ['png', 'jpg'],
+            maxReferenceImages: 8
+        };
+    }
+
+    /**
+     * 发送请求并检查结果，失败时抛出 ApiError
+     * @param {string} path - 接口路径（如 /createTask）
+     * @param {Object} init - fetch 参数
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @param {string} baseUrl - 接口地址（默认生成任务的接口，上传文件时为 uploadBaseUrl）
+     * @returns {Promise<Object>} 接口返回的数据
+     */
+    async request(path, init, signal = null, baseUrl = this.baseUrl) {
+        const { response, data, retryAfter } = await this.fetchJson(`${baseUrl}${path}`, {
+            ...init,
+            headers: this.headers
+        }, signal);
+
+        if (!response.ok) {
+            const status = (data && data.code) || response.status;
+            throw new ApiError(this.getErrorMessage(status, data && data.msg), { status, retryAfter });
+        }
+        if (!data) {
+            throw new ApiError('服务器返回的数据无法解析', { kind: 'network' });
+        }
+        if (data.code !== 200) {
+            throw new ApiError(this.getErrorMessage(data.code, data.msg), { status: data.code, retryAfter });
+        }
+
+        return data;
+    }
+
+    /**
+     * 上传参考图，返回可以放入 image_input 的图片URL（顺序不变）
+     * @param {Array<string>} images - 参考图（data URL）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Array<string>>} 图片URL
+     */
+    async uploadReferenceImages(images, signal = null) {
+        return Promise.all(images.map(image => this.uploadReferenceImage(image, signal)));
+    }
+
+    /**
+     * 通过文件上传接口上传一张参考图
+     * 同一张图片在 UPLOAD_REUSE_TIME 内只上传一次；已经是网址的参考图直接使用
+     * @param {string} image - 参考图（data URL）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<string>} 图片URL
+     */
+    async uploadReferenceImage(image, signal = null) {
+        if (!image.startsWith('data:')) {
+            return image;
+        }
+
+        const uploaded = this.uploads.get(image);
+        if (uploaded && Date.now() - uploaded.uploadedAt < UPLOAD_REUSE_TIME) {
+            return uploaded.url;
+        }
+
+        try {
+            const result = await this.request('/file-base64-upload', {
+                method: 'POST',
+                body: JSON.stringify({ base64Data: image, uploadPath: 'reference-images' })
+            }, signal, this.uploadBaseUrl);
+
+            const url = result.data && result.data.downloadUrl;
+            if (!url) {
+                throw new ApiError('参考图上传失败，未获取到图片URL', { kind: 'network' });
+            }
+
+            this.uploads.set(image, { url, uploadedAt: Date.now() });
+            return url;
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error('上传参考图失败:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 创建图片生成任务
+     * 不自动重试，避免重复提交付费任务
+     * @param {string} prompt - 提示词
+     * @param {Object} options - 可选参数
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Object>} 任务创建结果
+     */
+    async createTask(prompt, options = {}, signal = null) {
+        try {
+            return await this.request('/createTask', {
+                method: 'POST',
+                body: JSON.stringify(this.buildPayload(prompt, options))
+            }, signal);
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error('创建任务失败:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 生成创建任务的请求内容
+     * @param {string} prompt - 提示词
+     * @param {Object} options - 可选参数
+     * @returns {Object} 请求内容
+     */
+    buildPayload(prompt, options = {}) {
+        const payload = {
+            model: 'nano-banana-pro',
+            input: {
+                prompt: prompt,
+                image_input: options.referenceImages || [], // 参考图（上传后的图片URL），保持角色和画风一致
+                aspect_ratio: options.aspectRatio || '3:4', // 竖版A4比例
+                resolution: options.resolution || '2K',
+                output_format: options.format || 'png'
+            }
+        };
+
+        if (this.callbackUrl) {
+            payload.callBackUrl = this.callbackUrl;
+        }
+
+        return payload;
+    }
+
+    /**
+     * 查询任务状态
+     * @param {string} taskId - 任务ID
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Object>} 任务状态
+     */
+    async queryTask(taskId, signal = null) {
+        try {
+            return await this.request(`/recordInfo?taskId=${encodeURIComponent(taskId)}`, {
+                method: 'GET'
+            }, signal);
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error('查询任务失败:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 提交图片生成任务，有参考图时先上传
+     * @param {string} prompt - 提示词
+     * @param {Object} options - 生成选项
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<string>} 任务ID
+     */
+    async submitTask(prompt, options = {}, signal = null) {
+        const referenceImages = await this.uploadReferenceImages(options.referenceImages || [], signal);
+        const result = await this.createTask(prompt, { ...options, referenceImages }, signal);
+        return result.data.taskId;
+    }
+
+    /**
+     * 查询一次任务状态
+     * @param {string} taskId - 任务ID
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<{state: string, imageUrl: string|null, failMsg: string|null}>} 任务状态
+     */
+    async getTaskStatus(taskId, signal = null) {
+        // 回调通知只用来提前查询，结果以 recordInfo 为准
+        const result = await this.queryTask(taskId, signal);
+        const state = result.data.state;
+
+        return {
+            state: state,
+            imageUrl: state === 'success' ? this.parseImageUrl(result) : null,
+            failMsg: state === 'fail' ? (result.data.failMsg || '任务执行失败') : null
+        };
+    }
+
+    /**
+     * 轮询任务直到完成，使用回调中继时放宽轮询间隔
+     * @param {string} taskId - 任务ID
+     * @param {Function} onProgress - 进度回调
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @param {Object} policy - 轮询策略（可选）
+     * @returns {Promise<{state: string, imageUrl: string, failMsg: null}>} 任务状态
+     */
+    async pollUntilComplete(taskId, onProgress = null, signal = null, policy = {}) {
+        return super.pollUntilComplete(taskId, onProgress, signal, this.relay ? { ...policy, ...CALLBACK_POLLING_POLICY } : policy);
+    }
+
+    /**
+     * 两次查询之间的等待，收到任务的回调通知时提前结束
+     * @param {string} taskId - 任务ID
+     * @param {number} ms - 等待时间（毫秒）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<void>}
+     */
+    async waitForUpdate(taskId, ms, signal = null) {
+        if (!this.relay) {
+            return super.waitForUpdate(taskId, ms, signal);
+        }
+
+        await this.relay.waitFor(taskId, ms, signal);
+        if (signal && signal.aborted) {
+            throw createAbortError();
+        }
+    }
+
+    /**
+     * 断开回调中继
+     */
+    dispose() {
+        if (this.relay) {
+            this.relay.close();
+        }
+    }
+
+    /**
+     * 从任务结果中解析图片URL
+     * @param {Object} result - 任务查询结果
+     * @returns {string} 图片URL
+     */
+    parseImageUrl(result) {
+        // 解析结果
+        const resultJson = JSON.parse(result.data.resultJson);
+        const imageUrl = resultJson.resultUrls[0];
+
+        if (!imageUrl) {
+            throw new Error('图片生成失败，未获取到图片URL');
+        }
+
+        return imageUrl;
+    }
+
+    /**
+     * 更新API Key
+     * @param {string} newApiKey - 新的API Key
+     */
+    updateApiKey(newApiKey) {
+        this.apiKey = newApiKey;
+        this.headers.Authorization = `Bearer ${newApiKey}`;
+    }
+
+    /**
+     * 获取错误消息
+     * @param {number} code - 错误码
+     * @param {string} message - 原始错误消息
+     * @returns {string} 用户友好的错误消息
+     */
+    getErrorMessage(code, message) {
+        const errorMap = {
+            400: '请求参数错误',
+            401: 'API Key无效，请检查配置',
+            402: '账户余额不足',
+            404: '资源未找到',
+            422: '参数验证失败',
+            429: '请求过于频繁，请稍后重试',
+            500: '服务器错误，请稍后重试'
+        };
+
+        return errorMap[code] || message || '未知错误';
+    }
+}
+
+// OpenAI 图片接口支持的尺寸（gpt-image-1）
+const OPENAI_IMAGE_SIZES = {
+    '1:1': '1024x1024',
+    '2:3': '1024x1536',
+    '3:2': '1536x1024'
+};
+
+// 支持 output_format 参数的模型（gpt-image 系列）；其他模型和兼容服务不认识该参数，图片为 PNG
+const OPENAI_OUTPUT_FORMAT_MODELS = /^gpt-image-/;
+
+/**
+ * OpenAI 兼容的图片生成接口（images/generations）
+ * 适用于 OpenAI gpt-image-1 以及兼容该接口的自建或本地服务；
+ * 接口在一次请求中直接返回图片，结果暂存在内存中，因此页面刷新后无法继续获取
+ */
+export class OpenAIImageProvider extends ImageProvider {
+    constructor(config) {
+        super();
+        this.endpoint = config.endpoint;
+        this.apiKey = config.apiKey || '';
+        this.model = config.model;
+
+        // 已完成、还没被查询的任务（任务ID → 图片URL），查询后删除
+        this.results = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * 获取支持的生成参数
+     * @returns {{aspectRatios: Array<string>, resolutions: Array<string>, formats: Array<string>, maxReferenceImages: number}}
+     */
+    getCapabilities() {
+        return {
+            aspectRatios: Object.keys(OPENAI_IMAGE_SIZES),
+            resolutions: ['1K'],
+            formats: ['png', 'jpg'],
+            maxReferenceImages: 0
+        };
+    }
+
+    /**
+     * 生成图片，完成后返回任务ID
+     * @param {string} prompt - 提示词
+     * @param {Object} options - 生成选项
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<string>} 任务ID
+     */
+    async submitTask(prompt, options = {}, signal = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const supportsOutputFormat = this.supportsOutputFormat();
+        const outputFormat = supportsOutputFormat && options.format === 'jpg' ? 'jpeg' : 'png';
+        const payload = {
+            model: this.model,
+            prompt: prompt,
+            n: 1,
+            size: OPENAI_IMAGE_SIZES[options.aspectRatio] || OPENAI_IMAGE_SIZES['2:3']
+        };
+        if (supportsOutputFormat) {
+            payload.output_format = outputFormat;
+        }
+
+        try {
+            const { response, data, retryAfter } = await this.fetchJson(this.endpoint, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(payload)
+            }, signal);
+
+            if (!response.ok) {
+                const message = data && data.error && data.error.message;
+                throw new ApiError(this.getErrorMessage(response.status, message), { status: response.status, retryAfter });
+            }
+
+            const image = data && data.data && data.data[0];
+            if (!image || !(image.url || image.b64_json)) {
+                throw new ApiError('图片生成失败，未获取到图片', { kind: 'task' });
+            }
+
+            const taskId = `openai-${Date.now()}-${this.nextId++}`;
+            this.results.set(taskId, image.url || `data:image/${outputFormat};base64,${image.b64_json}`);
+            return taskId;
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error('生成图片失败:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 当前模型是否支持选择图片格式（output_format）
+     * @returns {boolean}
+     */
+    supportsOutputFormat() {
+        return OPENAI_OUTPUT_FORMAT_MODELS.test(this.model || '');
+    }
+
+    /**
+     * 查询任务状态（任务在提交时已经完成）
+     * 结果只返回一次，返回后从内存中删除（data: 格式的图片可能有几 MB）
+     * @param {string} taskId - 任务ID
+     * @returns {Promise<{state: string, imageUrl: string|null, failMsg: string|null}>} 任务状态
+     */
+    async getTaskStatus(taskId) {
+        const imageUrl = this.results.get(taskId);
+        if (!imageUrl) {
+            throw new ApiError('该服务不支持在页面刷新后继续获取结果，请重新生成', { kind: 'task' });
+        }
+        this.results.delete(taskId);
+
+        return { state: 'success', imageUrl: imageUrl, failMsg: null };
+    }
+
+    /**
+     * 获取错误消息
+     * @param {number} code - HTTP 状态码
+     * @param {string} message - 原始错误消息
+     * @returns {string} 用户友好的错误消息
+     */
+    getErrorMessage(code, message) {
+        const errorMap = {
+            401: 'API Key无效，请检查配置',
+            403: '当前账号没有使用该模型的权限',
+            404: '接口地址或模型名称不存在',
+            429: '请求过于频繁或额度已用完，请稍后重试',
+            500: '服务器错误，请稍后重试',
+            503: '服务暂时不可用，请稍后重试'
+        };
+
+        // 400 通常是提示词未通过内容审核或参数不被支持，原始消息更有参考价值
+        if (code === 400) {
+            return message ? `请求被拒绝：${message}` : '请求参数错误';
+        }
+
+        return errorMap[code] || message || '未知错误';
+    }
+}
+
+// 离线演示服务保存任务的本地存储键，以及任务保留的时间和数量
+const MOCK_TASKS_STORAGE_KEY = 'mock_image_tasks';
+const MOCK_TASK_TTL = 24 * 60 * 60 * 1000;
+const MOCK_TASK_LIMIT = 50;
+
+// 离线演示服务模拟的单次请求耗时（毫秒）
+const MOCK_REQUEST_DELAY = 100;
+
+/**
+ * 离线演示服务
+ * 不联网、不需要 API Key：在本地模拟 Kie AI 的 createTask 和 recordInfo 接口，
+ * 任务依次经过 waiting、processing 后以 success 或 fail 结束，成功时用 canvas 绘制占位小报；
+ * 生成耗时、失败概率和接口错误都可以配置，便于演示和测试完整流程。
+ * 任务保存在本地存储中，页面刷新后同样可以继续获取结果
+ */
+export class MockImageProvider extends KieAIClient {
+    /**
+     * @param {Object} config - 配置
+     * @param {number} config.latency - 每个任务的生成耗时（秒）
+     * @param {number} config.failureRate - 任务以失败结束的概率（0-100）
+     * @param {number} config.errorCode - 每次请求都返回的接口错误码（如 401、402、429、500，留空则不模拟）
+     */
+    constructor(config = {}) {
+        super('');
+        this.latency = Math.max(0, Number(config.latency) || 0) * 1000;
+        this.failureRate = Math.min(100, Math.max(0, Number(config.failureRate) || 0)) / 100;
+        this.errorCode = Number(config.errorCode) || null;
+
+        // 已绘制的占位小报（任务ID → 图片URL）
+        this.images = new Map();
+    }
+
+    /**
+     * 参考图不上传，只在请求内容中记录数量
+     * @param {Array<string>} images - 参考图（data URL）
+     * @returns {Promise<Array<string>>} 原样返回的参考图
+     */
+    async uploadReferenceImages(images) {
+        return images;
+    }
+
+    /**
+     * 生成创建任务的请求内容，附带绘制占位小报用的标题和词汇
+     * 请求内容会保存到本地存储，参考图只记录数量
+     * @param {string} prompt - 提示词
+     * @param {Object} options - 可选参数
+     * @returns {Object} 请求内容
+     */
+    buildPayload(prompt, options = {}) {
+        const payload = super.buildPayload(prompt, options);
+        const referenceCount = payload.input.image_input.length;
+
+        return {
+            ...payload,
+            model: 'nano-banana-pro-mock',
+            input: {
+                ...payload.input,
+                image_input: payload.input.image_input.map((image, index) => `reference-${index + 1}`)
+            },
+            poster: {
+                title: options.title || '',
+                vocabularies: options.vocabularies || {},
+                referenceCount: referenceCount
+            }
+        };
+    }
+
+    /**
+     * 模拟接口请求
+     * @param {string} path - 接口路径（/createTask 或 /recordInfo?taskId=...）
+     * @param {Object} init - fetch 参数
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Object>} 与 Kie AI 接口格式相同的返回数据
+     */
+    async request(path, init, signal = null) {
+        await wait(MOCK_REQUEST_DELAY, signal);
+
+        if (this.errorCode) {
+            throw new ApiError(this.getErrorMessage(this.errorCode), {
+                status: this.errorCode,
+                retryAfter: this.errorCode === 429 ? 1000 : null
+            });
+        }
+
+        const [route, query] = path.split('?');
+        if (route === '/createTask') {
+            return this.handleCreateTask(init.body);
+        }
+        if (route === '/recordInfo') {
+            return this.handleRecordInfo(new URLSearchParams(query).get('taskId'));
+        }
+
+        throw new ApiError(this.getErrorMessage(404), { status: 404 });
+    }
+
+    /**
+     * 创建任务：记录请求内容，并提前决定任务是否失败
+     * @param {string} body - 请求内容（JSON）
+     * @returns {Object} 任务创建结果
+     */
+    handleCreateTask(body) {
+        const task = {
+            taskId: `mock-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            param: body,
+            latency: this.latency,
+            willFail: Math.random() < this.failureRate,
+            createTime: Date.now()
+        };
+
+        const tasks = this.loadTasks().filter(item => task.createTime - item.createTime < MOCK_TASK_TTL);
+        tasks.push(task);
+        this.saveTasks(tasks.slice(-MOCK_TASK_LIMIT));
+
+        return { code: 200, msg: 'success', data: { taskId: task.taskId } };
+    }
+
+    /**
+     * 查询任务：根据已经过的时间返回任务状态，成功时绘制占位小报
+     * @param {string} taskId - 任务ID
+     * @returns {Object} 任务状态
+     */
+    handleRecordInfo(taskId) {
+        const task = this.loadTasks().find(item => item.taskId === taskId);
+        if (!task) {
+            throw new ApiError(this.getErrorMessage(404), { status: 404 });
+        }
+
+        const elapsed = Date.now() - task.createTime;
+        const finished = elapsed >= task.latency;
+        let state = 'processing';
+        if (finished) {
+            state = task.willFail ? 'fail' : 'success';
+        } else if (elapsed < task.latency * 0.2) {
+            state = 'waiting';
+        }
+
+        let resultJson = null;
+        if (state === 'success') {
+            if (!this.images.has(taskId)) {
+                const { input, poster } = JSON.parse(task.param);
+                this.images.set(taskId, renderPlaceholderPoster({
+                    title: poster.title,
+                    vocabularies: poster.vocabularies,
+                    referenceCount: poster.referenceCount,
+                    aspectRatio: input.aspect_ratio,
+                    resolution: input.resolution,
+                    format: input.output_format
+                }));
+            }
+            resultJson = JSON.stringify({ resultUrls: [this.images.get(taskId)] });
+        }
+
+        return {
+            code: 200,
+            msg: 'success',
+            data: {
+                taskId: taskId,
+                model: 'nano-banana-pro-mock',
+                state: state,
+                param: task.param,
+                resultJson: resultJson,
+                failCode: state === 'fail' ? '500' : null,
+                failMsg: state === 'fail' ? '模拟生成失败（离线演示的失败概率设置）' : null,
+                costTime: finished ? task.latency : null,
+                completeTime: finished ? task.createTime + task.latency : null,
+                createTime: task.createTime
+            }
+        };
+    }
+
+    /**
+     * 从本地存储加载任务
+     * @returns {Array<Object>} 任务列表
+     */
+    loadTasks() {
+        try {
+            const stored = localStorage.getItem(MOCK_TASKS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('加载离线演示任务失败:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 保存任务到本地存储
+     * @param {Array<Object>} tasks - 任务列表
+     */
+    saveTasks(tasks) {
+        try {
+            localStorage.setItem(MOCK_TASKS_STORAGE_KEY, JSON.stringify(tasks));
+        } catch (error) {
+            console.error('保存离线演示任务失败:', error);
+        }
+    }
+}
+
+/**
+ * 可选的图片生成服务
+ * fields 为设置中可以填写的字段，required 为其中必须填写的字段，defaults 为字段的默认值，
+ * apiKeyMinLength 用于校验 API Key，create 根据配置创建服务实例
+ */
+export const IMAGE_PROVIDERS = [
+    {
+        id: 'kie',
+        name: 'Kie AI（Nano Banana Pro）',
+        fields: ['apiKey', 'callbackUrl', 'relayUrl'],
+        required: ['apiKey'],
+        defaults: {},
+        apiKeyMinLength: 32,
+        apiKeyPlaceholder: '请输入您的Kie AI API Key',
+        helpUrl: 'https://kie.ai/api-key',
+        capabilities: new KieAIClient('').getCapabilities(),
+        create: (config) => new KieAIClient(config.apiKey, config)
+    },
+    {
+        id: 'openai',
+        name: 'OpenAI 兼容图片接口',
+        fields: ['endpoint', 'model', 'apiKey'],
+        required: ['endpoint', 'model'],
+        defaults: {
+            endpoint: 'https://api.openai.com/v1/images/generations',
+            model: 'gpt-image-1'
+        },
+        apiKeyMinLength: 0,
+        apiKeyPlaceholder: '本地服务可留空',
+        helpUrl: 'https://platform.openai.com/api-keys',
+        capabilities: new OpenAIImageProvider({}).getCapabilities(),
+        create: (config) => new OpenAIImageProvider(config)
+    },
+    {
+        id: 'mock',
+        name: '离线演示（不联网，生成占位图）',
+        fields: ['latency', 'failureRate', 'errorCode'],
+        required: [],
+        defaults: {
+            latency: 5,
+            failureRate: 0,
+            errorCode: ''
+        },
+        apiKeyMinLength: 0,
+        apiKeyPlaceholder: '',
+        helpUrl: null,
+        capabilities: new MockImageProvider().getCapabilities(),
+        create: (config) => new MockImageProvider(config)
+    }
+];
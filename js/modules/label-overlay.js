@@ -0,0 +1,184 @@
+/**
+ * 识字标签叠加模块
+ * 图片模型经常把汉字和拼音画错，页面贴标签时让模型只画空白贴纸，
+ * 再由本模块根据词汇表在图片上绘制标签（上一行带声调的拼音，下一行简体汉字），保证文字正确
+ */
+
+import { pinyinConverter } from './pinyin.js';
+import { roundRect } from './placeholder-poster.js';
+import { downloadManager } from './download.js';
+
+// 标签的边框颜色（与生成小报时的四个分类一致，顺序即初始排列顺序）
+const LABEL_COLORS = {
+    characters: '#FF7043',
+    items: '#42A5F5',
+    facilities: '#66BB6A',
+    environment: '#AB47BC'
+};
+
+/**
+ * 标签尺寸，按图片短边为 base 像素时的大小给出，其他尺寸按比例缩放
+ * 页面上拖动的标签和导出时绘制的标签使用同一组尺寸
+ */
+export const LABEL_SIZES = {
+    base: 1024,
+    pinyin: 22,
+    hanzi: 38,
+    lineHeight: 1.2,
+    padding: 10,
+    border: 4,
+    radius: 14
+};
+
+// 初始排列时避开顶部标题区，标签放在图片的这个纵向范围内
+const LAYOUT_TOP = 0.25;
+const LAYOUT_BOTTOM = 0.92;
+
+const FONT_FAMILY = '"PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif';
+
+// 导出为 JPEG 时的质量
+const JPEG_QUALITY = 0.92;
+
+/**
+ * 根据词汇创建标签，初始按网格均匀排列，由用户拖到对应的物体上
+ * 位置 x, y 为标签中心相对图片宽高的比例（0–1）
+ * @param {Object} vocabularies - 词汇（characters, items, facilities, environment，每项为 {pinyin, chinese}）
+ * @param {boolean} showPinyin - 是否标注拼音（默认标注）
+ * @returns {Array<{id: string, category: string, pinyin: string, chinese: string, x: number, y: number}>} 标签
+ */
+export function createLabels(vocabularies, showPinyin = true) {
+    const words = Object.keys(LABEL_COLORS).flatMap(category => {
+        return ((vocabularies && vocabularies[category]) || [])
+            .filter(word => word.chinese)
+            .map(word => ({ category, word: pinyinConverter.annotate(word) }));
+    });
+
+    const columns = Math.max(1, Math.ceil(Math.sqrt(words.length)));
+    const rows = Math.max(1, Math.ceil(words.length / columns));
+
+    return words.map(({ category, word }, index) => ({
+        id: `label-${index}`,
+        category,
+        pinyin: showPinyin ? word.pinyin : '',
+        chinese: word.chinese,
+        x: ((index % columns) + 0.5) / columns,
+        y: LAYOUT_TOP + ((Math.floor(index / columns) + 0.5) / rows) * (LAYOUT_BOTTOM - LAYOUT_TOP)
+    }));
+}
+
+/**
+ * 获取标签的边框颜色
+ * @param {string} category - 词汇分类
+ * @returns {string} 颜色
+ */
+export function getLabelColor(category) {
+    return LABEL_COLORS[category] || '#333333';
+}
+
+/**
+ * 读取图片数据
+ * 先下载为 Blob 再加载，避免跨域图片导致画布无法导出
+ * @param {string} imageUrl - 图片URL（也可以是 blob: 或 data: URL）
+ * @returns {Promise<HTMLImageElement>} 加载完成的图片
+ */
+async function loadImage(imageUrl) {
+    const blob = await downloadManager.fetchImageBlob(imageUrl);
+
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('图片无法读取'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 绘制一个标签
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {Object} label - 标签
+ * @param {number} width - 图片宽度
+ * @param {number} height - 图片高度
+ */
+function drawLabel(ctx, label, width, height) {
+    const unit = Math.min(width, height) / LABEL_SIZES.base;
+    const pinyinSize = LABEL_SIZES.pinyin * unit;
+    const hanziSize = LABEL_SIZES.hanzi * unit;
+    const padding = LABEL_SIZES.padding * unit;
+    const border = LABEL_SIZES.border * unit;
+
+    const pinyinFont = `${pinyinSize}px ${FONT_FAMILY}`;
+    const hanziFont = `bold ${hanziSize}px ${FONT_FAMILY}`;
+
+    ctx.font = hanziFont;
+    let textWidth = ctx.measureText(label.chinese).width;
+    if (label.pinyin) {
+        ctx.font = pinyinFont;
+        textWidth = Math.max(textWidth, ctx.measureText(label.pinyin).width);
+    }
+
+    const pinyinHeight = label.pinyin ? pinyinSize * LABEL_SIZES.lineHeight : 0;
+    const hanziHeight = hanziSize * LABEL_SIZES.lineHeight;
+    const boxWidth = textWidth + (padding + border) * 2;
+    const boxHeight = pinyinHeight + hanziHeight + (padding + border) * 2;
+    const left = label.x * width - boxWidth / 2;
+    const top = label.y * height - boxHeight / 2;
+
+    // 白底彩色边框（边框画在框内，与页面上的标签大小一致）
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = getLabelColor(label.category);
+    ctx.lineWidth = border;
+    roundRect(ctx, left + border / 2, top + border / 2, boxWidth - border, boxHeight - border, LABEL_SIZES.radius * unit);
+    ctx.fill();
+    ctx.stroke();
+
+    // 拼音在上、汉字在下
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    let y = top + border + padding;
+    if (label.pinyin) {
+        ctx.font = pinyinFont;
+        ctx.fillStyle = '#555555';
+        ctx.fillText(label.pinyin, label.x * width, y + pinyinHeight / 2);
+        y += pinyinHeight;
+    }
+    ctx.font = hanziFont;
+    ctx.fillStyle = '#222222';
+    ctx.fillText(label.chinese, label.x * width, y + hanziHeight / 2);
+}
+
+/**
+ * 把标签绘制到图片上，按原图尺寸导出
+ * @param {string} imageUrl - 图片URL
+ * @param {Array} labels - 标签（见 createLabels）
+ * @param {string} format - 输出格式（png 或 jpg）
+ * @returns {Promise<Blob>} 贴好标签的图片
+ */
+export async function composeLabels(imageUrl, labels, format = 'png') {
+    const image = await loadImage(imageUrl);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    labels.forEach(label => drawLabel(ctx, label, canvas.width, canvas.height));
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('导出图片失败'));
+            }
+        }, format === 'jpg' ? 'image/jpeg' : 'image/png', JPEG_QUALITY);
+    });
+}
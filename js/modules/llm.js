@@ -0,0 +1,369 @@
+/**
+ * 文本模型模块
+ * 通过可配置的文本模型接口，为未收录的自定义主题联想场景词汇
+ */
+
+import { pinyinConverter } from './pinyin.js';
+import { themeValidator } from './validator.js';
+import { credentialStore } from './credentials.js';
+import { ApiError, parseRetryAfter } from './api.js';
+import { isAbortError, wait } from './abort.js';
+
+const STORAGE_KEY = 'text_model_settings';
+
+// API Key 在凭据存储中的名称
+const CREDENTIAL_NAME = 'text';
+
+// 词汇分类及每类的数量范围（与提示词模板的要求一致）
+const CATEGORY_LIMITS = {
+    characters: { min: 3, max: 5 },
+    items: { min: 5, max: 8 },
+    facilities: { min: 3, max: 5 },
+    environment: { min: 3, max: 5 }
+};
+
+// 有效结果至少需要的词汇数量
+const MIN_TOTAL_WORDS = 8;
+
+/**
+ * 默认重试策略
+ * 临时错误（网络、429、5xx）最多请求 attempts 次，每次等待时间按 multiplier 递增，429 时不少于 Retry-After；
+ * 全部重试都在配置的 timeout 之内完成
+ */
+export const DEFAULT_RETRY_POLICY = {
+    attempts: 3,
+    initialDelay: 1000,
+    multiplier: 2
+};
+
+/**
+ * 文本模型提供者（基类）
+ * 新的文本模型只需继承此类并实现 complete 方法
+ */
+export class TextModelProvider {
+    /**
+     * 发送对话并返回模型回复的文本
+     * @param {Array<{role: string, content: string}>} messages - 对话消息
+     * @param {Object} options - 可选参数（signal）
+     * @returns {Promise<string>} 模型回复
+     */
+    async complete(messages, options = {}) {
+        throw new Error('文本模型未实现 complete 方法');
+    }
+}
+
+/**
+ * OpenAI 兼容的对话补全接口
+ * 适用于 OpenAI、DeepSeek、通义千问兼容模式以及本地 Ollama / LM Studio 等服务
+ */
+export class OpenAICompatibleTextProvider extends TextModelProvider {
+    constructor(config) {
+        super();
+        this.endpoint = config.endpoint;
+        this.apiKey = config.apiKey || '';
+        this.model = config.model;
+    }
+
+    /**
+     * 发送对话并返回模型回复的文本
+     * @param {Array<{role: string, content: string}>} messages - 对话消息
+     * @param {Object} options - 可选参数（signal）
+     * @returns {Promise<string>} 模型回复
+     * @throws {ApiError} 网络不通、返回的数据无法解析或接口返回错误码
+     */
+    async complete(messages, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({
+                    model: this.model,
+                    messages: messages,
+                    temperature: 0.3
+                }),
+                signal: options.signal
+            });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            throw new ApiError('文本模型连接失败', { kind: 'network' });
+        }
+
+        if (!response.ok) {
+            throw new ApiError(`文本模型请求失败（HTTP ${response.status}）`, {
+                status: response.status,
+                retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            throw new ApiError('文本模型返回的数据无法解析', { kind: 'network' });
+        }
+
+        const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+
+        if (!content) {
+            throw new Error('文本模型没有返回内容');
+        }
+
+        return content;
+    }
+}
+
+/**
+ * 词汇联想服务
+ * 负责构建请求、解析并校验模型返回的词汇
+ */
+export class VocabularyLLMService {
+    constructor() {
+        this.config = {
+            enabled: false,
+            endpoint: '',
+            model: '',
+            apiKey: '',
+            timeout: 30000
+        };
+        this.provider = null;
+        this.retryPolicy = { ...DEFAULT_RETRY_POLICY };
+        this.loadConfig();
+
+        // API Key 变化（保存、解锁、锁定）时重建提供者
+        credentialStore.subscribe(() => {
+            this.applyConfig({ apiKey: credentialStore.get(CREDENTIAL_NAME) });
+        });
+    }
+
+    /**
+     * 从本地存储加载配置，API Key 从凭据存储读取
+     * 升级前以 base64 保存在配置中的 API Key 会迁移到凭据存储
+     */
+    loadConfig() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                const { apiKey, ...config } = JSON.parse(stored);
+                this.applyConfig(config);
+
+                // 导入完成后再保存配置（不含 API Key），导入失败时保留原来的内容
+                if (apiKey !== undefined) {
+                    credentialStore.importLegacy(CREDENTIAL_NAME, apiKey ? atob(apiKey) : '')
+                        .then(() => this.saveSettings())
+                        .catch(error => console.error('迁移文本模型 API Key 失败:', error));
+                }
+            }
+            this.applyConfig({ apiKey: credentialStore.get(CREDENTIAL_NAME) });
+        } catch (error) {
+            console.error('加载文本模型配置失败:', error);
+        }
+    }
+
+    /**
+     * 保存配置
+     * @param {Object} config - 配置（enabled, endpoint, model, apiKey；apiKey 未提供时保持原值）
+     */
+    async saveConfig(config) {
+        const { apiKey, ...settings } = config;
+        if (apiKey !== undefined) {
+            await credentialStore.set(CREDENTIAL_NAME, apiKey);
+        }
+
+        this.applyConfig(settings);
+        this.saveSettings();
+    }
+
+    /**
+     * 把配置（不含 API Key）写入本地存储
+     */
+    saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            enabled: this.config.enabled,
+            endpoint: this.config.endpoint,
+            model: this.config.model
+        }));
+    }
+
+    /**
+     * 应用配置并重建提供者
+     * @param {Object} config - 配置
+     */
+    applyConfig(config) {
+        // 未提供的字段（如留空的 API Key）保持原值
+        Object.entries(config).forEach(([key, value]) => {
+            if (value !== undefined) {
+                this.config[key] = value;
+            }
+        });
+
+        this.provider = this.config.endpoint && this.config.model
+            ? new OpenAICompatibleTextProvider(this.config)
+            : null;
+    }
+
+    /**
+     * 替换文本模型提供者（用于接入其他类型的模型）
+     * @param {TextModelProvider} provider - 提供者
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * 获取配置（不含 API Key）
+     * @returns {Object} 配置（hasApiKey 表示是否保存了 API Key，加密未解锁时也为 true）
+     */
+    getConfig() {
+        const { apiKey, ...config } = this.config;
+        return { ...config, hasApiKey: credentialStore.has(CREDENTIAL_NAME) };
+    }
+
+    /**
+     * 是否可以调用文本模型（已启用、已配置且在线）
+     * @returns {boolean}
+     */
+    isAvailable() {
+        const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        return this.config.enabled && !!this.provider && online;
+    }
+
+    /**
+     * 构建请求消息
+     * @param {string} theme - 主题
+     * @returns {Array} 对话消息
+     */
+    buildMessages(theme) {
+        const limits = Object.entries(CATEGORY_LIMITS)
+            .map(([category, { min, max }]) => `${category} ${min}-${max} 个`)
+            .join('，');
+
+        return [
+            {
+                role: 'system',
+                content: '你是儿童识字教育专家，为 3-9 岁儿童的识字小报挑选词语。只输出 JSON，不要输出任何解释。'
+            },
+            {
+                role: 'user',
+                content: `主题/场景：「${theme}」。
+请联想这个场景中最典型、可以被看见和指认的具体名词，共 15-20 个，分为四类：
+characters（人物或动物）、items（常见物品/工具）、facilities（设施）、environment（环境与装饰）。
+每类数量：${limits}。
+要求：只用简体中文常用词，每个词 1-4 个字；不要抽象概念、情绪或品格类词语；拼音带声调，音节之间用空格分隔。
+输出格式：
+{"characters":[{"pinyin":"shōu yín yuán","chinese":"收银员"}],"items":[],"facilities":[],"environment":[]}`
+            }
+        ];
+    }
+
+    /**
+     * 解析并校验模型返回的词汇
+     * 拼音有误的词条改用本地拼音引擎标注，非法或重复的词条直接丢弃
+     * @param {string} text - 模型回复
+     * @returns {Object} 按分类整理的词汇
+     */
+    parseVocabularyResponse(text) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('文本模型返回的内容不是 JSON');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            throw new Error('文本模型返回的 JSON 无法解析');
+        }
+
+        const seen = new Set();
+        const result = {};
+
+        Object.entries(CATEGORY_LIMITS).forEach(([category, { max }]) => {
+            const words = Array.isArray(data[category]) ? data[category] : [];
+
+            result[category] = words
+                .filter(word => word && typeof word.chinese === 'string')
+                .map(word => ({
+                    pinyin: typeof word.pinyin === 'string' ? word.pinyin.trim().toLowerCase() : '',
+                    chinese: word.chinese.trim()
+                }))
+                .filter(word => /^[一-鿿]{1,4}$/.test(word.chinese))
+                .filter(word => {
+                    if (seen.has(word.chinese)) return false;
+                    seen.add(word.chinese);
+                    return true;
+                })
+                .map(word => {
+                    const hasError = themeValidator.validateWord(word).some(problem => problem.level === 'error');
+                    return hasError ? { pinyin: pinyinConverter.convert(word.chinese), chinese: word.chinese } : word;
+                })
+                .slice(0, max);
+        });
+
+        const total = Object.values(result).reduce((sum, list) => sum + list.length, 0);
+        if (total < MIN_TOTAL_WORDS) {
+            throw new Error(`文本模型返回的有效词语太少（${total} 个）`);
+        }
+
+        return result;
+    }
+
+    /**
+     * 为主题生成词汇
+     * 临时错误按重试策略重试，401、402 等其他错误立即抛出；超过 timeout 时中止请求
+     * @param {string} theme - 主题
+     * @returns {Promise<Object>} 按分类整理的词汇
+     * @throws {ApiError} 请求失败或超时（kind 为 timeout）
+     */
+    async generateVocabulary(theme) {
+        if (!this.isAvailable()) {
+            throw new Error('文本模型未启用或当前处于离线状态');
+        }
+
+        const { attempts, initialDelay, multiplier } = this.retryPolicy;
+        const deadline = Date.now() + this.config.timeout;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.timeout);
+        let delay = initialDelay;
+
+        try {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const text = await this.provider.complete(this.buildMessages(theme), { signal: controller.signal });
+                    return this.parseVocabularyResponse(text);
+                } catch (error) {
+                    const retryDelay = error instanceof ApiError && error.retryAfter !== null
+                        ? Math.max(delay, error.retryAfter)
+                        : delay;
+
+                    // 致命错误、重试次数用完或等待后会超过期限时不再重试
+                    if (!(error instanceof ApiError) || !error.transient
+                        || attempt >= attempts || Date.now() + retryDelay >= deadline) {
+                        throw error;
+                    }
+
+                    console.warn(`文本模型请求遇到临时错误，稍后重试（${attempt}/${attempts}）:`, error.message);
+                    await wait(retryDelay, controller.signal);
+                    delay *= multiplier;
+                }
+            }
+        } catch (error) {
+            if (isAbortError(error) && controller.signal.aborted) {
+                throw new ApiError('文本模型请求超时', { kind: 'timeout' });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// 创建全局词汇联想服务实例
+export const vocabularyLLM = new VocabularyLLMService();
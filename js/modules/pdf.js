@@ -0,0 +1,138 @@
+/**
+ * PDF 生成模块
+ * 在浏览器中把整页图片（JPEG）写成 PDF，每张图片铺满一页，不依赖第三方库
+ */
+
+// 每英寸的 PDF 单位（point）
+export const POINTS_PER_INCH = 72;
+
+/**
+ * PDF 写入器
+ * 用法：writer.addPage(jpegBytes, { width, height, pageWidth, pageHeight }); const blob = writer.toBlob();
+ */
+export class PdfWriter {
+    /**
+     * @param {Object} info - 文档信息（title，可选）
+     */
+    constructor(info = {}) {
+        this.info = info;
+        this.pages = [];
+    }
+
+    /**
+     * 添加一页，图片铺满整页
+     * @param {Uint8Array} jpeg - JPEG 图片数据（RGB）
+     * @param {Object} size - 尺寸
+     * @param {number} size.width - 图片宽度（像素）
+     * @param {number} size.height - 图片高度（像素）
+     * @param {number} size.pageWidth - 页面宽度（point）
+     * @param {number} size.pageHeight - 页面高度（point）
+     */
+    addPage(jpeg, size) {
+        this.pages.push({ jpeg, ...size });
+    }
+
+    /**
+     * 生成 PDF 文件
+     * 对象编号：1 目录、2 页面树、3 文档信息，之后每页依次为 页面、内容、图片
+     * @returns {Blob} PDF 文件
+     */
+    toBlob() {
+        if (this.pages.length === 0) {
+            throw new Error('PDF 中没有页面');
+        }
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        const writeObject = (id, ...contents) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+            contents.forEach(write);
+            write('\nendobj\n');
+        };
+
+        // 文件头（第二行的二进制注释让传输工具按二进制处理）
+        write('%PDF-1.4\n');
+        write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+        const pageIds = this.pages.map((page, index) => 4 + index * 3);
+
+        writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+        writeObject(3, `<< /Title ${this.encodeText(this.info.title || '')} /Producer ${this.encodeText('儿童识字小报生成器')} /CreationDate (${this.formatDate(new Date())}) >>`);
+
+        this.pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const width = this.formatNumber(page.pageWidth);
+            const height = this.formatNumber(page.pageHeight);
+            const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+            writeObject(
+                pageId,
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+            );
+            writeObject(pageId + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            writeObject(
+                pageId + 2,
+                `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`,
+                page.jpeg,
+                '\nendstream'
+            );
+        });
+
+        // 交叉引用表（每行固定 20 字节）和文件尾
+        const objectCount = 4 + this.pages.length * 3;
+        const xrefOffset = length;
+        let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objectCount; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    /**
+     * 把文本编码为 PDF 字符串（UTF-16BE 十六进制，支持中文）
+     * @param {string} text - 文本
+     * @returns {string} PDF 字符串
+     */
+    encodeText(text) {
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+        }
+        return `<${hex}>`;
+    }
+
+    /**
+     * 转换为 PDF 日期格式（D:YYYYMMDDHHmmSS）
+     * @param {Date} value - 时间
+     * @returns {string} 日期
+     */
+    formatDate(value) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `D:${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}` +
+            `${pad(value.getHours())}${pad(value.getMinutes())}${pad(value.getSeconds())}`;
+    }
+
+    /**
+     * 格式化数字（最多两位小数）
+     * @param {number} value - 数字
+     * @returns {string}
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+}
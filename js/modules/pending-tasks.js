@@ -0,0 +1,98 @@
+/**
+ * 未完成任务模块
+ * 把已提交但还没拿到结果的生成任务保存在本地，页面刷新后可以继续获取结果
+ */
+
+const STORAGE_KEY = 'pending_tasks';
+
+// 超过这个时间仍未完成的任务视为过期（毫秒）
+export const PENDING_TASK_TIMEOUT = 30 * 60 * 1000;
+
+/**
+ * 任务过期错误
+ */
+export class TaskExpiredError extends Error {
+    constructor(message = '任务等待时间过长，已标记为过期') {
+        super(message);
+        this.name = 'TaskExpiredError';
+    }
+}
+
+/**
+ * 未完成任务存储
+ * 记录结构：{ taskId, source, theme, scene, profile, title, template, prompt, vocabularies, settings, provider, createdAt }
+ * source 为 single（单张生成）或 batch（批量生成），provider 为提交任务的图片生成服务
+ */
+export class PendingTaskStore {
+    constructor() {
+        this.tasks = [];
+        this.load();
+    }
+
+    /**
+     * 从本地存储加载任务（其他标签页可能也写入过，修改前都会重新加载）
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            this.tasks = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('加载未完成任务失败:', error);
+            this.tasks = [];
+        }
+    }
+
+    /**
+     * 保存任务到本地存储
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.tasks));
+        } catch (error) {
+            console.error('保存未完成任务失败:', error);
+        }
+    }
+
+    /**
+     * 获取全部任务（按提交时间排列）
+     * @returns {Array} 任务列表
+     */
+    getTasks() {
+        this.load();
+        return [...this.tasks].sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * 添加任务
+     * @param {Object} task - 任务
+     */
+    add(task) {
+        this.load();
+        this.tasks = this.tasks.filter(item => item.taskId !== task.taskId);
+        this.tasks.push({ createdAt: Date.now(), ...task });
+        this.save();
+    }
+
+    /**
+     * 移除任务
+     * @param {string} taskId - 任务ID
+     */
+    remove(taskId) {
+        this.load();
+        this.tasks = this.tasks.filter(task => task.taskId !== taskId);
+        this.save();
+    }
+
+    /**
+     * 判断任务是否已等待过久
+     * @param {Object} task - 任务
+     * @param {number} now - 当前时间（默认 Date.now()）
+     * @returns {boolean}
+     */
+    isExpired(task, now = Date.now()) {
+        return now - task.createdAt > PENDING_TASK_TIMEOUT;
+    }
+}
+
+// 创建全局未完成任务存储实例
+export const pendingTaskStore = new PendingTaskStore();
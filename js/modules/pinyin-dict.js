@@ -0,0 +1,1535 @@
+/**
+ * 拼音词典数据
+ * 数据整理自 pinyin-pro（MIT License）的字典与词典
+ */
+
+/**
+ * 汉字默认读音
+ * 覆盖 GB2312 一级常用字及主题数据中用到的汉字，每行格式为「读音 汉字列表」
+ */
+export const CHAR_READINGS = [
+    'a 啊',
+    'ā 阿',
+    'āi 埃挨哎哀',
+    'ài 唉艾碍爱隘',
+    'ái 皑癌',
+    'ǎi 蔼矮',
+    'ān 鞍氨安',
+    'ǎn 俺',
+    'àn 按暗岸胺案',
+    'āng 肮',
+    'áng 昂',
+    'àng 盎',
+    'āo 凹',
+    'áo 敖熬翱嚣遨',
+    'ǎo 袄',
+    'ào 傲奥懊澳',
+    'bā 芭捌扒叭笆八疤巴',
+    'ba 吧',
+    'bá 拔跋',
+    'bǎ 靶把',
+    'pá 耙爬琶',
+    'bà 坝霸罢爸',
+    'bái 白',
+    'bǎi 柏百摆佰',
+    'bài 败拜稗',
+    'bān 斑班搬扳般颁',
+    'bǎn 板版',
+    'bàn 扮拌伴瓣半办绊',
+    'bāng 邦帮梆',
+    'bǎng 榜膀绑',
+    'bàng 棒磅蚌镑傍谤',
+    'bāo 苞胞包褒剥',
+    'báo 薄雹',
+    'bǎo 保堡饱宝',
+    'bào 抱报暴豹鲍爆',
+    'bēi 杯碑悲卑',
+    'běi 北',
+    'bèi 辈背贝钡倍狈备惫焙被',
+    'bēn 奔',
+    'běn 苯本',
+    'bèn 笨',
+    'bēng 崩绷',
+    'béng 甭',
+    'bèng 泵蹦迸',
+    'bī 逼',
+    'bí 鼻',
+    'bǐ 比鄙笔彼',
+    'bì 碧蓖蔽毕毙毖币庇痹闭敝弊必壁臂避陛',
+    'pì 辟僻屁譬',
+    'biān 鞭边编',
+    'biǎn 贬扁',
+    'biàn 便变卞辨辩辫遍',
+    'biāo 标彪膘',
+    'biǎo 表',
+    'biē 鳖憋',
+    'bié 别',
+    'biě 瘪',
+    'bīn 彬斌濒滨宾',
+    'bìn 摈',
+    'bīng 兵冰',
+    'bǐng 柄丙秉饼炳',
+    'bìng 病并',
+    'bō 玻菠播拨钵波',
+    'bó 博勃搏铂箔伯帛舶脖膊渤泊驳簿',
+    'bǔ 捕卜哺补',
+    'bù 埠不布步部怖',
+    'cā 擦',
+    'cāi 猜',
+    'cái 裁材才财',
+    'cǎi 睬踩采彩',
+    'cài 菜蔡',
+    'cān 餐参',
+    'cán 蚕残惭',
+    'cǎn 惨',
+    'càn 灿',
+    'cāng 苍舱仓沧',
+    'cáng 藏',
+    'cāo 操糙',
+    'cáo 槽曹',
+    'cǎo 草',
+    'cè 厕策侧册测',
+    'céng 层曾',
+    'cèng 蹭',
+    'chā 插叉',
+    'chá 茬茶查碴搽察',
+    'chà 岔差诧刹',
+    'chāi 拆',
+    'chái 柴豺',
+    'chān 搀掺',
+    'chán 蝉馋谗缠',
+    'chǎn 铲产阐',
+    'chàn 颤',
+    'chāng 昌猖',
+    'chǎng 场厂敞',
+    'cháng 尝常长偿肠',
+    'chàng 畅唱倡',
+    'chāo 超抄钞',
+    'cháo 朝嘲潮巢',
+    'chǎo 吵炒',
+    'chē 车',
+    'chě 扯',
+    'chè 撤掣彻澈',
+    'chēn 郴',
+    'chén 臣辰尘晨忱沉陈',
+    'chèn 趁衬',
+    'chēng 撑称',
+    'chéng 城橙成呈乘程惩澄诚承',
+    'chěng 逞骋',
+    'chèng 秤',
+    'chī 吃痴',
+    'chí 持匙池迟弛驰',
+    'chǐ 耻齿侈尺',
+    'chì 赤翅斥炽',
+    'chōng 充冲',
+    'chóng 虫崇',
+    'chǒng 宠',
+    'chōu 抽',
+    'chóu 酬畴踌稠愁筹仇绸',
+    'chǒu 瞅丑',
+    'chòu 臭',
+    'chū 初出',
+    'chú 橱厨躇锄雏滁除',
+    'chǔ 楚础储',
+    'chù 矗搐触处畜',
+    'chuāi 揣',
+    'chuān 川穿',
+    'chuán 椽传船',
+    'chuǎn 喘',
+    'chuàn 串',
+    'chuāng 疮窗',
+    'zhuàng 幢撞壮状',
+    'chuáng 床',
+    'chuǎng 闯',
+    'chuàng 创',
+    'chuī 吹炊',
+    'chuí 捶锤垂',
+    'chūn 春椿',
+    'chún 醇唇淳纯',
+    'chǔn 蠢',
+    'chuō 戳',
+    'chuò 绰',
+    'cī 疵',
+    'cí 茨磁雌辞慈瓷词',
+    'cǐ 此',
+    'cì 刺赐次',
+    'cōng 聪葱囱匆',
+    'cóng 从丛',
+    'còu 凑',
+    'cū 粗',
+    'cù 醋簇促',
+    'cuān 蹿',
+    'cuàn 篡窜',
+    'cuī 摧崔催',
+    'cuì 脆瘁粹淬翠',
+    'cūn 村',
+    'cún 存',
+    'cùn 寸',
+    'cuō 磋撮搓',
+    'cuò 措挫错',
+    'dā 搭',
+    'dá 达答',
+    'da 瘩',
+    'dǎ 打',
+    'dà 大',
+    'dāi 呆',
+    'dǎi 歹傣逮',
+    'dài 戴带殆代贷袋待怠',
+    'dān 耽担丹单郸',
+    'dǎn 掸胆',
+    'dàn 旦氮但惮淡诞蛋',
+    'tán 弹坛檀痰潭谭谈',
+    'dāng 当',
+    'dǎng 挡党',
+    'dàng 荡档',
+    'dāo 刀',
+    'dǎo 捣蹈倒岛祷导',
+    'dào 到稻悼道盗',
+    'dé 德得',
+    'de 的',
+    'dēng 蹬灯登',
+    'děng 等',
+    'dèng 瞪凳邓',
+    'dī 堤低滴',
+    'dí 迪敌笛狄涤嫡',
+    'zhái 翟宅',
+    'dǐ 抵底',
+    'dì 地蒂第帝弟递缔',
+    'diān 颠掂滇',
+    'diǎn 碘点典',
+    'diàn 靛垫电佃甸店惦奠淀殿',
+    'diāo 碉叼雕凋刁',
+    'diào 掉吊钓',
+    'tiáo 调条迢',
+    'diē 跌爹',
+    'dié 碟蝶迭谍叠',
+    'dīng 丁盯叮钉',
+    'dǐng 顶鼎',
+    'dìng 锭定订',
+    'diū 丢',
+    'dōng 东冬',
+    'dǒng 董懂',
+    'dòng 动栋侗恫冻洞',
+    'dōu 兜都',
+    'dǒu 抖陡',
+    'dòu 斗豆逗痘',
+    'dū 督',
+    'dú 毒犊独读',
+    'dǔ 堵睹赌',
+    'dù 杜镀肚度渡妒',
+    'duān 端',
+    'duǎn 短',
+    'duàn 锻段断缎',
+    'duī 堆',
+    'duì 兑队对',
+    'dūn 墩吨蹲敦',
+    'dùn 顿钝盾遁',
+    'tún 囤屯臀豚',
+    'duō 掇哆多',
+    'duó 夺',
+    'duò 垛跺舵剁惰堕',
+    'duǒ 躲朵',
+    'é 蛾峨鹅俄额讹娥',
+    'è 恶厄扼遏鄂饿',
+    'ēn 恩',
+    'ér 而儿',
+    'ěr 耳尔饵洱',
+    'èr 二贰',
+    'fā 发',
+    'fá 罚筏伐乏阀',
+    'fǎ 法',
+    'fà 珐',
+    'fān 藩帆番翻',
+    'fán 樊矾钒繁凡烦',
+    'fǎn 反返',
+    'fàn 范贩犯饭泛',
+    'fāng 坊芳方',
+    'fáng 肪房防妨',
+    'fǎng 仿访纺',
+    'fàng 放',
+    'fēi 菲非啡飞',
+    'féi 肥',
+    'fěi 匪诽',
+    'fèi 吠肺废沸费',
+    'fēn 芬酚吩氛分纷',
+    'fén 坟焚汾',
+    'fěn 粉',
+    'fèn 奋份忿愤粪',
+    'fēng 丰封枫蜂峰锋风疯烽',
+    'féng 逢冯',
+    'fèng 缝奉凤',
+    'fěng 讽',
+    'fó 佛',
+    'fǒu 否',
+    'fū 夫敷肤孵',
+    'fú 扶拂辐幅氟符伏俘服浮涪福袱弗',
+    'fǔ 甫抚辅俯釜斧腑府腐',
+    'pú 脯仆莆葡菩蒲',
+    'fù 赴副覆赋复傅付阜父腹负富讣附妇缚咐',
+    'gá 噶',
+    'gǎ 嘎',
+    'gāi 该',
+    'gǎi 改',
+    'gài 概钙盖溉',
+    'gān 干甘杆柑竿肝',
+    'gǎn 赶感秆敢',
+    'gàn 赣',
+    'gāng 冈刚钢缸肛纲',
+    'gǎng 岗港',
+    'gàng 杠',
+    'gāo 篙皋高膏羔糕',
+    'gǎo 搞稿',
+    'hào 镐耗号浩',
+    'gào 告',
+    'gē 哥歌搁戈鸽胳疙割咯',
+    'gé 革格阁隔',
+    'gě 葛',
+    'há 蛤',
+    'gè 铬个各',
+    'gěi 给',
+    'gēn 根跟',
+    'gēng 耕庚羹',
+    'gèng 更',
+    'gěng 埂耿梗',
+    'gōng 工攻功恭龚躬公宫弓',
+    'gòng 供贡共',
+    'gǒng 巩汞拱',
+    'gōu 钩勾沟',
+    'gǒu 苟狗',
+    'gòu 垢构购够',
+    'gū 辜菇咕箍估沽孤姑',
+    'gǔ 鼓古蛊骨谷股',
+    'gù 故顾固雇',
+    'guā 刮瓜',
+    'guǎ 剐寡',
+    'guà 挂褂',
+    'guāi 乖',
+    'guǎi 拐',
+    'guài 怪',
+    'guān 棺关官冠观',
+    'guǎn 管馆',
+    'guàn 罐惯灌贯',
+    'guāng 光',
+    'guǎng 广',
+    'guàng 逛',
+    'guī 瑰规圭硅归龟闺',
+    'guǐ 轨鬼诡癸',
+    'guì 桂柜跪贵刽',
+    'gǔn 辊滚',
+    'gùn 棍',
+    'guō 锅郭',
+    'guó 国',
+    'guǒ 果裹',
+    'guò 过',
+    'hā 哈',
+    'hái 骸孩还',
+    'hǎi 海',
+    'hài 氦亥害骇',
+    'hān 酣憨',
+    'hán 邯韩含涵寒函',
+    'hǎn 喊罕',
+    'hàn 翰撼捍旱憾悍焊汗汉',
+    'hāng 夯',
+    'háng 杭航',
+    'háo 壕嚎豪毫',
+    'hǎo 郝好',
+    'hē 呵喝',
+    'hé 荷菏核禾和何合盒阂河涸',
+    'mò 貉末莫墨默沫漠寞陌',
+    'hè 赫褐鹤贺',
+    'hēi 嘿黑',
+    'hén 痕',
+    'hěn 很狠',
+    'hèn 恨',
+    'hēng 哼亨',
+    'héng 横衡恒',
+    'hōng 轰烘',
+    'hǒng 哄',
+    'hóng 虹鸿洪宏弘红',
+    'hóu 喉侯猴',
+    'hǒu 吼',
+    'hòu 厚候后',
+    'hū 呼乎忽',
+    'hú 瑚壶葫胡蝴狐糊湖弧',
+    'hǔ 虎唬',
+    'hù 护互沪户',
+    'huā 花',
+    'huá 哗华猾滑',
+    'huà 画划化话',
+    'huái 槐徊怀淮',
+    'huài 坏',
+    'huān 欢',
+    'huán 环桓',
+    'huǎn 缓',
+    'huàn 换患唤痪豢焕涣宦幻',
+    'huāng 荒慌',
+    'huáng 黄磺蝗簧皇凰惶煌',
+    'huàng 晃',
+    'huǎng 幌恍谎',
+    'huī 灰挥辉徽恢',
+    'huí 蛔回',
+    'huǐ 毁悔',
+    'huì 慧卉惠晦贿秽会烩汇讳诲绘',
+    'hūn 荤昏婚',
+    'hún 魂浑',
+    'hùn 混',
+    'huō 豁',
+    'huó 活',
+    'huǒ 伙火',
+    'huò 获或惑霍货祸',
+    'jī 击圾基机畸稽积箕肌饥激讥鸡姬缉',
+    'jì 迹绩蓟技冀季伎祭剂悸济寄寂计记既忌际妓继纪',
+    'jí 吉极棘辑籍集及急疾汲即嫉级',
+    'jǐ 挤几脊己',
+    'jiā 嘉枷佳家加',
+    'jiá 夹荚颊',
+    'jiǎ 贾甲钾假',
+    'jià 稼价架驾嫁',
+    'jiān 歼监坚尖笺间煎兼肩艰奸缄',
+    'jiǎn 茧检柬碱硷拣捡简俭剪减',
+    'jiàn 荐鉴践贱见键箭件健舰剑饯渐溅涧建毽',
+    'kǎn 槛坎砍',
+    'jiāng 僵姜将浆江疆',
+    'jiǎng 蒋桨奖讲',
+    'jiàng 匠酱降',
+    'jiāo 蕉椒礁焦胶交郊浇骄娇',
+    'jiáo 嚼',
+    'jiǎo 搅铰矫侥脚狡角饺缴绞剿',
+    'jiào 教酵轿较叫窖',
+    'jiē 揭接皆秸街阶',
+    'jié 截劫节杰捷睫竭洁结',
+    'jú 桔菊局橘',
+    'jiě 解姐',
+    'jiè 戒藉芥界借介疥诫届',
+    'jīn 巾筋斤金今津襟',
+    'jǐn 紧锦仅谨',
+    'jìn 进靳晋禁近烬浸尽劲',
+    'jīng 荆兢茎睛晶鲸京惊精粳经',
+    'jǐng 井警景颈',
+    'jìng 静境敬镜径痉靖竟竞净',
+    'jiǒng 炯窘',
+    'jiū 揪究纠',
+    'jiǔ 玖韭久灸九酒',
+    'jiù 厩救旧臼舅咎就疚',
+    'jū 鞠拘狙疽居驹',
+    'zuǐ 咀嘴',
+    'jǔ 矩举沮',
+    'jù 聚拒据巨具距踞锯俱句惧炬剧',
+    'juān 捐鹃娟',
+    'juàn 倦眷卷绢',
+    'juē 撅',
+    'jué 攫抉掘爵觉决诀绝',
+    'juè 倔',
+    'jūn 均菌钧军君',
+    'jùn 峻俊竣浚郡骏',
+    'kā 喀咖',
+    'kǎ 卡',
+    'kāi 开揩',
+    'kǎi 楷凯慨',
+    'kān 刊堪勘',
+    'kàn 看',
+    'kāng 康慷糠',
+    'káng 扛',
+    'kàng 抗亢炕',
+    'kǎo 考拷烤',
+    'kào 靠',
+    'kē 坷苛柯棵磕颗科',
+    'ké 壳',
+    'hāi 咳',
+    'kě 可渴',
+    'kè 克刻客课',
+    'kěn 肯啃垦恳',
+    'kēng 坑吭',
+    'kōng 空',
+    'kǒng 恐孔',
+    'kòng 控',
+    'kōu 抠',
+    'kǒu 口',
+    'kòu 扣寇',
+    'kū 枯哭窟',
+    'kǔ 苦',
+    'kù 酷库裤',
+    'kuā 夸',
+    'kuǎ 垮',
+    'kuà 挎跨胯',
+    'kuài 块筷侩快',
+    'kuān 宽',
+    'kuǎn 款',
+    'kuāng 匡筐',
+    'kuáng 狂',
+    'kuàng 框矿眶旷况',
+    'kuī 亏盔岿窥',
+    'kuí 葵奎魁',
+    'kuǐ 傀',
+    'kuì 馈愧溃',
+    'kūn 坤昆',
+    'kǔn 捆',
+    'kùn 困',
+    'kuò 括扩廓阔',
+    'lā 垃拉喇啦',
+    'là 蜡腊辣',
+    'lái 莱来',
+    'lài 赖',
+    'lán 蓝婪栏拦篮阑兰澜谰',
+    'lǎn 揽览懒缆',
+    'làn 烂滥',
+    'láng 琅榔狼廊郎',
+    'lǎng 朗',
+    'làng 浪',
+    'lāo 捞',
+    'láo 劳牢',
+    'lǎo 老佬姥',
+    'lào 酪烙涝',
+    'lè 勒乐',
+    'léi 雷镭',
+    'lěi 蕾磊儡垒',
+    'lèi 累擂肋类泪',
+    'léng 棱楞',
+    'lěng 冷',
+    'lí 厘梨犁黎篱狸离漓璃',
+    'lǐ 理李里鲤礼',
+    'lì 莉荔吏栗丽厉励砾历利傈例俐痢立粒沥隶力',
+    'lī 哩',
+    'liǎ 俩',
+    'lián 联莲连镰廉怜涟帘',
+    'liǎn 敛脸',
+    'liàn 链恋炼练',
+    'liáng 粮凉梁粱良量',
+    'liǎng 两',
+    'liàng 辆晾亮谅',
+    'liáo 撩聊僚疗燎寥辽潦',
+    'liǎo 了',
+    'liào 撂镣廖料',
+    'liè 列裂烈劣猎',
+    'lín 琳林磷霖临邻鳞淋',
+    'lǐn 凛',
+    'lìn 赁吝',
+    'līn 拎',
+    'líng 玲菱零龄铃伶羚凌灵陵',
+    'lǐng 岭领',
+    'lìng 另令',
+    'liū 溜',
+    'liú 琉榴硫馏留刘瘤流',
+    'liǔ 柳',
+    'liù 六',
+    'lóng 龙聋咙笼窿隆',
+    'lǒng 垄拢陇',
+    'lóu 楼娄',
+    'lǒu 搂篓',
+    'lòu 漏陋',
+    'lú 芦卢颅庐炉',
+    'lǔ 掳卤虏鲁',
+    'lù 麓碌露路赂鹿潞禄录陆戮',
+    'lǘ 驴',
+    'lǚ 吕铝侣旅履屡缕',
+    'lǜ 虑氯律率滤绿',
+    'luán 峦挛孪滦',
+    'luǎn 卵',
+    'luàn 乱',
+    'lüè 掠略',
+    'lūn 抡',
+    'lún 轮伦仑沦纶',
+    'lùn 论',
+    'luó 萝螺罗逻锣箩骡',
+    'luǒ 裸',
+    'luò 落洛骆络',
+    'mā 妈',
+    'má 麻',
+    'mǎ 玛码蚂马',
+    'mà 骂',
+    'ma 嘛吗',
+    'mái 埋',
+    'mǎi 买',
+    'mài 麦卖迈脉',
+    'mán 瞒馒蛮',
+    'mǎn 满',
+    'màn 蔓曼慢漫谩',
+    'máng 芒茫盲氓忙',
+    'mǎng 莽',
+    'māo 猫',
+    'máo 茅锚毛矛',
+    'mǎo 铆卯',
+    'mào 茂冒帽貌贸',
+    'me 么',
+    'méi 玫枚梅酶霉煤没眉媒',
+    'měi 镁每美',
+    'mèi 昧寐妹媚',
+    'mén 门',
+    'mēn 闷',
+    'men 们',
+    'méng 萌蒙檬盟',
+    'měng 锰猛',
+    'mèng 梦孟',
+    'mī 眯',
+    'mí 醚靡糜迷谜弥',
+    'mǐ 米',
+    'mì 秘觅泌蜜密幂',
+    'mián 棉眠绵',
+    'miǎn 冕免勉娩缅',
+    'miàn 面',
+    'miáo 苗描瞄',
+    'miǎo 藐秒渺',
+    'miào 庙妙',
+    'miè 蔑灭',
+    'mín 民',
+    'mǐn 抿皿敏悯闽',
+    'míng 明螟鸣铭名',
+    'mìng 命',
+    'miù 谬',
+    'mō 摸',
+    'mó 摹蘑模膜磨摩魔',
+    'mǒ 抹',
+    'móu 谋',
+    'mù 牟墓暮幕募慕木目睦牧穆',
+    'mǒu 某',
+    'mǔ 拇牡亩姆母',
+    'ná 拿',
+    'nǎ 哪',
+    'nà 呐钠那娜纳',
+    'nǎi 氖乃奶',
+    'nài 耐奈',
+    'nán 南男难',
+    'náng 囊',
+    'náo 挠',
+    'nǎo 脑恼',
+    'nào 闹淖',
+    'ne 呢',
+    'něi 馁',
+    'nèi 内',
+    'nèn 嫩',
+    'néng 能',
+    'nī 妮',
+    'ní 霓倪泥尼',
+    'nǐ 拟你',
+    'nì 匿腻逆溺',
+    'niān 蔫拈',
+    'nián 年粘',
+    'niǎn 碾撵捻辗',
+    'niàn 念',
+    'niáng 娘',
+    'niàng 酿',
+    'niǎo 鸟',
+    'niào 尿',
+    'niē 捏',
+    'niè 聂孽啮镊镍涅',
+    'nín 您',
+    'níng 柠狞凝宁',
+    'nǐng 拧',
+    'nìng 泞',
+    'niú 牛',
+    'niǔ 扭钮纽',
+    'nóng 脓浓农',
+    'nòng 弄',
+    'nú 奴',
+    'nǔ 努',
+    'nù 怒',
+    'nǚ 女',
+    'nuǎn 暖',
+    'nüè 虐疟',
+    'nuó 挪',
+    'nuò 懦糯诺',
+    'ò 哦',
+    'ōu 欧鸥殴沤',
+    'ǒu 藕呕偶',
+    'pā 啪趴',
+    'pà 帕怕',
+    'pāi 拍',
+    'pái 排牌徘',
+    'pài 湃派',
+    'pān 攀潘',
+    'pán 盘磐',
+    'pàn 盼畔判叛',
+    'pāng 乓',
+    'páng 庞旁螃',
+    'pǎng 耪',
+    'pàng 胖',
+    'pāo 抛',
+    'páo 咆刨袍',
+    'pào 炮泡',
+    'pǎo 跑',
+    'pēi 呸胚',
+    'péi 培裴赔陪',
+    'pèi 配佩沛',
+    'pēn 喷',
+    'pén 盆',
+    'pēng 砰抨烹',
+    'péng 澎彭蓬棚硼篷膨朋鹏',
+    'pěng 捧',
+    'pèng 碰',
+    'pī 坯砒霹批披劈',
+    'pí 琵毗啤脾疲皮',
+    'pǐ 匹痞',
+    'piān 篇偏',
+    'piàn 片骗',
+    'piāo 飘漂',
+    'piáo 瓢',
+    'piào 票',
+    'piě 撇',
+    'piē 瞥',
+    'pīn 拼',
+    'pín 频贫',
+    'pǐn 品',
+    'pìn 聘',
+    'pīng 乒',
+    'píng 坪苹萍平凭瓶评屏',
+    'pō 坡泼颇',
+    'pó 婆',
+    'pò 破魄迫粕',
+    'pōu 剖',
+    'pū 扑',
+    'pù 铺曝瀑',
+    'pǔ 埔朴圃普浦谱',
+    'qī 期欺栖戚妻七凄漆柒沏',
+    'qí 其棋奇歧畦崎脐齐旗祈祁骑',
+    'qǐ 起岂乞企启',
+    'qì 契砌器气迄弃汽泣讫',
+    'qiā 掐',
+    'qià 恰洽',
+    'qiān 牵扦钎铅千迁签仟谦',
+    'qián 乾黔钱钳前潜',
+    'qiǎn 遣浅谴',
+    'qiàn 堑嵌欠歉',
+    'qiāng 枪腔羌',
+    'qiàng 呛',
+    'qiáng 墙蔷强',
+    'qiǎng 抢',
+    'qiāo 橇锹敲悄跷',
+    'qiáo 桥瞧乔侨',
+    'qiǎo 巧',
+    'qiào 鞘撬翘峭俏窍',
+    'qiè 切怯窃',
+    'qié 茄',
+    'qiě 且',
+    'qīn 钦侵亲',
+    'qín 秦琴勤芹擒禽',
+    'qǐn 寝',
+    'qìn 沁',
+    'qīng 青轻氢倾卿清',
+    'qíng 擎晴氰情',
+    'qǐng 顷请',
+    'qìng 庆',
+    'qióng 琼穷',
+    'qiū 秋丘邱',
+    'qiú 球求囚酋泅',
+    'qū 趋区蛆躯屈驱',
+    'qǔ 曲取娶龋',
+    'qú 渠',
+    'qù 趣去',
+    'quān 圈',
+    'quán 颧权醛泉全痊拳',
+    'quǎn 犬',
+    'quàn 券劝',
+    'quē 缺炔',
+    'qué 瘸',
+    'què 却鹊榷确雀',
+    'qún 裙群',
+    'rán 然燃',
+    'rǎn 冉染',
+    'ráng 瓤',
+    'rǎng 壤攘嚷',
+    'ràng 让',
+    'ráo 饶',
+    'rǎo 扰',
+    'rào 绕',
+    'rě 惹',
+    'rè 热',
+    'rén 壬仁人',
+    'rěn 忍',
+    'rèn 韧任认刃妊纫',
+    'rēng 扔',
+    'réng 仍',
+    'rì 日',
+    'róng 戎茸蓉荣融熔溶容绒',
+    'rǒng 冗',
+    'róu 揉柔',
+    'ròu 肉',
+    'rú 茹蠕儒孺如',
+    'rǔ 辱乳汝',
+    'rù 入褥',
+    'ruǎn 软阮',
+    'ruǐ 蕊',
+    'ruì 瑞锐',
+    'rùn 闰润',
+    'ruò 若弱',
+    'sā 撒',
+    'sǎ 洒',
+    'sà 萨',
+    'sāi 腮鳃塞',
+    'sài 赛',
+    'sān 三叁',
+    'sǎn 伞',
+    'sàn 散',
+    'sāng 桑',
+    'sǎng 嗓',
+    'sàng 丧',
+    'sāo 搔骚',
+    'sǎo 扫嫂',
+    'sè 瑟色涩',
+    'sēn 森',
+    'sēng 僧',
+    'shā 莎砂杀沙纱',
+    'shǎ 傻',
+    'shá 啥',
+    'shà 煞厦',
+    'shāi 筛',
+    'shài 晒',
+    'shān 珊苫杉山删煽衫栅',
+    'shǎn 闪陕',
+    'shàn 擅赡膳善汕扇缮',
+    'shāng 墒伤商',
+    'shǎng 赏晌',
+    'shàng 上尚',
+    'shang 裳',
+    'shāo 梢捎稍烧',
+    'sháo 芍勺韶',
+    'shǎo 少',
+    'shào 哨邵绍',
+    'shē 奢赊',
+    'shé 蛇舌',
+    'shè 舍赦摄射慑涉社设',
+    'shēn 砷申呻伸身深娠绅',
+    'shén 神什',
+    'shěn 沈审婶',
+    'shèn 甚肾慎渗',
+    'shēng 声生甥牲升',
+    'shéng 绳',
+    'shěng 省',
+    'shèng 盛剩胜圣',
+    'shī 师失狮施湿诗尸虱',
+    'shí 十石拾时食蚀实识',
+    'shǐ 史矢使屎驶始',
+    'shì 式示士世柿事拭誓逝势是嗜噬适仕侍释饰氏市恃室视试',
+    'shōu 收',
+    'shǒu 手首守',
+    'shòu 寿授售受瘦兽',
+    'shū 蔬枢梳殊抒输叔舒淑疏书',
+    'shú 赎孰熟',
+    'shǔ 薯暑曙署蜀黍鼠属',
+    'shù 术述树束戍竖墅庶数漱恕',
+    'shuā 刷',
+    'shuǎ 耍',
+    'shuāi 摔衰',
+    'shuǎi 甩',
+    'shuài 帅',
+    'shuān 栓拴',
+    'shuāng 霜双',
+    'shuǎng 爽',
+    'shuí 谁',
+    'shuǐ 水',
+    'shuì 睡税',
+    'shǔn 吮',
+    'shùn 瞬顺舜',
+    'shuō 说',
+    'shuò 硕朔烁',
+    'sī 斯撕嘶思私司丝',
+    'sǐ 死',
+    'sì 肆寺嗣四伺似饲巳',
+    'sōng 松',
+    'sǒng 耸怂',
+    'sòng 颂送宋讼诵',
+    'sōu 搜艘',
+    'sǒu 擞',
+    'sòu 嗽',
+    'sū 苏酥',
+    'sú 俗',
+    'sù 素速粟僳塑溯宿诉肃',
+    'suān 酸',
+    'suàn 蒜算',
+    'suī 虽',
+    'suí 隋随绥',
+    'suǐ 髓',
+    'suì 碎岁穗遂隧祟',
+    'sūn 孙',
+    'sǔn 损笋',
+    'suō 蓑梭唆缩',
+    'suǒ 琐索锁所',
+    'tā 塌他它她',
+    'tǎ 塔獭',
+    'tà 挞蹋踏',
+    'tāi 胎',
+    'tái 苔抬台',
+    'tài 泰酞太态汰',
+    'tān 坍摊贪瘫滩',
+    'tǎn 坦毯袒',
+    'tàn 碳探叹炭',
+    'tāng 汤',
+    'táng 塘搪堂棠膛唐糖',
+    'tǎng 倘躺淌',
+    'tàng 趟烫',
+    'tāo 掏涛滔绦',
+    'táo 萄桃逃淘陶',
+    'tǎo 讨',
+    'tào 套',
+    'tè 特',
+    'téng 藤腾疼誊',
+    'tī 梯剔踢锑',
+    'tí 提题蹄啼',
+    'tǐ 体',
+    'tì 替嚏惕涕剃屉',
+    'tiān 天添',
+    'tián 填田甜恬',
+    'tiǎn 舔腆',
+    'tiāo 挑',
+    'tiào 眺跳',
+    'tiē 贴帖',
+    'tiě 铁',
+    'tīng 厅听烃汀',
+    'tíng 廷停亭庭',
+    'tǐng 挺艇',
+    'tōng 通',
+    'tóng 桐酮瞳同铜彤童',
+    'tǒng 桶捅筒统',
+    'tòng 痛',
+    'tōu 偷',
+    'tóu 投头',
+    'tòu 透',
+    'tū 凸秃突',
+    'tú 图徒途涂屠',
+    'tǔ 土吐',
+    'tù 兔',
+    'tuān 湍',
+    'tuán 团',
+    'tuī 推',
+    'tuí 颓',
+    'tuǐ 腿',
+    'tuì 蜕褪退',
+    'tūn 吞',
+    'tuō 拖托脱',
+    'tuó 鸵陀驮驼',
+    'tuǒ 椭妥',
+    'tuò 拓唾',
+    'wā 挖哇蛙洼',
+    'wá 娃',
+    'wǎ 瓦',
+    'wà 袜',
+    'wāi 歪',
+    'wài 外',
+    'wān 豌弯湾',
+    'wán 玩顽丸烷完',
+    'wǎn 碗挽晚皖惋宛婉',
+    'wàn 万腕',
+    'wāng 汪',
+    'wáng 王亡',
+    'wǎng 枉网往',
+    'wàng 旺望忘妄',
+    'wēi 威巍微危',
+    'wéi 韦违桅围唯惟潍维',
+    'wèi 为未蔚味畏胃喂魏位渭谓尉慰卫',
+    'wěi 苇萎委伟伪尾纬',
+    'wēn 瘟温',
+    'wén 蚊文闻纹',
+    'wěn 吻稳紊',
+    'wèn 问',
+    'wēng 嗡翁',
+    'wèng 瓮',
+    'wō 挝蜗涡窝',
+    'wǒ 我',
+    'wò 斡卧握沃',
+    'wū 巫呜钨乌污诬屋',
+    'wú 无芜梧吾吴毋',
+    'wǔ 武五捂午舞伍侮鹉',
+    'wù 坞戊雾晤物勿务悟误',
+    'xī 昔熙析西硒矽晰嘻吸锡牺稀息希悉膝夕惜熄烯溪汐犀',
+    'xí 檄袭席习媳',
+    'xǐ 喜洗',
+    'xiǎn 铣显险',
+    'xì 系隙戏细',
+    'xiā 瞎虾',
+    'xiá 匣霞辖暇峡侠狭',
+    'xià 下夏吓',
+    'xiān 掀锨先仙鲜纤',
+    'xián 咸贤衔舷闲涎弦嫌',
+    'xiàn 现献县腺馅羡宪陷限线',
+    'xiāng 相厢镶香箱襄湘乡',
+    'xiáng 翔祥详',
+    'xiǎng 想响享',
+    'xiàng 项巷橡像向象',
+    'xiāo 萧硝霄削销消宵',
+    'xiào 哮孝校肖啸笑效',
+    'xiáo 淆',
+    'xiǎo 晓小',
+    'xiē 楔些歇蝎',
+    'xié 鞋协挟携邪斜胁谐',
+    'xiě 写',
+    'xiè 械卸蟹懈泄泻谢屑',
+    'xīn 薪芯锌欣辛新忻心馨',
+    'xìn 信衅',
+    'xīng 星腥猩惺兴',
+    'xíng 刑型形邢行',
+    'xǐng 醒',
+    'xìng 幸杏性姓',
+    'xiōng 兄凶胸匈汹',
+    'xióng 雄熊',
+    'xiū 休修羞',
+    'xiǔ 朽',
+    'xiù 嗅锈秀袖绣',
+    'xū 墟戌需虚嘘须吁',
+    'xú 徐',
+    'xǔ 许',
+    'xù 蓄酗叙旭序恤絮婿绪续',
+    'xuān 轩喧宣',
+    'xuán 悬旋玄',
+    'xuǎn 选癣',
+    'xuàn 眩绚',
+    'xuē 靴薛',
+    'xué 学穴',
+    'xuě 雪',
+    'xuè 血',
+    'xūn 勋熏',
+    'xún 循旬询寻巡',
+    'xùn 驯殉汛训讯逊迅',
+    'yā 压押鸦鸭丫',
+    'ya 呀',
+    'yá 芽牙蚜崖衙涯',
+    'yǎ 雅哑',
+    'yà 亚讶轧',
+    'yān 焉阉烟淹',
+    'yàn 咽艳堰燕厌砚雁唁彦焰宴谚验',
+    'yán 盐严研蜒岩延言颜阎炎沿',
+    'yǎn 奄掩眼衍演',
+    'yāng 殃央鸯秧',
+    'yáng 杨扬佯疡羊洋阳',
+    'yǎng 氧仰痒养',
+    'yàng 样漾',
+    'yāo 邀腰妖',
+    'yáo 瑶摇尧遥窑谣姚',
+    'yǎo 咬舀',
+    'yào 药要耀钥',
+    'yē 椰噎耶',
+    'yé 爷',
+    'yě 野冶也',
+    'yè 页掖业叶曳腋夜液',
+    'yī 一壹医揖铱依伊衣',
+    'yí 颐夷遗移仪胰疑沂宜姨彝',
+    'yǐ 椅蚁倚已乙矣以',
+    'yì 艺抑易邑屹亿役臆逸肄疫亦裔意毅忆义益溢诣议谊译异翼翌绎',
+    'yīn 茵因殷音阴姻',
+    'yìn 荫印',
+    'yín 吟银淫寅',
+    'yǐn 饮尹引隐',
+    'yīng 英樱婴鹰缨鹦',
+    'yìng 应硬映',
+    'yíng 莹萤营荧蝇迎赢盈',
+    'yǐng 影颖',
+    'yō 哟',
+    'yōng 拥佣臃痈庸雍',
+    'yǒng 踊蛹咏泳涌永恿勇',
+    'yòng 用',
+    'yōu 幽优悠忧',
+    'yóu 尤由邮铀犹油游',
+    'yǒu 酉有友',
+    'yòu 右佑釉诱又幼',
+    'yū 迂淤',
+    'yú 于盂榆虞愚舆余俞逾鱼愉渝渔隅娱',
+    'yǔ 予雨与屿禹宇语羽',
+    'yù 玉域芋郁遇喻峪御愈欲狱育誉浴寓裕预豫驭',
+    'yuān 鸳渊冤',
+    'yuán 元垣袁原援辕园员圆猿源缘',
+    'yuǎn 远',
+    'yuàn 苑愿怨院',
+    'yuē 曰约',
+    'yuè 越跃岳粤月悦阅',
+    'yún 耘云郧匀',
+    'yǔn 陨允',
+    'yùn 运蕴酝韵孕',
+    'yūn 晕',
+    'zā 匝',
+    'zá 砸杂',
+    'zāi 栽哉灾',
+    'zǎi 宰载仔',
+    'zài 再在',
+    'zán 咱',
+    'zǎn 攒',
+    'zàn 暂赞',
+    'zāng 赃脏',
+    'zàng 葬',
+    'zāo 遭糟',
+    'záo 凿',
+    'zǎo 藻枣早澡蚤',
+    'zào 躁噪造皂灶燥',
+    'zé 责择则泽',
+    'zéi 贼',
+    'zěn 怎',
+    'zēng 增憎',
+    'zèng 赠',
+    'zhā 扎喳渣',
+    'zhá 札铡闸',
+    'zhǎ 眨',
+    'zhà 榨乍炸诈柞',
+    'zǎ 咋',
+    'zhāi 摘斋',
+    'zhǎi 窄',
+    'zhài 债寨',
+    'zhān 瞻毡詹沾',
+    'zhǎn 盏斩崭展',
+    'zhàn 蘸栈占战站湛绽',
+    'zhāng 樟章彰漳张',
+    'zhǎng 掌涨',
+    'zhàng 杖丈帐账仗胀瘴障',
+    'zhāo 招昭',
+    'zhǎo 找沼',
+    'zhào 赵照罩兆肇召',
+    'zhē 遮',
+    'zhé 折哲蛰辙',
+    'zhě 者锗',
+    'zhè 蔗这浙',
+    'zhēn 珍斟真甄砧臻贞针侦帧',
+    'zhěn 枕疹诊',
+    'zhèn 震振镇阵',
+    'zhēng 蒸睁征狰争怔筝',
+    'zhèng 挣正政症郑证',
+    'zhěng 整拯',
+    'zhī 芝枝支吱蜘知肢脂汁之织只',
+    'zhí 职直植殖执值侄',
+    'zhǐ 址指止趾旨纸',
+    'zhì 志挚掷至致置帜峙制智秩稚质炙痔滞治窒',
+    'zhōng 中盅忠钟衷终',
+    'zhǒng 种肿',
+    'zhòng 重仲众',
+    'zhōu 舟周州洲诌粥',
+    'zhóu 轴',
+    'zhǒu 肘帚',
+    'zhòu 咒皱宙昼骤',
+    'zhū 珠株蛛朱猪诸诛',
+    'zhú 逐竹烛',
+    'zhǔ 煮拄瞩嘱主',
+    'zhù 著柱助蛀贮铸筑住注祝驻',
+    'zhuā 抓',
+    'zhuǎ 爪',
+    'zhuài 拽',
+    'zhuān 专砖',
+    'zhuǎn 转',
+    'zhuàn 撰赚篆',
+    'zhuāng 桩庄装妆',
+    'zhuī 椎锥追',
+    'zhuì 赘坠缀',
+    'zhūn 谆',
+    'zhǔn 准',
+    'zhuō 捉拙桌',
+    'zhuó 卓琢茁酌啄灼浊',
+    'zhe 着',
+    'zī 兹咨资姿滋淄孜',
+    'zǐ 紫籽滓子',
+    'zì 自渍字',
+    'zōng 鬃棕踪宗综',
+    'zǒng 总',
+    'zòng 纵',
+    'zōu 邹',
+    'zǒu 走',
+    'zòu 奏揍',
+    'zū 租',
+    'zú 足卒族',
+    'zǔ 祖诅阻组',
+    'zuàn 钻',
+    'zuǎn 纂',
+    'zuì 醉最罪',
+    'zūn 尊遵',
+    'zuó 昨',
+    'zuǒ 左佐',
+    'zuò 做作坐座'
+];
+
+/**
+ * 词语读音
+ * 收录含多音字的常用词语，用于根据上下文确定多音字读音，每项格式为「词语:读音」
+ */
+export const PHRASE_READINGS = [
+    '这个:zhè ge', '成为:chéng wéi', '认为:rèn wéi', '作为:zuò wéi', '部分:bù fen', '要求:yāo qiú',
+    '应该:yīng gāi', '增长:zēng zhǎng', '提供:tí gōng', '觉得:jué de', '任务:rèn wu', '那个:nà ge',
+    '称为:chēng wéi', '为主:wéi zhǔ', '了解:liǎo jiě', '处理:chǔ lǐ', '皇上:huáng shang', '只要:zhǐ yào',
+    '大量:dà liàng', '力量:lì liàng', '几乎:jī hū', '干部:gàn bù', '目的:mù dì', '行为:xíng wéi',
+    '只见:zhǐ jiàn', '认识:rèn shi', '市长:shì zhǎng', '师父:shī fu', '调查:diào chá', '重新:chóng xīn',
+    '分为:fēn wéi', '知识:zhī shi', '导弹:dǎo dàn', '质量:zhì liàng', '行款:háng kuǎn', '行列:háng liè',
+    '行话:háng huà', '行业:háng yè', '隔行:gé háng', '在行:zài háng', '行家:háng jia', '内行:nèi háng',
+    '外行:wài háng', '同行:tóng háng', '本行:běn háng', '行伍:háng wǔ', '洋行:yáng háng', '银行:yín háng',
+    '商行:shāng háng', '支行:zhī háng', '总行:zǒng háng', '行情:háng qíng', '懂行:dǒng háng', '行规:háng guī',
+    '行当:háng dang', '行货:háng huò', '太行:tài háng', '入行:rù háng', '中行:zhōng háng', '农行:nóng háng',
+    '工行:gōng háng', '建行:jiàn háng', '各行:gè háng', '行号:háng hào', '行高:háng gāo', '行首:háng shǒu',
+    '行尾:háng wěi', '行末:háng mò', '行长:háng zhǎng', '行距:háng jù', '换行:huàn háng', '行会:háng huì',
+    '行辈:háng bèi', '行道:háng dào', '道行:dào heng', '参与:cān yù', '充分:chōng fèn', '尽管:jǐn guǎn',
+    '生长:shēng zhǎng', '数量:shù liàng', '应当:yīng dāng', '院长:yuàn zhǎng', '强调:qiáng diào', '只能:zhǐ néng',
+    '音乐:yīn yuè', '以为:yǐ wéi', '处于:chǔ yú', '部长:bù zhǎng', '蒙古:měng gǔ', '只有:zhǐ yǒu',
+    '适当:shì dàng', '只好:zhǐ hǎo', '成长:chéng zhǎng', '高兴:gāo xìng', '不了:bù liǎo', '产量:chǎn liàng',
+    '胖子:pàng zi', '显得:xiǎn de', '只是:zhǐ shì', '似的:shì de', '率领:shuài lǐng', '改为:gǎi wéi',
+    '不禁:bù jīn', '成分:chéng fèn', '答应:dā ying', '少年:shào nián', '兴趣:xìng qù', '太监:tài jian',
+    '休息:xiū xi', '校长:xiào zhǎng', '更新:gēng xīn', '合同:hé tong', '喝道:hè dào', '重庆:chóng qìng',
+    '重建:chóng jiàn', '使得:shǐ de', '审查:shěn chá', '累计:lěi jì', '给予:jǐ yǔ', '极为:jí wéi',
+    '冠军:guàn jūn', '仿佛:fǎng fú', '头发:tóu fa', '投降:tóu xiáng', '家长:jiā zhǎng', '仔细:zǐ xì',
+    '要是:yào shi', '将领:jiàng lǐng', '含量:hán liàng', '更为:gèng wéi', '积累:jī lěi', '地处:dì chǔ',
+    '县长:xiàn zhǎng', '少女:shào nǚ', '路上:lù shang', '只怕:zhǐ pà', '能量:néng liàng', '储量:chǔ liàng',
+    '供应:gōng yìng', '挑战:tiǎo zhàn', '西藏:xī zàng', '记得:jì de', '总量:zǒng liàng', '当真:dàng zhēn',
+    '将士:jiàng shì', '差别:chā bié', '较为:jiào wéi', '长老:zhǎng lǎo', '大夫:dài fu', '差异:chā yì',
+    '懂得:dǒng de', '尽量:jǐn liàng', '模样:mú yàng', '的确:dí què', '为首:wéi shǒu', '便宜:pián yi',
+    '更名:gēng míng', '石头:shí tou', '州长:zhōu zhǎng', '为止:wéi zhǐ', '漂亮:piào liang', '炮弹:pào dàn',
+    '藏族:zàng zú', '角色:jué sè', '当作:dàng zuò', '尽快:jǐn kuài', '人为:rén wéi', '重复:chóng fù',
+    '胡同:hú tòng', '差距:chā jù', '弟兄:dì xiong', '大将:dà jiàng', '睡觉:shuì jiào', '一觉:yí jiào',
+    '团长:tuán zhǎng', '队长:duì zhǎng', '区长:qū zhǎng', '难得:nán dé', '丫头:yā tou', '会长:huì zhǎng',
+    '弟弟:dì di', '王爷:wáng ye', '重量:zhòng liàng', '誉为:yù wéi', '家伙:jiā huo', '华山:huà shān',
+    '椅子:yǐ zi', '流量:liú liàng', '长大:zhǎng dà', '勉强:miǎn qiǎng', '会计:kuài jì', '过分:guò fèn',
+    '济南:jǐ nán', '调动:diào dòng', '燕京:yān jīng', '少将:shào jiàng', '中毒:zhòng dú', '晓得:xiǎo de',
+    '变更:biàn gēng', '打更:dǎ gēng', '认得:rèn de', '苹果:píng guǒ', '念头:niàn tou', '挣扎:zhēng zhá',
+    '三藏:sān zàng', '剥削:bō xuē', '少量:shǎo liàng', '寻思:xún si', '夺得:duó dé', '干线:gàn xiàn',
+    '呼吁:hū yù', '处罚:chǔ fá', '长官:zhǎng guān', '柏林:bó lín', '亲戚:qīn qi', '身分:shēn fèn',
+    '胳膊:gē bo', '着手:zhuó shǒu', '炸弹:zhà dàn', '咳嗽:ké sou', '叶子:yè zi', '外长:wài zhǎng',
+    '供给:gōng jǐ', '师长:shī zhǎng', '变量:biàn liàng', '应有:yīng yǒu', '下载:xià zài', '乐器:yuè qì',
+    '间接:jiàn jiē', '底下:dǐ xià', '打扮:dǎ bàn', '子弹:zǐ dàn', '弹药:dàn yào', '热量:rè liàng',
+    '削弱:xuē ruò', '骨干:gǔ gàn', '容量:róng liàng', '模糊:mó hu', '转动:zhuàn dòng', '称呼:chēng hu',
+    '科长:kē zhǎng', '处置:chǔ zhì', '着重:zhuó zhòng', '着急:zháo jí', '强迫:qiǎng pò', '庭长:tíng zhǎng',
+    '首相:shǒu xiàng', '喇嘛:lǎ ma', '镇长:zhèn zhǎng', '只管:zhǐ guǎn', '重重:chóng chóng', '免得:miǎn de',
+    '着实:zhuó shí', '度假:dù jià', '真相:zhēn xiàng', '相貌:xiàng mào', '处分:chǔ fèn', '委屈:wěi qu',
+    '为期:wéi qī', '伯伯:bó bo', '伯子:bǎi zi', '圈子:quān zi', '见识:jiàn shi', '笼罩:lǒng zhào',
+    '与会:yù huì', '都督:dū du', '都市:dū shì', '成都:chéng dū', '首都:shǒu dū', '帝都:dì dū',
+    '王都:wáng dū', '东都:dōng dū', '都护:dū hù', '都城:dū chéng', '建都:jiàn dū', '迁都:qiān dū',
+    '故都:gù dū', '定都:dìng dū', '中都:zhōng dū', '六安:lù ān', '宰相:zǎi xiàng', '较量:jiào liàng',
+    '对称:duì chèn', '总长:zǒng zhǎng', '相公:xiàng gong', '空白:kòng bái', '打量:dǎ liang', '水分:shuǐ fèn',
+    '舌头:shé tou', '没收:mò shōu', '行李:xíng li', '判处:pàn chǔ', '散文:sǎn wén', '处境:chǔ jìng',
+    '孙子:sūn zi', '拳头:quán tou', '打发:dǎ fā', '组长:zǔ zhǎng', '骨头:gǔ tou', '宁可:nìng kě',
+    '更换:gēng huàn', '薄弱:bó ruò', '还原:huán yuán', '重修:chóng xiū', '重来:chóng lái', '只顾:zhǐ gù',
+    '爱好:ài hào', '馒头:mán tou', '军长:jūn zhǎng', '首长:shǒu zhǎng', '厂长:chǎng zhǎng', '司长:sī zhǎng',
+    '长子:zhǎng zǐ', '强劲:qiáng jìng', '恰当:qià dàng', '头儿:tóu er', '站长:zhàn zhǎng', '折腾:zhē teng',
+    '相处:xiāng chǔ', '统率:tǒng shuài', '中将:zhōng jiàng', '命中:mìng zhòng', '名将:míng jiàng', '木头:mù tou',
+    '动弹:dòng tan', '地壳:dì qiào', '干活:gàn huó', '少爷:shào ye', '水量:shuǐ liàng', '补给:bǔ jǐ',
+    '尾巴:wěi ba', '来得:lái de', '好奇:hào qí', '钥匙:yào shi', '当做:dàng zuò', '沉着:chén zhuó',
+    '哑巴:yǎ ba', '车子:chē zi', '上将:shàng jiàng', '恶心:ě xīn', '担子:dàn zi', '应届:yīng jiè',
+    '主角:zhǔ jué', '运转:yùn zhuǎn', '兄长:xiōng zhǎng', '格式:gé shì', '正月:zhēng yuè', '营长:yíng zhǎng',
+    '当成:dàng chéng', '女婿:nǚ xu', '咽喉:yān hóu', '重阳:chóng yáng', '化为:huà wéi', '钻进:zuān jìn',
+    '乐队:yuè duì', '亮相:liàng xiàng', '被子:bèi zi', '舍得:shě de', '杉木:shā mù', '击中:jī zhòng',
+    '排长:pái zhǎng', '假期:jià qī', '分量:fèn liàng', '数次:shù cì', '提防:dī fáng', '查处:chá chǔ',
+    '量子:liàng zǐ', '里头:lǐ tou', '调研:diào yán', '伺候:cì hou', '重申:chóng shēn', '枕头:zhěn tou',
+    '社长:shè zhǎng', '归还:guī huán', '批量:pī liàng', '畜牧:xù mù', '点着:diǎn zháo', '甚为:shèn wéi',
+    '还书:huán shū', '还钱:huán qián', '还给:huán gěi', '还款:huán kuǎn', '借还:jiè huán', '还车:huán chē',
+    '小将:xiǎo jiàng', '着眼:zhuó yǎn', '处死:chǔ sǐ', '厌恶:yàn wù', '鼓乐:gǔ yuè', '树干:shù gàn',
+    '秘鲁:bì lǔ', '大方:dà fāng', '外头:wài tou', '班长:bān zhǎng', '星宿:xīng xiù', '宁愿:nìng yuàn',
+    '钦差:qīn chāi', '为数:wéi shù', '勾当:gòu dàng', '削减:xuē jiǎn', '间谍:jiàn dié', '埋怨:mán yuàn',
+    '结实:jiē shi', '计量:jì liáng', '淹没:yān mò', '村长:cūn zhǎng', '连长:lián zhǎng', '自给:zì jǐ',
+    '武将:wǔ jiàng', '温差:wēn chā', '直奔:zhí bèn', '供求:gōng qiú', '剂量:jì liàng', '道长:dào zhǎng',
+    '泄露:xiè lòu', '王八:wáng ba', '切割:qiē gē', '间隔:jiàn gé', '一晃:yì huǎng', '长假:cháng jià',
+    '令狐:líng hú', '为害:wéi hài', '句子:jù zi', '偿还:cháng huán', '疙瘩:gē da', '燕山:yān shān',
+    '堵塞:dǔ sè', '夺冠:duó guàn', '扎实:zhā shi', '电荷:diàn hè', '看守:kān shǒu', '复辟:fù bì',
+    '郁闷:yù mèn', '尽早:jǐn zǎo', '切断:qiē duàn', '指头:zhǐ tou', '为生:wéi shēng', '畜生:chù sheng',
+    '切除:qiē chú', '着力:zhuó lì', '着想:zhuó xiǎng', '级差:jí chā', '投奔:tóu bèn', '棍子:gùn zi',
+    '含糊:hán hu', '少妇:shào fù', '兴致:xìng zhì', '纳闷:nà mèn', '干流:gàn liú', '卷起:juǎn qǐ',
+    '扇子:shàn zi', '更改:gēng gǎi', '笼络:lǒng luò', '喇叭:lǎ ba', '载荷:zài hè', '妥当:tuǒ dàng',
+    '为难:wéi nán', '着陆:zhuó lù', '燕子:yàn zi', '干吗:gàn má', '白发:bái fà', '总得:zǒng děi',
+    '夹击:jiā jī', '曝光:bào guāng', '曲调:qǔ diào', '相机:xiàng jī', '叫化:jiào huà', '角逐:jué zhú',
+    '啊哟:ā yō', '载重:zài zhòng', '长辈:zhǎng bèi', '出差:chū chāi', '垛口:duǒ kǒu', '撇开:piē kāi',
+    '厅长:tīng zhǎng', '组分:zǔ fèn', '误差:wù chā', '家当:jiā dàng', '传记:zhuàn jì', '个子:gè zi',
+    '铺设:pū shè', '干事:gàn shì', '杆菌:gǎn jūn', '定量:dìng liàng', '运载:yùn zài', '会儿:huì er',
+    '酋长:qiú zhǎng', '重返:chóng fǎn', '差额:chā é', '露面:lòu miàn', '钻研:zuān yán', '大城:dài chéng',
+    '上当:shàng dàng', '销量:xiāo liàng', '作坊:zuō fang', '照相:zhào xiàng', '哎呀:āi yā', '调集:diào jí',
+    '看中:kàn zhòng', '议长:yì zhǎng', '风筝:fēng zheng', '辟邪:bì xié', '空隙:kòng xì', '更迭:gēng dié',
+    '偏差:piān chā', '声调:shēng diào', '适量:shì liàng', '屯子:tún zi', '无量:wú liàng', '空地:kòng dì',
+    '调度:diào dù', '散射:sǎn shè', '创伤:chuāng shāng', '海参:hǎi shēn', '满载:mǎn zài', '重叠:chóng dié',
+    '落差:luò chā', '单调:dān diào', '老将:lǎo jiàng', '人参:rén shēn', '间断:jiàn duàn', '重现:chóng xiàn',
+    '夹杂:jiā zá', '调用:diào yòng', '萝卜:luó bo', '附着:fù zhuó', '应声:yìng shēng', '主将:zhǔ jiàng',
+    '罪过:zuì guo', '咀嚼:jǔ jué', '为政:wéi zhèng', '过量:guò liàng', '乐曲:yuè qǔ', '负荷:fù hè',
+    '枪弹:qiāng dàn', '悄然:qiǎo rán', '处方:chǔ fāng', '悄声:qiǎo shēng', '曲子:qǔ zi', '情调:qíng diào',
+    '挑衅:tiǎo xìn', '代为:dài wéi', '了结:liǎo jié', '打中:dǎ zhòng', '酒吧:jiǔ bā', '懒得:lǎn de',
+    '增量:zēng liàng', '衣着:yī zhuó', '部将:bù jiàng', '要塞:yào sài', '茶几:chá jī', '杠杆:gàng gǎn',
+    '出没:chū mò', '鲜有:xiǎn yǒu', '间隙:jiàn xì', '重担:zhòng dàn', '重演:chóng yǎn', '重试:chóng shì',
+    '应酬:yìng chou', '只当:zhǐ dāng', '毋宁:wú nìng', '包扎:bāo zā', '前头:qián tou', '卷烟:juǎn yān',
+    '非得:fēi děi', '弹道:dàn dào', '杆子:gān zi', '门将:mén jiàng', '后头:hòu tou', '喝彩:hè cǎi',
+    '暖和:nuǎn huo', '累积:lěi jī', '调遣:diào qiǎn', '倔强:jué jiàng', '宝藏:bǎo zàng', '丧事:sāng shì',
+    '约莫:yuē mo', '纤夫:qiàn fū', '更替:gēng tì', '装载:zhuāng zài', '背包:bēi bāo', '帖子:tiě zi',
+    '松散:sōng sǎn', '呼喝:hū hè', '可恶:kě wù', '自转:zì zhuàn', '供电:gōng diàn', '反省:fǎn xǐng',
+    '坦率:tǎn shuài', '苏打:sū dá', '本分:běn fèn', '落得:luò de', '鄙薄:bǐ bó', '相间:xiāng jiàn',
+    '单薄:dān bó', '混蛋:hún dàn', '贞观:zhēn guān', '附和:fù hè', '能耐:néng nài', '吓唬:xià hu',
+    '未了:wèi liǎo', '引着:yǐn zháo', '抽调:chōu diào', '沙子:shā zi', '席卷:xí juǎn', '标的:biāo dì',
+    '别扭:biè niu', '思量:sī liang', '喝采:hè cǎi', '论语:lún yǔ', '盖子:gài zi', '分外:fèn wài',
+    '弄堂:lòng táng', '乐舞:yuè wǔ', '雨量:yǔ liàng', '毛发:máo fà', '差遣:chāi qiǎn', '背负:bēi fù',
+    '转速:zhuàn sù', '声乐:shēng yuè', '夹攻:jiā gōng', '供水:gōng shuǐ', '主干:zhǔ gàn', '惩处:chéng chǔ',
+    '长相:zhǎng xiàng', '公差:gōng chāi', '榴弹:liú dàn', '省得:shěng de', '条子:tiáo zi', '重围:chóng wéi',
+    '阻塞:zǔ sè', '劲风:jìng fēng', '纠葛:jiū gé', '点中:diǎn zhòng', '重创:zhòng chuāng', '姥姥:lǎo lao',
+    '迷糊:mí hu', '公家:gōng jia', '几率:jī lǜ', '苦闷:kǔ mèn', '度量:dù liàng', '差错:chā cuò',
+    '暑假:shǔ jià', '参差:cēn cī', '搭载:dā zài', '助长:zhù zhǎng', '相称:xiāng chèn', '红晕:hóng yùn',
+    '舍命:shě mìng', '喜好:xǐ hào', '列传:liè zhuàn', '劲敌:jìng dí', '请假:qǐng jià', '钉子:dīng zi',
+    '沉没:chén mò', '高丽:gāo lí', '休假:xiū jià', '无为:wú wéi', '巴结:bā jie', '了得:liǎo dé',
+    '变相:biàn xiàng', '核弹:hé dàn', '亲家:qìng jia', '承载:chéng zài', '喝问:hè wèn', '还击:huán jī',
+    '交还:jiāo huán', '将令:jiàng lìng', '单于:chán yú', '空缺:kòng quē', '绿林:lù lín', '胆量:dǎn liàng',
+    '执着:zhí zhuó', '低调:dī diào', '闭塞:bì sè', '轻薄:qīng bó', '得当:dé dàng', '占卜:zhān bǔ',
+    '扫帚:sào zhou', '龟兹:qiū cí', '年长:nián zhǎng', '外传:wài zhuàn', '头子:tóu zi', '裁缝:cái feng',
+    '礼乐:lǐ yuè', '血泊:xuè pō', '散乱:sǎn luàn', '动量:dòng liàng', '倒腾:dǎo teng', '取舍:qǔ shě',
+    '咱家:zán jiā', '长发:cháng fà', '爪哇:zhǎo wā', '弹壳:dàn ké', '省悟:xǐng wù', '嚷嚷:rāng rang',
+    '连累:lián lèi', '应得:yīng dé', '族长:zú zhǎng', '柜子:guì zi', '擂鼓:léi gǔ', '眩晕:xuàn yùn',
+    '调配:tiáo pèi', '躯干:qū gàn', '差役:chāi yì', '坎坷:kǎn kě', '少儿:shào ér', '乐团:yuè tuán',
+    '养分:yǎng fèn', '退还:tuì huán', '格调:gé diào', '语调:yǔ diào', '音调:yīn diào', '乐府:yuè fǔ',
+    '古朴:gǔ pǔ', '打点:dǎ diǎn', '差使:chāi shǐ', '匀称:yún chèn', '瘦削:shòu xuē', '膏药:gāo yao',
+    '吞没:tūn mò', '调任:diào rèn', '散居:sǎn jū', '上头:shàng tóu', '风靡:fēng mǐ', '放假:fàng jià',
+    '估量:gū liang', '失当:shī dàng', '中弹:zhòng dàn', '妄为:wàng wéi', '长者:zhǎng zhě', '起哄:qǐ hòng',
+    '末了:mò liǎo', '相声:xiàng sheng', '校正:jiào zhèng', '劝降:quàn xiáng', '矢量:shǐ liàng', '沉闷:chén mèn',
+    '给与:jǐ yǔ', '解法:jiě fǎ', '塞外:sài wài', '将校:jiàng xiào', '嗜好:shì hào', '没落:mò luò',
+    '朴刀:pō dāo', '片子:piān zi', '切削:qiē xiāo', '弹丸:dàn wán', '稀薄:xī bó', '亏得:kuī dé',
+    '间歇:jiàn xiē', '翘首:qiáo shǒu', '色调:sè diào', '处决:chǔ jué', '表率:biǎo shuài', '尺子:chǐ zi',
+    '招降:zhāo xiáng', '称职:chèn zhí', '斗篷:dǒu peng', '铺子:pù zi', '底子:dǐ zi', '负载:fù zài',
+    '干警:gàn jǐng', '倒数:dào shǔ', '将官:jiàng guān', '锄头:chú tou', '归降:guī xiáng', '疟疾:nüè ji',
+    '限量:xiàn liàng', '屏息:bǐng xī', '重逢:chóng féng', '器乐:qì yuè', '氢弹:qīng dàn', '脖颈:bó gěng',
+    '处事:chǔ shì', '参量:cān liàng', '轻率:qīng shuài', '中奖:zhòng jiǎng', '才干:cái gàn', '施舍:shī shě',
+    '卷子:juàn zi', '游说:yóu shuì', '巷子:xiàng zi', '切勿:qiè wù', '看管:kān guǎn', '风头:fēng tou',
+    '精干:jīng gàn', '高差:gāo chā', '恐吓:kǒng hè', '扁担:biǎn dàn', '给养:jǐ yǎng', '格子:gé zi',
+    '供需:gōng xū', '反差:fǎn chā', '飞弹:fēi dàn', '微薄:wēi bó', '发型:fà xíng', '即兴:jí xìng',
+    '攒动:cuán dòng', '间或:jiàn huò', '浅薄:qiǎn bó', '乐章:yuè zhāng', '顺差:shùn chā', '调子:diào zi',
+    '相位:xiàng wèi', '转子:zhuàn zǐ', '劲旅:jìng lǚ', '了事:liǎo shì', '转悠:zhuàn you', '当铺:dàng pù',
+    '爪子:zhuǎ zi', '单子:dān zi', '好战:hào zhàn', '燕麦:yàn mài', '只许:zhǐ xǔ', '干练:gàn liàn',
+    '女将:nǚ jiàng', '酒量:jiǔ liàng', '划船:huá chuán', '伎俩:jì liǎng', '挑拨:tiǎo bō', '少校:shào xiào',
+    '着落:zhuó luò', '憎恶:zēng wù', '刻薄:kè bó', '要挟:yāo xié', '用处:yòng chu', '还手:huán shǒu',
+    '模具:mú jù', '执著:zhí zhuó', '喝令:hè lìng', '保长:bǎo zhǎng', '吸着:xī zhe', '症结:zhēng jié',
+    '公转:gōng zhuàn', '校勘:jiào kān', '重提:chóng tí', '扫兴:sǎo xìng', '铺盖:pū gài', '长史:zhǎng shǐ',
+    '差价:chā jià', '压根:yà gēn', '怔住:zhèng zhù', '应允:yīng yǔn', '切入:qiē rù', '战将:zhàn jiàng',
+    '年少:nián shào', '舍身:shě shēn', '处世:chǔ shì', '中风:zhòng fēng', '等量:děng liàng', '放量:fàng liàng',
+    '腔调:qiāng diào', '老少:lǎo shào', '没入:mò rù', '瓜葛:guā gé', '将帅:jiàng shuài', '车载:chē zài',
+    '窝囊:wō nang', '长进:zhǎng jìn', '可汗:kè hán', '并州:bīng zhōu', '供销:gōng xiāo', '切片:qiē piàn',
+    '差事:chāi shì', '知会:zhī hui', '鹰爪:yīng zhǎo', '处女:chǔ nǚ', '切磋:qiē cuō', '日头:rì tou',
+    '押解:yā jiè', '滋长:zī zhǎng', '道观:dào guàn', '脚色:jué sè', '当量:dāng liàng', '婆家:pó jia',
+    '缘分:yuán fèn', '空闲:kòng xián', '好色:hào sè', '怒喝:nù hè', '笼统:lǒng tǒng', '边塞:biān sài',
+    '何曾:hé céng', '重合:chóng hé', '零散:líng sǎn', '轰隆:hōng lōng', '化子:huà zi', '内蒙:nèi měng',
+    '数落:shǔ luò', '逆差:nì chā', '牟利:móu lì', '栅栏:zhà lan', '中标:zhòng biāo', '调档:diào dàng',
+    '场子:chǎng zi', '甲壳:jiǎ qiào', '重温:chóng wēn', '炮制:páo zhì', '返还:fǎn huán', '自传:zì zhuàn',
+    '高调:gāo diào', '殷红:yān hóng', '固着:gù zhuó', '强求:qiǎng qiú', '本相:běn xiàng', '骄横:jiāo hèng',
+    '草率:cǎo shuài', '气闷:qì mèn', '着色:zhuó sè', '宁肯:nìng kěn', '兴头:xìng tou', '拘泥:jū nì',
+    '夹角:jiā jiǎo', '猛将:měng jiàng', '约摸:yuē mo', '拖累:tuō lěi', '呢绒:ní róng', '钻探:zuān tàn',
+    '夹层:jiā céng', '落魄:luò pò', '巷道:hàng dào', '运量:yùn liàng', '解闷:jiě mèn', '空儿:kòng er',
+    '估摸:gū mo', '好客:hào kè', '钻孔:zuān kǒng', '糊弄:hù nòng', '烦闷:fán mèn', '仓卒:cāng cù',
+    '分叉:fēn chà', '厂子:chǎng zi', '小调:xiǎo diào', '少阳:shào yáng', '受降:shòu xiáng', '染坊:rǎn fáng',
+    '胳臂:gē bei', '将门:jiàng mén', '模板:mú bǎn', '配给:pèi jǐ', '为伍:wéi wǔ', '跟头:gēn tou',
+    '划算:huá suàn', '累赘:léi zhui', '哄笑:hōng xiào', '晕眩:yūn xuàn', '干掉:gàn diào', '缝制:féng zhì',
+    '难处:nán chù', '着意:zhuó yì', '蛮横:mán hèng', '奇数:jī shù', '短发:duǎn fà', '生还:shēng huán',
+    '还清:huán qīng', '看护:kān hù', '直率:zhí shuài', '奏乐:zòu yuè', '载客:zài kè', '专横:zhuān hèng',
+    '空格:kòng gé', '铺垫:pū diàn', '良将:liáng jiàng', '哗啦:huā lā', '散漫:sǎn màn', '脱发:tuō fà',
+    '送还:sòng huán', '埋没:mái mò', '累及:lěi jí', '薄雾:bó wù', '调离:diào lí', '舌苔:shé tāi',
+    '机长:jī zhǎng', '栓塞:shuān sè', '配角:pèi jué', '切口:qiē kǒu', '创口:chuāng kǒu', '哈欠:hā qian',
+    '实弹:shí dàn', '铺平:pū píng', '哈达:hǎ dá', '懒散:lǎn sǎn', '实干:shí gàn', '填空:tián kòng',
+    '刁钻:diāo zuān', '乐师:yuè shī', '量变:liàng biàn', '诱降:yòu xiáng', '搪塞:táng sè', '征调:zhēng diào',
+    '夹道:jiā dào', '干咳:gān ké', '止咳:zhǐ ké', '乐工:yuè gōng', '划过:huá guò', '着火:zháo huǒ',
+    '更正:gēng zhèng', '给付:jǐ fù', '空子:kòng zi', '正着:zhèng zháo', '刷子:shuā zi', '丧葬:sāng zàng',
+    '夹带:jiā dài', '安分:ān fèn', '中意:zhòng yì', '长孙:zhǎng sūn', '校订:jiào dìng', '卷曲:juǎn qū',
+    '载运:zài yùn', '投弹:tóu dàn', '柞蚕:zuò cán', '份量:fèn liàng', '调换:diào huàn', '了然:liǎo rán',
+    '典当:diǎn dàng', '寒假:hán jià', '长兄:zhǎng xiōng', '给水:jǐ shuǐ', '须发:xū fà', '枝干:zhī gàn',
+    '属相:shǔ xiàng', '哄抢:hōng qiǎng', '刻划:kè huà', '塞子:sāi zi', '单干:dān gàn', '还乡:huán xiāng',
+    '兆头:zhào tou', '寺观:sì guàn', '督率:dū shuài', '啊哈:ā ha', '割舍:gē shě', '抹布:mā bù',
+    '好恶:hào wù', '下处:xià chǔ', '消长:xiāo zhǎng', '离间:lí jiàn', '准头:zhǔn tou', '校对:jiào duì',
+    '什物:shí wù', '佛爷:fó ye', '吗啡:mǎ fēi', '盐分:yán fèn', '虎将:hǔ jiàng', '薄荷:bò he',
+    '独处:dú chǔ', '空位:kòng wèi', '铺路:pū lù', '乌拉:wū lā', '调回:diào huí', '来头:lái tou',
+    '闲散:xián sǎn', '胶卷:jiāo juǎn', '冒失:mào shi', '干劲:gàn jìn', '弦乐:xián yuè', '相国:xiàng guó',
+    '丹参:dān shēn', '助兴:zhù xìng', '铺开:pū kāi', '次长:cì zhǎng', '发卡:fà qiǎ', '刹车:shā chē',
+    '生发:shēng fà', '重播:chóng bō', '缝合:féng hé', '音量:yīn liàng', '少尉:shào wèi', '冲压:chòng yā',
+    '苍劲:cāng jìng', '厚薄:hòu báo', '威吓:wēi hè', '外相:wài xiàng', '呼号:hū háo', '着迷:zháo mí',
+    '挑担:tiāo dàn', '纹路:wén lù', '还俗:huán sú', '强横:qiáng hèng', '着数:zhāo shù', '降顺:xiáng shùn',
+    '挑明:tiǎo míng', '眯缝:mī feng', '分内:fèn nèi', '更衣:gēng yī', '软和:ruǎn huo', '尽兴:jìn xìng',
+    '号子:hào zi', '爪牙:zhǎo yá', '败将:bài jiàng', '猜中:cāi zhòng', '结扎:jié zā', '没空:méi kòng',
+    '夹缝:jiā fèng', '拾掇:shí duo', '掺和:chān huo', '电量:diàn liàng', '荷载:hè zǎi', '调式:diào shì',
+    '处身:chǔ shēn', '打手:dǎ shǒu', '弹弓:dàn gōng', '横蛮:hèng mán', '能干:néng gàn', '校点:jiào diǎn',
+    '加载:jiā zài', '干校:gàn xiào', '哄传:hōng chuán', '校注:jiào zhù', '淤塞:yū sè', '马扎:mǎ zhá',
+    '月氏:yuè zhī', '高干:gāo gàn', '经传:jīng zhuàn', '曾孙:zēng sūn', '好斗:hào dòu', '关卡:guān qiǎ',
+    '逃奔:táo bèn', '磨蹭:mó ceng', '牟取:móu qǔ', '颤栗:zhàn lì', '撮合:cuō he', '摔打:shuāi dǎ',
+    '台子:tái zi', '分得:fēn de', '粘着:nián zhuó', '采邑:cài yì', '散装:sǎn zhuāng', '兴味:xìng wèi',
+    '行头:xíng tou', '气量:qì liàng', '调运:diào yùn', '处治:chǔ zhì', '乐音:yuè yīn', '充塞:chōng sè',
+    '恫吓:dòng hè', '论调:lùn diào', '相中:xiāng zhòng', '民乐:mín yuè', '炮仗:pào zhang', '丧服:sāng fú',
+    '量刑:liàng xíng', '缝补:féng bǔ', '财会:cái kuài', '大干:dà gàn', '历数:lì shǔ', '校场:jiào chǎng',
+    '塞北:sài běi', '识相:shí xiàng', '辱没:rǔ mò', '鲜亮:xiān liàng', '语塞:yǔ sè', '露脸:lòu liǎn',
+    '凉快:liáng kuai', '腰杆:yāo gǎn', '溜达:liū da', '嘎嘎:gā gā', '公干:gōng gàn', '桔梗:jié gěng',
+    '挑逗:tiǎo dòu', '看门:kān mén', '乐歌:yuè gē', '拓片:tà piàn', '挑动:tiǎo dòng', '准将:zhǔn jiàng',
+    '磨坊:mò fáng', '搅和:jiǎo huo', '作弄:zuò nòng', '苗头:miáo tou', '打颤:dǎ zhàn', '大藏:dà zàng',
+    '畜牲:chù shēng', '勾搭:gōu da', '树荫:shù yīn', '铁杆:tiě gǎn', '将相:jiàng xiàng', '份子:fèn zi',
+    '视差:shì chā', '绿荫:lǜ yīn', '枪杆:qiāng gǎn', '缝纫:féng rèn', '愁闷:chóu mèn', '点将:diǎn jiàng',
+    '劲射:jìng shè', '箱笼:xiāng lǒng', '终了:zhōng liǎo', '结巴:jiē ba', '苦干:kǔ gàn', '看家:kān jiā',
+    '正旦:zhēng dàn', '中肯:zhòng kěn', '厦门:xià mén', '食量:shí liàng', '宫调:gōng diào', '间作:jiàn zuò',
+    '弹片:dàn piàn', '差池:chā chí', '漂白:piǎo bái', '杠子:gàng zi', '调处:tiáo chǔ', '好动:hào dòng',
+    '转炉:zhuàn lú', '屏气:bǐng qì', '夹板:jiā bǎn', '哀乐:āi yuè', '干道:gàn dào', '苦处:kǔ chù',
+    '劈柴:pǐ chái', '长势:zhǎng shì', '天华:tiān huá', '共处:gòng chǔ', '校验:jiào yàn', '出塞:chū sài',
+    '磨盘:mò pán', '萎靡:wěi mǐ', '奔丧:bēn sāng', '唱和:chàng hè', '大调:dà diào', '非分:fēi fèn',
+    '钻营:zuān yíng', '夹子:jiā zi', '超载:chāo zài', '更始:gēng shǐ', '披散:pī sàn', '发还:fā huán',
+    '转轮:zhuàn lún', '横财:hèng cái', '泡桐:pāo tóng', '抛撒:pāo sǎ', '天呀:tiān yā', '糊糊:hū hu',
+    '躯壳:qū qiào', '通量:tōng liàng', '奉还:fèng huán', '午觉:wǔ jiào', '闷棍:mèn gùn', '浪头:làng tou',
+    '砚台:yàn tái', '油坊:yóu fáng', '学长:xué zhǎng', '过载:guò zài', '笔调:bǐ diào', '衣被:yī bèi',
+    '畜产:xù chǎn', '调阅:diào yuè', '蛮干:mán gàn', '曾祖:zēng zǔ', '提干:tí gàn', '变调:biàn diào',
+    '覆没:fù mò', '模子:mú zi', '乐律:yuè lǜ', '称心:chèn xīn', '木杆:mù gān', '重印:chóng yìn',
+    '自省:zì xǐng', '提调:tí diào', '看相:kàn xiàng', '芋头:yù tou', '下切:xià qiē', '塞上:sài shàng',
+    '铺张:pū zhāng', '藤蔓:téng wàn', '薄幸:bó xìng', '解数:xiè shù', '褪去:tuì qù', '痕量:hén liàng',
+    '雅乐:yǎ yuè', '号哭:háo kū', '诈降:zhà xiáng', '猪圈:zhū juàn', '咋舌:zé shé', '铣床:xǐ chuáng',
+    '防弹:fáng dàn', '健将:jiàn jiàng', '丽水:lí shuǐ', '削发:xuē fà', '空当:kòng dāng', '多相:duō xiàng',
+    '鲜见:xiǎn jiàn', '划桨:huá jiǎng', '载波:zài bō', '跳蚤:tiào zao', '俏皮:qiào pí', '结发:jié fà',
+    '了断:liǎo duàn', '同调:tóng diào', '石磨:shí mò', '时差:shí chā', '鼻塞:bí sè', '挑子:tiāo zi',
+    '推磨:tuī mò', '武侯:wǔ hóu', '抹煞:mǒ shā', '调转:diào zhuǎn', '籍没:jí mò', '还债:huán zhài',
+    '调演:diào yǎn', '分划:fēn huá', '奇偶:jī ǒu', '断喝:duàn hè', '闷雷:mèn léi', '狼藉:láng jí',
+    '饭量:fàn liàng', '还礼:huán lǐ', '转调:zhuǎn diào', '星相:xīng xiàng', '手相:shǒu xiàng', '配乐:pèi yuè',
+    '盖头:gài tou', '连杆:lián gǎn', '簿记:bù jì', '刀把:dāo bà', '量词:liàng cí', '名角:míng jué',
+    '步调:bù diào', '校本:jiào běn', '账簿:zhàng bù', '稍为:shāo wéi', '易传:yì zhuàn', '乐谱:yuè pǔ',
+    '牵累:qiān lěi', '答理:dā li', '喝斥:hè chì', '吟哦:yín é', '干渠:gàn qú', '海量:hǎi liàng',
+    '精当:jīng dàng', '着床:zhuó chuáng', '月相:yuè xiàng', '庶几:shù jī', '宫观:gōng guàn', '论处:lùn chǔ',
+    '征辟:zhēng bì', '厚朴:hòu pò', '介壳:jiè qiào', '咯血:kǎ xiě', '铺陈:pū chén', '重生:chóng shēng',
+    '乐理:yuè lǐ', '哀号:āi háo', '藏历:zàng lì', '刚劲:gāng jìng', '削平:xuē píng', '浓荫:nóng yīn',
+    '城垛:chéng duǒ', '当差:dāng chāi', '正传:zhèng zhuàn', '并处:bìng chǔ', '创面:chuāng miàn', '旦角:dàn jué',
+    '薄礼:bó lǐ', '晃荡:huàng dang', '家什:jiā shí', '闷头:mēn tóu', '美发:měi fà', '度数:dù shu',
+    '着凉:zháo liáng', '闯将:chuǎng jiàng', '几案:jī àn', '差数:chā shù', '散碎:sǎn suì', '寒颤:hán zhàn',
+    '牵强:qiān qiǎng', '无间:wú jiàn', '轮转:lún zhuàn', '号叫:háo jiào', '铺排:pū pái', '降伏:xiáng fú',
+    '轧钢:zhá gāng', '东阿:dōng ē', '病假:bìng jià', '累加:lěi jiā', '梗塞:gěng sè', '弹夹:dàn jiā',
+    '钻心:zuān xīn', '晃眼:huǎng yǎn', '魔爪:mó zhǎo', '标量:biāo liàng', '憋闷:biē mèn', '猜度:cāi duó',
+    '处士:chǔ shì', '官差:guān chāi', '讨还:tǎo huán', '长门:cháng mén', '馏分:liú fēn', '里弄:lǐ lòng',
+    '色相:sè xiàng', '雅兴:yǎ xìng', '角力:jué lì', '弹坑:dàn kēng', '夹具:jiā jù', '处刑:chǔ xíng',
+    '悍将:hàn jiàng', '好学:hào xué', '好好:hǎo hǎo', '银发:yín fà', '扫把:sào bǎ', '法相:fǎ xiàng',
+    '贵干:guì gàn', '供气:gōng qì', '空余:kòng yú', '捆扎:kǔn zā', '浆糊:jiàng hu', '嘎吱:gā zhī',
+    '调令:diào lìng', '法帖:fǎ tiè', '淋病:lìn bìng', '调派:diào pài', '转盘:zhuàn pán', '供稿:gōng gǎo',
+    '差官:chāi guān', '忧闷:yōu mèn', '教长:jiào zhǎng', '重唱:chóng chàng', '酒兴:jiǔ xìng', '乐坛:yuè tán',
+    '花呢:huā ní', '膀臂:bǎng bì', '得空:dé kòng', '转圈:zhuàn quān', '横暴:hèng bào', '哄抬:hōng tái',
+    '引吭:yǐn háng', '载货:zài huò', '中计:zhòng jì', '官长:guān zhǎng', '相面:xiàng miàn', '看头:kàn tou',
+    '盼头:pàn tou', '意兴:yì xìng', '军乐:jūn yuè', '累次:lěi cì', '燕赵:yān zhào', '报丧:bào sāng',
+    '弥撒:mí sa', '挨斗:ái dòu', '扁舟:piān zhōu', '丑角:chǒu jué', '吊丧:diào sāng', '强将:qiáng jiàng',
+    '重奏:chóng zòu', '发辫:fà biàn', '着魔:zháo mó', '着法:zhāo fǎ', '盛放:shèng fàng', '填塞:tián sè',
+    '凶横:xiōng hèng', '稽首:qǐ shǒu', '碑帖:bēi tiè', '冲量:chōng liàng', '发菜:fà cài', '假发:jiǎ fà',
+    '翻卷:fān juǎn', '小量:xiǎo liàng', '胶着:jiāo zhuó', '里子:lǐ zi', '调调:diào diao', '散兵:sǎn bīng',
+    '高挑:gāo tiǎo', '播撒:bō sǎ', '夹心:jiā xīn', '扇动:shān dòng', '霓裳:ní cháng', '捻子:niǎn zi',
+    '弥缝:mí féng', '撒布:sǎ bù', '场院:cháng yuàn', '省亲:xǐng qīn', '提拉:tí lā', '惯量:guàn liàng',
+    '强逼:qiáng bī', '强征:qiáng zhēng', '晕车:yùn chē', '数道:shù dào', '带累:dài lèi', '拓本:tà běn',
+    '嫌恶:xián wù', '宿将:sù jiàng', '龟裂:jūn liè', '缠夹:chán jiā', '发式:fà shì', '隔扇:gé shàn',
+    '天分:tiān fèn', '四通:sì tōng', '白术:bái zhú', '划伤:huá shāng', '角斗:jué dòu', '听差:tīng chāi',
+    '岁差:suì chā', '丧礼:sāng lǐ', '脉脉:mò mò', '削瘦:xuē shòu', '撒播:sǎ bō', '莎草:suō cǎo',
+    '调头:diào tóu', '龙卷:lóng juǎn', '外调:wài diào', '字帖:zì tiè', '卷发:juǎn fà', '揣度:chuǎi duó',
+    '洋相:yáng xiàng', '散光:sǎn guāng', '骨碌:gū lu', '薄命:bó mìng', '笼头:lóng tóu', '咽炎:yān yán',
+    '片儿:piàn er', '纤手:qiàn shǒu', '散体:sǎn tǐ', '内省:nèi xǐng', '强留:qiáng liú', '解送:jiè sòng',
+    '反间:fǎn jiàn', '少壮:shào zhuàng', '留空:liú kōng', '告假:gào jià', '咳血:ké xuè', '薄暮:bó mù',
+    '铺轨:pū guǐ', '磨削:mó xuē', '治丧:zhì sāng', '叉子:chā zi', '哄动:hōng dòng', '蛾子:é zi',
+    '出落:chū luò', '股长:gǔ zhǎng', '贵处:guì chù', '还魂:huán hún', '例假:lì jià', '刹住:shā zhù',
+    '身量:shēn liàng', '同好:tóng hào', '模量:mó liàng', '更生:gēng shēng', '服丧:fú sāng', '率直:shuài zhí',
+    '字模:zì mú', '散架:sǎn jià', '答腔:dā qiāng', '交恶:jiāo wù', '薄情:bó qíng', '眼泡:yǎn pāo',
+    '草垛:cǎo duò', '冲劲:chòng jìn', '切中:qiè zhòng', '挑灯:tiǎo dēng', '还愿:huán yuàn', '激将:jī jiàng',
+    '更鼓:gēng gǔ', '没药:mò yào', '败兴:bài xìng', '切面:qiē miàn', '散户:sǎn hù', '累进:lěi jìn',
+    '背带:bēi dài', '秤杆:chèng gǎn', '碾坊:niǎn fáng', '簿子:bù zi', '扳手:bān shǒu', '铅山:yán shān',
+    '儒将:rú jiàng', '重光:chóng guāng', '剪发:jiǎn fà', '长上:zhǎng shàng', '小传:xiǎo zhuàn', '压轴:yā zhòu',
+    '弱冠:ruò guàn', '花卷:huā juǎn', '横祸:hèng huò', '夹克:jiā kè', '光晕:guāng yùn', '披靡:pī mǐ',
+    '对调:duì diào', '夹持:jiā chí', '空额:kòng é', '平调:píng diào', '铺床:pū chuáng', '丧钟:sāng zhōng',
+    '作乐:zuò lè', '少府:shào fǔ', '数数:shuò shuò', '奔头:bèn tou', '进给:jìn jǐ', '率性:shuài xìng',
+    '乐子:lè zi', '绑扎:bǎng zā', '挑唆:tiǎo suō', '漂洗:piǎo xǐ', '夹墙:jiā qiáng', '咳喘:ké chuǎn',
+    '错处:cuò chù', '闷酒:mèn jiǔ', '时调:shí diào', '重孙:chóng sūn', '经幢:jīng chuáng', '调门:diào mén',
+    '花头:huā tóu', '划拉:huá la', '套色:tào shǎi', '粗率:cū shuài', '相率:xiāng shuài', '款识:kuǎn zhì',
+    '吁请:yù qǐng', '荫蔽:yīn bì', '文蛤:wén gé', '调取:diào qǔ', '交差:jiāo chāi', '落子:luò zǐ',
+    '相册:xiàng cè', '落发:luò fà', '异相:yì xiàng', '浸没:jìn mò', '角抵:jué dǐ', '卸载:xiè zài',
+    '春卷:chūn juǎn', '扎挣:zhá zheng', '畜养:xù yǎng', '垛子:duò zi', '恶少:è shào', '发际:fà jì',
+    '哭丧:kū sāng', '稍息:shào xī', '晕船:yùn chuán', '校样:jiào yàng', '外差:wài chā', '脚爪:jiǎo zhǎo',
+    '铺展:pū zhǎn', '夹紧:jiā jǐn', '尿泡:suī pào', '丧乱:sāng luàn', '凶相:xiōng xiàng', '华发:huá fà',
+    '打场:dǎ cháng', '云量:yún liàng', '正切:zhèng qiē', '划拳:huá quán', '划艇:huá tǐng', '评传:píng zhuàn',
+    '拉纤:lā qiàn', '句读:jù dòu', '散剂:sǎn jì', '骨殖:gǔ shi', '塞音:sè yīn', '铺叙:pū xù',
+    '冷颤:lěng zhàn', '煞住:shā zhù', '少男:shào nán', '管乐:guǎn yuè', '纳降:nà xiáng', '拥塞:yōng sè',
+    '万乘:wàn shèng', '杆儿:gǎn ér', '葛藤:gé téng', '簿籍:bù jí', '皮夹:pí jiā', '校准:jiào zhǔn',
+    '允当:yǔn dàng', '器量:qì liàng', '选调:xuǎn diào', '扮相:bàn xiàng', '干才:gàn cái', '基干:jī gàn',
+    '割切:gē qiē', '国乐:guó yuè', '卡壳:qiǎ ké', '辟谷:bì gǔ', '磨房:mò fáng', '芥末:jiè mo',
+    '薄技:bó jì', '产假:chǎn jià', '诗兴:shī xìng', '重出:chóng chū', '转椅:zhuàn yǐ', '酌量:zhuó liang',
+    '簿册:bù cè', '藏青:zàng qīng', '的士:dī shì', '调人:diào rén', '解元:jiè yuán', '茎干:jīng gàn',
+    '巨量:jù liàng', '榔头:láng tou', '率真:shuài zhēn', '喷香:pèn xiāng', '锁钥:suǒ yuè', '相图:xiàng tú',
+    '兴会:xìng huì', '灶头:zào tóu', '重婚:chóng hūn', '钻洞:zuān dòng', '党参:dǎng shēn', '调温:diào wēn',
+    '杆塔:gān tǎ', '葛布:gé bù', '拱券:gǒng xuàn', '夹生:jiā shēng', '露馅:lòu xiàn', '恰切:qià qiè',
+    '散见:sǎn jiàn', '哨卡:shào qiǎ', '烫发:tàng fà', '体量:tǐ liàng', '挺括:tǐng kuò', '系带:jì dài',
+    '相士:xiàng shì', '羊圈:yáng juàn', '转矩:zhuàn jǔ', '吧台:bā tái', '苍术:cāng zhú', '菲薄:fěi bó',
+    '瓜蔓:guā wàn', '怪相:guài xiàng', '临帖:lín tiè', '女红:nǚ gōng', '刨床:bào chuáng', '翘楚:qiáo chǔ',
+    '数九:shǔ jiǔ', '谈兴:tán xìng', '雄劲:xióng jìng', '扎染:zā rǎn', '遮荫:zhē yīn', '周正:zhōu zhèng',
+    '赚头:zhuàn tou', '扒手:pá shǒu', '搀和:chān huo', '诚朴:chéng pǔ', '肚量:dù liàng', '干结:gān jié',
+    '工尺:gōng chě', '家累:jiā lěi', '曲水:qū shuǐ', '沙参:shā shēn', '挑花:tiǎo huā', '阿门:ā mén',
+    '背篓:bēi lǒu', '瘪三:biē sān', '裁处:cái chǔ', '创痛:chuāng tòng', '福相:fú xiàng', '更动:gēng dòng',
+    '豪兴:háo xìng', '还阳:huán yáng', '还嘴:huán zuǐ', '借调:jiè diào', '卷云:juǎn yún', '流弹:liú dàn',
+    '想头:xiǎng tou', '削价:xuē jià', '校阅:jiào yuè', '雅量:yǎ liàng', '别传:bié zhuàn', '薄酒:bó jiǔ',
+    '春假:chūn jià', '发妻:fà qī', '哗哗:huā huā', '宽绰:kuān chuo', '了悟:liǎo wù', '切花:qiē huā',
+    '审度:shěn duó', '应许:yīng xǔ', '转台:zhuàn tái', '仔猪:zǐ zhū', '裁量:cái liáng', '藏戏:zàng xì',
+    '乘兴:chéng xìng', '摧折:cuī zhé', '调经:tiáo jīng', '调职:diào zhí', '缝缀:féng zhuì', '骨朵:gū duǒ',
+    '核儿:hú er', '恒量:héng liàng', '还价:huán jià', '浑朴:hún pǔ', '苦差:kǔ chāi', '面糊:miàn hù',
+    '煞车:shā chē', '省视:xǐng shì', '什锦:shí jǐn', '信差:xìn chāi', '余切:yú qiē', '攒眉:cuán méi',
+    '炸糕:zhá gāo', '钻杆:zuàn gǎn', '扒灰:pá huī', '拌和:bàn huò', '长调:cháng diào', '大溜:dà liù',
+    '抖搂:dǒu lōu', '飞转:fēi zhuàn', '干仗:gàn zhàng', '好胜:hào shèng', '画片:huà piàn', '搅混:jiǎo hún',
+    '螺杆:luó gǎn', '木模:mù mú', '怒号:nù háo', '频数:pín shù', '无宁:wú níng', '遗少:yí shào',
+    '邮差:yóu chāi', '占星:zhān xīng', '重审:chóng shěn', '自量:zì liàng', '调防:diào fáng', '发廊:fà láng',
+    '反调:fǎn diào', '缝子:fèng zi', '更夫:gēng fū', '骨子:gǔ zi', '光杆:guāng gǎn', '夹棍:jiā gùn',
+    '居丧:jū sāng', '巨贾:jù gǔ', '看押:kān yā', '空转:kōng zhuàn', '量力:liàng lì', '炮烙:páo luò',
+    '赔还:péi huán', '扑扇:pū shān', '散记:sǎn jì', '散件:sǎn jiàn', '删削:shān xuē', '射干:shè gàn',
+    '条几:tiáo jī', '偷空:tōu kòng', '削壁:xuē bì', '校核:jiào hé', '阴干:yīn gān', '择菜:zhái cài',
+    '重九:chóng jiǔ', '主调:zhǔ diào', '自禁:zì jīn', '便溺:biàn niào', '词调:cí diào', '落枕:lào zhěn',
+    '铺砌:pū qì', '刷白:shuà bái', '委靡:wěi mǐ', '系泊:xì bó', '相马:xiàng mǎ', '转筋:zhuàn jīn',
+    '棒喝:bàng hè', '镐头:gǎo tóu', '间苗:jiàn miáo', '乐池:yuè chí', '卖相:mài xiàng', '屏弃:bǐng qì',
+    '铅弹:qiān dàn', '切变:qiē biàn', '请调:qǐng diào', '群氓:qún méng', '散板:sǎn bǎn', '省察:xǐng chá',
+    '事假:shì jià', '纤绳:qiàn shéng', '重影:chóng yǐng', '耕种:gēng zhòng', '种地:zhòng dì', '种菜:zhòng cài',
+    '栽种:zāi zhòng', '接种:jiē zhòng', '垦种:kěn zhòng', '种殖:zhòng zhí', '种瓜:zhòng guā', '种豆:zhòng dòu',
+    '种树:zhòng shù', '睡着:shuì zháo', '笼子:lóng zi', '重启:chóng qǐ', '重整:chóng zhěng', '重弹:chóng tán',
+    '重足:chóng zú', '重山:chóng shān', '重游:chóng yóu', '重峦:chóng luán', '爷爷:yé ye', '奶奶:nǎi nai',
+    '姥爷:lǎo ye', '爸爸:bà ba', '妈妈:mā ma', '婶婶:shěn shen', '舅舅:jiù jiu', '姑姑:gū gu',
+    '叔叔:shū shu', '姨夫:yí fu', '舅母:jiù mu', '姑父:gū fu', '姐夫:jiě fu', '婆婆:pó po',
+    '公公:gōng gong', '舅子:jiù zi', '姐姐:jiě jie', '哥哥:gē ge', '妹妹:mèi mei', '妹夫:mèi fu',
+    '姨子:yí zi', '宝宝:bǎo bao', '娃娃:wá wa', '孩子:hái zi', '日子:rì zi', '样子:yàng zi',
+    '狮子:shī zi', '身子:shēn zi', '架子:jià zi', '嫂子:sǎo zi', '鼻子:bí zi', '亭子:tíng zi',
+    '折子:zhé zi', '面子:miàn zi', '脖子:bó zi', '辈子:bèi zi', '帽子:mào zi', '拍子:pāi zi',
+    '柱子:zhù zi', '辫子:biàn zi', '鸽子:gē zi', '房子:fáng zi', '丸子:wán zi', '摊子:tān zi',
+    '牌子:pái zi', '胡子:hú zi', '鬼子:guǐ zi', '矮子:ǎi zi', '鸭子:yā zi', '小子:xiǎo zi',
+    '影子:yǐng zi', '屋子:wū zi', '对子:duì zi', '点子:diǎn zi', '本子:běn zi', '种子:zhǒng zi',
+    '儿子:ér zi', '兔子:tù zi', '骗子:piàn zi', '院子:yuàn zi', '猴子:hóu zi', '嗓子:sǎng zi',
+    '侄子:zhí zi', '柿子:shì zi', '钳子:qián zi', '虱子:shī zi', '瓶子:píng zi', '豹子:bào zi',
+    '筷子:kuài zi', '篮子:lán zi', '绳子:shéng zi', '嘴巴:zuǐ ba', '耳朵:ěr duo', '茄子:qié zi',
+    '蚌埠:bèng bù', '琵琶:pí pa', '蘑菇:mó gu', '葫芦:hú lu', '狐狸:hú li', '桔子:jú zi',
+    '盒子:hé zi', '桌子:zhuō zi', '竹子:zhú zi', '师傅:shī fu', '衣服:yī fu', '袜子:wà zi',
+    '杯子:bēi zi', '麦子:mài zi', '队伍:duì wu', '知了:zhī liǎo', '鱼儿:yú er', '灯笼:dēng long',
+    '庄稼:zhuāng jia', '聪明:cōng ming', '镜子:jìng zi', '银子:yín zi', '盘子:pán zi', '了却:liǎo què',
+    '力气:lì qi', '席子:xí zi', '林子:lín zi', '朝霞:zhāo xiá', '朝夕:zhāo xī', '朝气:zhāo qì',
+    '翅膀:chì bǎng', '省长:shěng zhǎng', '否泰:pǐ tài', '变得:biàn de', '丈夫:zhàng fu', '豆腐:dòu fu',
+    '笔杆:bǐ gǎn', '行人:xíng rén', '打着:dǎ zhe', '第一:dì yī', '万一:wàn yī', '之一:zhī yī',
+    '得之:dé zhī', '统一:tǒng yī', '唯一:wéi yī', '专一:zhuān yī', '单一:dān yī', '如一:rú yī',
+    '其一:qí yī', '合一:hé yī', '逐一:zhú yī', '周一:zhōu yī', '初一:chū yī', '研一:yán yī',
+    '归一:guī yī', '假一:jiǎ yī', '闻一:wén yī', '了了:liǎo liǎo', '公了:gōng liǎo', '私了:sī liǎo',
+    '一月:yī yuè', '一号:yī hào', '一级:yī jí', '一等:yī děng', '一哥:yī gē', '月一:yuè yī',
+    '一一:yī yī', '二一:èr yī', '三一:sān yī', '四一:sì yī', '五一:wǔ yī', '六一:liù yī',
+    '七一:qī yī', '八一:bā yī', '九一:jiǔ yī', '一零:yī líng', '一二:yī èr', '一三:yī sān',
+    '一四:yī sì', '一五:yī wǔ', '一六:yī liù', '一七:yī qī', '一八:yī bā', '一九:yī jiǔ',
+    '一又:yī yòu', '一饼:yī bǐng', '一楼:yī lóu', '为例:wéi lì', '为准:wéi zhǔn', '沧海:cāng hǎi',
+    '难为:nán wéi', '责难:zé nàn', '患难:huàn nàn', '磨难:mó nàn', '大难:dà nàn', '刁难:diāo nàn',
+    '殉难:xùn nàn', '落难:luò nàn', '灾难:zāi nàn', '难民:nàn mín', '苦难:kǔ nàn', '危难:wēi nàn',
+    '发难:fā nàn', '逃难:táo nàn', '避难:bì nàn', '遇难:yù nàn', '阻难:zǔ nàn', '厄难:è nàn',
+    '空难:kōng nàn', '喜欢:xǐ huan', '朝朝:zhāo zhāo', '不行:bù xíng', '轧轧:yà yà', '弯曲:wān qū',
+    '扭曲:niǔ qū', '曲直:qū zhí', '委曲:wěi qū', '酒曲:jiǔ qū', '曲径:qū jìng', '曲解:qū jiě',
+    '歪曲:wāi qū', '曲线:qū xiàn', '曲阜:qū fù', '九曲:jiǔ qū', '曲折:qū zhé', '曲意:qū yì',
+    '为什么:wèi shén me', '实际上:shí jì shang', '检察长:jiǎn chá zhǎng', '干什么:gàn shén me', '这会儿:zhè huì er', '尽可能:jǐn kě néng',
+    '董事长:dǒng shì zhǎng', '了不起:liǎo bù qǐ', '参谋长:cān móu zhǎng', '朝鲜族:cháo xiǎn zú', '海内外:hǎi nèi wài', '禁不住:jīn bú zhù',
+    '柏拉图:bó lā tú', '不在乎:bú zài hu', '有点儿:yǒu diǎn er', '迫击炮:pǎi jī pào', '不得了:bù dé liǎo', '马尾松:mǎ wěi sōng',
+    '运输量:yùn shū liàng', '发脾气:fā pí qi', '士大夫:shì dà fū', '鸭绿江:yā lù jiāng', '压根儿:yà gēn er', '对得起:duì de qǐ',
+    '那会儿:nà huì er', '自个儿:zì gě er', '物理量:wù lǐ liàng', '怎么着:zěn me zhāo', '明晃晃:míng huǎng huǎng', '节假日:jié jià rì',
+    '心里话:xīn lǐ huà', '发行量:fā xíng liàng', '兴冲冲:xìng chōng chōng', '分子量:fēn zǐ liàng', '国子监:guó zǐ jiàn', '老大难:lǎo dà nán',
+    '党内外:dǎng nèi wài', '这么着:zhè me zhāo', '少奶奶:shào nǎi nai', '暗地里:àn dì lǐ', '更年期:gēng nián qī', '工作量:gōng zuò liàng',
+    '背地里:bèi dì lǐ', '山里红:shān li hóng', '好好儿:hǎo hāo er', '交响乐:jiāo xiǎng yuè', '好意思:hǎo yì si', '吐谷浑:tǔ yù hún',
+    '没意思:méi yì si', '理发师:lǐ fà shī', '塔什干:tǎ shí gān', '充其量:chōng qí liàng', '靠得住:kào de zhù', '车行道:chē xíng dào',
+    '人行道:rén xíng dào', '中郎将:zhōng láng jiàng', '照明弹:zhào míng dàn', '烟幕弹:yān mù dàn', '没奈何:mò nài hé', '乱哄哄:luàn hōng hōng',
+    '惠更斯:huì gēng sī', '载重量:zài zhòng liàng', '瞧得起:qiáo de qǐ', '纪传体:jì zhuàn tǐ', '阿房宫:ē páng gōng', '卷心菜:juǎn xīn cài',
+    '戏班子:xì bān zi', '过得去:guò de qù', '花岗石:huā gāng shí', '外甥女:wài sheng nǚ', '团团转:tuán tuán zhuàn', '大堡礁:dà bǎo jiāo',
+    '燃烧弹:rán shāo dàn', '劳什子:láo shí zi', '摇滚乐:yáo gǔn yuè', '夹竹桃:jiā zhú táo', '闹哄哄:nào hōng hōng', '三连冠:sān lián guàn',
+    '重头戏:zhòng tóu xì', '二人转:èr rén zhuàn', '节骨眼:jiē gǔ yǎn', '知识面:zhī shi miàn', '护士长:hù shi zhǎng', '信号弹:xìn hào dàn',
+    '干电池:gān diàn chí', '枪杆子:qiāng gǎn zi', '哭丧棒:kū sāng bàng', '鼻咽癌:bí yān ái', '瓦岗军:wǎ gāng jūn', '买得起:mǎi de qǐ',
+    '脊梁骨:jǐ liang gǔ', '子母弹:zǐ mǔ dàn', '开小差:kāi xiǎo chāi', '女强人:nǚ qiáng rén', '英雄传:yīng xióng zhuàn', '爵士乐:jué shì yuè',
+    '说笑话:shuō xiào hua', '碰头会:pèng tóu huì', '玻璃钢:bō li gāng', '曳光弹:yè guāng dàn', '少林拳:shào lín quán', '咏叹调:yǒng tàn diào',
+    '少先队:shào xiān duì', '灵长目:líng zhǎng mù', '对着干:duì zhe gàn', '蒙蒙亮:méng méng liàng', '软骨头:ruǎn gǔ tou', '铺盖卷:pū gài juǎn',
+    '和稀泥:huò xī ní', '背黑锅:bēi hēi guō', '红彤彤:hóng tōng tōng', '户口簿:hù kǒu bù', '马尾藻:mǎ wěi zǎo', '夜猫子:yè māo zi',
+    '打手势:dǎ shǒu shì', '龙王爷:lóng wáng yé', '气头上:qì tóu shang', '糊涂虫:hú tu chóng', '笔杆子:bǐ gǎn zi', '占便宜:zhàn pián yi',
+    '打主意:dǎ zhǔ yì', '多弹头:duō dàn tóu', '露一手:lòu yì shǒu', '堰塞湖:yàn sè hú', '保得住:bǎo de zhù', '奥得河:ào de hé',
+    '司务长:sī wù zhǎng', '禁不起:jīn bù qǐ', '什刹海:shí chà hǎi', '莲花落:lián huā lào', '见世面:jiàn shì miàn', '豁出去:huō chū qù',
+    '电位差:diàn wèi chā', '挨个儿:āi gè er', '那阵儿:nà zhèn er', '肺活量:fèi huó liàng', '大师傅:dà shī fu', '掷弹筒:zhì dàn tǒng',
+    '广渠门:ān qú mén', '未见得:wèi jiàn dé', '大婶儿:dà shěn er', '谈得来:tán de lái', '脚丫子:jiǎo yā zi', '空包弹:kōng bāo dàn',
+    '窝里斗:wō li dòu', '弹着点:dàn zhuó diǎn', '个头儿:gè tóu er', '看得起:kàn de qǐ', '糊涂账:hú tu zhàng', '大猩猩:dà xīng xing',
+    '禁得起:jīn de qǐ', '法相宗:fǎ xiàng zōng', '可怜相:kě lián xiàng', '吃得下:chī de xià', '汉堡包:hàn bǎo bāo', '闹嚷嚷:nào rāng rāng',
+    '数来宝:shǔ lái bǎo', '合得来:hé de lái', '干性油:gān xìng yóu', '闷葫芦:mèn hú lu', '西洋参:xī yáng shēn', '林荫道:lín yīn dào',
+    '拉家常:lā jiā cháng', '卷铺盖:juǎn pū gài', '过得硬:guò de yìng', '飞将军:fēi jiāng jūn', '挑大梁:tiǎo dà liáng', '哈巴狗:hǎ ba gǒu',
+    '过家家:guò jiā jiā', '催泪弹:cuī lèi dàn', '雨夹雪:yǔ jiā xuě', '敲竹杠:qiāo zhú gàng', '列车长:liè chē zhǎng', '华达呢:huá dá ní',
+    '犯得着:fàn de zháo', '土疙瘩:tǔ gē da', '煞风景:shā fēng jǐng', '轻量级:qīng liàng jí', '羞答答:xiū dā dā', '石子儿:shí zǐ er',
+    '达姆弹:dá mǔ dàn', '科教片:kē jiào piān', '丁点儿:dīng diǎn er', '吃得消:chī de xiāo', '高丽参:gāo lí shēn', '众生相:zhòng shēng xiàng',
+    '咽峡炎:yān xiá yán', '禁得住:jīn de zhù', '吃得开:chī de kāi', '柞丝绸:zuò sī chóu', '应声虫:yìng shēng chóng', '数得着:shǔ de zháo',
+    '傻劲儿:shǎ jìn er', '铅玻璃:qiān bō li', '可的松:kě dì sōng', '划得来:huá de lái', '晕乎乎:yūn hū hū', '屎壳郎:shǐ ke làng',
+    '藏红花:zàng hóng huā', '闷罐车:mèn guàn chē', '卡脖子:qiǎ bó zi', '红澄澄:hóng deng deng', '赶得及:gǎn de jí', '当间儿:dāng jiàn er',
+    '露马脚:lòu mǎ jiǎo', '鸡内金:jī nèi jīn', '犯得上:fàn de shàng', '钉齿耙:dīng chǐ bà', '饱和点:bǎo hé diǎn', '龙爪槐:lóng zhǎo huái',
+    '喝倒彩:hè dào cǎi', '定冠词:dìng guàn cí', '担担面:dàn dan miàn', '吃得住:chī de zhù', '爪尖儿:zhuǎ jiān er', '支着儿:zhī zhāo er',
+    '折跟头:zhē gēn tou', '阴着儿:yīn zhāo er', '烟卷儿:yān juǎn er', '宣传弹:xuān chuán dàn', '信皮儿:xìn pí er', '弦切角:xián qiē jiǎo',
+    '缩砂密:sù shā mì', '说得来:shuō de lái', '水漂儿:shuǐ piāo er', '耍笔杆:shuǎ bǐ gǎn', '数得上:shǔ de shàng', '数不着:shǔ bù zháo',
+    '数不清:shǔ bù qīng', '什件儿:shí jiàn er', '生死簿:shēng sǐ bù', '扇风机:shān fēng jī', '日记簿:rì jì bù', '热得快:rè de kuài',
+    '亲家公:qìng jia gōng', '奇函数:jī hán shù', '拍纸簿:pāi zhǐ bù', '努劲儿:nǔ jìn er', '泥娃娃:ní wá wa', '内切圆:nèi qiē yuán',
+    '哪会儿:nǎ huì er', '闷头儿:mēn tóu er', '没谱儿:méi pǔ er', '铆劲儿:mǎo jìn er', '溜肩膀:liū jiān bǎng', '了望台:liào wàng tái',
+    '老来少:lǎo lái shào', '坤角儿:kūn jué er', '考勤簿:kǎo qín bù', '卷笔刀:juǎn bǐ dāo', '进给量:jìn jǐ liàng', '划不来:huá bù lái',
+    '汗褂儿:hàn guà er', '鼓囊囊:gǔ nāng nāng', '够劲儿:gòu jìn er', '公切线:gōng qiē xiàn', '搁得住:gé de zhù', '赶浪头:gǎn làng tóu',
+    '赶得上:gǎn de shàng', '干酵母:gān jiào mǔ', '嘎渣儿:gā zhā er', '对得住:duì de zhù', '逗闷子:dòu mèn zi', '滴溜儿:dī liù er',
+    '大轴子:dà zhòu zi', '打板子:dǎ bǎn zi', '寸劲儿:cùn jìn er', '醋劲儿:cù jìn er', '揣手儿:chuāi shǒu er', '冲劲儿:chòng jìn er',
+    '吃得来:chī de lái', '不更事:bù gēng shì', '奔头儿:bèn tou er', '百夫长:bǎi fū zhǎng', '娃娃亲:wá wa qīn', '死劲儿:sǐ jìn er',
+    '骨朵儿:gū duǒ er', '功劳簿:gōng láo bù', '都江堰:dū jiāng yàn', '一担水:yí dàn shuǐ', '否极泰:pǐ jí tài', '泰来否:tài lái pǐ',
+    '咳特灵:ké tè líng', '开户行:kāi hù háng', '花事了:huā shì liǎo', '一更更:yì gēng gēng', '一重山:yì chóng shān', '风一更:fēng yì gēng',
+    '雪一更:xuě yì gēng', '归一码:guī yì mǎ', '星期一:xīng qī yī', '礼拜一:lǐ bài yī', '一季度:yī jì dù', '一月一:yī yuè yī',
+    '一字马:yī zì mǎ', '一是一:yī shì yī', '一次方:yī cì fāng', '一阳指:yī yáng zhǐ', '一字决:yī zì jué', '一年级:yī nián jí',
+    '一不做:yī bú zuò', '屈戌儿:qū qu ér', '难为水:nán wéi shuǐ', '难为情:nán wéi qíng', '行一行:xíng yì háng', '别别的:biè bié de',
+    '干哪行:gàn nǎ háng', '干一行:gàn yì háng', '曲别针:qū bié zhēn'
+];
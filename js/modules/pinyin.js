@@ -0,0 +1,192 @@
+/**
+ * 拼音标注模块
+ * 离线将汉字转换为带声调的拼音，按词语上下文处理多音字（如：银行 yín háng / 行走 xíng zǒu）
+ */
+
+import { CHAR_READINGS, PHRASE_READINGS } from './pinyin-dict.js';
+
+// 带声调字母与不带声调字母的对应关系
+const TONE_LETTERS = {
+    'ā': 'a', 'á': 'a', 'ǎ': 'a', 'à': 'a',
+    'ō': 'o', 'ó': 'o', 'ǒ': 'o', 'ò': 'o',
+    'ē': 'e', 'é': 'e', 'ě': 'e', 'è': 'e',
+    'ī': 'i', 'í': 'i', 'ǐ': 'i', 'ì': 'i',
+    'ū': 'u', 'ú': 'u', 'ǔ': 'u', 'ù': 'u',
+    'ǖ': 'ü', 'ǘ': 'ü', 'ǚ': 'ü', 'ǜ': 'ü',
+    'ń': 'n', 'ň': 'n', 'ǹ': 'n', 'ḿ': 'm'
+};
+
+/**
+ * 拼音转换器
+ */
+export class PinyinConverter {
+    constructor() {
+        // 词典在第一次使用时展开
+        this.charMap = null;
+        this.phraseMap = null;
+        this.knownSyllables = null;
+        this.maxPhraseLength = 1;
+    }
+
+    /**
+     * 展开词典数据
+     */
+    loadDictionary() {
+        if (this.charMap) return;
+
+        this.charMap = new Map();
+        CHAR_READINGS.forEach(line => {
+            const [reading, chars] = line.split(' ');
+            for (const char of chars) {
+                this.charMap.set(char, reading);
+            }
+        });
+
+        this.phraseMap = new Map();
+        PHRASE_READINGS.forEach(entry => {
+            const [phrase, reading] = entry.split(':');
+            this.phraseMap.set(phrase, reading.split(' '));
+            this.maxPhraseLength = Math.max(this.maxPhraseLength, phrase.length);
+        });
+    }
+
+    /**
+     * 判断是否为汉字
+     * @param {string} char - 单个字符
+     * @returns {boolean}
+     */
+    isChinese(char) {
+        return /^[一-鿿]$/.test(char);
+    }
+
+    /**
+     * 将文本拆分为逐字的拼音
+     * 优先按词语读音标注多音字，其余汉字使用默认读音
+     * @param {string} text - 文本
+     * @returns {Array<{char: string, pinyin: string|null}>} 逐字结果，非汉字或词典未收录的字 pinyin 为 null
+     */
+    getSyllables(text) {
+        this.loadDictionary();
+
+        const chars = Array.from(text || '');
+        const result = [];
+        let end = chars.length;
+
+        // 从右向左最长匹配（逆向最大匹配对“快乐音乐”“人行道”这类组合更准确）
+        while (end > 0) {
+            let matched = false;
+            for (let length = Math.min(this.maxPhraseLength, end); length >= 2; length--) {
+                const phrase = chars.slice(end - length, end).join('');
+                const readings = this.phraseMap.get(phrase);
+                if (readings) {
+                    for (let offset = length - 1; offset >= 0; offset--) {
+                        result.push({ char: chars[end - length + offset], pinyin: readings[offset] });
+                    }
+                    end -= length;
+                    matched = true;
+                    break;
+                }
+            }
+
+            if (!matched) {
+                const char = chars[end - 1];
+                result.push({
+                    char: char,
+                    pinyin: this.isChinese(char) ? (this.charMap.get(char) || null) : null
+                });
+                end--;
+            }
+        }
+
+        return result.reverse();
+    }
+
+    /**
+     * 转换为拼音字符串
+     * @param {string} text - 文本
+     * @param {Object} options - 转换选项
+     * @param {boolean} options.tone - 是否保留声调（默认保留）
+     * @returns {string} 以空格分隔的拼音，如 shōu yín yuán；无法转换的字符原样保留
+     */
+    convert(text, options = {}) {
+        const keepTone = options.tone !== false;
+        const parts = [];
+        let buffer = '';
+
+        this.getSyllables(text).forEach(({ char, pinyin }) => {
+            if (pinyin) {
+                if (buffer.trim()) parts.push(buffer.trim());
+                buffer = '';
+                parts.push(keepTone ? pinyin : this.removeTones(pinyin));
+            } else {
+                buffer += char;
+            }
+        });
+
+        if (buffer.trim()) parts.push(buffer.trim());
+        return parts.join(' ');
+    }
+
+    /**
+     * 获取拼音首字母
+     * @param {string} text - 文本
+     * @returns {string} 首字母串，如 超市 → cs
+     */
+    getInitials(text) {
+        return this.getSyllables(text)
+            .map(({ char, pinyin }) => pinyin ? this.removeTones(pinyin)[0] : char)
+            .join('')
+            .toLowerCase();
+    }
+
+    /**
+     * 去掉声调
+     * @param {string} pinyin - 带声调的拼音
+     * @returns {string} 不带声调的拼音
+     */
+    removeTones(pinyin) {
+        return Array.from(pinyin).map(char => TONE_LETTERS[char] || char).join('');
+    }
+
+    /**
+     * 判断是否为合法的拼音音节（不区分声调）
+     * @param {string} syllable - 音节，如 shōu
+     * @returns {boolean}
+     */
+    isKnownSyllable(syllable) {
+        this.loadDictionary();
+
+        if (!this.knownSyllables) {
+            this.knownSyllables = new Set();
+            this.charMap.forEach(reading => this.knownSyllables.add(this.removeTones(reading)));
+        }
+
+        return this.knownSyllables.has(this.removeTones(syllable));
+    }
+
+    /**
+     * 获取词典中未收录的汉字
+     * @param {string} text - 文本
+     * @returns {Array<string>} 未收录的汉字
+     */
+    getUnknownChars(text) {
+        return this.getSyllables(text)
+            .filter(({ char, pinyin }) => !pinyin && this.isChinese(char))
+            .map(({ char }) => char);
+    }
+
+    /**
+     * 为词汇补全拼音（已有拼音时保持不变）
+     * @param {Object} word - 词汇 { pinyin, chinese }
+     * @returns {Object} 补全拼音后的词汇
+     */
+    annotate(word) {
+        if (word.pinyin) {
+            return word;
+        }
+        return { ...word, pinyin: this.convert(word.chinese) };
+    }
+}
+
+// 创建全局拼音转换器实例
+export const pinyinConverter = new PinyinConverter();
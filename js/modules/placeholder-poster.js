@@ -0,0 +1,167 @@
+/**
+ * 占位小报模块
+ * 在本地用 canvas 根据标题和词汇绘制一张简单的小报，供离线演示服务代替真实的生成结果
+ */
+
+// 词汇分类（与生成小报时的四个分类一致）及其颜色
+const POSTER_CATEGORIES = [
+    { key: 'characters', label: '人物', color: '#FF7043' },
+    { key: 'items', label: '物品', color: '#42A5F5' },
+    { key: 'facilities', label: '设施', color: '#66BB6A' },
+    { key: 'environment', label: '环境', color: '#AB47BC' }
+];
+
+// 各分辨率下长边的像素数
+const RESOLUTION_SIZES = {
+    '1K': 1024,
+    '2K': 2048,
+    '4K': 4096
+};
+
+const FONT_FAMILY = '"PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif';
+
+/**
+ * 根据宽高比和分辨率计算画布尺寸
+ * @param {string} aspectRatio - 宽高比（如 3:4，auto 按 3:4 处理）
+ * @param {string} resolution - 分辨率（1K、2K、4K）
+ * @returns {{width: number, height: number}}
+ */
+export function getPosterSize(aspectRatio, resolution) {
+    const longSide = RESOLUTION_SIZES[resolution] || RESOLUTION_SIZES['1K'];
+    let [width, height] = String(aspectRatio).split(':').map(Number);
+    if (!(width > 0 && height > 0)) {
+        [width, height] = [3, 4];
+    }
+
+    return width >= height
+        ? { width: longSide, height: Math.round(longSide * height / width) }
+        : { width: Math.round(longSide * width / height), height: longSide };
+}
+
+/**
+ * 绘制圆角矩形路径
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {number} x - 左上角横坐标
+ * @param {number} y - 左上角纵坐标
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {number} radius - 圆角半径
+ */
+export function roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+/**
+ * 在指定宽度内绘制居中的文字，放不下时缩小字号
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {string} text - 文字
+ * @param {number} x - 中心横坐标
+ * @param {number} y - 基线纵坐标
+ * @param {number} maxWidth - 最大宽度
+ * @param {number} fontSize - 字号
+ * @param {string} weight - 字重
+ */
+function fillFittedText(ctx, text, x, y, maxWidth, fontSize, weight = 'normal') {
+    let size = fontSize;
+    ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+    while (size > 8 && ctx.measureText(text).width > maxWidth) {
+        size -= 2;
+        ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+    }
+    ctx.fillText(text, x, y);
+}
+
+/**
+ * 绘制占位小报
+ * 顶部为标题，下面按分类排列带拼音的词汇卡片，放不下的词汇省略
+ * @param {Object} poster - 小报内容
+ * @param {string} poster.title - 标题
+ * @param {Object} poster.vocabularies - 词汇（characters, items, facilities, environment，每项为 {pinyin, chinese}）
+ * @param {number} poster.referenceCount - 随任务提交的参考图数量（可选）
+ * @param {string} poster.aspectRatio - 宽高比
+ * @param {string} poster.resolution - 分辨率
+ * @param {string} poster.format - 输出格式（png 或 jpg）
+ * @returns {string} 图片的 data URL
+ */
+export function renderPlaceholderPoster({ title, vocabularies, referenceCount, aspectRatio, resolution, format }) {
+    const { width, height } = getPosterSize(aspectRatio, resolution);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    const unit = Math.min(width, height) / 1024;
+    const margin = 48 * unit;
+
+    // 背景和边框
+    ctx.fillStyle = '#FFF8E1';
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = '#FFB74D';
+    ctx.lineWidth = 12 * unit;
+    roundRect(ctx, margin / 2, margin / 2, width - margin, height - margin, 32 * unit);
+    ctx.stroke();
+
+    // 标题
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#E65100';
+    fillFittedText(ctx, `《${title || '儿童识字小报'}》`, width / 2, margin + 96 * unit, width - margin * 3, 72 * unit, 'bold');
+    ctx.fillStyle = '#9E9E9E';
+    const subtitle = referenceCount > 0 ? `离线演示 · 占位图 · 已附 ${referenceCount} 张参考图` : '离线演示 · 占位图';
+    fillFittedText(ctx, subtitle, width / 2, margin + 140 * unit, width - margin * 3, 24 * unit);
+
+    // 词汇卡片
+    const cardWidth = 168 * unit;
+    const cardHeight = 112 * unit;
+    const gap = 20 * unit;
+    const columns = Math.max(1, Math.floor((width - margin * 3 + gap) / (cardWidth + gap)));
+    const left = (width - (columns * cardWidth + (columns - 1) * gap)) / 2;
+    const bottom = height - margin * 1.5;
+    let y = margin + 190 * unit;
+
+    for (const category of POSTER_CATEGORIES) {
+        const words = (vocabularies && vocabularies[category.key]) || [];
+        if (words.length === 0) continue;
+        if (y + 48 * unit + cardHeight > bottom) break;
+
+        // 分类标签
+        ctx.fillStyle = category.color;
+        roundRect(ctx, left, y, 120 * unit, 40 * unit, 20 * unit);
+        ctx.fill();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textBaseline = 'middle';
+        fillFittedText(ctx, category.label, left + 60 * unit, y + 20 * unit, 104 * unit, 24 * unit, 'bold');
+        y += 56 * unit;
+
+        for (let index = 0; index < words.length; index++) {
+            const column = index % columns;
+            if (index > 0 && column === 0) {
+                y += cardHeight + gap;
+            }
+            if (y + cardHeight > bottom) break;
+
+            const x = left + column * (cardWidth + gap);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.strokeStyle = category.color;
+            ctx.lineWidth = 3 * unit;
+            roundRect(ctx, x, y, cardWidth, cardHeight, 16 * unit);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = '#757575';
+            fillFittedText(ctx, words[index].pinyin || '', x + cardWidth / 2, y + 30 * unit, cardWidth - 16 * unit, 22 * unit);
+            ctx.fillStyle = '#333333';
+            fillFittedText(ctx, words[index].chinese || '', x + cardWidth / 2, y + 74 * unit, cardWidth - 16 * unit, 40 * unit, 'bold');
+        }
+
+        y += cardHeight + gap * 2;
+    }
+
+    return canvas.toDataURL(format === 'jpg' ? 'image/jpeg' : 'image/png');
+}
@@ -0,0 +1,423 @@
+/**
+ * 打印导出模块
+ * 把小报排到 A4 竖版页面上（300 DPI，四周留出打印安全边距，页脚为标题和日期），
+ * 可以附加词语表页（拼音、汉字、笔画数和空白田字格），导出为 PDF
+ */
+
+import { PdfWriter, POINTS_PER_INCH } from './pdf.js';
+import { pinyinConverter } from './pinyin.js';
+import { CHAR_STROKES } from './stroke-dict.js';
+
+// 页面尺寸（毫米）和分辨率
+const PAGE_WIDTH_MM = 210;
+const PAGE_HEIGHT_MM = 297;
+const DPI = 300;
+
+// 四周边距和页脚高度（毫米），内容都在边距以内，打印机裁切或无法打印边缘时不受影响
+const MARGIN_MM = 12;
+const FOOTER_MM = 10;
+
+// 词语表：表头高度、每行高度和各列宽度（毫米），描红列占剩余宽度
+const TABLE_HEADER_MM = 10;
+const TABLE_ROW_MM = 18;
+const TABLE_COLUMNS = [
+    { key: 'index', label: '序号', width: 12 },
+    { key: 'pinyin', label: '拼音', width: 38 },
+    { key: 'chinese', label: '汉字', width: 30 },
+    { key: 'strokes', label: '笔画', width: 24 },
+    { key: 'practice', label: '描红练习', width: null }
+];
+
+// 田字格的边长和间距（毫米）
+const TRACING_BOX_MM = 14;
+const TRACING_GAP_MM = 2;
+
+// 词语表中词汇的顺序
+const WORD_CATEGORIES = ['characters', 'items', 'facilities', 'environment'];
+
+// 页面编码为 JPEG 时的质量
+const JPEG_QUALITY = 0.92;
+
+const FONT_FAMILY = '"PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif';
+
+// 笔画数（汉字 → 笔画数），第一次使用时展开
+let strokeMap = null;
+
+/**
+ * 毫米转换为 300 DPI 下的像素
+ * @param {number} mm - 毫米
+ * @returns {number} 像素
+ */
+export function mmToPx(mm) {
+    return Math.round(mm / 25.4 * DPI);
+}
+
+/**
+ * 获取汉字的笔画数
+ * @param {string} char - 单个汉字
+ * @returns {number|null} 笔画数，未收录时为 null
+ */
+export function getStrokeCount(char) {
+    if (!strokeMap) {
+        strokeMap = new Map();
+        CHAR_STROKES.forEach(line => {
+            const [count, chars] = line.split(' ');
+            for (const item of chars) {
+                strokeMap.set(item, Number(count));
+            }
+        });
+    }
+
+    return strokeMap.get(char) || null;
+}
+
+/**
+ * 格式化日期（如 2024年5月1日）
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+function formatDate(date) {
+    return `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日`;
+}
+
+/**
+ * 读取图片
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<HTMLImageElement>} 加载完成的图片
+ */
+function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('图片无法读取'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 创建白底的 A4 页面
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+ */
+export function createPage() {
+    const canvas = document.createElement('canvas');
+    canvas.width = mmToPx(PAGE_WIDTH_MM);
+    canvas.height = mmToPx(PAGE_HEIGHT_MM);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return { canvas, ctx };
+}
+
+/**
+ * 在指定宽度内绘制文字，放不下时缩小字号
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {string} text - 文字
+ * @param {number} x - 横坐标（对齐方式由 ctx.textAlign 决定）
+ * @param {number} y - 纵坐标（中线）
+ * @param {number} maxWidth - 最大宽度
+ * @param {number} fontSize - 字号（像素）
+ * @param {string} weight - 字重
+ */
+export function fillFittedText(ctx, text, x, y, maxWidth, fontSize, weight = 'normal') {
+    let size = fontSize;
+    ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+    while (size > 12 && ctx.measureText(text).width > maxWidth) {
+        size -= 2;
+        ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+    }
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y);
+}
+
+/**
+ * 绘制页脚：左侧标题，中间页码，右侧日期
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {Object} footer - 页脚内容（title, date, page, pageCount）
+ */
+function drawFooter(ctx, { title, date, page, pageCount }) {
+    const left = mmToPx(MARGIN_MM);
+    const right = mmToPx(PAGE_WIDTH_MM - MARGIN_MM);
+    const top = mmToPx(PAGE_HEIGHT_MM - MARGIN_MM - FOOTER_MM);
+    const middle = top + mmToPx(FOOTER_MM) / 2;
+    const fontSize = mmToPx(3.5);
+    const columnWidth = (right - left) / 3;
+
+    ctx.strokeStyle = '#BDBDBD';
+    ctx.lineWidth = mmToPx(0.3);
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(left, top + mmToPx(2));
+    ctx.lineTo(right, top + mmToPx(2));
+    ctx.stroke();
+
+    ctx.fillStyle = '#616161';
+    ctx.textAlign = 'left';
+    fillFittedText(ctx, `《${title}》`, left, middle, columnWidth, fontSize);
+    ctx.textAlign = 'center';
+    fillFittedText(ctx, `第 ${page} / ${pageCount} 页`, (left + right) / 2, middle, columnWidth, fontSize);
+    ctx.textAlign = 'right';
+    fillFittedText(ctx, date, right, middle, columnWidth, fontSize);
+}
+
+/**
+ * 获取页面的内容区域（边距以内、页脚以上）
+ * @returns {{left: number, top: number, width: number, height: number}} 内容区域（像素）
+ */
+export function getContentArea() {
+    return {
+        left: mmToPx(MARGIN_MM),
+        top: mmToPx(MARGIN_MM),
+        width: mmToPx(PAGE_WIDTH_MM - MARGIN_MM * 2),
+        height: mmToPx(PAGE_HEIGHT_MM - MARGIN_MM * 2 - FOOTER_MM)
+    };
+}
+
+/**
+ * 绘制小报页：图片按比例缩放到边距以内并居中
+ * @param {HTMLImageElement} image - 小报图片
+ * @returns {HTMLCanvasElement} 页面
+ */
+function renderPosterPage(image) {
+    const { canvas, ctx } = createPage();
+    const { left: areaLeft, top: areaTop, width: areaWidth, height: areaHeight } = getContentArea();
+
+    const scale = Math.min(areaWidth / image.naturalWidth, areaHeight / image.naturalHeight);
+    const width = Math.round(image.naturalWidth * scale);
+    const height = Math.round(image.naturalHeight * scale);
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, areaLeft + (areaWidth - width) / 2, areaTop + (areaHeight - height) / 2, width, height);
+
+    return canvas;
+}
+
+/**
+ * 绘制一个空白田字格
+ * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+ * @param {number} x - 左上角横坐标
+ * @param {number} y - 左上角纵坐标
+ * @param {number} size - 边长
+ */
+function drawTracingBox(ctx, x, y, size) {
+    ctx.strokeStyle = '#66BB6A';
+    ctx.lineWidth = mmToPx(0.35);
+    ctx.setLineDash([]);
+    ctx.strokeRect(x, y, size, size);
+
+    ctx.lineWidth = mmToPx(0.2);
+    ctx.setLineDash([mmToPx(1), mmToPx(1)]);
+    ctx.beginPath();
+    ctx.moveTo(x + size / 2, y);
+    ctx.lineTo(x + size / 2, y + size);
+    ctx.moveTo(x, y + size / 2);
+    ctx.lineTo(x + size, y + size / 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+/**
+ * 整理词语表的行：按分类顺序排列，补全拼音并计算每个字的笔画数
+ * @param {Object} vocabularies - 词汇（characters, items, facilities, environment）
+ * @returns {Array<{pinyin: string, chinese: string, strokes: string}>} 词语
+ */
+function buildWordRows(vocabularies) {
+    return WORD_CATEGORIES
+        .flatMap(category => (vocabularies && vocabularies[category]) || [])
+        .filter(word => word.chinese)
+        .map(word => {
+            const { pinyin, chinese } = pinyinConverter.annotate(word);
+            const strokes = Array.from(chinese)
+                .map(char => getStrokeCount(char) || '—')
+                .join(' · ');
+            return { pinyin, chinese, strokes };
+        });
+}
+
+/**
+ * 绘制词语表页（词语较多时分为多页）
+ * @param {string} title - 小报标题
+ * @param {Object} vocabularies - 词汇
+ * @returns {Array<HTMLCanvasElement>} 页面
+ */
+function renderWordListPages(title, vocabularies) {
+    const rows = buildWordRows(vocabularies);
+    if (rows.length === 0) return [];
+
+    const left = mmToPx(MARGIN_MM);
+    const tableWidth = mmToPx(PAGE_WIDTH_MM - MARGIN_MM * 2);
+    const headingHeight = mmToPx(16);
+    const tableTop = mmToPx(MARGIN_MM) + headingHeight;
+    const tableBottom = mmToPx(PAGE_HEIGHT_MM - MARGIN_MM - FOOTER_MM);
+    const headerHeight = mmToPx(TABLE_HEADER_MM);
+    const rowHeight = mmToPx(TABLE_ROW_MM);
+    const rowsPerPage = Math.max(1, Math.floor((tableBottom - tableTop - headerHeight) / rowHeight));
+
+    // 各列的横向位置
+    const fixedWidth = TABLE_COLUMNS.reduce((sum, column) => sum + mmToPx(column.width || 0), 0);
+    let x = left;
+    const columns = TABLE_COLUMNS.map(column => {
+        const width = column.width ? mmToPx(column.width) : tableWidth - fixedWidth;
+        const item = { ...column, x, width };
+        x += width;
+        return item;
+    });
+
+    const pages = [];
+    for (let start = 0; start < rows.length; start += rowsPerPage) {
+        const { canvas, ctx } = createPage();
+        const pageRows = rows.slice(start, start + rowsPerPage);
+
+        // 标题
+        ctx.fillStyle = '#E65100';
+        ctx.textAlign = 'left';
+        fillFittedText(ctx, `词语表 ·《${title}》`, left, mmToPx(MARGIN_MM) + headingHeight / 2 - mmToPx(2), tableWidth, mmToPx(7), 'bold');
+
+        // 表头
+        ctx.fillStyle = '#FFF3E0';
+        ctx.fillRect(left, tableTop, tableWidth, headerHeight);
+        ctx.fillStyle = '#424242';
+        ctx.textAlign = 'center';
+        columns.forEach(column => {
+            fillFittedText(ctx, column.label, column.x + column.width / 2, tableTop + headerHeight / 2, column.width - mmToPx(2), mmToPx(4), 'bold');
+        });
+
+        // 每行词语
+        pageRows.forEach((row, index) => {
+            const y = tableTop + headerHeight + index * rowHeight;
+            const middle = y + rowHeight / 2;
+            const cells = {
+                index: { text: String(start + index + 1), size: 4, color: '#757575' },
+                pinyin: { text: row.pinyin, size: 5, color: '#424242' },
+                chinese: { text: row.chinese, size: 9, color: '#212121', weight: 'bold' },
+                strokes: { text: row.strokes, size: 4.5, color: '#424242' }
+            };
+
+            ctx.textAlign = 'center';
+            columns.forEach(column => {
+                const cell = cells[column.key];
+                if (!cell) return;
+                ctx.fillStyle = cell.color;
+                fillFittedText(ctx, cell.text, column.x + column.width / 2, middle, column.width - mmToPx(3), mmToPx(cell.size), cell.weight);
+            });
+
+            // 描红列：尽量多的空白田字格
+            const practice = columns[columns.length - 1];
+            const boxSize = mmToPx(TRACING_BOX_MM);
+            const gap = mmToPx(TRACING_GAP_MM);
+            const count = Math.max(1, Math.floor((practice.width - gap) / (boxSize + gap)));
+            for (let box = 0; box < count; box++) {
+                drawTracingBox(ctx, practice.x + gap + box * (boxSize + gap), middle - boxSize / 2, boxSize);
+            }
+        });
+
+        // 表格线
+        const tableHeight = headerHeight + pageRows.length * rowHeight;
+        ctx.strokeStyle = '#BDBDBD';
+        ctx.lineWidth = mmToPx(0.3);
+        ctx.setLineDash([]);
+        ctx.strokeRect(left, tableTop, tableWidth, tableHeight);
+        ctx.beginPath();
+        for (let line = 0; line <= pageRows.length; line++) {
+            const y = tableTop + headerHeight + line * rowHeight;
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + tableWidth, y);
+        }
+        columns.slice(1).forEach(column => {
+            ctx.moveTo(column.x, tableTop);
+            ctx.lineTo(column.x, tableTop + tableHeight);
+        });
+        ctx.stroke();
+
+        pages.push(canvas);
+    }
+
+    return pages;
+}
+
+/**
+ * 把页面编码为 JPEG
+ * @param {HTMLCanvasElement} canvas - 页面
+ * @returns {Promise<Uint8Array>} JPEG 数据
+ */
+function canvasToJpeg(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(async blob => {
+            if (!blob) {
+                reject(new Error('页面编码失败'));
+                return;
+            }
+            resolve(new Uint8Array(await blob.arrayBuffer()));
+        }, 'image/jpeg', JPEG_QUALITY);
+    });
+}
+
+/**
+ * 生成可打印的小报 PDF
+ * @param {Object} poster - 小报内容
+ * @param {Blob} poster.imageBlob - 小报图片
+ * @param {string} poster.title - 标题
+ * @param {Object} poster.vocabularies - 词汇（附加词语表时使用）
+ * @param {boolean} poster.includeWordList - 是否附加词语表页
+ * @param {Date} poster.date - 页脚中的日期（默认今天）
+ * @returns {Promise<Blob>} PDF 文件
+ */
+export async function createPosterPdf({ imageBlob, title, vocabularies, includeWordList = false, date = new Date() }) {
+    title = title || '儿童识字小报';
+
+    const image = await loadImage(imageBlob);
+    const pages = [renderPosterPage(image)];
+    if (includeWordList) {
+        pages.push(...renderWordListPages(title, vocabularies));
+    }
+
+    return createPdf(pages, { title, date });
+}
+
+/**
+ * 给每页加上页脚（标题、页码和日期）
+ * @param {Array<HTMLCanvasElement>} pages - 页面（由 createPage 创建）
+ * @param {Object} info - 页脚信息
+ * @param {string} info.title - 标题
+ * @param {Date} info.date - 日期（默认今天）
+ */
+export function addFooters(pages, { title, date = new Date() }) {
+    const footer = { title, date: formatDate(date), pageCount: pages.length };
+    pages.forEach((canvas, index) => {
+        drawFooter(canvas.getContext('2d'), { ...footer, page: index + 1 });
+    });
+}
+
+/**
+ * 给页面加上页脚并写成 PDF（每页为一张 A4）
+ * 页面画布编码后即释放，调用后不能再使用
+ * @param {Array<HTMLCanvasElement>} pages - 页面（由 createPage 创建）
+ * @param {Object} info - 页脚信息（title, date，见 addFooters）
+ * @returns {Promise<Blob>} PDF 文件
+ */
+export async function createPdf(pages, info) {
+    addFooters(pages, info);
+
+    const writer = new PdfWriter({ title: info.title });
+    const pageSize = {
+        pageWidth: PAGE_WIDTH_MM / 25.4 * POINTS_PER_INCH,
+        pageHeight: PAGE_HEIGHT_MM / 25.4 * POINTS_PER_INCH
+    };
+
+    // 逐页编码，编码后释放页面画布
+    for (const canvas of pages) {
+        writer.addPage(await canvasToJpeg(canvas), { width: canvas.width, height: canvas.height, ...pageSize });
+        canvas.width = 0;
+    }
+
+    return writer.toBlob();
+}
@@ -0,0 +1,131 @@
+/**
+ * 学习者档案模块
+ * 按年龄段控制词语数量、难度、字数、是否标注拼音，以及提示词中的标签样式和画风
+ */
+
+const STORAGE_KEY = 'learner_profile';
+
+// 默认档案ID
+export const DEFAULT_PROFILE_ID = 'grade1';
+
+/**
+ * 学习者档案
+ * maxWords：最多使用的词语数；maxLevel：词语难度上限（themes.json 中每个词的 level，1 最容易）；
+ * maxChars：每个词最多的字数；showPinyin：标签是否标注拼音
+ */
+export const LEARNER_PROFILES = [
+    {
+        id: 'preschool',
+        name: '学前启蒙',
+        ages: '3–5 岁',
+        description: '8 个以内的常见短词，只认汉字不标拼音',
+        maxWords: 8,
+        maxLevel: 1,
+        maxChars: 2,
+        showPinyin: false,
+        labelStyle: '大号简体汉字，圆角彩色贴纸，每个标签只写一个词，字号足够大。',
+        artStyle: '低龄绘本风，造型圆润简单，物体大而少、彼此分开',
+        colorStyle: '明亮柔和的糖果色，对比清晰'
+    },
+    {
+        id: 'grade1',
+        name: '一年级',
+        ages: '6–7 岁',
+        description: '15 个以内的常用词，拼音和汉字两行标注',
+        maxWords: 15,
+        maxLevel: 2,
+        maxChars: 3,
+        showPinyin: true,
+        labelStyle: '彩色小贴纸风格，白底黑字或深色字，清晰可读。',
+        artStyle: '儿童绘本风 + 识字小报风',
+        colorStyle: '高饱和、明快、温暖 (High Saturation, Warm Tone)'
+    },
+    {
+        id: 'grade3',
+        name: '三年级',
+        ages: '8–9 岁',
+        description: '20 个以内的词，包含较难的专有名词',
+        maxWords: 20,
+        maxLevel: 3,
+        maxChars: 4,
+        showPinyin: true,
+        labelStyle: '简洁的白色标签框，深色字，字号适中，排版整齐。',
+        artStyle: '细节更丰富的知识绘本风 + 识字小报风',
+        colorStyle: '明快自然，色彩层次丰富'
+    }
+];
+
+/**
+ * 学习者档案管理器
+ * 记住用户上次选择的档案
+ */
+export class ProfileManager {
+    constructor() {
+        this.selectedId = DEFAULT_PROFILE_ID;
+        this.load();
+    }
+
+    /**
+     * 从本地存储加载选择的档案
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored && this.getProfile(stored)) {
+                this.selectedId = stored;
+            }
+        } catch (error) {
+            console.error('加载学习者档案失败:', error);
+        }
+    }
+
+    /**
+     * 获取全部档案
+     * @returns {Array} 档案列表
+     */
+    getProfiles() {
+        return LEARNER_PROFILES;
+    }
+
+    /**
+     * 根据ID获取档案
+     * @param {string} id - 档案ID
+     * @returns {Object|null} 档案
+     */
+    getProfile(id) {
+        return LEARNER_PROFILES.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * 获取当前选择的档案
+     * @returns {Object} 档案
+     */
+    getSelectedProfile() {
+        return this.getProfile(this.selectedId) || this.getProfile(DEFAULT_PROFILE_ID);
+    }
+
+    /**
+     * 选择档案
+     * @param {string} id - 档案ID
+     */
+    selectProfile(id) {
+        if (!this.getProfile(id)) {
+            throw new Error('学习者档案不存在');
+        }
+        this.selectedId = id;
+        localStorage.setItem(STORAGE_KEY, id);
+    }
+
+    /**
+     * 解析档案参数（ID、档案对象或空值），空值或未知ID时使用当前选择的档案
+     * @param {string|Object|null} profile - 档案
+     * @returns {Object} 档案
+     */
+    resolve(profile) {
+        if (profile && typeof profile === 'object') return profile;
+        return (profile && this.getProfile(profile)) || this.getSelectedProfile();
+    }
+}
+
+// 创建全局学习者档案管理器实例
+export const profileManager = new ProfileManager();
@@ -0,0 +1,405 @@
+/**
+ * 识字游戏模块
+ * 用生成的小报和它的词汇出题：找一找（在图中点出词语对应的物体）、拼音配汉字、少了哪个词。
+ * 记录得分并给出鼓励，每个小朋友的成绩保存在本地
+ */
+
+import { pinyinConverter } from './pinyin.js';
+
+const RESULTS_STORAGE_KEY = 'quiz_results';
+
+// 每个小朋友最多保留的成绩条数
+const MAX_RESULTS_PER_CHILD = 50;
+
+// 每轮的题目数、选择题的选项数、“少了哪个词”每题展示的词数
+export const QUESTIONS_PER_ROUND = 8;
+const OPTION_COUNT = 4;
+const MISSING_GROUP_SIZE = 4;
+
+// 热点的默认半径（相对图片短边的比例），点在半径以内算找到
+export const HOTSPOT_RADIUS = 0.07;
+
+// 词汇的顺序
+const WORD_CATEGORIES = ['characters', 'items', 'facilities', 'environment'];
+
+/**
+ * 游戏模式
+ */
+export const QUIZ_MODES = {
+    find: { name: '找一找', description: '看词语，在图中点出对应的物体' },
+    match: { name: '拼音配汉字', description: '看拼音，选出对应的汉字' },
+    missing: { name: '少了哪个词', description: '先记住几个词，再找出不见的那个' }
+};
+
+// 答对、答错和连续答对时的鼓励语
+const CORRECT_MESSAGES = ['太棒了！', '答对啦，真厉害！', '好眼力！', '完全正确！', '你真聪明！'];
+const WRONG_MESSAGES = ['没关系，再想一想～', '差一点点，下次一定行！', '加油，我们记住它！'];
+const STREAK_MESSAGE = (streak) => `已经连续答对 ${streak} 题，继续加油！`;
+
+/**
+ * 游戏错误（当前小报无法玩所选模式）
+ */
+export class QuizError extends Error {
+    constructor(message = '无法开始游戏') {
+        super(message);
+        this.name = 'QuizError';
+    }
+}
+
+/**
+ * 整理游戏用的词语：按分类顺序排列，补全拼音，去掉重复的词
+ * @param {Object} vocabularies - 词汇（characters, items, facilities, environment，每项为 {pinyin, chinese}）
+ * @returns {Array<{pinyin: string, chinese: string}>} 词语
+ */
+export function createQuizWords(vocabularies) {
+    const seen = new Set();
+    return WORD_CATEGORIES
+        .flatMap(category => (vocabularies && vocabularies[category]) || [])
+        .filter(word => word.chinese && !seen.has(word.chinese) && seen.add(word.chinese))
+        .map(word => {
+            const { pinyin, chinese } = pinyinConverter.annotate(word);
+            return { pinyin, chinese };
+        });
+}
+
+/**
+ * 判断点击位置是否落在热点内
+ * @param {Object} hotspot - 热点 { chinese, x, y, radius }，位置为相对图片宽高的比例
+ * @param {Object} point - 点击位置 { x, y }，相对图片宽高的比例
+ * @param {number} aspectRatio - 图片宽高比（宽 / 高）
+ * @returns {boolean}
+ */
+export function isInHotspot(hotspot, point, aspectRatio) {
+    // 换算成以短边为 1 的坐标，圆形热点在横竖方向上一样大
+    const scaleX = aspectRatio >= 1 ? aspectRatio : 1;
+    const scaleY = aspectRatio >= 1 ? 1 : 1 / aspectRatio;
+    const dx = (point.x - hotspot.x) * scaleX;
+    const dy = (point.y - hotspot.y) * scaleY;
+    return Math.hypot(dx, dy) <= (hotspot.radius || HOTSPOT_RADIUS);
+}
+
+/**
+ * 打乱数组（返回新数组）
+ * @param {Array} items - 数组
+ * @param {Function} random - 随机数函数
+ * @returns {Array}
+ */
+function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * 一轮识字游戏
+ * 用法：session.getQuestion() 获取当前题目，session.answer(response) 作答，session.next() 进入下一题
+ */
+export class QuizSession {
+    /**
+     * @param {Object} options - 游戏选项
+     * @param {string} options.mode - 游戏模式（见 QUIZ_MODES）
+     * @param {Array} options.words - 词语（见 createQuizWords）
+     * @param {Array} options.hotspots - 热点（找一找时使用）
+     * @param {number} options.rounds - 题目数（默认 QUESTIONS_PER_ROUND）
+     * @param {Function} options.random - 随机数函数（默认 Math.random）
+     * @throws {QuizError} 词语或热点不够，无法玩所选模式
+     */
+    constructor({ mode, words, hotspots = [], rounds = QUESTIONS_PER_ROUND, random = Math.random }) {
+        if (!QUIZ_MODES[mode]) {
+            throw new QuizError(`未知的游戏模式：${mode}`);
+        }
+
+        this.mode = mode;
+        this.words = words;
+        this.hotspots = hotspots.filter(hotspot => words.some(word => word.chinese === hotspot.chinese));
+        this.random = random;
+
+        this.questions = this.createQuestions(rounds);
+        this.index = 0;
+        this.score = 0;
+        this.streak = 0;
+        this.bestStreak = 0;
+
+        // 每题的作答结果（同一题只计第一次作答）
+        this.results = [];
+    }
+
+    /**
+     * 出题
+     * @param {number} rounds - 题目数
+     * @returns {Array} 题目
+     */
+    createQuestions(rounds) {
+        if (this.mode === 'find') {
+            if (this.hotspots.length === 0) {
+                throw new QuizError('老师还没有在图中标出物体的位置，请先点击“设置热点”');
+            }
+            return shuffle(this.hotspots, this.random).slice(0, rounds).map(hotspot => {
+                const word = this.words.find(item => item.chinese === hotspot.chinese);
+                return { mode: 'find', word, answer: word.chinese };
+            });
+        }
+
+        const minWords = this.mode === 'missing' ? 3 : 2;
+        if (this.words.length < minWords) {
+            throw new QuizError(`词语太少，至少需要 ${minWords} 个词才能玩这个游戏`);
+        }
+
+        if (this.mode === 'match') {
+            return shuffle(this.words, this.random).slice(0, rounds).map(word => ({
+                mode: 'match',
+                word,
+                answer: word.chinese,
+                options: this.createOptions(word, shuffle(this.words, this.random))
+            }));
+        }
+
+        // 少了哪个词：每题从词语中取几个，藏起一个；干扰项优先用没有展示过的词
+        const groupSize = Math.min(MISSING_GROUP_SIZE, this.words.length);
+        return Array.from({ length: Math.min(rounds, this.words.length) }, () => {
+            const group = shuffle(this.words, this.random).slice(0, groupSize);
+            const [word, ...remaining] = group;
+            const others = shuffle(this.words.filter(item => !group.includes(item)), this.random);
+            return {
+                mode: 'missing',
+                word,
+                answer: word.chinese,
+                shown: shuffle(group, this.random),
+                remaining: shuffle(remaining, this.random),
+                options: this.createOptions(word, [...others, ...shuffle(remaining, this.random)])
+            };
+        });
+    }
+
+    /**
+     * 生成选项：正确答案和干扰项（打乱顺序）
+     * @param {Object} word - 正确答案
+     * @param {Array} candidates - 干扰项候选，按顺序选取
+     * @returns {Array<{pinyin: string, chinese: string}>} 选项
+     */
+    createOptions(word, candidates) {
+        const distractors = candidates.filter(item => item.chinese !== word.chinese).slice(0, OPTION_COUNT - 1);
+        return shuffle([word, ...distractors], this.random);
+    }
+
+    /**
+     * 获取当前题目
+     * @returns {Object|null} 题目，全部答完时为 null
+     */
+    getQuestion() {
+        return this.questions[this.index] || null;
+    }
+
+    /**
+     * 作答
+     * 找一找时 response 为点击位置 { x, y, aspectRatio }，其他模式为选择的汉字
+     * @param {Object|string} response - 答案
+     * @returns {{correct: boolean, answer: string, hit: string|null, message: string}} 作答结果
+     * （hit 为找一找时点中的其他物体）
+     */
+    answer(response) {
+        const question = this.getQuestion();
+        if (!question) {
+            throw new QuizError('本轮游戏已经结束');
+        }
+
+        let correct;
+        let hit = null;
+        if (question.mode === 'find') {
+            const target = this.hotspots.find(hotspot => hotspot.chinese === question.answer);
+            correct = isInHotspot(target, response, response.aspectRatio);
+            if (!correct) {
+                const other = this.hotspots.find(hotspot => isInHotspot(hotspot, response, response.aspectRatio));
+                hit = other ? other.chinese : null;
+            }
+        } else {
+            correct = response === question.answer;
+        }
+
+        // 同一题再次作答（如答错后再试）不重复计分
+        if (!this.results[this.index]) {
+            this.results[this.index] = { answer: question.answer, correct };
+            if (correct) {
+                this.score++;
+                this.streak++;
+                this.bestStreak = Math.max(this.bestStreak, this.streak);
+            } else {
+                this.streak = 0;
+            }
+        }
+
+        return { correct, answer: question.answer, hit, message: this.getMessage(correct, hit, question) };
+    }
+
+    /**
+     * 获取鼓励语
+     * @param {boolean} correct - 是否答对
+     * @param {string|null} hit - 找一找时点中的其他物体
+     * @param {Object} question - 题目
+     * @returns {string}
+     */
+    getMessage(correct, hit, question) {
+        if (correct) {
+            const message = CORRECT_MESSAGES[this.index % CORRECT_MESSAGES.length];
+            return this.streak >= 3 ? `${message}${STREAK_MESSAGE(this.streak)}` : message;
+        }
+
+        const message = WRONG_MESSAGES[this.index % WRONG_MESSAGES.length];
+        if (hit) {
+            return `这是“${hit}”哦，再找找“${question.answer}”在哪里。${message}`;
+        }
+        return question.mode === 'find' ? `${message}再找找看。` : `${message}正确答案是“${question.answer}”。`;
+    }
+
+    /**
+     * 进入下一题
+     * @returns {Object|null} 下一题，全部答完时为 null
+     */
+    next() {
+        this.index++;
+        return this.getQuestion();
+    }
+
+    /**
+     * 本轮是否已经结束
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.index >= this.questions.length;
+    }
+
+    /**
+     * 获取本轮成绩
+     * @returns {{mode: string, score: number, total: number, bestStreak: number, message: string}}
+     */
+    getSummary() {
+        const total = this.questions.length;
+        const ratio = total > 0 ? this.score / total : 0;
+
+        let message;
+        if (ratio === 1) {
+            message = '全部答对，你是识字小能手！🏆';
+        } else if (ratio >= 0.8) {
+            message = '真棒，差一点就全对了！🌟';
+        } else if (ratio >= 0.5) {
+            message = '不错哦，多玩几次会更厉害！👍';
+        } else {
+            message = '你已经很努力了，再玩一次吧！💪';
+        }
+
+        return { mode: this.mode, score: this.score, total, bestStreak: this.bestStreak, message };
+    }
+}
+
+/**
+ * 游戏成绩存储
+ * 按小朋友的名字分别保存在本地，并记住上次玩的小朋友
+ */
+export class QuizResultStore {
+    constructor() {
+        this.children = {};
+        this.lastChild = '';
+        this.load();
+    }
+
+    /**
+     * 从本地存储加载成绩
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(RESULTS_STORAGE_KEY);
+            if (stored) {
+                const data = JSON.parse(stored);
+                this.children = data.children || {};
+                this.lastChild = data.lastChild || '';
+            }
+        } catch (error) {
+            console.error('加载游戏成绩失败:', error);
+        }
+    }
+
+    /**
+     * 保存到本地存储
+     */
+    save() {
+        localStorage.setItem(RESULTS_STORAGE_KEY, JSON.stringify({
+            children: this.children,
+            lastChild: this.lastChild
+        }));
+    }
+
+    /**
+     * 获取小朋友的名字（最近玩过的在前）
+     * @returns {Array<string>}
+     */
+    getChildren() {
+        const lastPlayed = (name) => {
+            const [latest] = this.children[name];
+            return latest ? latest.playedAt : 0;
+        };
+        return Object.keys(this.children).sort((a, b) => lastPlayed(b) - lastPlayed(a));
+    }
+
+    /**
+     * 获取上次玩的小朋友
+     * @returns {string}
+     */
+    getLastChild() {
+        return this.lastChild;
+    }
+
+    /**
+     * 获取小朋友的成绩（最新的在前）
+     * @param {string} child - 名字
+     * @returns {Array} 成绩
+     */
+    getResults(child) {
+        return [...(this.children[child] || [])];
+    }
+
+    /**
+     * 保存一轮成绩
+     * @param {string} child - 名字
+     * @param {Object} result - 成绩（mode, score, total, bestStreak，以及小报的 theme 和 title）
+     * @returns {Object} 保存的成绩
+     */
+    saveResult(child, result) {
+        const name = (child || '').trim();
+        if (!name) {
+            throw new QuizError('请先填写小朋友的名字');
+        }
+
+        const entry = {
+            mode: result.mode,
+            score: result.score,
+            total: result.total,
+            bestStreak: result.bestStreak || 0,
+            theme: result.theme || '',
+            title: result.title || '',
+            playedAt: result.playedAt || Date.now()
+        };
+
+        this.children[name] = [entry, ...(this.children[name] || [])].slice(0, MAX_RESULTS_PER_CHILD);
+        this.lastChild = name;
+        this.save();
+        return entry;
+    }
+
+    /**
+     * 删除小朋友的全部成绩
+     * @param {string} child - 名字
+     */
+    deleteChild(child) {
+        delete this.children[child];
+        if (this.lastChild === child) {
+            this.lastChild = '';
+        }
+        this.save();
+    }
+}
+
+// 创建全局游戏成绩实例
+export const quizResultStore = new QuizResultStore();
@@ -0,0 +1,67 @@
+/**
+ * 参考图模块
+ * 把老师上传的参考图（如班级吉祥物、画风样例、以前的小报）在本地缩小并编码为 data URL，
+ * 保存在 IndexedDB 中，生成时（Kie AI 先上传为图片URL）通过 image_input 发送，使同一系列的小报保持相同的角色和画风
+ */
+
+// 参考图长边的最大像素数
+export const REFERENCE_IMAGE_MAX_SIZE = 1024;
+
+// 可以上传的图片类型和文件大小上限
+const ACCEPTED_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+// 编码为 JPEG 时的质量
+const JPEG_QUALITY = 0.85;
+
+/**
+ * 读取图片文件
+ * @param {File} file - 图片文件
+ * @returns {Promise<HTMLImageElement>} 加载完成的图片
+ */
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('图片无法读取，请换一张图片'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 把上传的图片缩小到长边不超过指定像素，并编码为 JPEG 的 data URL
+ * 透明部分填充为白色
+ * @param {File} file - 图片文件
+ * @param {number} maxSize - 长边的最大像素数
+ * @returns {Promise<string>} 图片的 data URL
+ */
+export async function prepareReferenceImage(file, maxSize = REFERENCE_IMAGE_MAX_SIZE) {
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+        throw new Error('请选择 PNG、JPG、WebP 或 GIF 格式的图片');
+    }
+    if (file.size > MAX_FILE_SIZE) {
+        throw new Error('图片不能超过 20MB');
+    }
+
+    const image = await loadImage(file);
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+}
@@ -0,0 +1,266 @@
+/**
+ * 模板引擎模块
+ * 渲染提示词模板，支持变量、条件和循环：
+ *   {{标题}}、{{scene.name}}                   变量（支持用 . 访问属性）
+ *   {{#if 场景重点}}...{{else}}...{{/if}}       条件（空字符串、空数组视为不成立，变量不存在时与 {{变量}} 一样报错）
+ *   {{#unless @last}}...{{/unless}}             反向条件
+ *   {{#each 分类}}...{{else}}...{{/each}}       循环，循环内可用 {{this}}、{{@index}}、{{@number}}、{{@first}}、{{@last}}
+ * 独占一行的 #if / #each / else / 结束标签不会在结果中留下空行
+ */
+
+// 标签：{{变量}}、{{#if 变量}}、{{else}}、{{/if}} 等
+const TAG_PATTERN = /\{\{\s*([#\/]?)\s*([^{}]*?)\s*\}\}/g;
+
+// 支持的块标签
+const BLOCK_TAGS = ['if', 'unless', 'each'];
+
+// 最多缓存的模板数量（编辑模板时每次修改都是新的文本，超过后丢弃最久未使用的）
+const MAX_CACHED_TEMPLATES = 20;
+
+/**
+ * 模板错误（语法错误或存在无法解析的占位符）
+ */
+export class TemplateError extends Error {
+    /**
+     * @param {string} message - 错误信息
+     * @param {Object} details - 详细信息
+     * @param {Array<string>} details.placeholders - 无法解析的占位符
+     * @param {number} details.line - 出错的行号（语法错误时）
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'TemplateError';
+        this.placeholders = details.placeholders || [];
+        this.line = details.line || null;
+    }
+}
+
+/**
+ * 模板引擎
+ */
+export class TemplateEngine {
+    constructor() {
+        // 已解析的模板（模板文本 → 语法树），按使用先后排列
+        this.cache = new Map();
+    }
+
+    /**
+     * 解析模板，语法有误时抛出 TemplateError
+     * @param {string} source - 模板文本
+     * @returns {Array} 语法树
+     */
+    compile(source) {
+        if (this.cache.has(source)) {
+            const cached = this.cache.get(source);
+            this.cache.delete(source);
+            this.cache.set(source, cached);
+            return cached;
+        }
+
+        const root = { type: 'root', body: [] };
+        const stack = [root];
+        const current = () => {
+            const node = stack[stack.length - 1];
+            return node.inElse ? node.elseBody : node.body;
+        };
+
+        let position = 0;
+        let match;
+        TAG_PATTERN.lastIndex = 0;
+
+        while ((match = TAG_PATTERN.exec(source)) !== null) {
+            const [tag, prefix, expression] = match;
+            const line = source.slice(0, match.index).split('\n').length;
+            const isBlock = prefix !== '' || expression === 'else';
+
+            // 独占一行的块标签：去掉所在行的缩进和换行
+            let textEnd = match.index;
+            let tagEnd = match.index + tag.length;
+            if (isBlock) {
+                const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+                const lineEndIndex = source.indexOf('\n', tagEnd);
+                const lineEnd = lineEndIndex === -1 ? source.length : lineEndIndex;
+                if (lineStart >= position
+                    && !source.slice(lineStart, match.index).trim()
+                    && !source.slice(tagEnd, lineEnd).trim()) {
+                    textEnd = lineStart;
+                    tagEnd = lineEndIndex === -1 ? lineEnd : lineEnd + 1;
+                }
+            }
+
+            if (textEnd > position) {
+                current().push({ type: 'text', value: source.slice(position, textEnd) });
+            }
+            position = tagEnd;
+            TAG_PATTERN.lastIndex = tagEnd;
+
+            if (prefix === '#') {
+                const [keyword, name] = expression.split(/\s+/, 2);
+                if (!BLOCK_TAGS.includes(keyword) || !name) {
+                    throw new TemplateError(`第 ${line} 行：无法识别的标签 ${tag}`, { line });
+                }
+                const node = { type: keyword, name, body: [], elseBody: [], inElse: false, line };
+                current().push(node);
+                stack.push(node);
+            } else if (prefix === '/') {
+                const node = stack[stack.length - 1];
+                if (node.type !== expression) {
+                    const expected = node.type === 'root' ? '没有对应的开始标签' : `应为 {{/${node.type}}}`;
+                    throw new TemplateError(`第 ${line} 行：${tag} ${expected}`, { line });
+                }
+                stack.pop();
+            } else if (expression === 'else') {
+                const node = stack[stack.length - 1];
+                if (node.type === 'root' || node.inElse) {
+                    throw new TemplateError(`第 ${line} 行：{{else}} 的位置不正确`, { line });
+                }
+                node.inElse = true;
+            } else if (!expression) {
+                throw new TemplateError(`第 ${line} 行：占位符为空`, { line });
+            } else {
+                current().push({ type: 'variable', name: expression, line });
+            }
+        }
+
+        if (stack.length > 1) {
+            const node = stack[stack.length - 1];
+            throw new TemplateError(`第 ${node.line} 行：{{#${node.type} ${node.name}}} 没有结束标签`, { line: node.line });
+        }
+
+        if (position < source.length) {
+            root.body.push({ type: 'text', value: source.slice(position) });
+        }
+
+        this.cache.set(source, root.body);
+        if (this.cache.size > MAX_CACHED_TEMPLATES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return root.body;
+    }
+
+    /**
+     * 渲染模板
+     * @param {string} source - 模板文本
+     * @param {Object} context - 变量
+     * @returns {string} 渲染结果
+     * @throws {TemplateError} 语法错误或存在无法解析的占位符
+     */
+    render(source, context = {}) {
+        const nodes = this.compile(source);
+        const unresolved = new Set();
+        const output = this.renderNodes(nodes, [context], unresolved);
+
+        if (unresolved.size > 0) {
+            const placeholders = Array.from(unresolved);
+            throw new TemplateError(
+                `模板中有无法解析的占位符：${placeholders.map(name => `{{${name}}}`).join('、')}`,
+                { placeholders }
+            );
+        }
+
+        return output;
+    }
+
+    /**
+     * 渲染节点列表
+     * @param {Array} nodes - 节点
+     * @param {Array<Object>} scopes - 作用域（最内层在最后）
+     * @param {Set<string>} unresolved - 收集无法解析的占位符
+     * @returns {string} 渲染结果
+     */
+    renderNodes(nodes, scopes, unresolved) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+
+                case 'variable': {
+                    const value = this.lookup(node.name, scopes);
+                    if (value === undefined || value === null) {
+                        unresolved.add(node.name);
+                        return '';
+                    }
+                    return Array.isArray(value) ? value.join('、') : String(value);
+                }
+
+                case 'if':
+                case 'unless': {
+                    const value = this.lookup(node.name, scopes);
+                    if (value === undefined || value === null) {
+                        unresolved.add(node.name);
+                        return '';
+                    }
+                    const truthy = this.isTruthy(value);
+                    const branch = truthy === (node.type === 'if') ? node.body : node.elseBody;
+                    return this.renderNodes(branch, scopes, unresolved);
+                }
+
+                case 'each': {
+                    const list = this.lookup(node.name, scopes);
+                    if (list === undefined || list === null) {
+                        unresolved.add(node.name);
+                        return '';
+                    }
+                    if (!Array.isArray(list) || list.length === 0) {
+                        return this.renderNodes(node.elseBody, scopes, unresolved);
+                    }
+                    return list.map((item, index) => {
+                        const frame = {
+                            this: item,
+                            '@index': index,
+                            '@number': index + 1,
+                            '@first': index === 0,
+                            '@last': index === list.length - 1
+                        };
+                        return this.renderNodes(node.body, [...scopes, frame], unresolved);
+                    }).join('');
+                }
+
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * 查找变量的值
+     * 先在循环的当前项中查找，再逐层向外查找；只查找对象自身的属性（{{constructor}} 等视为不存在）
+     * @param {string} name - 变量名（如 标题、this、@index、scene.name）
+     * @param {Array<Object>} scopes - 作用域
+     * @returns {*} 变量的值，找不到时返回 undefined
+     */
+    lookup(name, scopes) {
+        const [head, ...path] = name.split('.');
+
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            let value;
+
+            if (Object.hasOwn(scope, head)) {
+                value = scope[head];
+            } else if (scope.this !== null && typeof scope.this === 'object' && Object.hasOwn(scope.this, head)) {
+                value = scope.this[head];
+            } else {
+                continue;
+            }
+
+            return path.reduce((object, key) => {
+                return object !== undefined && object !== null && Object.hasOwn(object, key) ? object[key] : undefined;
+            }, value);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * 判断条件是否成立
+     * @param {*} value - 变量的值
+     * @returns {boolean}
+     */
+    isTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : !!value;
+    }
+}
+
+// 创建全局模板引擎实例
+export const templateEngine = new TemplateEngine();
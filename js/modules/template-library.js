@@ -0,0 +1,565 @@
+/**
+ * 提示词模板库模块
+ * 管理内置模板和用户模板：新建、复制、编辑、删除、选用，以及导入导出 JSON
+ * 用户模板保存在本地存储中
+ */
+
+import { templateEngine } from './template-engine.js';
+
+const STORAGE_KEY = 'prompt_templates';
+const SELECTED_KEY = 'prompt_template_selected';
+
+// 导出文件的格式版本
+const EXPORT_VERSION = 1;
+
+// 默认模板ID
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+/**
+ * 模板中可以使用的变量（用于编辑模板时的说明）
+ */
+export const TEMPLATE_VARIABLES = [
+    { name: '主题/场景', description: '主题名称，如 超市' },
+    { name: '标题', description: '小报标题' },
+    { name: '场景', description: '选中的场景名称（没有场景时为空）' },
+    { name: '场景重点', description: '场景的画面要点（没有时为空）' },
+    { name: '核心区域A', description: '场景分区 A 的描述（主要对象）' },
+    { name: '核心区域B', description: '场景分区 B 的描述（配套设施）' },
+    { name: '核心区域C', description: '场景分区 C 的描述（环境背景）' },
+    { name: '核心角色与设施', description: '人物词语，如 shōu yín yuán 收银员, gù kè 顾客' },
+    { name: '常见物品工具', description: '物品词语' },
+    { name: '环境与装饰', description: '设施和环境词语' },
+    { name: '分类', description: '词汇分类列表，每项有 名称、词语、文本，用于 {{#each 分类}}' },
+    { name: '全部词语', description: '全部词语列表，每项有 拼音、汉字，用于 {{#each 全部词语}}' },
+    { name: '词语数量', description: '词语总数' },
+    { name: '年龄', description: '学习者档案的年龄段，如 6–7 岁' },
+    { name: '学段', description: '学习者档案名称，如 一年级' },
+    { name: '显示拼音', description: '标签是否标注拼音，用于 {{#if 显示拼音}}' },
+    { name: '标签样式', description: '学习者档案的识字标签样式' },
+    { name: '空白标签', description: '是否由页面贴标签（画面中只画空白贴纸），用于 {{#if 空白标签}}；模板没有使用时会在末尾自动补充要求' },
+    { name: '画风', description: '学习者档案的画面风格' },
+    { name: '色彩', description: '学习者档案的色彩要求' }
+];
+
+/**
+ * 内置模板（不能修改或删除，可以复制后编辑）
+ */
+export const BUILTIN_TEMPLATES = [
+    {
+        id: DEFAULT_TEMPLATE_ID,
+        name: '竖版识字小报',
+        description: '竖版 A4，标签贴在对应物体旁边',
+        content: `请生成一张儿童识字小报《{{主题/场景}}》，竖版 A4，学习小报版式，适合 {{年龄}}孩子 认字与看图识物。
+
+# 一、小报标题区（顶部）
+
+**顶部居中大标题**：《{{标题}}》
+* **风格**：十字小报 / 儿童学习报感
+* **文本要求**：大字、醒目、卡通手写体、彩色描边
+* **装饰**：周围添加与 {{主题/场景}} 相关的贴纸风装饰，颜色鲜艳
+
+# 二、小报主体（中间主画面）
+
+画面中心是一幅 **卡通插画风的「{{主题/场景}}」场景**：
+* **整体气氛**：明亮、温暖、积极
+* **构图**：物体边界清晰，方便对应文字，不要过于拥挤。
+{{#if 场景重点}}
+* **场景重点**：{{场景重点}}。
+{{/if}}
+
+**场景分区与核心内容**
+1.  **核心区域 A（主要对象）**：{{核心区域A}}
+2.  **核心区域 B（配套设施）**：{{核心区域B}}
+3.  **核心区域 C（环境背景）**：{{核心区域C}}
+
+**主题人物**
+* **角色**：1 位可爱卡通人物（职业/身份：与 {{主题/场景}} 匹配）。
+* **动作**：正在进行与场景相关的自然互动。
+
+# 三、必画物体与识字清单（Generated Content）
+
+**请务必在画面中清晰绘制以下物体，并为其预留贴标签的位置：**
+
+**1. 核心角色与设施：**
+{{核心角色与设施}}
+
+**2. 常见物品/工具：**
+{{常见物品工具}}
+
+**3. 环境与装饰：**
+{{环境与装饰}}
+
+*(注意：画面中的物体数量不限于此，但以上列表必须作为重点描绘对象)*
+
+# 四、识字标注规则
+
+{{#if 空白标签}}
+对上述清单中的物体，各画一个空白贴纸，文字稍后另行贴上：
+* **格式**：白色圆角贴纸，**贴纸内不写任何文字、拼音或符号**。
+* **大小**：贴纸大小一致，足够写下两行字。
+* **排版**：贴纸靠近对应的物体，不遮挡主体，彼此不重叠。
+{{else}}
+对上述清单中的物体，贴上中文识字标签：
+{{#if 显示拼音}}
+* **格式**：两行制（第一行拼音带声调，第二行简体汉字）。
+{{else}}
+* **格式**：只写简体汉字，不标拼音。
+{{/if}}
+* **样式**：{{标签样式}}
+* **排版**：标签靠近对应的物体，不遮挡主体。
+{{/if}}
+
+# 五、画风参数
+* **风格**：{{画风}}
+* **色彩**：{{色彩}}
+* **质量**：8k resolution, high detail, vector illustration style, clean lines.`
+    },
+    {
+        id: 'bottom-cards',
+        name: '竖版小报（底部词语卡片）',
+        description: '主画面不含文字，所有词语以卡片形式排在底部',
+        content: `请生成一张儿童识字教学小报，主题是"{{主题/场景}}"{{#if 场景}}，场景是"{{场景}}"{{/if}}。
+
+## 核心要求：
+这是一张面向{{年龄}}儿童的中文识字教学图片，采用"主画面+底部词语卡片"的分离式布局。
+
+## 词语来源规则（CRITICAL - 必须遵守）：
+**底部词语卡片中的词语必须严格服从主题和场景：**
+1. 所有词语必须是"{{主题/场景}}"主题下{{#if 场景}}、"{{场景}}"场景中{{/if}}"可被看见、可被指认的具体事物"
+2. 严格禁止使用抽象概念词（如：学习、快乐、成长、探索、发现、世界等）
+3. 严格禁止使用情绪/品格/价值观类词语（如：勇敢、友谊、爱心、帮助等）
+4. 严格禁止使用通用儿童教育兜底词
+5. **宁可少生成词语，也不要使用与场景无关的抽象词**
+
+## 布局结构（竖版A4比例，3:4）：
+
+### 第一部分：顶部标题区（占整体15%）
+- 大标题："{{标题}}"（醒目、彩色、儿童手写体风格）
+- 副标题："儿童识字小报"或"{{主题/场景}}认知学习"
+- 装饰：主题相关的卡通元素
+
+### 第二部分：主场景插画区（占整体60%）
+**CRITICAL - 主画面必须完全干净，只展示场景插画：**
+
+#### 主画面内容要求：
+- {{主题/场景}}主题下的{{#if 场景}}"{{场景}}"{{/if}}具体场景
+{{#if 场景重点}}
+- {{场景重点}}
+{{/if}}
+- 完整的场景插画，包含环境背景
+- 画面要充实，不要留白过多
+- 必须包含8-10个与主题相关的具体物品/元素
+- 高饱和度、明亮温暖的色彩
+- 儿童绘本风格
+
+#### 主画面严格禁止事项（必须100%遵守）：
+1. **绝对禁止在主画面中出现任何汉字**
+2. **绝对禁止在主画面中出现任何拼音**
+3. **绝对禁止在主画面中出现任何标签框、贴纸**
+4. **绝对禁止在主画面中出现任何连线、箭头、指引线**
+5. **绝对禁止在主画面中出现任何数字、百分比、分数（如60%、20%、0.6）**
+6. **绝对禁止在主画面中出现任何数字编号（如①②③、1.2.3）**
+7. **绝对禁止在主画面中出现任何英文单词**
+8. **绝对禁止在主画面中出现任何控制指令文本或提示词内容**
+
+#### 主画面只允许包含：
+- 场景插画（人物、动物、物品、背景）
+- 装饰图案
+- **主画面必须是纯图片，不能有任何文字元素**
+
+### 第三部分：底部词语卡片区（占整体25%）
+**所有识字词语统一放在画面最底部，以"词语卡片"形式展示：**
+
+#### 词语卡片布局：
+- 将底部区域横向分成多个小卡片格子
+- 每个卡片包含：**小图标 + 汉字{{#if 显示拼音}} + 拼音{{/if}}**
+- 卡片排列：从左到右，2-3行排列
+- 卡片样式：彩色边框，浅色背景，清晰易读
+
+#### 每个词语卡片必须包含：
+1. **上方：小图标/小插画**
+   - 画出对应物品的简化图标，只要求**语义一致**（看起来像那个东西）
+   - **不要求**与主画面中某个具体实例一一对应
+
+2. **下方：文字**
+{{#if 显示拼音}}
+   - 第一行：拼音（带声调）
+   - 第二行：汉字
+{{else}}
+   - 只写汉字，不标拼音
+{{/if}}
+   - 样式：{{标签样式}}
+
+#### 必须展示的词语卡片清单（共{{词语数量}}个）：
+{{#each 全部词语}}
+{{@number}}. {{汉字}}{{#if 显示拼音}}（{{拼音}}）{{/if}}
+{{/each}}
+
+**注意：以上每个词语必须生成一个独立的卡片，每个词语只出现一次，不能重复。**
+
+## 重点强调（强约束）：
+1. **主画面和底部词语区完全分离**
+2. **主画面中绝对不能有任何文字、拼音、标签、连线**
+3. **所有识字内容只在底部卡片区域展示**
+4. **每个词语只出现一次，不能重复**
+5. **底部卡片排列整齐，适合儿童阅读学习**
+
+## 风格说明：
+- 画风：{{画风}}
+- 色彩：{{色彩}}，以绿色、蓝色、橙色为主
+- 角色设计要可爱、友好
+- 线条清晰，适合儿童认知
+- 8K分辨率，确保文字清晰可读
+
+请严格按照以上布局和要求生成图片。`
+    },
+    {
+        id: 'landscape',
+        name: '横版海报 16:9',
+        description: '横版 16:9 教室海报，左侧场景、右侧词语表',
+        content: `请生成一张横版 16:9 的儿童识字海报《{{标题}}》，主题是「{{主题/场景}}」，适合贴在教室墙上，供 {{年龄}}孩子认字与看图识物。
+
+# 一、版式
+* **比例**：横版 16:9，左右分栏。
+* **顶部横幅**：大标题《{{标题}}》，卡通手写体、彩色描边，两侧点缀与 {{主题/场景}} 相关的小图标。
+* **左侧约 2/3**：卡通插画风的「{{主题/场景}}」全景。
+* **右侧约 1/3**：按分类排列的识字词语表。
+
+# 二、左侧场景
+* **整体气氛**：明亮、温暖、积极，物体边界清晰。
+{{#if 场景重点}}
+* **场景重点**：{{场景重点}}。
+{{/if}}
+* **从左到右依次展示**：
+  1. {{核心区域A}}
+  2. {{核心区域B}}
+  3. {{核心区域C}}
+
+# 三、右侧词语表
+每个词语配一个小图标，图标右边写{{#if 显示拼音}}拼音（带声调）和简体汉字，拼音在上、汉字在下{{else}}简体汉字，不标拼音{{/if}}。标签样式：{{标签样式}}
+{{#each 分类}}
+{{#if 词语}}
+
+**{{名称}}**：{{文本}}
+{{/if}}
+{{/each}}
+
+以上词语中的物体也要在左侧场景中画出来。
+
+# 四、画风参数
+* **风格**：{{画风}}，教室海报版式
+* **色彩**：{{色彩}}
+* **质量**：8k resolution, high detail, vector illustration style, clean lines, 16:9 landscape.`
+    },
+    {
+        id: 'coloring',
+        name: '涂色线稿',
+        description: '黑白线稿，孩子可以边涂色边认字',
+        content: `请生成一张儿童识字涂色页《{{标题}}》，主题是「{{主题/场景}}」，竖版 A4，适合 {{年龄}}孩子一边涂色一边认字。
+
+# 一、画面要求
+* **只用黑色线条**：纯白背景，黑色粗线条勾勒轮廓，**不要上色、不要灰色阴影、不要渐变**。
+* **线条**：粗细均匀、闭合清晰，每块区域足够大，方便孩子用蜡笔涂色。
+* **顶部**：空心描边大字标题《{{标题}}》，字的内部留白可以涂色。
+* **中间**：卡通风格的「{{主题/场景}}」场景，物体之间留出空隙，不要重叠过多。
+{{#if 场景重点}}
+* **场景重点**：{{场景重点}}。
+{{/if}}
+
+# 二、必画物体与识字标签
+{{#if 空白标签}}
+请画出以下物体，并在每个物体旁边画一个空白的小方框，方框内不写任何文字，文字稍后另行贴上：
+{{else}}
+请画出以下物体，并在每个物体旁边画一个小方框标签，方框内{{#if 显示拼音}}第一行写拼音（带声调），第二行写简体汉字{{else}}只写简体汉字{{/if}}，文字也用黑色线条：
+{{/if}}
+{{#each 全部词语}}
+{{@number}}. {{#if 显示拼音}}{{拼音}} {{/if}}{{汉字}}
+{{/each}}
+
+# 三、底部
+画一行空白的田字格，方便孩子描写「{{主题/场景}}」。
+
+# 四、画风参数
+* **风格**：儿童涂色书线稿（coloring book page, black and white line art），造型参考{{画风}}
+* **质量**：high resolution, clean bold outlines, no color, no shading.`
+    },
+    {
+        id: 'bilingual',
+        name: '中英双语小报',
+        description: '每个词语同时标注拼音、汉字和英文',
+        content: `请生成一张中英双语儿童识字小报《{{标题}}》，主题是「{{主题/场景}}」，竖版 A4，适合 {{年龄}}孩子同时认识中文和英文单词。
+
+# 一、小报标题区（顶部）
+* **中文大标题**：《{{标题}}》，卡通手写体、彩色描边。
+* **英文副标题**：在中文标题下方写出标题的英文翻译，字号较小。
+
+# 二、小报主体
+画面中心是一幅卡通插画风的「{{主题/场景}}」场景，明亮、温暖、积极，物体边界清晰。
+{{#if 场景重点}}
+* **场景重点**：{{场景重点}}。
+{{/if}}
+1. **核心区域 A**：{{核心区域A}}
+2. **核心区域 B**：{{核心区域B}}
+3. **核心区域 C**：{{核心区域C}}
+
+# 三、必画物体与双语标签
+请在画面中清晰绘制以下物体：
+{{#each 分类}}
+{{#if 词语}}
+
+**{{名称}}**：{{文本}}
+{{/if}}
+{{/each}}
+
+# 四、标注规则
+每个物体旁边贴一个彩色小标签：
+{{#if 显示拼音}}
+* 第一行：拼音（带声调）
+* 第二行：简体汉字
+* 第三行：对应的英文单词（小写，儿童常用词，如 收银员 → cashier）
+{{else}}
+* 第一行：简体汉字
+* 第二行：对应的英文单词（小写，儿童常用词，如 收银员 → cashier）
+{{/if}}
+* 样式：{{标签样式}}
+
+请确保英文单词拼写正确，标签清晰可读、不遮挡物体。
+
+# 五、画风参数
+* **风格**：{{画风}} + 双语识字卡风
+* **色彩**：{{色彩}}
+* **质量**：8k resolution, high detail, vector illustration style, clean lines.`
+    }
+];
+
+/**
+ * 提示词模板库
+ * 模板结构：{ id, name, description, content, builtin, updatedAt }
+ */
+export class TemplateLibrary {
+    constructor() {
+        this.templates = [];
+        this.selectedId = DEFAULT_TEMPLATE_ID;
+        this.load();
+    }
+
+    /**
+     * 从本地存储加载用户模板和当前选用的模板
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            this.templates = stored ? JSON.parse(stored) : [];
+            this.selectedId = localStorage.getItem(SELECTED_KEY) || DEFAULT_TEMPLATE_ID;
+        } catch (error) {
+            console.error('加载提示词模板失败:', error);
+            this.templates = [];
+        }
+    }
+
+    /**
+     * 保存用户模板到本地存储
+     */
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.templates));
+        localStorage.setItem(SELECTED_KEY, this.selectedId);
+    }
+
+    /**
+     * 获取全部模板（内置模板在前）
+     * @returns {Array} 模板列表
+     */
+    getTemplates() {
+        return [
+            ...BUILTIN_TEMPLATES.map(template => ({ ...template, builtin: true })),
+            ...this.templates.map(template => ({ ...template, builtin: false }))
+        ];
+    }
+
+    /**
+     * 根据ID获取模板
+     * @param {string} id - 模板ID
+     * @returns {Object|null} 模板
+     */
+    getTemplate(id) {
+        return this.getTemplates().find(template => template.id === id) || null;
+    }
+
+    /**
+     * 获取当前选用的模板（已被删除时回到默认模板）
+     * @returns {Object} 模板
+     */
+    getSelectedTemplate() {
+        return this.getTemplate(this.selectedId) || this.getTemplate(DEFAULT_TEMPLATE_ID);
+    }
+
+    /**
+     * 选用模板
+     * @param {string} id - 模板ID
+     */
+    selectTemplate(id) {
+        if (!this.getTemplate(id)) {
+            throw new Error('模板不存在');
+        }
+        this.selectedId = id;
+        this.save();
+    }
+
+    /**
+     * 校验模板内容，语法有误时抛出 TemplateError
+     * @param {string} content - 模板内容
+     */
+    validateTemplate(content) {
+        if (!content || !content.trim()) {
+            throw new Error('模板内容不能为空');
+        }
+        templateEngine.compile(content);
+    }
+
+    /**
+     * 新建用户模板
+     * @param {Object} data - 模板数据（name, description, content）
+     * @returns {Object} 新模板
+     */
+    createTemplate(data) {
+        this.validateTemplate(data.content);
+
+        const template = {
+            id: this.createId(),
+            name: (data.name || '').trim() || '未命名模板',
+            description: (data.description || '').trim(),
+            content: data.content,
+            updatedAt: Date.now()
+        };
+
+        this.templates.push(template);
+        this.save();
+        return { ...template, builtin: false };
+    }
+
+    /**
+     * 复制模板（内置模板只能复制后再修改）
+     * @param {string} id - 模板ID
+     * @returns {Object} 新模板
+     */
+    cloneTemplate(id) {
+        const source = this.getTemplate(id);
+        if (!source) {
+            throw new Error('模板不存在');
+        }
+
+        return this.createTemplate({
+            name: `${source.name}（副本）`,
+            description: source.description,
+            content: source.content
+        });
+    }
+
+    /**
+     * 修改用户模板
+     * @param {string} id - 模板ID
+     * @param {Object} changes - 要修改的字段（name, description, content）
+     * @returns {Object} 修改后的模板
+     */
+    updateTemplate(id, changes) {
+        const template = this.getEditableTemplate(id);
+
+        if (changes.content !== undefined) {
+            this.validateTemplate(changes.content);
+            template.content = changes.content;
+        }
+        if (changes.name !== undefined) {
+            template.name = changes.name.trim() || template.name;
+        }
+        if (changes.description !== undefined) {
+            template.description = changes.description.trim();
+        }
+        template.updatedAt = Date.now();
+
+        this.save();
+        return { ...template, builtin: false };
+    }
+
+    /**
+     * 删除用户模板（删除当前选用的模板时回到默认模板）
+     * @param {string} id - 模板ID
+     */
+    deleteTemplate(id) {
+        const template = this.getEditableTemplate(id);
+
+        this.templates = this.templates.filter(item => item !== template);
+        if (this.selectedId === id) {
+            this.selectedId = DEFAULT_TEMPLATE_ID;
+        }
+        this.save();
+    }
+
+    /**
+     * 获取可以修改的用户模板
+     * @param {string} id - 模板ID
+     * @returns {Object} 模板（本地存储中的原对象）
+     */
+    getEditableTemplate(id) {
+        if (BUILTIN_TEMPLATES.some(template => template.id === id)) {
+            throw new Error('内置模板不能修改或删除，请先复制一份');
+        }
+
+        const template = this.templates.find(item => item.id === id);
+        if (!template) {
+            throw new Error('模板不存在');
+        }
+        return template;
+    }
+
+    /**
+     * 导出模板为 JSON
+     * @param {Array<string>} ids - 要导出的模板ID（不传时导出全部用户模板）
+     * @returns {string} JSON 文本
+     */
+    exportTemplates(ids = null) {
+        const templates = ids
+            ? ids.map(id => this.getTemplate(id)).filter(Boolean)
+            : this.templates;
+
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            templates: templates.map(({ name, description, content }) => ({ name, description, content }))
+        }, null, 2);
+    }
+
+    /**
+     * 从 JSON 导入模板（全部作为新的用户模板）
+     * @param {string} json - 导出的 JSON 文本
+     * @returns {Array} 导入的模板
+     */
+    importTemplates(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('模板文件不是有效的 JSON');
+        }
+
+        const templates = Array.isArray(data && data.templates) ? data.templates : [];
+        if (templates.length === 0) {
+            throw new Error('模板文件中没有模板');
+        }
+
+        // 先全部校验，避免只导入一部分
+        templates.forEach(template => this.validateTemplate(template && template.content));
+
+        return templates.map(template => this.createTemplate(template));
+    }
+
+    /**
+     * 生成用户模板ID
+     * @returns {string} 模板ID
+     */
+    createId() {
+        return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+}
+
+// 创建全局模板库实例
+export const templateLibrary = new TemplateLibrary();
@@ -0,0 +1,184 @@
+/**
+ * 主题匹配模块
+ * 离线将用户输入的主题匹配到预设主题：支持同义词、全拼（chaoshi → 超市）和首字母（cs → 超市），
+ * 每个匹配结果都带有置信度，用于自动选用主题或给出“你是不是想找”的建议
+ */
+
+import { pinyinConverter } from './pinyin.js';
+
+// 置信度达到此值时直接使用匹配到的主题
+export const AUTO_MATCH_SCORE = 0.6;
+
+// 置信度达到此值时才作为建议展示
+export const MIN_SUGGESTION_SCORE = 0.35;
+
+// 包含关系匹配时输入至少需要的字数（单个字如“的”会出现在很多词语中，只按相似度处理）
+export const MIN_CONTAINS_LENGTH = 2;
+
+// 同义词的置信度略低于主题名称本身
+const ALIAS_WEIGHT = 0.95;
+
+// 匹配方式说明（用于界面展示）
+export const MATCH_REASONS = {
+    exact: '名称一致',
+    alias: '同义词',
+    pinyin: '拼音',
+    initials: '首字母',
+    prefix: '拼音前缀',
+    contains: '包含',
+    similar: '相近'
+};
+
+/**
+ * 主题匹配器
+ */
+export class ThemeMatcher {
+    constructor() {
+        // 每个主题的可匹配文本（名称和同义词）及其拼音
+        this.entries = [];
+    }
+
+    /**
+     * 设置主题数据并建立索引
+     * @param {Object} themes - 主题数据（{ id: { name, icon, aliases } }）
+     */
+    setThemes(themes) {
+        this.entries = Object.entries(themes || {}).map(([id, theme]) => {
+            const name = theme.name || id;
+            const texts = [{ text: name, weight: 1, isAlias: false }]
+                .concat((theme.aliases || []).map(alias => ({ text: alias, weight: ALIAS_WEIGHT, isAlias: true })));
+
+            return {
+                id: id,
+                name: name,
+                icon: theme.icon || '',
+                texts: texts.map(item => ({
+                    ...item,
+                    pinyin: this.toPlainPinyin(item.text),
+                    initials: pinyinConverter.getInitials(item.text)
+                }))
+            };
+        });
+    }
+
+    /**
+     * 转换为不带声调、不带空格的拼音
+     * @param {string} text - 文本
+     * @returns {string} 拼音，如 超市 → chaoshi
+     */
+    toPlainPinyin(text) {
+        return pinyinConverter.convert(text, { tone: false }).replace(/\s+/g, '').toLowerCase();
+    }
+
+    /**
+     * 整理用户输入
+     * @param {string} query - 用户输入
+     * @returns {string} 去掉空白和标点，字母转小写，v 按 ü 处理
+     */
+    normalizeQuery(query) {
+        return (query || '')
+            .toLowerCase()
+            .replace(/[\s《》“”"'，,。.！!？?、]/g, '')
+            .replace(/v/g, 'ü');
+    }
+
+    /**
+     * 计算输入与单个文本的匹配度
+     * @param {string} query - 整理后的输入
+     * @param {Object} item - 可匹配文本 { text, pinyin, initials }
+     * @returns {{score: number, reason: string}|null} 匹配结果
+     */
+    scoreText(query, item) {
+        if (query === item.text) {
+            return { score: 1, reason: 'exact' };
+        }
+
+        // 拼音输入
+        if (/^[a-zü]+$/.test(query)) {
+            if (query === item.pinyin) {
+                return { score: 0.9, reason: 'pinyin' };
+            }
+            if (query.length >= 2 && query === item.initials) {
+                return { score: 0.85, reason: 'initials' };
+            }
+            if (query.length >= 2 && item.pinyin.startsWith(query)) {
+                return { score: 0.5 + 0.35 * query.length / item.pinyin.length, reason: 'prefix' };
+            }
+            return null;
+        }
+
+        // 汉字输入：包含关系（如 大超市 / 超市）
+        if ((query.length >= MIN_CONTAINS_LENGTH && item.text.includes(query)) || query.includes(item.text)) {
+            const ratio = Math.min(query.length, item.text.length) / Math.max(query.length, item.text.length);
+            return { score: 0.6 + 0.3 * ratio, reason: 'contains' };
+        }
+
+        // 汉字输入：按相同汉字计算相似度
+        const queryChars = Array.from(query);
+        const textChars = Array.from(item.text);
+        const common = queryChars.filter(char => textChars.includes(char)).length;
+        if (common > 0) {
+            return { score: 0.7 * 2 * common / (queryChars.length + textChars.length), reason: 'similar' };
+        }
+
+        return null;
+    }
+
+    /**
+     * 匹配主题
+     * @param {string} query - 用户输入的主题
+     * @param {Object} options - 选项
+     * @param {number} options.limit - 最多返回的数量（默认 5）
+     * @param {number} options.minScore - 最低置信度（默认 MIN_SUGGESTION_SCORE）
+     * @returns {Array<{id: string, name: string, icon: string, score: number, reason: string, reasonText: string, matchedText: string}>} 按置信度从高到低排列
+     */
+    match(query, options = {}) {
+        const limit = options.limit || 5;
+        const minScore = options.minScore !== undefined ? options.minScore : MIN_SUGGESTION_SCORE;
+        const normalized = this.normalizeQuery(query);
+        if (!normalized) return [];
+
+        const results = [];
+
+        this.entries.forEach(entry => {
+            let best = null;
+
+            // 主题ID（如 supermarket）视为完全一致
+            if (normalized === entry.id.toLowerCase()) {
+                best = { score: 1, reason: 'exact', matchedText: entry.name };
+            }
+
+            entry.texts.forEach(item => {
+                const result = this.scoreText(normalized, item);
+                if (!result) return;
+
+                const score = Math.round(result.score * item.weight * 100) / 100;
+                if (!best || score > best.score) {
+                    const reason = item.isAlias && result.reason === 'exact' ? 'alias' : result.reason;
+                    best = { score, reason, matchedText: item.text };
+                }
+            });
+
+            if (best && best.score >= minScore) {
+                results.push({ id: entry.id, name: entry.name, icon: entry.icon, ...best, reasonText: MATCH_REASONS[best.reason] });
+            }
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * 获取最佳匹配
+     * @param {string} query - 用户输入的主题
+     * @returns {Object|null} 置信度达到 AUTO_MATCH_SCORE 的最佳匹配
+     */
+    findBest(query) {
+        const [best] = this.match(query, { limit: 1, minScore: AUTO_MATCH_SCORE });
+        return best || null;
+    }
+}
+
+// 创建全局主题匹配器实例
+export const themeMatcher = new ThemeMatcher();
@@ -0,0 +1,367 @@
+/**
+ * 主题数据校验模块
+ * 检查 themes.json 中每个 {pinyin, chinese} 词条，生成问题报告，用于发布新主题包前自查
+ */
+
+import { pinyinConverter } from './pinyin.js';
+
+// 可以带声调的韵母字母
+const VOWELS = 'aeiouü';
+
+// 声调符号对应的韵母字母
+const TONE_VOWELS = {
+    'ā': 'a', 'á': 'a', 'ǎ': 'a', 'à': 'a',
+    'ō': 'o', 'ó': 'o', 'ǒ': 'o', 'ò': 'o',
+    'ē': 'e', 'é': 'e', 'ě': 'e', 'è': 'e',
+    'ī': 'i', 'í': 'i', 'ǐ': 'i', 'ì': 'i',
+    'ū': 'u', 'ú': 'u', 'ǔ': 'u', 'ù': 'u',
+    'ǖ': 'ü', 'ǘ': 'ü', 'ǚ': 'ü', 'ǜ': 'ü'
+};
+
+// 非标准分类与标准分类的对应关系（与 VocabularyGenerator.normalizeVocabularies 一致）
+const CATEGORY_ALIASES = {
+    animals: 'characters',
+    vehicles: 'items'
+};
+
+// 场景词汇的合并方式（与 business.js 的 SCENE_VOCABULARY_MODES 一致）
+const SCENE_VOCABULARY_MODES = ['extend', 'override'];
+
+// 场景可以覆盖的提示词分区
+const SCENE_ZONES = ['A', 'B', 'C'];
+
+// 词语难度 level 的取值（与 profiles.js 中档案的 maxLevel 对应）
+const WORD_LEVELS = [1, 2, 3];
+
+/**
+ * 默认校验规则
+ * 词汇总数遵循 prd.md 的 15-20 个，各分类数量参考提示词模板中的要求；
+ * dictionaryMismatch 为拼音与词典读音不一致时的级别（error 或 warning）
+ */
+export const DEFAULT_VALIDATION_RULES = {
+    totalWords: { min: 15, max: 20 },
+    categorySizes: {
+        characters: { min: 2, max: 5 },
+        items: { min: 5, max: 8 },
+        facilities: { min: 2, max: 5 },
+        environment: { min: 2, max: 5 }
+    },
+    dictionaryMismatch: 'error'
+};
+
+/**
+ * 主题数据校验器
+ */
+export class ThemeValidator {
+    constructor(rules = DEFAULT_VALIDATION_RULES) {
+        this.rules = rules;
+    }
+
+    /**
+     * 校验全部主题
+     * @param {Object} data - themes.json 的内容（{ themes: { id: theme } }）
+     * @returns {Object} 报告 { issues, summary }
+     */
+    validate(data) {
+        const issues = [];
+        const themes = (data && data.themes) || {};
+        let wordCount = 0;
+
+        Object.entries(themes).forEach(([themeId, theme]) => {
+            const result = this.validateTheme(themeId, theme);
+            issues.push(...result.issues);
+            wordCount += result.wordCount;
+        });
+
+        return {
+            issues: issues,
+            summary: {
+                themes: Object.keys(themes).length,
+                words: wordCount,
+                errors: issues.filter(issue => issue.level === 'error').length,
+                warnings: issues.filter(issue => issue.level === 'warning').length
+            }
+        };
+    }
+
+    /**
+     * 校验单个主题
+     * @param {string} themeId - 主题ID
+     * @param {Object} theme - 主题数据
+     * @returns {Object} { issues, wordCount }
+     */
+    validateTheme(themeId, theme) {
+        const issues = [];
+        const themeName = theme.name || themeId;
+        const addIssue = (level, category, word, message) => {
+            issues.push({ level, theme: themeName, category, word, message });
+        };
+
+        if (!theme.name) {
+            addIssue('error', null, null, '缺少主题名称 name');
+        }
+        if (!Array.isArray(theme.titles) || theme.titles.length === 0) {
+            addIssue('warning', null, null, '没有预设标题 titles');
+        }
+
+        const vocabularies = theme.vocabularies || {};
+        const seen = new Map();
+        const categoryTotals = {};
+        let wordCount = 0;
+
+        Object.entries(vocabularies).forEach(([category, words]) => {
+            const normalizedCategory = CATEGORY_ALIASES[category] || category;
+
+            if (!this.rules.categorySizes[normalizedCategory]) {
+                addIssue('warning', category, null, '未知的词汇分类');
+            }
+
+            (words || []).forEach(word => {
+                wordCount++;
+                this.validateWord(word).forEach(({ level, message }) => {
+                    addIssue(level, category, word.chinese, message);
+                });
+
+                // 主题内重复（含跨分类）
+                if (word.chinese) {
+                    if (seen.has(word.chinese)) {
+                        const firstCategory = seen.get(word.chinese);
+                        const where = firstCategory === category ? '同一分类中' : `与分类 ${firstCategory}`;
+                        addIssue('error', category, word.chinese, `词语重复（${where}重复）`);
+                    } else {
+                        seen.set(word.chinese, category);
+                    }
+                }
+            });
+
+            categoryTotals[normalizedCategory] = (categoryTotals[normalizedCategory] || 0) + (words || []).length;
+        });
+
+        // 场景
+        this.validateScenes(theme.scenes || [], seen).forEach(({ level, category, word, message }) => {
+            addIssue(level, category, word, message);
+        });
+
+        // 分类数量
+        Object.entries(this.rules.categorySizes).forEach(([category, { min, max }]) => {
+            const count = categoryTotals[category] || 0;
+            if (count < min || count > max) {
+                addIssue('warning', category, null, `分类共 ${count} 个词，建议 ${min}-${max} 个`);
+            }
+        });
+
+        // 词汇总数
+        const { min, max } = this.rules.totalWords;
+        if (wordCount < min || wordCount > max) {
+            addIssue('warning', null, null, `主题共 ${wordCount} 个词，目标为 ${min}-${max} 个`);
+        }
+
+        return { issues, wordCount };
+    }
+
+    /**
+     * 校验主题下的场景
+     * 场景词汇用于补充或替换主题词汇，不参与主题的数量统计
+     * @param {Array} scenes - 场景列表
+     * @param {Map} themeWords - 主题词汇（汉字 → 分类），用于检查重复
+     * @returns {Array<{level: string, category: string, word: string, message: string}>} 问题列表
+     */
+    validateScenes(scenes, themeWords) {
+        const problems = [];
+        const sceneIds = new Set();
+
+        scenes.forEach((scene, index) => {
+            const label = `场景 ${scene.name || index + 1}`;
+
+            if (!scene.id || !scene.name) {
+                problems.push({ level: 'error', category: null, word: null, message: `${label} 缺少 id 或 name` });
+            } else if (sceneIds.has(scene.id)) {
+                problems.push({ level: 'error', category: null, word: null, message: `${label} 的 id「${scene.id}」重复` });
+            }
+            sceneIds.add(scene.id);
+
+            const modes = scene.vocabularyMode || {};
+            Object.entries(modes).forEach(([category, mode]) => {
+                if (!this.rules.categorySizes[category]) {
+                    problems.push({ level: 'error', category, word: null, message: `${label} 的 vocabularyMode 使用了未知的词汇分类` });
+                } else if (!SCENE_VOCABULARY_MODES.includes(mode)) {
+                    problems.push({ level: 'error', category, word: null, message: `${label} 的合并方式「${mode}」无效，应为 ${SCENE_VOCABULARY_MODES.join(' 或 ')}` });
+                }
+            });
+
+            Object.entries(scene.zones || {}).forEach(([zone, text]) => {
+                if (!SCENE_ZONES.includes(zone)) {
+                    problems.push({ level: 'error', category: null, word: null, message: `${label} 的分区「${zone}」无效，应为 ${SCENE_ZONES.join('、')}` });
+                } else if (typeof text !== 'string' || !text.trim()) {
+                    problems.push({ level: 'error', category: null, word: null, message: `${label} 的分区 ${zone} 描述为空` });
+                }
+            });
+
+            Object.entries(scene.vocabularies || {}).forEach(([category, words]) => {
+                const normalizedCategory = CATEGORY_ALIASES[category] || category;
+                if (!this.rules.categorySizes[normalizedCategory]) {
+                    problems.push({ level: 'warning', category, word: null, message: `${label} 使用了未知的词汇分类` });
+                }
+
+                (words || []).forEach(word => {
+                    this.validateWord(word).forEach(({ level, message }) => {
+                        problems.push({ level, category, word: word.chinese, message: `${label}：${message}` });
+                    });
+
+                    // 替换（override）的分类不再使用主题词汇，与其重复不算问题
+                    if (themeWords.has(word.chinese) && modes[normalizedCategory] !== 'override') {
+                        problems.push({ level: 'warning', category, word: word.chinese, message: `${label}：与主题词汇重复` });
+                    }
+                });
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * 校验单个词条
+     * @param {Object} word - 词条 { pinyin, chinese, level }
+     * @returns {Array<{level: string, message: string}>} 问题列表
+     */
+    validateWord(word) {
+        const problems = [];
+        const chinese = (word.chinese || '').trim();
+        const pinyin = (word.pinyin || '').trim();
+
+        if (!chinese) {
+            problems.push({ level: 'error', message: '缺少汉字' });
+            return problems;
+        }
+        if (!pinyin) {
+            problems.push({ level: 'error', message: '缺少拼音' });
+            return problems;
+        }
+
+        if (word.level !== undefined && !WORD_LEVELS.includes(word.level)) {
+            problems.push({ level: 'error', message: `难度 level「${word.level}」无效，应为 ${WORD_LEVELS.join('、')}` });
+        }
+
+        const nonChinese = Array.from(chinese).filter(char => !pinyinConverter.isChinese(char));
+        if (nonChinese.length > 0) {
+            problems.push({ level: 'error', message: `汉字中包含非汉字字符：${nonChinese.join('')}` });
+        }
+
+        // 音节数与字数
+        const syllables = pinyin.split(/\s+/);
+        const charCount = Array.from(chinese).length;
+        if (syllables.length !== charCount) {
+            problems.push({
+                level: 'error',
+                message: `拼音音节数（${syllables.length}）与字数（${charCount}）不一致`
+            });
+        }
+
+        // 每个音节的拼写与声调
+        let syllablesValid = true;
+        syllables.forEach(syllable => {
+            const message = this.checkSyllable(syllable);
+            if (message) {
+                syllablesValid = false;
+                problems.push({ level: 'error', message: `音节「${syllable}」${message}` });
+            }
+        });
+
+        // 与词典读音对照（仅在格式正确时比较，避免重复报告）
+        if (syllablesValid && syllables.length === charCount && pinyinConverter.getUnknownChars(chinese).length === 0) {
+            const expected = pinyinConverter.convert(chinese);
+            if (!this.matchesReading(syllables, expected.split(' '))) {
+                problems.push({
+                    level: this.rules.dictionaryMismatch || 'error',
+                    message: `拼音与词典读音不一致，词典读音为「${expected}」`
+                });
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * 比较拼音与词典读音
+     * 轻声与原调视为一致（如 hù shi / hù shì），其余必须完全相同
+     * @param {Array<string>} syllables - 词条中的音节
+     * @param {Array<string>} expected - 词典读音的音节
+     * @returns {boolean}
+     */
+    matchesReading(syllables, expected) {
+        return syllables.every((syllable, index) => {
+            const reading = expected[index];
+            if (syllable === reading) return true;
+
+            const isNeutral = (value) => !Array.from(value).some(char => TONE_VOWELS[char]);
+            return pinyinConverter.removeTones(syllable) === pinyinConverter.removeTones(reading)
+                && (isNeutral(syllable) || isNeutral(reading));
+        });
+    }
+
+    /**
+     * 检查单个音节
+     * @param {string} syllable - 音节
+     * @returns {string|null} 问题描述，没有问题时返回 null
+     */
+    checkSyllable(syllable) {
+        if (!/^[a-zü]+$/.test(pinyinConverter.removeTones(syllable))) {
+            return '包含非法字符（只允许小写拼音字母和声调符号）';
+        }
+
+        const marks = Array.from(syllable).filter(char => TONE_VOWELS[char]);
+        if (marks.length > 1) {
+            return '包含多个声调符号';
+        }
+
+        const base = pinyinConverter.removeTones(syllable);
+        if (!pinyinConverter.isKnownSyllable(base)) {
+            return '不是有效的拼音音节';
+        }
+
+        if (marks.length === 1) {
+            const expectedVowel = this.getToneVowel(base);
+            if (TONE_VOWELS[marks[0]] !== expectedVowel) {
+                return `声调位置错误，应标在「${expectedVowel}」上`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 根据标调规则获取应标声调的韵母
+     * 有 a 标 a，没有 a 找 o、e，ou 标 o，i、u 并列标在后
+     * @param {string} base - 不带声调的音节
+     * @returns {string|null} 韵母字母
+     */
+    getToneVowel(base) {
+        if (base.includes('a')) return 'a';
+        if (base.includes('e')) return 'e';
+        if (base.includes('ou')) return 'o';
+
+        const vowels = Array.from(base).filter(char => VOWELS.includes(char));
+        return vowels.length > 0 ? vowels[vowels.length - 1] : null;
+    }
+
+    /**
+     * 将报告格式化为文本（便于在控制台查看）
+     * @param {Object} report - 校验报告
+     * @returns {string} 文本报告
+     */
+    formatReport(report) {
+        const lines = report.issues.map(issue => {
+            const location = [issue.theme, issue.category, issue.word].filter(Boolean).join(' / ');
+            const level = issue.level === 'error' ? '错误' : '警告';
+            return `[${level}] ${location}：${issue.message}`;
+        });
+
+        const { themes, words, errors, warnings } = report.summary;
+        lines.push(`共检查 ${themes} 个主题、${words} 个词语：${errors} 个错误，${warnings} 个警告`);
+
+        return lines.join('\n');
+    }
+}
+
+// 创建全局校验器实例
+export const themeValidator = new ThemeValidator();
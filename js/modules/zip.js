@@ -0,0 +1,144 @@
+/**
+ * ZIP 打包模块
+ * 在浏览器中把多个文件打包成一个 ZIP（仅存储、不压缩，图片本身已经压缩过）
+ */
+
+// CRC-32 查找表
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * 计算 CRC-32 校验值
+ * @param {Uint8Array} data - 数据
+ * @returns {number} 校验值
+ */
+export function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZIP 写入器
+ * 用法：writer.addFile('a.txt', '内容'); const blob = await writer.toBlob();
+ */
+export class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    /**
+     * 添加文件
+     * @param {string} name - 文件路径（可包含目录，如 images/01.png）
+     * @param {string|Uint8Array|ArrayBuffer|Blob} data - 文件内容，字符串按 UTF-8 保存
+     * @param {Date} date - 修改时间（默认当前时间）
+     */
+    addFile(name, data, date = new Date()) {
+        this.files.push({ name, data, date });
+    }
+
+    /**
+     * 生成 ZIP 文件
+     * @returns {Promise<Blob>} ZIP 文件
+     */
+    async toBlob() {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        for (const file of this.files) {
+            const nameBytes = encoder.encode(file.name);
+            const data = await this.toBytes(file.data);
+            const crc = crc32(data);
+            const { time, date } = this.toDosDateTime(file.date);
+
+            // 本地文件头
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);             // 解压所需版本
+            header.setUint16(6, 0x0800, true);         // 文件名使用 UTF-8
+            header.setUint16(8, 0, true);              // 仅存储
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true);
+
+            parts.push(header, nameBytes, data);
+
+            // 中央目录记录
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);         // 本地文件头的位置
+            centralDirectory.push(entry, nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        }
+
+        const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+        // 中央目录结束记录
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+    }
+
+    /**
+     * 将文件内容转换为字节
+     * @param {string|Uint8Array|ArrayBuffer|Blob} data - 文件内容
+     * @returns {Promise<Uint8Array>} 字节
+     */
+    async toBytes(data) {
+        if (typeof data === 'string') {
+            return new TextEncoder().encode(data);
+        }
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        }
+        return new Uint8Array(await data.arrayBuffer());
+    }
+
+    /**
+     * 转换为 DOS 格式的日期和时间
+     * @param {Date} value - 时间
+     * @returns {{time: number, date: number}}
+     */
+    toDosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((Math.max(value.getFullYear(), 1980) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * 批量生成队列测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatchQueue, JOB_STATUS } from '../js/modules/batch-queue.js';
+import { ApiError, createAbortError } from '../js/modules/api.js';
+import { TaskExpiredError } from '../js/modules/pending-tasks.js';
+
+/**
+ * 可以手动结束任务的执行函数
+ * 每次执行记录为 { job, resumeTask, signal, submit, resolve, reject }，取消时自动以 AbortError 结束
+ * @returns {{runner: Function, runs: Array}} 执行函数和执行记录
+ */
+function createRunner() {
+    const runs = [];
+    const runner = (job, onProgress, signal, onSubmit) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(createAbortError()));
+        runs.push({
+            job,
+            resumeTask: job.resumeTask,
+            signal,
+            submit: (taskId) => onSubmit({ taskId, title: job.title }),
+            resolve: () => resolve({ title: job.title, imageUrl: `https://example.com/${job.id}.png`, settings: { format: 'png' } }),
+            reject
+        });
+    });
+    return { runner, runs };
+}
+
+/**
+ * 等待队列处理完已结束的任务
+ */
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// 取消任务时队列会在标准输出记录日志，Node 20 的测试运行器读到测试进行中输出的中文时会报错，这里不输出
+mock.method(console, 'log', () => {});
+
+const ITEMS = [
+    { theme: 'supermarket', themeName: '超市', title: '超市购物' },
+    { theme: 'park', themeName: '公园', title: '公园游玩' },
+    { theme: 'zoo', themeName: '动物园', title: '动物园' }
+];
+
+test('按并发数依次开始任务', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 2);
+    queue.addJobs(ITEMS);
+
+    assert.equal(runs.length, 2);
+    assert.deepEqual(queue.getJobs().map(job => job.status), [JOB_STATUS.RUNNING, JOB_STATUS.RUNNING, JOB_STATUS.PENDING]);
+
+    runs[0].resolve();
+    await flush();
+    assert.equal(runs.length, 3);
+    assert.equal(queue.getJob(1).status, JOB_STATUS.DONE);
+    assert.equal(queue.getSummary().running, 2);
+});
+
+test('并发数限制在允许范围内', () => {
+    const queue = new BatchQueue(createRunner().runner, 10);
+    assert.equal(queue.concurrency, 4);
+    queue.setConcurrency(0);
+    assert.equal(queue.concurrency, 1);
+    queue.setConcurrency('abc');
+    assert.equal(queue.concurrency, 1);
+});
+
+test('暂停队列后不再开始新任务，继续后接着开始', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 1);
+    queue.addJobs(ITEMS.slice(0, 2));
+
+    queue.pause();
+    runs[0].resolve();
+    await flush();
+    assert.equal(runs.length, 1);
+    assert.equal(queue.getJob(2).status, JOB_STATUS.PENDING);
+
+    queue.resume();
+    assert.equal(runs.length, 2);
+});
+
+test('单个任务只能在开始前暂停', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 1);
+    queue.addJobs(ITEMS.slice(0, 2));
+
+    queue.pauseJob(1);
+    queue.pauseJob(2);
+    assert.equal(queue.getJob(1).status, JOB_STATUS.RUNNING);
+    assert.equal(queue.getJob(2).status, JOB_STATUS.PAUSED);
+
+    runs[0].resolve();
+    await flush();
+    assert.equal(runs.length, 1);
+
+    queue.resumeJob(2);
+    assert.equal(runs.length, 2);
+});
+
+test('取消正在生成的任务时中止请求', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 1);
+    queue.addJobs(ITEMS.slice(0, 2));
+
+    queue.cancelJob(1);
+    assert.equal(runs[0].signal.aborted, true);
+    assert.equal(queue.getJob(1).status, JOB_STATUS.CANCELLED);
+
+    await flush();
+    assert.equal(runs.length, 2);
+    assert.equal(queue.getJob(2).status, JOB_STATUS.RUNNING);
+});
+
+test('取消已提交的任务后重试，继续获取原任务的结果', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 1);
+    queue.addJobs(ITEMS.slice(0, 1));
+
+    runs[0].submit('task-1');
+    queue.cancelJob(1);
+    await flush();
+
+    queue.retryJob(1);
+    assert.equal(runs.length, 2);
+    assert.equal(runs[1].resumeTask.taskId, 'task-1');
+});
+
+test('超时或网络错误后重试，继续获取原任务的结果', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 1);
+    queue.addJobs(ITEMS.slice(0, 2));
+
+    runs[0].submit('task-1');
+    runs[0].reject(new ApiError('任务超时，请稍后重试', { kind: 'timeout' }));
+    await flush();
+    runs[1].submit('task-2');
+    runs[1].reject(new ApiError('网络连接失败', { kind: 'network' }));
+    await flush();
+
+    assert.equal(queue.getJob(1).status, JOB_STATUS.FAILED);
+    assert.equal(queue.getJob(1).error, '任务超时，请稍后重试');
+
+    queue.retryFailed();
+    runs[2].resolve();
+    await flush();
+    assert.deepEqual(runs.slice(2).map(run => run.resumeTask.taskId), ['task-1', 'task-2']);
+});
+
+test('任务本身失败或过期时，重试重新提交', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 2);
+    queue.addJobs([{ ...ITEMS[0], resumeTask: { taskId: 'task-1' } }, ITEMS[1]]);
+
+    runs[0].reject(new TaskExpiredError());
+    runs[1].submit('task-2');
+    runs[1].reject(new ApiError('内容不符合规范', { kind: 'task' }));
+    await flush();
+
+    assert.equal(queue.getJob(1).status, JOB_STATUS.EXPIRED);
+    assert.equal(queue.getJob(2).status, JOB_STATUS.FAILED);
+
+    queue.retryFailed();
+    assert.deepEqual(runs.slice(2).map(run => run.resumeTask), [null, null]);
+});
+
+test('取消后立即重试，只采用最新一次的结果', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 1);
+    queue.addJobs(ITEMS.slice(0, 1));
+
+    queue.cancelJob(1);
+    queue.retryJob(1);
+    runs[0].resolve();
+    await flush();
+    assert.equal(queue.getJob(1).status, JOB_STATUS.RUNNING);
+
+    runs[1].resolve();
+    await flush();
+    assert.equal(queue.getJob(1).status, JOB_STATUS.DONE);
+});
+
+test('只能移除和清空已结束的任务', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 1);
+    queue.addJobs(ITEMS.slice(0, 2));
+
+    queue.removeJob(1);
+    assert.equal(queue.getJobs().length, 2);
+
+    runs[0].resolve();
+    await flush();
+    queue.clearFinished();
+    assert.deepEqual(queue.getJobs().map(job => job.id), [2]);
+});
+
+test('把生成成功的结果和清单打包', async () => {
+    const { runner, runs } = createRunner();
+    const queue = new BatchQueue(runner, 2);
+    queue.addJobs(ITEMS.slice(0, 2));
+
+    await assert.rejects(queue.createArchive(async () => null), /还没有生成成功的小报/);
+
+    runs[1].resolve();
+    await flush();
+
+    const requested = [];
+    const archive = await queue.createArchive(async (url) => {
+        requested.push(url);
+        return new Blob(['png']);
+    });
+    const text = new TextDecoder().decode(await archive.arrayBuffer());
+
+    assert.deepEqual(requested, ['https://example.com/2.png']);
+    assert.ok(text.includes('01_公园_公园游玩.png'));
+    assert.ok(text.includes('清单.json'));
+    assert.ok(!text.includes('超市购物'));
+});
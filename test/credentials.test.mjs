@@ -0,0 +1,113 @@
+/**
+ * 升级前保存的 API Key 迁移测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { credentialStore, CredentialStore } from '../js/modules/credentials.js';
+import { apiManager, APIManager } from '../js/modules/api.js';
+
+const LEGACY_STORAGE_KEY = 'kie_ai_api_key';
+const CREDENTIAL_NAME = 'image:kie';
+const PASSPHRASE = 'test-passphrase';
+
+// 测试中创建的 API 管理器（连同全局实例，解锁时都会迁移）
+const managers = [apiManager];
+
+beforeEach(() => {
+    credentialStore.reset();
+    localStorage.clear();
+});
+
+/**
+ * 创建 API 管理器并等待迁移完成
+ * @returns {Promise<APIManager>} API 管理器
+ */
+async function createManager() {
+    const manager = new APIManager();
+    managers.push(manager);
+    await manager.migration;
+    return manager;
+}
+
+/**
+ * 等待所有 API 管理器的迁移完成
+ */
+async function waitForMigrations() {
+    await Promise.all(managers.map(manager => manager.migration));
+}
+
+test('本机保存时导入后删除原来的 API Key', async () => {
+    localStorage.setItem(LEGACY_STORAGE_KEY, btoa('legacy-key'));
+    await createManager();
+
+    assert.equal(credentialStore.get(CREDENTIAL_NAME), 'legacy-key');
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+
+    // 刷新页面后仍能读取
+    assert.equal(new CredentialStore().get(CREDENTIAL_NAME), 'legacy-key');
+});
+
+test('仅本次会话保存时同样删除原来的 API Key', async () => {
+    await credentialStore.setMode('session');
+    localStorage.setItem(LEGACY_STORAGE_KEY, btoa('legacy-key'));
+    await createManager();
+
+    assert.equal(credentialStore.get(CREDENTIAL_NAME), 'legacy-key');
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+});
+
+test('加密保存时解锁后导入并删除原来的 API Key', async () => {
+    await credentialStore.setMode('encrypted', PASSPHRASE);
+    credentialStore.lock();
+    localStorage.setItem(LEGACY_STORAGE_KEY, btoa('legacy-key'));
+
+    await createManager();
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), btoa('legacy-key'));
+
+    await credentialStore.unlock(PASSPHRASE);
+    await waitForMigrations();
+    assert.equal(credentialStore.get(CREDENTIAL_NAME), 'legacy-key');
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+    assert.doesNotMatch(localStorage.getItem('credential_store'), /legacy-key/);
+
+    // 刷新页面后用口令解锁，能解密出导入的 API Key
+    const reloaded = new CredentialStore();
+    assert.equal(reloaded.isLocked(), true);
+    await reloaded.unlock(PASSPHRASE);
+    assert.equal(reloaded.get(CREDENTIAL_NAME), 'legacy-key');
+});
+
+test('配置中以 base64 保存的 API Key 导入后从配置中删除', async () => {
+    localStorage.setItem('image_provider_settings', JSON.stringify({
+        provider: 'kie',
+        configs: { kie: { apiKey: btoa('config-key') } }
+    }));
+    await createManager();
+
+    assert.equal(credentialStore.get(CREDENTIAL_NAME), 'config-key');
+    assert.doesNotMatch(localStorage.getItem('image_provider_settings'), /apiKey/);
+    assert.equal(new CredentialStore().get(CREDENTIAL_NAME), 'config-key');
+});
+
+test('已有 API Key 时保留已有的，删除原来的', async () => {
+    await credentialStore.set(CREDENTIAL_NAME, 'current-key');
+    localStorage.setItem(LEGACY_STORAGE_KEY, btoa('legacy-key'));
+    await createManager();
+
+    assert.equal(credentialStore.get(CREDENTIAL_NAME), 'current-key');
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+});
+
+test('清除全部凭据时删除原来的 API Key', async () => {
+    await credentialStore.setMode('encrypted', PASSPHRASE);
+    credentialStore.lock();
+    localStorage.setItem(LEGACY_STORAGE_KEY, btoa('legacy-key'));
+    await createManager();
+
+    credentialStore.reset();
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+    assert.equal(credentialStore.get(CREDENTIAL_NAME), '');
+});
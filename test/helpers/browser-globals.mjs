@@ -0,0 +1,47 @@
+/**
+ * 在 Node 中补上模块加载时用到的浏览器全局对象（localStorage、sessionStorage），
+ * 并让 fetch 像在页面中一样读取相对路径（如 ./data/themes.json）
+ * 需要在导入被测模块之前导入
+ */
+
+import { readFile } from 'node:fs/promises';
+
+// 页面（index-improved-real-api.html）所在的目录
+const PAGE_ROOT = new URL('../../', import.meta.url);
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+globalThis.localStorage = new MemoryStorage();
+globalThis.sessionStorage = new MemoryStorage();
+
+const nodeFetch = globalThis.fetch;
+globalThis.fetch = async (url, init) => {
+    if (typeof url === 'string' && url.startsWith('./')) {
+        try {
+            return new Response(await readFile(new URL(url, PAGE_ROOT)));
+        } catch (error) {
+            return new Response('', { status: 404 });
+        }
+    }
+    return nodeFetch(url, init);
+};
@@ -0,0 +1,45 @@
+/**
+ * 在 Node 中补上绘制占位小报用到的 document.createElement('canvas')
+ * 画布不真正绘图，只记录画上去的文字；toDataURL 返回的图片内容就是这些文字（每行一条），便于检查小报内容
+ * 需要在导入被测模块之前导入
+ */
+
+class MemoryCanvas {
+    constructor() {
+        this.width = 300;
+        this.height = 150;
+        this.texts = [];
+    }
+
+    getContext() {
+        const canvas = this;
+        const context = {
+            font: '10px sans-serif',
+            measureText(text) {
+                const size = parseFloat(/(\d+(?:\.\d+)?)px/.exec(this.font)?.[1]) || 10;
+                return { width: String(text).length * size };
+            },
+            fillText(text) {
+                canvas.texts.push(String(text));
+            }
+        };
+
+        // 其他绘图方法都不做任何事
+        return new Proxy(context, {
+            get: (target, name) => name in target ? target[name] : () => {}
+        });
+    }
+
+    toDataURL(type = 'image/png') {
+        return `data:${type};base64,${Buffer.from(this.texts.join('\n')).toString('base64')}`;
+    }
+}
+
+globalThis.document = {
+    createElement(tagName) {
+        if (tagName !== 'canvas') {
+            throw new Error(`测试环境只支持创建 canvas，不支持 ${tagName}`);
+        }
+        return new MemoryCanvas();
+    }
+};
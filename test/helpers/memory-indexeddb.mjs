@@ -0,0 +1,226 @@
+/**
+ * 在 Node 中补上 IndexedDB（indexedDB、IDBKeyRange），数据只保存在内存中
+ * 只实现 history.js 用到的部分：打开和升级数据库、按主键增删改查、读取全部、按索引查询、事务完成和出错的通知
+ * 需要在导入被测模块之前导入
+ */
+
+class MemoryKeyRange {
+    constructor(lower, upper) {
+        this.lower = lower;
+        this.upper = upper;
+    }
+
+    static bound(lower, upper) {
+        return new MemoryKeyRange(lower, upper);
+    }
+
+    includes(key) {
+        return key >= this.lower && key <= this.upper;
+    }
+}
+
+class MemoryRequest {
+    constructor() {
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+        this.onupgradeneeded = null;
+    }
+}
+
+class MemoryIndex {
+    constructor(store, keyPath) {
+        this.store = store;
+        this.keyPath = keyPath;
+    }
+
+    getAll(range = null) {
+        return this.store.transaction.queue(() => [...this.store.data.records.values()]
+            .filter(value => !range || range.includes(value[this.keyPath]))
+            .sort((a, b) => a[this.keyPath] - b[this.keyPath])
+            .map(value => structuredClone(value)));
+    }
+}
+
+class MemoryObjectStore {
+    constructor(transaction, data) {
+        this.transaction = transaction;
+        this.data = data;
+    }
+
+    createIndex(name, keyPath) {
+        this.data.indexes.set(name, keyPath);
+    }
+
+    index(name) {
+        return new MemoryIndex(this, this.data.indexes.get(name));
+    }
+
+    add(value) {
+        return this.transaction.queue(() => this.write(value, false));
+    }
+
+    put(value) {
+        return this.transaction.queue(() => this.write(value, true));
+    }
+
+    get(key) {
+        return this.transaction.queue(() => {
+            const value = this.data.records.get(key);
+            return value === undefined ? undefined : structuredClone(value);
+        });
+    }
+
+    getAll() {
+        return this.transaction.queue(() => [...this.data.records.values()].map(value => structuredClone(value)));
+    }
+
+    delete(key) {
+        return this.transaction.queue(() => {
+            this.data.records.delete(key);
+        });
+    }
+
+    clear() {
+        return this.transaction.queue(() => {
+            this.data.records.clear();
+        });
+    }
+
+    write(value, overwrite) {
+        const { keyPath, autoIncrement } = this.data;
+        const entry = structuredClone(value);
+        if (entry[keyPath] === undefined && autoIncrement) {
+            entry[keyPath] = this.data.nextKey;
+        }
+
+        const key = entry[keyPath];
+        if (!overwrite && this.data.records.has(key)) {
+            throw new DOMException('主键已存在', 'ConstraintError');
+        }
+        if (typeof key === 'number') {
+            this.data.nextKey = Math.max(this.data.nextKey, Math.floor(key) + 1);
+        }
+
+        this.data.records.set(key, entry);
+        return key;
+    }
+}
+
+class MemoryTransaction {
+    constructor(db) {
+        this.db = db;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this.operations = [];
+    }
+
+    objectStore(name) {
+        const data = this.db.stores.get(name);
+        if (!data) {
+            throw new DOMException(`对象仓库 ${name} 不存在`, 'NotFoundError');
+        }
+        return new MemoryObjectStore(this, data);
+    }
+
+    /**
+     * 排队执行一次请求，同一事务的请求在下一轮事件循环中依次执行，全部完成后通知事务完成
+     * @param {Function} operation - 返回请求结果的函数
+     * @returns {MemoryRequest} 请求
+     */
+    queue(operation) {
+        const request = new MemoryRequest();
+        if (this.operations.length === 0) {
+            setTimeout(() => this.run());
+        }
+        this.operations.push({ request, operation });
+        return request;
+    }
+
+    run() {
+        for (const { request, operation } of this.operations) {
+            try {
+                request.result = operation();
+                request.onsuccess?.();
+            } catch (error) {
+                request.error = error;
+                this.error = error;
+                request.onerror?.();
+                this.onerror?.();
+                this.onabort?.();
+                return;
+            }
+        }
+        this.oncomplete?.();
+    }
+}
+
+class MemoryDatabase {
+    constructor(name) {
+        this.name = name;
+        this.version = 0;
+        this.stores = new Map();
+    }
+
+    get objectStoreNames() {
+        return { contains: name => this.stores.has(name) };
+    }
+
+    createObjectStore(name, options = {}) {
+        const data = {
+            keyPath: options.keyPath,
+            autoIncrement: !!options.autoIncrement,
+            nextKey: 1,
+            records: new Map(),
+            indexes: new Map()
+        };
+        this.stores.set(name, data);
+        return new MemoryObjectStore(null, data);
+    }
+
+    transaction(names) {
+        for (const name of [].concat(names)) {
+            if (!this.stores.has(name)) {
+                throw new DOMException(`对象仓库 ${name} 不存在`, 'NotFoundError');
+            }
+        }
+        return new MemoryTransaction(this);
+    }
+
+    close() {}
+}
+
+class MemoryIndexedDB {
+    constructor() {
+        this.databases = new Map();
+    }
+
+    open(name, version = 1) {
+        const request = new MemoryRequest();
+
+        setTimeout(() => {
+            const db = this.databases.get(name) || new MemoryDatabase(name);
+            this.databases.set(name, db);
+            request.result = db;
+
+            if (version < db.version) {
+                request.error = new DOMException('数据库版本低于已有版本', 'VersionError');
+                request.onerror?.();
+                return;
+            }
+            if (version > db.version) {
+                db.version = version;
+                request.onupgradeneeded?.();
+            }
+            request.onsuccess?.();
+        });
+
+        return request;
+    }
+}
+
+globalThis.indexedDB = new MemoryIndexedDB();
+globalThis.IDBKeyRange = MemoryKeyRange;
@@ -0,0 +1,46 @@
+/**
+ * 本地模拟 HTTP 服务
+ * 按顺序返回预设的响应，并记录收到的请求，用于测试重试、等待和错误处理
+ */
+
+import { createServer } from 'node:http';
+
+/**
+ * 启动模拟服务
+ * @param {Function} handler - 处理函数 (request, body, index) => { status, headers, body, delay }，index 为第几次请求（从 0 开始）
+ * @returns {Promise<{url: string, requests: Array, close: Function}>} 服务地址、收到的请求和关闭函数
+ */
+export async function startMockServer(handler) {
+    const requests = [];
+
+    const server = createServer(async (request, response) => {
+        let body = '';
+        for await (const chunk of request) {
+            body += chunk;
+        }
+
+        const index = requests.length;
+        requests.push({ method: request.method, url: request.url, headers: request.headers, body, time: Date.now() });
+
+        const reply = await handler(request, body, index);
+        if (reply.delay) {
+            await new Promise(resolve => setTimeout(resolve, reply.delay));
+        }
+        if (response.destroyed) return;
+
+        response.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+        response.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body || {}));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
@@ -0,0 +1,26 @@
+/**
+ * 生成历史保存图片数据测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer } from './helpers/mock-server.mjs';
+import { historyStore } from '../js/modules/history.js';
+
+const server = await startMockServer((request) => request.url === '/poster.png'
+    ? { body: 'PNG', headers: { 'Content-Type': 'image/png' } }
+    : { status: 404 });
+
+after(() => server.close());
+
+test('读取图片数据用于离线保存', async () => {
+    const blob = await historyStore.fetchImageBlob(`${server.url}/poster.png`);
+    assert.equal(blob.type, 'image/png');
+    assert.equal(await blob.text(), 'PNG');
+});
+
+test('图片链接已过期时返回 null，只保存图片URL', async () => {
+    assert.equal(await historyStore.fetchImageBlob(`${server.url}/expired.png`), null);
+});
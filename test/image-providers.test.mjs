@@ -0,0 +1,63 @@
+/**
+ * OpenAI 兼容图片接口测试（在本地模拟服务上运行）
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer } from './helpers/mock-server.mjs';
+import { OpenAIImageProvider, ApiError } from '../js/modules/api.js';
+
+let server = null;
+
+/**
+ * 启动返回一张 base64 图片的模拟服务，返回指向它的客户端
+ * @param {string} model - 模型名称
+ * @returns {Promise<OpenAIImageProvider>} 客户端
+ */
+async function useProvider(model) {
+    server = await startMockServer(() => ({ body: { data: [{ b64_json: 'aW1hZ2U=' }] } }));
+    return new OpenAIImageProvider({ endpoint: `${server.url}/v1/images/generations`, apiKey: 'test-key', model });
+}
+
+afterEach(async () => {
+    if (server) {
+        await server.close();
+        server = null;
+    }
+});
+
+test('gpt-image 模型按选择的格式生成图片', async () => {
+    const provider = await useProvider('gpt-image-1');
+
+    const taskId = await provider.submitTask('一张小报', { aspectRatio: '1:1', format: 'jpg' });
+    const status = await provider.getTaskStatus(taskId);
+
+    const payload = JSON.parse(server.requests[0].body);
+    assert.equal(payload.output_format, 'jpeg');
+    assert.equal(payload.size, '1024x1024');
+    assert.equal(server.requests[0].headers.authorization, 'Bearer test-key');
+    assert.equal(status.state, 'success');
+    assert.equal(status.imageUrl, 'data:image/jpeg;base64,aW1hZ2U=');
+});
+
+test('其他模型不发送 output_format，图片按 PNG 处理', async () => {
+    const provider = await useProvider('dall-e-3');
+
+    const taskId = await provider.submitTask('一张小报', { format: 'jpg' });
+    const status = await provider.getTaskStatus(taskId);
+
+    assert.equal('output_format' in JSON.parse(server.requests[0].body), false);
+    assert.equal(status.imageUrl, 'data:image/png;base64,aW1hZ2U=');
+});
+
+test('结果返回后从内存中删除', async () => {
+    const provider = await useProvider('gpt-image-1');
+
+    const taskId = await provider.submitTask('一张小报');
+    await provider.getTaskStatus(taskId);
+
+    assert.equal(provider.results.size, 0);
+    await assert.rejects(provider.getTaskStatus(taskId), (error) => error instanceof ApiError && error.kind === 'task');
+});
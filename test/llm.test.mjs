@@ -0,0 +1,182 @@
+/**
+ * 文本模型词汇联想测试（在本地模拟服务上运行）
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer } from './helpers/mock-server.mjs';
+import { vocabularyLLM, DEFAULT_RETRY_POLICY } from '../js/modules/llm.js';
+import { businessController } from '../js/modules/business.js';
+import { ApiError } from '../js/modules/api.js';
+
+// 模型返回的词汇（收银员的拼音故意写错，应由本地拼音引擎更正）
+const VOCABULARY = {
+    characters: [
+        { pinyin: 'shǒu yín yuán', chinese: '收银员' },
+        { pinyin: 'gù kè', chinese: '顾客' },
+        { pinyin: 'bǎo ān', chinese: '保安' }
+    ],
+    items: [
+        { pinyin: 'píng guǒ', chinese: '苹果' },
+        { pinyin: 'niú nǎi', chinese: '牛奶' },
+        { pinyin: 'miàn bāo', chinese: '面包' },
+        { pinyin: 'jī dàn', chinese: '鸡蛋' },
+        { pinyin: 'gòu wù dài', chinese: '购物袋' }
+    ],
+    facilities: [
+        { pinyin: 'shōu yín tái', chinese: '收银台' },
+        { pinyin: 'huò jià', chinese: '货架' },
+        { pinyin: 'gòu wù chē', chinese: '购物车' }
+    ],
+    environment: [
+        { pinyin: 'chū kǒu', chinese: '出口' },
+        { pinyin: 'rù kǒu', chinese: '入口' },
+        { pinyin: 'jià gé biāo qiān', chinese: '价格标签' }
+    ]
+};
+
+const completion = (content) => ({ body: { choices: [{ message: { content } }] } });
+const success = () => completion(`好的：${JSON.stringify(VOCABULARY)}`);
+
+let server = null;
+
+/**
+ * 启动模拟服务并把文本模型指向它
+ * @param {Function} handler - 模拟服务的处理函数
+ * @param {number} timeout - 请求期限（毫秒）
+ */
+async function useServer(handler, timeout = 5000) {
+    server = await startMockServer(handler);
+    vocabularyLLM.applyConfig({ enabled: true, endpoint: `${server.url}/v1/chat/completions`, model: 'mock-model', apiKey: 'test-key', timeout });
+}
+
+beforeEach(() => {
+    vocabularyLLM.retryPolicy = { ...DEFAULT_RETRY_POLICY, initialDelay: 20 };
+});
+
+afterEach(async () => {
+    if (server) {
+        await server.close();
+        server = null;
+    }
+});
+
+test('解析并校验模型返回的词汇', async () => {
+    await useServer(() => success());
+
+    const vocabularies = await vocabularyLLM.generateVocabulary('超市');
+    assert.equal(vocabularies.characters[0].pinyin, 'shōu yín yuán');
+    assert.equal(vocabularies.items.length, 5);
+
+    const [request] = server.requests;
+    assert.equal(request.headers.authorization, 'Bearer test-key');
+    const body = JSON.parse(request.body);
+    assert.equal(body.model, 'mock-model');
+    assert.match(body.messages[1].content, /超市/);
+});
+
+test('5xx 和 429 会重试，429 至少等待 Retry-After', async () => {
+    await useServer((request, body, index) => [
+        { status: 500 },
+        { status: 429, headers: { 'Retry-After': '0.3' } },
+        success()
+    ][index]);
+
+    const vocabularies = await vocabularyLLM.generateVocabulary('超市');
+    assert.equal(vocabularies.facilities.length, 3);
+    assert.equal(server.requests.length, 3);
+
+    const [, second, third] = server.requests;
+    assert.ok(third.time - second.time >= 280, `等待了 ${third.time - second.time}ms`);
+});
+
+for (const status of [401, 402]) {
+    test(`${status} 不重试`, async () => {
+        await useServer(() => ({ status }));
+
+        await assert.rejects(vocabularyLLM.generateVocabulary('超市'), (error) => {
+            return error instanceof ApiError && error.status === status && !error.transient;
+        });
+        assert.equal(server.requests.length, 1);
+    });
+}
+
+test('返回的数据无法解析时按临时错误重试', async () => {
+    await useServer((request, body, index) => [
+        { body: '<html>Bad Gateway</html>' },
+        success()
+    ][index]);
+
+    const vocabularies = await vocabularyLLM.generateVocabulary('超市');
+    assert.equal(vocabularies.items.length, 5);
+    assert.equal(server.requests.length, 2);
+});
+
+test('返回的数据一直无法解析时抛出 ApiError', async () => {
+    await useServer(() => ({ body: 'not json' }));
+
+    await assert.rejects(vocabularyLLM.generateVocabulary('超市'), {
+        name: 'ApiError',
+        kind: 'network',
+        message: '文本模型返回的数据无法解析'
+    });
+    assert.equal(server.requests.length, DEFAULT_RETRY_POLICY.attempts);
+});
+
+test('临时错误超过重试次数后抛出', async () => {
+    await useServer(() => ({ status: 503 }));
+
+    await assert.rejects(vocabularyLLM.generateVocabulary('超市'), { status: 503 });
+    assert.equal(server.requests.length, DEFAULT_RETRY_POLICY.attempts);
+});
+
+test('Retry-After 超过期限时不再等待', async () => {
+    await useServer(() => ({ status: 429, headers: { 'Retry-After': '60' } }), 1000);
+
+    const startedAt = Date.now();
+    await assert.rejects(vocabularyLLM.generateVocabulary('超市'), { status: 429 });
+    assert.equal(server.requests.length, 1);
+    assert.ok(Date.now() - startedAt < 500);
+});
+
+test('超过期限时中止请求', async () => {
+    await useServer(() => ({ ...success(), delay: 1000 }), 200);
+
+    const startedAt = Date.now();
+    await assert.rejects(vocabularyLLM.generateVocabulary('超市'), { name: 'ApiError', kind: 'timeout' });
+    assert.ok(Date.now() - startedAt < 800);
+});
+
+test('模型不可用时使用本地兜底词汇', async () => {
+    await useServer(() => ({ status: 401 }));
+
+    const vocabularies = await businessController.prepareVocabulary('火星基地');
+    assert.deepEqual(vocabularies.characters.map(word => word.chinese), ['人', '孩子']);
+});
+
+test('同一自定义主题只请求一次，生成提示词时沿用审阅时的词汇', async () => {
+    await useServer(() => success());
+
+    const reviewed = await businessController.prepareVocabulary('糖果工厂');
+    const { promptGenerator } = businessController.getImageGenerationManager();
+    const prompt = await promptGenerator.generatePrompt('糖果工厂', '糖果工厂一日游');
+
+    assert.equal(server.requests.length, 1);
+    assert.equal(promptGenerator.vocabularyGenerator, businessController.getVocabularyGenerator());
+    assert.ok(reviewed.items.every(word => prompt.includes(word.chinese)));
+});
+
+test('对话确认主题和标题时不请求文本模型', async () => {
+    await useServer(() => success());
+
+    const conversation = businessController.getConversationManager();
+    conversation.startConversation();
+    await conversation.handleUserInput('天文馆');
+    const result = await conversation.handleUserInput('星星的家');
+
+    assert.equal(result.state, 'GENERATING');
+    assert.equal(result.theme, '天文馆');
+    assert.equal(server.requests.length, 0);
+});
@@ -0,0 +1,91 @@
+/**
+ * 离线演示服务端到端测试：提交任务 → 轮询结果 → 保存到生成历史，全程不联网
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import './helpers/memory-indexeddb.mjs';
+import './helpers/canvas.mjs';
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiManager, DEFAULT_POLLING_POLICY } from '../js/modules/api.js';
+import { businessController } from '../js/modules/business.js';
+import { historyStore } from '../js/modules/history.js';
+import { pendingTaskStore } from '../js/modules/pending-tasks.js';
+
+// 生成过程中会在标准输出记录日志，Node 20 的测试运行器读到测试进行中输出的中文时会报错，这里不输出
+mock.method(console, 'log', () => {});
+
+// 缩短等待时间的轮询策略
+const FAST_POLICY = {
+    ...DEFAULT_POLLING_POLICY,
+    initialInterval: 20,
+    maxInterval: 50,
+    jitter: 0,
+    timeout: 3000
+};
+
+const VOCABULARIES = {
+    characters: [{ chinese: '收银员', pinyin: 'shōu yín yuán' }],
+    items: [{ chinese: '苹果', pinyin: 'píng guǒ' }],
+    facilities: [{ chinese: '货架', pinyin: 'huò jià' }],
+    environment: [{ chinese: '灯光', pinyin: 'dēng guāng' }]
+};
+
+beforeEach(async () => {
+    await apiManager.saveProviderConfig('mock', { latency: 0.3, failureRate: 0, errorCode: '' });
+    apiManager.selectProvider('mock');
+    apiManager.updatePollingPolicy(FAST_POLICY);
+    await historyStore.clear();
+});
+
+/**
+ * 读取占位小报上画的文字（测试用画布把文字写在图片数据中）
+ * @param {Blob} blob - 图片数据
+ * @returns {Promise<Array<string>>} 文字
+ */
+async function readPosterTexts(blob) {
+    return (await blob.text()).split('\n');
+}
+
+test('提交任务并轮询到占位小报，保存到生成历史后可以读取', async () => {
+    const states = [];
+    const generation = await businessController.createGeneration('supermarket', '超市购物', ({ state }) => states.push(state), {
+        vocabularies: VOCABULARIES
+    });
+
+    assert.equal(generation.provider, 'mock');
+    assert.equal(generation.title, '超市购物');
+    assert.match(generation.imageUrl, /^data:image\/png;base64,/);
+    assert.equal(states.at(-1), 'success');
+    assert.ok(states.length > 1, `只查询了 ${states.length} 次`);
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+
+    // 与页面保存生成结果的步骤相同（见 app.js saveToHistory）
+    const imageBlob = await historyStore.fetchImageBlob(generation.imageUrl);
+    const id = await historyStore.saveRecord({ ...generation, imageBlob });
+
+    const [entry] = await historyStore.getRecords({ theme: '超市' });
+    assert.equal(entry.id, id);
+    assert.equal(entry.theme, 'supermarket');
+    assert.equal(entry.prompt, generation.prompt);
+    assert.deepEqual(entry.vocabularies, VOCABULARIES);
+    assert.equal(entry.imageUrl, generation.imageUrl);
+    assert.equal(entry.imageBlob.type, 'image/png');
+
+    const texts = await readPosterTexts(entry.imageBlob);
+    assert.ok(texts.includes('《超市购物》'), '占位小报上没有标题');
+    for (const word of ['收银员', '苹果', '货架', '灯光']) {
+        assert.ok(texts.some(text => text.includes(word)), `占位小报上没有“${word}”`);
+    }
+});
+
+test('离线演示任务失败时抛出失败原因，不保留未完成任务', async () => {
+    await apiManager.saveProviderConfig('mock', { latency: 0, failureRate: 100 });
+
+    await assert.rejects(
+        businessController.createGeneration('supermarket', '超市购物', null, { vocabularies: VOCABULARIES }),
+        { kind: 'task', message: /模拟生成失败/ }
+    );
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+});
@@ -0,0 +1,27 @@
+/**
+ * 拼音标注模块测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pinyinConverter } from '../js/modules/pinyin.js';
+
+test('按词语读音标注多音字', () => {
+    assert.equal(pinyinConverter.convert('银行'), 'yín háng');
+    assert.equal(pinyinConverter.convert('行走'), 'xíng zǒu');
+    assert.equal(pinyinConverter.convert('长大'), 'zhǎng dà');
+    assert.equal(pinyinConverter.convert('重要'), 'zhòng yào');
+});
+
+test('“还”在归还类词语中读 huán', () => {
+    assert.equal(pinyinConverter.convert('还书'), 'huán shū');
+    assert.equal(pinyinConverter.convert('归还'), 'guī huán');
+    assert.equal(pinyinConverter.convert('还钱'), 'huán qián');
+    assert.equal(pinyinConverter.convert('还书处'), 'huán shū chù');
+});
+
+test('“还”单用时读 hái', () => {
+    assert.equal(pinyinConverter.convert('还有'), 'hái yǒu');
+    assert.equal(pinyinConverter.convert('还是'), 'hái shì');
+});
@@ -0,0 +1,311 @@
+/**
+ * 图片任务轮询测试（在本地模拟的 Kie AI 服务上运行）
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer } from './helpers/mock-server.mjs';
+import { apiManager, ApiError, KieAIClient, DEFAULT_POLLING_POLICY } from '../js/modules/api.js';
+import { ImageGenerationManager } from '../js/modules/business.js';
+import { CallbackRelay } from '../js/modules/callback-relay.js';
+import { pendingTaskStore, TaskExpiredError, PENDING_TASK_TIMEOUT } from '../js/modules/pending-tasks.js';
+
+// 缩短等待时间的轮询策略
+const FAST_POLICY = {
+    ...DEFAULT_POLLING_POLICY,
+    initialInterval: 20,
+    maxInterval: 50,
+    jitter: 0,
+    timeout: 2000,
+    maxTransientErrors: 2
+};
+
+const IMAGE_URL = 'https://example.com/poster.png';
+
+/**
+ * 生成 recordInfo 的返回内容
+ * @param {string} state - 任务状态
+ * @param {Object} data - 其他字段（如 failMsg）
+ * @returns {Object} 模拟服务的响应
+ */
+function record(state, data = {}) {
+    return {
+        body: {
+            code: 200,
+            msg: 'success',
+            data: {
+                taskId: 'task-1',
+                state: state,
+                resultJson: state === 'success' ? JSON.stringify({ resultUrls: [IMAGE_URL] }) : '',
+                ...data
+            }
+        }
+    };
+}
+
+let server = null;
+
+/**
+ * 启动模拟服务，返回指向它的 Kie AI 客户端
+ * @param {Function} handler - 模拟服务的处理函数
+ * @returns {Promise<KieAIClient>} 客户端
+ */
+async function useServer(handler) {
+    server = await startMockServer(handler);
+    const client = new KieAIClient('test-key');
+    client.baseUrl = server.url;
+    return client;
+}
+
+afterEach(async () => {
+    if (server) {
+        await server.close();
+        server = null;
+    }
+});
+
+test('任务进行中时继续轮询，完成后返回图片', async () => {
+    const client = await useServer((request, body, index) => [
+        record('waiting'),
+        record('generating'),
+        record('success')
+    ][index]);
+
+    const states = [];
+    const status = await client.pollUntilComplete('task-1', ({ state }) => states.push(state), null, FAST_POLICY);
+
+    assert.equal(status.imageUrl, IMAGE_URL);
+    assert.deepEqual(states, ['waiting', 'generating', 'success']);
+    assert.equal(server.requests[0].url, '/recordInfo?taskId=task-1');
+    assert.equal(server.requests[0].headers.authorization, 'Bearer test-key');
+});
+
+test('临时错误（5xx、返回内容无法解析）后继续轮询', async () => {
+    const client = await useServer((request, body, index) => [
+        { status: 502, body: '<html>Bad Gateway</html>' },
+        { status: 500 },
+        record('success')
+    ][index]);
+
+    const status = await client.pollUntilComplete('task-1', null, null, FAST_POLICY);
+    assert.equal(status.state, 'success');
+    assert.equal(server.requests.length, 3);
+});
+
+test('429 时至少等待 Retry-After', async () => {
+    const client = await useServer((request, body, index) => [
+        { status: 429, headers: { 'Retry-After': '0.3' } },
+        record('success')
+    ][index]);
+
+    await client.pollUntilComplete('task-1', null, null, FAST_POLICY);
+
+    const [first, second] = server.requests;
+    assert.ok(second.time - first.time >= 280, `等待了 ${second.time - first.time}ms`);
+});
+
+for (const code of [401, 402, 422]) {
+    test(`${code} 立即停止轮询`, async () => {
+        const client = await useServer(() => ({ body: { code, msg: 'error' } }));
+
+        await assert.rejects(client.pollUntilComplete('task-1', null, null, FAST_POLICY), (error) => {
+            return error instanceof ApiError && error.status === code && !error.transient;
+        });
+        assert.equal(server.requests.length, 1);
+    });
+}
+
+test('连续临时错误超过上限时放弃', async () => {
+    const client = await useServer(() => ({ status: 503 }));
+
+    await assert.rejects(client.pollUntilComplete('task-1', null, null, FAST_POLICY), { status: 503 });
+    assert.equal(server.requests.length, FAST_POLICY.maxTransientErrors + 1);
+});
+
+test('任务失败时抛出失败原因', async () => {
+    const client = await useServer(() => record('fail', { failMsg: '内容不符合规范' }));
+
+    await assert.rejects(client.pollUntilComplete('task-1', null, null, FAST_POLICY), {
+        name: 'ApiError',
+        kind: 'task',
+        message: '内容不符合规范'
+    });
+});
+
+test('超过期限时抛出超时错误', async () => {
+    const client = await useServer(() => record('waiting'));
+
+    const startedAt = Date.now();
+    await assert.rejects(client.pollUntilComplete('task-1', null, null, { ...FAST_POLICY, timeout: 150 }), {
+        name: 'ApiError',
+        kind: 'timeout'
+    });
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('等待下次查询时取消，立即停止轮询', async () => {
+    const client = await useServer(() => record('waiting'));
+    const controller = new AbortController();
+
+    await assert.rejects(
+        client.pollUntilComplete('task-1', () => controller.abort(), controller.signal, { ...FAST_POLICY, initialInterval: 1000 }),
+        { name: 'AbortError' }
+    );
+    assert.equal(server.requests.length, 1);
+});
+
+test('查询过程中取消，中止正在进行的请求', async () => {
+    const client = await useServer(() => ({ ...record('success'), delay: 1000 }));
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const startedAt = Date.now();
+    await assert.rejects(client.pollUntilComplete('task-1', null, controller.signal, FAST_POLICY), { name: 'AbortError' });
+    assert.ok(Date.now() - startedAt < 500);
+});
+
+test('回调通知只让轮询提前查询，结果以 recordInfo 为准', async () => {
+    const client = await useServer((request, body, index) => [
+        record('waiting'),
+        record('generating'),
+        record('success')
+    ][index]);
+    client.relay = new CallbackRelay('http://127.0.0.1:8787/events');
+    client.relay.source = { close() {} };
+
+    // 每次查询后都收到一条“已完成”的通知，前两条与实际状态不符
+    const notify = () => setTimeout(() => {
+        client.relay.handleMessage(JSON.stringify({ taskId: 'task-1', state: 'success' }));
+    }, 20);
+
+    const startedAt = Date.now();
+    const status = await client.pollUntilComplete('task-1', notify, null, FAST_POLICY);
+
+    assert.equal(status.imageUrl, IMAGE_URL);
+    assert.equal(server.requests.length, 3);
+    assert.ok(Date.now() - startedAt < 1000, '收到通知后没有提前查询');
+});
+
+/**
+ * 让 API 管理器的 Kie AI 服务指向模拟服务
+ */
+async function useApiManager() {
+    await apiManager.saveProviderConfig('kie', { apiKey: 'k'.repeat(32) });
+    apiManager.getProvider('kie').baseUrl = server.url;
+    apiManager.updatePollingPolicy(FAST_POLICY);
+}
+
+test('页面刷新后继续获取已提交任务的结果，不重新提交', async () => {
+    await useServer((request, body, index) => [record('waiting'), record('success')][index]);
+    await useApiManager();
+
+    const task = { taskId: 'task-1', source: 'single', theme: '超市', title: '超市购物', provider: 'kie' };
+    pendingTaskStore.add(task);
+
+    const generation = await new ImageGenerationManager().resumeTask(pendingTaskStore.getTasks()[0]);
+
+    assert.equal(generation.imageUrl, IMAGE_URL);
+    assert.equal(generation.title, '超市购物');
+    assert.ok(server.requests.every(request => request.url.startsWith('/recordInfo')));
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+});
+
+test('等待过久的任务只再查询一次，仍未完成时标记为过期', async () => {
+    await useServer(() => record('waiting'));
+    await useApiManager();
+
+    pendingTaskStore.add({ taskId: 'task-1', source: 'batch', provider: 'kie', createdAt: Date.now() - PENDING_TASK_TIMEOUT - 1000 });
+
+    await assert.rejects(new ImageGenerationManager().resumeTask(pendingTaskStore.getTasks()[0]), TaskExpiredError);
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+});
+
+/**
+ * 处理提交和查询请求：提交返回 task-1，查询按 handleRecord 返回
+ * @param {Function} handleRecord - 查询请求的处理函数 (index) => 模拟服务的响应
+ * @returns {Function} 模拟服务的处理函数
+ */
+function submitThen(handleRecord) {
+    let queries = 0;
+    return (request) => {
+        if (request.url.startsWith('/createTask')) {
+            return { body: { code: 200, msg: 'success', data: { taskId: 'task-1' } } };
+        }
+        return handleRecord(queries++);
+    };
+}
+
+/**
+ * 生成一张小报（使用固定的词汇，不请求文本模型）
+ * @param {AbortSignal} signal - 取消信号（可选）
+ * @returns {Promise<Object>} 生成信息
+ */
+function generate(signal = null) {
+    const vocabularies = { characters: [{ chinese: '收银员' }], items: [{ chinese: '苹果' }], facilities: [], environment: [] };
+    return new ImageGenerationManager().generateWithDetails('supermarket', '超市购物', null, { vocabularies, signal });
+}
+
+test('生成成功后移除未完成任务', async () => {
+    await useServer(submitThen(index => [record('waiting'), record('success')][index]));
+    await useApiManager();
+
+    const generation = await generate();
+    assert.equal(generation.imageUrl, IMAGE_URL);
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+});
+
+test('等待超时后保留未完成任务，刷新页面后可以继续', async () => {
+    await useServer(submitThen(() => record('waiting')));
+    await useApiManager();
+    apiManager.updatePollingPolicy({ ...FAST_POLICY, timeout: 150 });
+
+    await assert.rejects(generate(), { kind: 'timeout' });
+    const [task] = pendingTaskStore.getTasks();
+    assert.equal(task.taskId, 'task-1');
+    assert.equal(task.title, '超市购物');
+    pendingTaskStore.remove('task-1');
+});
+
+test('网络错误后保留未完成任务', async () => {
+    await useServer(submitThen(() => ({ status: 503 })));
+    await useApiManager();
+
+    await assert.rejects(generate(), { status: 503 });
+    assert.deepEqual(pendingTaskStore.getTasks().map(task => task.taskId), ['task-1']);
+
+    // 继续获取时仍然出错，任务继续保留
+    await assert.rejects(new ImageGenerationManager().resumeTask(pendingTaskStore.getTasks()[0]), { status: 503 });
+    assert.deepEqual(pendingTaskStore.getTasks().map(task => task.taskId), ['task-1']);
+    pendingTaskStore.remove('task-1');
+});
+
+test('任务失败后移除未完成任务', async () => {
+    await useServer(submitThen(() => record('fail', { failMsg: '内容不符合规范' })));
+    await useApiManager();
+
+    await assert.rejects(generate(), { kind: 'task', message: '内容不符合规范' });
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+});
+
+test('取消生成后移除未完成任务', async () => {
+    await useServer(submitThen(() => record('waiting')));
+    await useApiManager();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    await assert.rejects(generate(controller.signal), { name: 'AbortError' });
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+});
+
+test('等待过久的任务查询到失败时移除', async () => {
+    await useServer(() => record('fail', { failMsg: '内容不符合规范' }));
+    await useApiManager();
+
+    pendingTaskStore.add({ taskId: 'task-1', source: 'batch', provider: 'kie', createdAt: Date.now() - PENDING_TASK_TIMEOUT - 1000 });
+
+    await assert.rejects(new ImageGenerationManager().resumeTask(pendingTaskStore.getTasks()[0]), { kind: 'task', message: '内容不符合规范' });
+    assert.deepEqual(pendingTaskStore.getTasks(), []);
+});
@@ -0,0 +1,40 @@
+/**
+ * 学习者档案词汇筛选测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { businessController } from '../js/modules/business.js';
+import { profileManager } from '../js/modules/profiles.js';
+
+const vocabularyGenerator = businessController.getVocabularyGenerator();
+
+test('学前档案的每个分类至少保留一个词', async () => {
+    for (const theme of ['超市', '医院', '公园', '学校', '动物园', '交通']) {
+        const vocabularies = await vocabularyGenerator.generateVocabulary(theme, null, 'preschool');
+        for (const [category, words] of Object.entries(vocabularies)) {
+            assert.ok(words.length > 0, `${theme}的 ${category} 为空`);
+        }
+        const total = Object.values(vocabularies).reduce((sum, words) => sum + words.length, 0);
+        assert.ok(total <= profileManager.resolve('preschool').maxWords);
+    }
+});
+
+test('分类中没有符合条件的词时保留最简单的词', () => {
+    const vocabularies = {
+        characters: [{ pinyin: 'gù kè', chinese: '顾客', level: 1 }],
+        items: [{ pinyin: 'píng guǒ', chinese: '苹果', level: 1 }],
+        facilities: [
+            { pinyin: 'shōu yín tái', chinese: '收银台', level: 2 },
+            { pinyin: 'gòu wù chē', chinese: '购物车', level: 3 },
+            { pinyin: 'huò jià', chinese: '货架', level: 2 }
+        ],
+        environment: []
+    };
+
+    const result = vocabularyGenerator.applyProfile(vocabularies, { maxWords: 8, maxLevel: 1, maxChars: 2 });
+    assert.deepEqual(result.facilities.map(word => word.chinese), ['货架']);
+    assert.deepEqual(result.environment, []);
+});
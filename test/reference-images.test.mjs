@@ -0,0 +1,152 @@
+/**
+ * 参考图测试：Kie AI 先上传参考图再提交任务（在本地模拟服务上运行），参考图保存在 IndexedDB 中
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import './helpers/memory-indexeddb.mjs';
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer } from './helpers/mock-server.mjs';
+import { apiManager, APIManager, KieAIClient } from '../js/modules/api.js';
+
+// 创建 API 管理器时会在标准输出记录日志，Node 20 的测试运行器读到测试进行中输出的中文时会报错，这里不输出
+mock.method(console, 'log', () => {});
+
+const LEGACY_STORAGE_KEY = 'reference_images';
+const MASCOT = 'data:image/jpeg;base64,bWFzY290';
+const STYLE = 'data:image/jpeg;base64,c3R5bGU=';
+
+// 模拟服务为每张参考图返回的图片URL
+const UPLOADED_URLS = {
+    [MASCOT]: 'https://files.example.com/mascot.jpg',
+    [STYLE]: 'https://files.example.com/style.jpg'
+};
+
+let server = null;
+
+afterEach(async () => {
+    if (server) {
+        await server.close();
+        server = null;
+    }
+    await apiManager.saveReferenceImages([]);
+    localStorage.clear();
+});
+
+/**
+ * 启动模拟服务，返回指向它的 Kie AI 客户端（上传和生成任务都发到模拟服务）
+ * @param {Function} handleUpload - 上传请求的处理函数 (body) => 模拟服务的响应
+ * @returns {Promise<KieAIClient>} 客户端
+ */
+async function useServer(handleUpload) {
+    server = await startMockServer((request, body) => {
+        if (request.url === '/file-base64-upload') {
+            return handleUpload(JSON.parse(body));
+        }
+        return { body: { code: 200, msg: 'success', data: { taskId: 'task-1' } } };
+    });
+
+    const client = new KieAIClient('test-key');
+    client.baseUrl = server.url;
+    client.uploadBaseUrl = server.url;
+    return client;
+}
+
+/**
+ * 上传成功的响应
+ * @param {Object} body - 上传请求的内容
+ * @returns {Object} 模拟服务的响应
+ */
+function uploaded(body) {
+    return {
+        body: {
+            success: true,
+            code: 200,
+            msg: 'File uploaded successfully',
+            data: { downloadUrl: UPLOADED_URLS[body.base64Data], mimeType: 'image/jpeg' }
+        }
+    };
+}
+
+/**
+ * 获取发往某个接口的请求
+ * @param {string} path - 接口路径
+ * @returns {Array<Object>} 请求
+ */
+function requestsTo(path) {
+    return server.requests.filter(request => request.url === path);
+}
+
+test('Kie AI 先上传参考图，image_input 按顺序使用上传后的图片URL', async () => {
+    const client = await useServer(uploaded);
+
+    await client.submitTask('一张小报', { referenceImages: [MASCOT, STYLE] });
+
+    const uploads = requestsTo('/file-base64-upload');
+    assert.deepEqual(uploads.map(request => JSON.parse(request.body).base64Data).sort(), [MASCOT, STYLE].sort());
+    assert.equal(uploads[0].headers.authorization, 'Bearer test-key');
+
+    const [createTask] = requestsTo('/createTask');
+    assert.deepEqual(JSON.parse(createTask.body).input.image_input, [UPLOADED_URLS[MASCOT], UPLOADED_URLS[STYLE]]);
+    assert.doesNotMatch(createTask.body, /base64/);
+});
+
+test('再次生成时不重新上传同一张参考图', async () => {
+    const client = await useServer(uploaded);
+
+    await client.submitTask('一张小报', { referenceImages: [MASCOT] });
+    await client.submitTask('另一张小报', { referenceImages: [MASCOT, STYLE] });
+
+    assert.equal(requestsTo('/file-base64-upload').length, 2);
+    const payload = JSON.parse(requestsTo('/createTask')[1].body);
+    assert.deepEqual(payload.input.image_input, [UPLOADED_URLS[MASCOT], UPLOADED_URLS[STYLE]]);
+});
+
+test('没有参考图时不请求上传接口', async () => {
+    const client = await useServer(uploaded);
+
+    await client.submitTask('一张小报', {});
+
+    assert.deepEqual(server.requests.map(request => request.url), ['/createTask']);
+    assert.deepEqual(JSON.parse(server.requests[0].body).input.image_input, []);
+});
+
+test('参考图上传失败时不提交任务', async () => {
+    const client = await useServer(() => ({ body: { success: false, code: 401, msg: 'Unauthorized' } }));
+
+    await assert.rejects(client.submitTask('一张小报', { referenceImages: [MASCOT] }), {
+        name: 'ApiError',
+        status: 401
+    });
+    assert.deepEqual(requestsTo('/createTask'), []);
+});
+
+test('参考图保存在 IndexedDB 中，刷新页面后仍能读取', async () => {
+    await apiManager.saveReferenceImages([MASCOT, STYLE]);
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+
+    const reloaded = new APIManager();
+    await reloaded.ready;
+    assert.deepEqual(reloaded.getReferenceImages(), [MASCOT, STYLE]);
+    assert.equal(reloaded.getSettings().referenceImageCount, 2);
+
+    // 删除后刷新页面不再有参考图
+    await apiManager.saveReferenceImages([]);
+    const cleared = new APIManager();
+    await cleared.ready;
+    assert.deepEqual(cleared.getReferenceImages(), []);
+});
+
+test('升级前保存在本地存储中的参考图迁移到 IndexedDB', async () => {
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify([STYLE, MASCOT]));
+
+    const manager = new APIManager();
+    await manager.ready;
+    assert.deepEqual(manager.getReferenceImages(), [STYLE, MASCOT]);
+    assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+
+    const reloaded = new APIManager();
+    await reloaded.ready;
+    assert.deepEqual(reloaded.getReferenceImages(), [STYLE, MASCOT]);
+});
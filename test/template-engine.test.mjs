@@ -0,0 +1,118 @@
+/**
+ * 模板引擎和内置模板测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import './helpers/browser-globals.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TemplateEngine, TemplateError } from '../js/modules/template-engine.js';
+import { BUILTIN_TEMPLATES, templateLibrary } from '../js/modules/template-library.js';
+import { PromptGenerator } from '../js/modules/business.js';
+import { LEARNER_PROFILES } from '../js/modules/profiles.js';
+
+const engine = new TemplateEngine();
+
+test('替换变量，支持用 . 访问属性，数组用顿号连接', () => {
+    const output = engine.render('《{{标题}}》{{scene.name}}：{{词语}}', {
+        '标题': '超市购物',
+        scene: { name: '收银台' },
+        '词语': ['苹果', '香蕉']
+    });
+    assert.equal(output, '《超市购物》收银台：苹果、香蕉');
+});
+
+test('循环中可用 this、@number 和 @last', () => {
+    const template = '{{#each 词语}}{{@number}}.{{this}}{{#unless @last}}，{{/unless}}{{/each}}';
+    assert.equal(engine.render(template, { '词语': ['苹果', '香蕉', '牛奶'] }), '1.苹果，2.香蕉，3.牛奶');
+});
+
+test('循环当前项的属性优先于外层变量', () => {
+    const template = '{{#each 分类}}{{名称}}/{{标题}};{{/each}}';
+    const output = engine.render(template, { '标题': '小报', '分类': [{ '名称': '人物' }, { '名称': '物品' }] });
+    assert.equal(output, '人物/小报;物品/小报;');
+});
+
+test('条件和循环的 else 分支', () => {
+    const template = '{{#if 场景}}场景：{{场景}}{{else}}没有场景{{/if}}|{{#each 词语}}{{this}}{{else}}没有词语{{/each}}';
+    assert.equal(engine.render(template, { '场景': '', '词语': [] }), '没有场景|没有词语');
+    assert.equal(engine.render(template, { '场景': '收银台', '词语': ['苹果'] }), '场景：收银台|苹果');
+});
+
+test('独占一行的块标签不留下空行', () => {
+    const template = '开始\n{{#if 显示}}\n  内容\n{{/if}}\n结束';
+    assert.equal(engine.render(template, { '显示': true }), '开始\n  内容\n结束');
+    assert.equal(engine.render(template, { '显示': false }), '开始\n结束');
+});
+
+test('无法解析的占位符全部列出', () => {
+    const template = '{{标题}}{{作者}}{{#each 列表}}{{/each}}{{#if 条件}}是{{/if}}{{#unless 反向}}否{{/unless}}';
+    assert.throws(() => engine.render(template, { '标题': '小报' }), (error) => {
+        assert.ok(error instanceof TemplateError);
+        assert.deepEqual(error.placeholders, ['作者', '列表', '条件', '反向']);
+        return true;
+    });
+});
+
+test('只查找自身的属性，原型上的属性视为不存在', () => {
+    for (const name of ['constructor', 'toString', 'hasOwnProperty', 'scene.constructor', '__proto__']) {
+        assert.throws(() => engine.render(`{{${name}}}`, { scene: {} }), { name: 'TemplateError', placeholders: [name] });
+    }
+    assert.throws(() => engine.render('{{#if constructor}}是{{/if}}', {}), { placeholders: ['constructor'] });
+    assert.throws(() => engine.render('{{#each 列表}}{{toString}}{{/each}}', { '列表': [{}] }), { placeholders: ['toString'] });
+    assert.equal(engine.render('{{文本.length}}', { '文本': '苹果' }), '2');
+});
+
+test('语法错误时报告行号', () => {
+    assert.throws(() => engine.compile('第一行\n{{#if 条件}}\n内容'), { name: 'TemplateError', line: 2 });
+    assert.throws(() => engine.compile('{{#if 条件}}{{/each}}'), { name: 'TemplateError', line: 1 });
+    assert.throws(() => engine.compile('{{else}}'), TemplateError);
+    assert.throws(() => engine.compile('{{#with 条件}}{{/with}}'), TemplateError);
+    assert.throws(() => engine.compile('{{ }}'), TemplateError);
+});
+
+test('缓存的模板数量有上限', () => {
+    const cachedEngine = new TemplateEngine();
+    for (let i = 0; i < 100; i++) {
+        cachedEngine.render(`第 ${i} 版：{{标题}}`, { '标题': '小报' });
+    }
+    assert.ok(cachedEngine.cache.size <= 20, `缓存了 ${cachedEngine.cache.size} 个模板`);
+
+    // 最近使用过的模板仍在缓存中
+    const latest = cachedEngine.compile('第 99 版：{{标题}}');
+    assert.equal(cachedEngine.compile('第 99 版：{{标题}}'), latest);
+});
+
+test('内置模板都能用实际的变量渲染', async () => {
+    const generator = new PromptGenerator();
+    const vocabularies = {
+        characters: [{ chinese: '收银员' }, { chinese: '顾客' }],
+        items: [{ chinese: '苹果' }],
+        facilities: [],
+        environment: [{ chinese: '货架' }]
+    };
+
+    for (const template of BUILTIN_TEMPLATES) {
+        for (const profile of LEARNER_PROFILES) {
+            for (const blankLabels of [false, true]) {
+                const prompt = await generator.generatePrompt('supermarket', '超市购物', {
+                    vocabularies,
+                    template: template.content,
+                    profile,
+                    blankLabels
+                });
+                assert.match(prompt, /超市购物/, `${template.name}（${profile.name}）`);
+                assert.doesNotMatch(prompt, /\{\{|\}\}/, `${template.name}（${profile.name}）`);
+            }
+        }
+    }
+});
+
+test('模板库拒绝有语法错误的模板', () => {
+    assert.throws(() => templateLibrary.createTemplate({ name: '错误', content: '{{#if 场景}}没有结束' }), TemplateError);
+    assert.throws(() => templateLibrary.validateTemplate('  '), /不能为空/);
+    assert.throws(() => templateLibrary.importTemplates(JSON.stringify({
+        templates: [{ name: '正确', content: '{{标题}}' }, { name: '错误', content: '{{/each}}' }]
+    })), TemplateError);
+    assert.deepEqual(templateLibrary.templates, []);
+});
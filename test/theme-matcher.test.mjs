@@ -0,0 +1,72 @@
+/**
+ * 主题匹配模块测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { ThemeMatcher, AUTO_MATCH_SCORE } from '../js/modules/theme-matcher.js';
+
+const { themes } = JSON.parse(readFileSync(new URL('../data/themes.json', import.meta.url), 'utf8'));
+
+const matcher = new ThemeMatcher();
+matcher.setThemes(themes);
+
+/**
+ * 获取自动选用的主题ID
+ * @param {string} query - 用户输入
+ * @returns {string|null} 主题ID，没有自动选用时返回 null
+ */
+function bestId(query) {
+    const best = matcher.findBest(query);
+    return best ? best.id : null;
+}
+
+test('名称、主题ID和同义词直接匹配', () => {
+    assert.deepEqual(matcher.findBest('超市'), matcher.match('超市')[0]);
+    assert.equal(matcher.findBest('超市').reason, 'exact');
+    assert.equal(matcher.findBest('supermarket').reason, 'exact');
+    assert.equal(matcher.findBest('菜市场').id, 'supermarket');
+    assert.equal(matcher.findBest('菜市场').reason, 'alias');
+    assert.equal(bestId('家'), 'home');
+});
+
+test('全拼、首字母和拼音前缀', () => {
+    assert.equal(matcher.findBest('chaoshi').reason, 'pinyin');
+    assert.equal(bestId('chaoshi'), 'supermarket');
+    assert.equal(matcher.findBest('cs').reason, 'initials');
+    assert.equal(bestId('dongwuyuan'), 'zoo');
+    assert.equal(bestId('yiy'), 'hospital');
+});
+
+test('输入包含主题名称或同义词时自动选用', () => {
+    assert.equal(bestId('大超市'), 'supermarket');
+    assert.equal(bestId('我家'), 'home');
+    assert.equal(matcher.findBest('森林里').reason, 'contains');
+});
+
+test('单个字只出现在同义词中时不自动选用', () => {
+    assert.equal(bestId('的'), null);
+    assert.equal(bestId('超'), null);
+    assert.equal(bestId('车'), null);
+});
+
+test('单个字仍作为建议展示', () => {
+    const suggestions = matcher.match('超');
+    assert.equal(suggestions[0].id, 'supermarket');
+    assert.equal(suggestions[0].reason, 'similar');
+    assert.ok(suggestions[0].score < AUTO_MATCH_SCORE);
+});
+
+test('建议按置信度从高到低排列并限制数量', () => {
+    const suggestions = matcher.match('海', { limit: 2 });
+    assert.ok(suggestions.length <= 2);
+    assert.ok(suggestions.every((item, index) => index === 0 || suggestions[index - 1].score >= item.score));
+});
+
+test('无关输入和空输入没有匹配', () => {
+    assert.equal(bestId('恐龙'), null);
+    assert.deepEqual(matcher.match(''), []);
+    assert.deepEqual(matcher.match('  ，。 '), []);
+});
@@ -0,0 +1,30 @@
+/**
+ * 主题数据校验模块测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import { readFile } from 'node:fs/promises';
+import assert from 'node:assert/strict';
+import { ThemeValidator, DEFAULT_VALIDATION_RULES, themeValidator } from '../js/modules/validator.js';
+
+test('拼音与词典读音不一致默认报告为错误', () => {
+    const problems = themeValidator.validateWord({ pinyin: 'cùn chù guì', chinese: '储物柜' });
+    assert.deepEqual(problems, [{ level: 'error', message: '拼音与词典读音不一致，词典读音为「chǔ wù guì」' }]);
+});
+
+test('可以把词典读音不一致的级别设为警告', () => {
+    const validator = new ThemeValidator({ ...DEFAULT_VALIDATION_RULES, dictionaryMismatch: 'warning' });
+    const [problem] = validator.validateWord({ pinyin: 'cùn chù guì', chinese: '储物柜' });
+    assert.equal(problem.level, 'warning');
+});
+
+test('轻声与原调视为一致', () => {
+    assert.deepEqual(themeValidator.validateWord({ pinyin: 'hù shi', chinese: '护士' }), []);
+});
+
+test('内置的 themes.json 没有错误和警告', async () => {
+    const data = JSON.parse(await readFile(new URL('../data/themes.json', import.meta.url), 'utf8'));
+    const report = themeValidator.validate(data);
+    assert.deepEqual(report.issues, [], themeValidator.formatReport(report));
+});
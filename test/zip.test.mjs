@@ -0,0 +1,93 @@
+/**
+ * ZIP 打包模块测试
+ * 运行：node --test test/*.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipWriter, crc32 } from '../js/modules/zip.js';
+
+/**
+ * 按中央目录读取 ZIP 中的文件（只支持仅存储的 ZIP）
+ * @param {Blob} blob - ZIP 文件
+ * @returns {Promise<Array<{name: string, data: Uint8Array, crc: number, time: number, date: number}>>} 文件列表
+ */
+async function readZip(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const decoder = new TextDecoder();
+
+    const endOffset = bytes.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054B50, '中央目录结束记录');
+    const count = view.getUint16(endOffset + 10, true);
+    const directorySize = view.getUint32(endOffset + 12, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    assert.equal(offset + directorySize, endOffset, '中央目录的位置和大小');
+
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(offset, true), 0x02014B50, '中央目录记录');
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const headerOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        assert.equal(view.getUint32(headerOffset, true), 0x04034B50, '本地文件头');
+        assert.equal(view.getUint32(headerOffset + 14, true), crc, '本地文件头的校验值');
+        const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true);
+
+        files.push({
+            name,
+            data: bytes.subarray(dataStart, dataStart + size),
+            crc,
+            time: view.getUint16(offset + 12, true),
+            date: view.getUint16(offset + 14, true)
+        });
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+test('CRC-32 与标准值一致', () => {
+    const encoder = new TextEncoder();
+    assert.equal(crc32(encoder.encode('123456789')), 0xCBF43926);
+    assert.equal(crc32(new Uint8Array()), 0);
+});
+
+test('打包字符串、字节和 Blob，文件名使用 UTF-8', async () => {
+    const writer = new ZipWriter();
+    writer.addFile('清单.json', '{"标题":"超市购物"}');
+    writer.addFile('images/01.png', new Uint8Array([0x89, 0x50, 0x4E, 0x47]));
+    writer.addFile('02.png', new Uint8Array([1, 2, 3]).buffer);
+    writer.addFile('03.png', new Blob(['blob']));
+
+    const blob = await writer.toBlob();
+    assert.equal(blob.type, 'application/zip');
+
+    const files = await readZip(blob);
+    assert.deepEqual(files.map(file => file.name), ['清单.json', 'images/01.png', '02.png', '03.png']);
+    assert.equal(new TextDecoder().decode(files[0].data), '{"标题":"超市购物"}');
+    assert.deepEqual(Array.from(files[1].data), [0x89, 0x50, 0x4E, 0x47]);
+    assert.deepEqual(Array.from(files[2].data), [1, 2, 3]);
+    assert.equal(new TextDecoder().decode(files[3].data), 'blob');
+    files.forEach(file => assert.equal(file.crc, crc32(file.data), file.name));
+});
+
+test('修改时间按 DOS 格式保存', async () => {
+    const writer = new ZipWriter();
+    writer.addFile('a.txt', 'a', new Date(2024, 4, 17, 13, 45, 31));
+    writer.addFile('b.txt', 'b', new Date(1970, 0, 1));
+
+    const [first, second] = await readZip(await writer.toBlob());
+    assert.equal(first.time, (13 << 11) | (45 << 5) | 15);
+    assert.equal(first.date, (44 << 9) | (5 << 5) | 17);
+    // 早于 1980 年的时间按 1980 年保存
+    assert.equal(second.date >> 9, 0);
+});
+
+test('没有文件时生成空的 ZIP', async () => {
+    const blob = await new ZipWriter().toBlob();
+    assert.equal(blob.size, 22);
+    assert.deepEqual(await readZip(blob), []);
+});
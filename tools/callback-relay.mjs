@@ -0,0 +1,221 @@
+/**
+ * 回调中继
+ * 接收 Kie AI 在任务完成时发送到 callBackUrl 的回调，并通过 SSE 通知页面哪个任务有了新状态；
+ * 页面收到通知后仍通过 recordInfo 接口确认结果，通知只用来提前结束轮询等待
+ *
+ * 用法：node tools/callback-relay.mjs [端口]（默认 8787，也可用环境变量 PORT 指定）
+ *   POST /callback/<密钥>  接收回调（内容与 recordInfo 接口的返回格式相同），密钥不对时返回 404
+ *   GET  /events           SSE 通知（{ taskId, state }），连接时先补发最近的通知，之后每收到一次回调发送一条
+ *
+ * 中继只监听 127.0.0.1。密钥在首次启动时生成并保存在 ~/.callback-relay-secret（也可用环境变量 RELAY_SECRET 指定），
+ * 启动时会打印完整的回调路径。Kie AI 需要能从公网访问回调地址，本地运行时用内网穿透工具只转发 /callback/<密钥> 这一路径，
+ * 不要转发整个端口（/events 只供本机页面使用）；再在“API设置”中把回调地址填为 https://穿透域名/callback/<密钥>，
+ * 把中继通知地址填为 http://127.0.0.1:8787/events。
+ * /events 只允许本机页面（localhost、127.0.0.1）跨域连接，其他来源可用环境变量 RELAY_ORIGINS（逗号分隔）添加
+ */
+
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const HOST = '127.0.0.1';
+
+const SECRET_FILE = path.join(os.homedir(), '.callback-relay-secret');
+
+// 保留最近的通知，供页面刷新或重连后补发
+const MAX_RESULTS = 200;
+const RESULT_TTL = 60 * 60 * 1000;
+
+// 回调请求内容的大小上限（字节）
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// SSE 心跳间隔，避免连接因长时间无数据被代理断开
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// 任务ID的长度上限，超出的回调视为无效
+const MAX_TASK_ID_LENGTH = 128;
+
+// 允许连接 /events 的其他页面来源
+const EXTRA_ORIGINS = (process.env.RELAY_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+const SECRET = loadSecret();
+
+// 最近的通知（任务ID → { notice, receivedAt }）
+const results = new Map();
+
+// 已连接的页面
+const clients = new Set();
+
+/**
+ * 读取回调密钥，不存在时生成一个并保存（仅当前用户可读）
+ * @returns {string} 密钥
+ */
+function loadSecret() {
+    if (process.env.RELAY_SECRET) {
+        return process.env.RELAY_SECRET;
+    }
+
+    try {
+        const secret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+        if (secret) return secret;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const secret = crypto.randomBytes(24).toString('base64url');
+    fs.writeFileSync(SECRET_FILE, `${secret}\n`, { mode: 0o600 });
+    return secret;
+}
+
+/**
+ * 检查回调路径中的密钥（按固定时间比较）
+ * @param {string} value - 路径中的密钥
+ * @returns {boolean}
+ */
+function isValidSecret(value) {
+    const expected = Buffer.from(SECRET);
+    const actual = Buffer.from(value);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 页面来源是否允许连接 /events（本机页面和 RELAY_ORIGINS 中的来源）
+ * @param {string} origin - 请求的 Origin
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin) {
+    if (EXTRA_ORIGINS.includes(origin)) return true;
+
+    try {
+        const { protocol, hostname } = new URL(origin);
+        return (protocol === 'http:' || protocol === 'https:') && (hostname === 'localhost' || hostname === '127.0.0.1');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 返回 JSON
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - 状态码
+ * @param {Object} body - 内容
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * 清理过期的结果
+ */
+function pruneResults() {
+    const now = Date.now();
+    for (const [taskId, { receivedAt }] of results) {
+        if (now - receivedAt > RESULT_TTL || results.size > MAX_RESULTS) {
+            results.delete(taskId);
+        }
+    }
+}
+
+/**
+ * 处理回调
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ */
+function handleCallback(req, res) {
+    let body = '';
+    let size = 0;
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            sendJson(res, 413, { code: 413, msg: '回调内容过大' });
+            req.destroy();
+            return;
+        }
+        body += chunk;
+    });
+
+    req.on('end', () => {
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            sendJson(res, 400, { code: 400, msg: '回调内容不是有效的 JSON' });
+            return;
+        }
+
+        const taskId = payload && payload.data && payload.data.taskId;
+        if (typeof taskId !== 'string' || !taskId || taskId.length > MAX_TASK_ID_LENGTH) {
+            sendJson(res, 400, { code: 400, msg: '回调内容缺少有效的 data.taskId' });
+            return;
+        }
+
+        // 只转发任务ID和状态，结果由页面通过 recordInfo 接口确认
+        const notice = { taskId, state: String(payload.data.state || '') };
+        results.delete(taskId);
+        results.set(taskId, { notice, receivedAt: Date.now() });
+        pruneResults();
+
+        const message = `data: ${JSON.stringify(notice)}\n\n`;
+        clients.forEach(client => client.write(message));
+
+        console.log(`收到任务 ${taskId} 的回调（${notice.state}），已通知 ${clients.size} 个页面`);
+        sendJson(res, 200, { code: 200, msg: 'success' });
+    });
+}
+
+/**
+ * 处理 SSE 连接
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ */
+function handleEvents(req, res) {
+    const { origin } = req.headers;
+    if (origin && !isAllowedOrigin(origin)) {
+        sendJson(res, 403, { code: 403, msg: '不允许该页面连接' });
+        return;
+    }
+
+    res.writeHead(200, {
+        ...(origin ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' } : {}),
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    // 补发最近的通知
+    pruneResults();
+    results.forEach(({ notice }) => {
+        res.write(`data: ${JSON.stringify(notice)}\n\n`);
+    });
+
+    clients.add(res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const callback = pathname.match(/^\/callback\/([^/]+)$/);
+
+    if (req.method === 'POST' && callback && isValidSecret(callback[1])) {
+        handleCallback(req, res);
+    } else if (req.method === 'GET' && pathname === '/events') {
+        handleEvents(req, res);
+    } else {
+        sendJson(res, 404, { code: 404, msg: '未知的地址' });
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`回调中继已启动：POST http://${HOST}:${PORT}/callback/${SECRET}，SSE http://${HOST}:${PORT}/events`);
+    console.log(`内网穿透只需转发 /callback/${SECRET}，回调地址填为 https://穿透域名/callback/${SECRET}`);
+});